@@ -0,0 +1,440 @@
+/**
+ * @file Functions related to bootstrap computation.
+ * @author Roman Rubsamen <roman.rubsamen@gmail.com>
+ */
+
+/* Start Wrapper private methods - Unit tests usage only */
+self.uniformRandomGenerator_ = function(seed) { return uniformRandomGenerator_(seed); }
+self.bootstrapIndexes_ = function(nbReturns, resamplingMethod, blockLength, random) { return bootstrapIndexes_(nbReturns, resamplingMethod, blockLength, random); }
+self.resampledSeries_ = function(initialValues, returns, indexes) { return resampledSeries_(initialValues, returns, indexes); }
+/* End Wrapper private methods - Unit tests usage only */
+
+
+/**
+* @function bootstrap
+*
+* @summary Compute the bootstrap distribution of a function of the library.
+*
+* @description This function returns the values of a function applied over bootstrap samples of one or several
+* aligned series (e.g. a portfolio equity curve and a benchmark equity curve).
+*
+* Each bootstrap sample is built by resampling the period-to-period arithmetic returns of the series,
+* jointly for all the series so that their cross-sectional dependence is preserved, using either:
+* - The iid bootstrap, which draws the returns independently and uniformly with replacement, c.f. the first reference
+* - The moving-block bootstrap, which draws overlapping blocks of consecutive returns of fixed length, c.f. the second reference
+* - The stationary bootstrap, which draws blocks of consecutive returns of random geometric length, wrapping around
+* the end of the series, c.f. the third reference
+*
+* The resampled returns are then compounded into equity curves starting at the initial values of the series,
+* and the function is called with these equity curves as arguments, in the same order as the series.
+*
+* The moving-block and the stationary bootstrap preserve the serial dependence of the returns up to the (mean) block length,
+* and should thus be preferred for serially correlated returns.
+*
+* To be noted that the bootstrap samples are reproducible when a seed is provided.
+*
+* @see Bradley Efron, Bootstrap Methods: Another Look at the Jackknife, The Annals of Statistics, Vol. 7, No. 1 (1979), pp. 1-26
+* @see Hans R. Künsch, The Jackknife and the Bootstrap for General Stationary Observations, The Annals of Statistics, Vol. 17, No. 3 (1989), pp. 1217-1241
+* @see Dimitris N. Politis, Joseph P. Romano, The Stationary Bootstrap, Journal of the American Statistical Association, Vol. 89, No. 428 (1994), pp. 1303-1313
+*
+* @param {function} func the function to apply over the bootstrap samples, e.g. sharpeRatio or maxDrawdown.
+* @param {Array.<number>|Array.<Array.<number>>} series either a serie (e.g. an equity curve), an array of real numbers,
+* or aligned series, an array of arrays of real numbers of same length.
+* @param {number} nbSamples the number of bootstrap samples, a positive integer; defaults to 1000.
+* @param {string} resamplingMethod the resampling method, a string either equals to:
+* - "iid", in order to use the iid bootstrap
+* - "moving-block", in order to use the moving-block bootstrap
+* - "stationary", in order to use the stationary bootstrap
+* ; defaults to "iid".
+* @param {number} blockLength the (mean) length of the blocks for the moving-block and the stationary bootstraps,
+* a positive integer; defaults to the cubic root of the number of returns, rounded up.
+* @param {number} seed the seed of the pseudo-random number generator, a positive integer; defaults to a random seed.
+* @return {Array.<number>} the values of the function over the bootstrap samples.
+*
+* @example
+* bootstrap(sharpeRatio, [[100, 110, 105, 107.5, 115, 112, 118, 121, 117, 125], [100, 100, 100, 100, 100, 100, 100, 100, 100, 100]], 3, "iid", undefined, 42);
+* // [~0.15, ~0.85, ~1.22]
+*/
+self.bootstrap = function(func, series, nbSamples, resamplingMethod, blockLength, seed) {
+	// Initialize default parameters
+	if (nbSamples === undefined) {
+		nbSamples = 1000;
+	}
+	if (resamplingMethod === undefined) {
+		resamplingMethod = "iid";
+	}
+	if (seed === undefined) {
+		seed = Math.floor(Math.random() * 4294967296);
+	}
+
+	// Convert a single serie into aligned series
+	if (series.length > 0 && typeof series[0] === "number") {
+		series = [series];
+	}
+
+	// Compute the initial values and the arithmetic returns of the series
+	var initialValues = new Array(series.length);
+	var returns = new Array(series.length);
+	for (var j=0; j<series.length; ++j) {
+		initialValues[j] = series[j][0];
+		returns[j] = self.arithmeticReturns(series[j]).slice(1); // First value is NaN
+	}
+	var nbReturns = series.length > 0 ? returns[0].length : 0;
+
+	// Compute the values of the function over the bootstrap samples
+	var random = uniformRandomGenerator_(seed);
+	var values = new Array(nbSamples);
+	for (var i=0; i<nbSamples; ++i) {
+		var indexes = bootstrapIndexes_(nbReturns, resamplingMethod, blockLength, random);
+		values[i] = func.apply(null, resampledSeries_(initialValues, returns, indexes));
+	}
+
+	// Return the computed values
+	return values;
+}
+
+
+/**
+* @function bootstrapConfidenceInterval
+*
+* @summary Compute the bootstrap confidence interval at a given significance level of a function of the library.
+*
+* @description This function returns the bootstrap confidence interval, at a given significance level alpha%,
+* of the value of a function applied over one or several aligned series (e.g. a portfolio equity curve
+* and a benchmark equity curve), computed using either:
+* - The percentile method, which uses the alpha/2% and (1-alpha/2)% quantiles of the bootstrap distribution of the function
+* - The bias-corrected and accelerated (BCa) method, which uses quantiles of the bootstrap distribution
+* of the function adjusted for its bias and its skewness, c.f. the reference
+*
+* The bootstrap distribution of the function is computed using the bootstrap function, its non finite values (e.g. NaN) being discarded.
+*
+* For the BCa method, the acceleration is estimated using the delete-one jackknife on the returns of the series,
+* which requires as many additional calls to the function as the number of returns.
+* In case all the values of the bootstrap distribution lie on the same side of the value of the function over the series
+* (e.g. a null maximum drawdown over an increasing equity curve), the bias correction is infinite and the percentile method is used instead.
+*
+* @see Bradley Efron, Better Bootstrap Confidence Intervals, Journal of the American Statistical Association, Vol. 82, No. 397 (1987), pp. 171-185
+*
+* @param {function} func the function whose confidence interval is to be computed, e.g. sharpeRatio.
+* @param {Array.<number>|Array.<Array.<number>>} series either a serie (e.g. an equity curve), an array of real numbers,
+* or aligned series, an array of arrays of real numbers of same length.
+* @param {number} alpha the significance level, a real number belonging to interval [0,1].
+* @param {number} nbSamples the number of bootstrap samples, a positive integer; defaults to 1000.
+* @param {string} intervalMethod the method used to compute the confidence interval, a string either equals to:
+* - "percentile", in order to use the percentile method
+* - "bca", in order to use the bias-corrected and accelerated method
+* ; defaults to "percentile".
+* @param {string} resamplingMethod the resampling method, c.f. the bootstrap function; defaults to "iid".
+* @param {number} blockLength the (mean) length of the blocks, c.f. the bootstrap function.
+* @param {number} seed the seed of the pseudo-random number generator, a positive integer; defaults to a random seed.
+* @return {Array.<number>} the confidence interval of the value of the function.
+*
+* @example
+* bootstrapConfidenceInterval(sharpeRatio, [[100, 110, 105, 107.5, 115, 112, 118, 121, 117, 125], [100, 100, 100, 100, 100, 100, 100, 100, 100, 100]], 0.05, 1000, "percentile", "iid", undefined, 42);
+* // [~-0.12, ~1.55]
+*/
+self.bootstrapConfidenceInterval = function(func, series, alpha, nbSamples, intervalMethod, resamplingMethod, blockLength, seed) {
+	// Initialize default parameters
+	if (intervalMethod === undefined) {
+		intervalMethod = "percentile";
+	}
+
+	// Convert a single serie into aligned series
+	if (series.length > 0 && typeof series[0] === "number") {
+		series = [series];
+	}
+
+	// Compute the bootstrap distribution of the function, discarding non finite values
+	var values = self.bootstrap(func, series, nbSamples, resamplingMethod, blockLength, seed).filter(function(value) { return isFinite(value); });
+
+	// Compute the orders of the quantiles of the bootstrap distribution delimiting the confidence interval
+	var lowerOrder = alpha/2;
+	var upperOrder = 1 - alpha/2;
+	if (intervalMethod == "percentile") {
+		// Nothing to do
+	}
+	else if (intervalMethod == "bca") {
+		// Compute the value of the function over the series
+		var value = func.apply(null, series);
+
+		// Compute the bias correction, c.f. the reference
+		var nbBelow = 0;
+		for (var i=0; i<values.length; ++i) {
+			if (values[i] < value) {
+				++nbBelow;
+			}
+		}
+		var z0 = norminv_(nbBelow/values.length);
+
+		// Limit case (all the values on the same side of the value of the function), 
+		// the bias correction is infinite, so that the percentile method is used instead
+		if (!isFinite(z0)) {
+			return [quantile_(values, lowerOrder), quantile_(values, upperOrder)];
+		}
+
+		// Compute the values of the function over the delete-one jackknife samples
+		var initialValues = new Array(series.length);
+		var returns = new Array(series.length);
+		for (var j=0; j<series.length; ++j) {
+			initialValues[j] = series[j][0];
+			returns[j] = self.arithmeticReturns(series[j]).slice(1); // First value is NaN
+		}
+		var nbReturns = series.length > 0 ? returns[0].length : 0;
+		var jackknifeValues = new Array(nbReturns);
+		for (var k=0; k<nbReturns; ++k) {
+			var indexes = new Array(nbReturns - 1);
+			for (var i=0; i<nbReturns - 1; ++i) {
+				indexes[i] = i < k ? i : i + 1;
+			}
+			jackknifeValues[k] = func.apply(null, resampledSeries_(initialValues, returns, indexes));
+		}
+
+		// Compute the acceleration, c.f. the reference
+		var jackknifeMean = mean_(jackknifeValues);
+		var sumSquareDiff = 0.0;
+		var sumCubeDiff = 0.0;
+		for (var k=0; k<nbReturns; ++k) {
+			var diff = jackknifeMean - jackknifeValues[k];
+			sumSquareDiff += diff * diff;
+			sumCubeDiff += diff * diff * diff;
+		}
+		var a = sumSquareDiff == 0 ? 0 : sumCubeDiff / (6 * Math.pow(sumSquareDiff, 1.5));
+
+		// Compute the adjusted orders, c.f. the reference
+		var zLower = z0 + norminv_(lowerOrder);
+		var zUpper = z0 + norminv_(upperOrder);
+		lowerOrder = normcdf_(z0 + zLower/(1 - a*zLower));
+		upperOrder = normcdf_(z0 + zUpper/(1 - a*zUpper));
+	}
+	else {
+		throw new Error('unsupported confidence interval method: ' + intervalMethod);
+	}
+
+	// Compute and return the confidence interval
+	return [quantile_(values, lowerOrder), quantile_(values, upperOrder)];
+}
+
+
+/**
+* @function bootstrapDoubleSharpeRatio
+*
+* @summary Compute the double Sharpe ratio of a portfolio v.s. a benchmark, using a bootstrap procedure.
+*
+* @description This function returns the double Sharpe ratio of a portfolio v.s. a benchmark, both provided as
+* equity curves.
+*
+* The double Sharpe ratio is defined as the Sharpe ratio adjusted for its estimation risk as computed by its
+* standard deviation, this standard deviation being computed as the sample standard deviation of the bootstrap distribution
+* of the Sharpe ratio, as originally described in the reference, c.f. also the bootstrap function.
+*
+* The bootstrap samples made of identical differential returns (e.g. when resampling a short serie),
+* whose Sharpe ratio is undefined, are discarded, together with the bootstrap samples whose Sharpe ratio is not finite.
+*
+* @see <a href="https://ssrn.com/abstract=168748">Vinod, Hrishikesh D. and Morey, Matthew R., A Double Sharpe Ratio (June 1, 1999).</a>
+*
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @param {Array.<number>} benchmarkEquityCurve the benchmark equity curve, an array of real numbers of the same length as portfolioEquityCurve.
+* @param {number} nbSamples the number of bootstrap samples, a positive integer; defaults to 1000.
+* @param {string} resamplingMethod the resampling method, c.f. the bootstrap function; defaults to "iid".
+* @param {number} blockLength the (mean) length of the blocks, c.f. the bootstrap function.
+* @param {number} seed the seed of the pseudo-random number generator, a positive integer; defaults to a random seed.
+* @return {number} the double Sharpe ratio of the portfolio v.s. the benchmark.
+*
+* @example
+* bootstrapDoubleSharpeRatio([100, 110, 105, 107.5, 115, 112, 118, 121, 117, 125], [100, 100, 100, 100, 100, 100, 100, 100, 100, 100], 1000, "iid", undefined, 42);
+* // ~0.92
+*/
+self.bootstrapDoubleSharpeRatio = function(portfolioEquityCurve, benchmarkEquityCurve, nbSamples, resamplingMethod, blockLength, seed) {
+	// Initialize default parameters
+	if (nbSamples === undefined) {
+		nbSamples = 1000;
+	}
+	if (resamplingMethod === undefined) {
+		resamplingMethod = "iid";
+	}
+	if (seed === undefined) {
+		seed = Math.floor(Math.random() * 4294967296);
+	}
+
+	// Compute the Sharpe ratio
+	var sr = self.sharpeRatio(portfolioEquityCurve, benchmarkEquityCurve);
+
+	// Compute the initial values, the arithmetic returns and the differential returns of the portfolio and of the benchmark
+	var initialValues = [portfolioEquityCurve[0], benchmarkEquityCurve[0]];
+	var returns = [self.arithmeticReturns(portfolioEquityCurve).slice(1), self.arithmeticReturns(benchmarkEquityCurve).slice(1)]; // First value is NaN
+	var diffReturns = differentialReturns_(portfolioEquityCurve, benchmarkEquityCurve);
+	var nbReturns = diffReturns.length;
+
+	// Compute the bootstrap distribution of the Sharpe ratio, c.f. the bootstrap function, discarding the degenerate 
+	// bootstrap samples, whose differential returns recomputed from the resampled equity curves would only differ 
+	// by rounding errors, as well as the non finite values
+	var random = uniformRandomGenerator_(seed);
+	var values = [];
+	for (var i=0; i<nbSamples; ++i) {
+		var indexes = bootstrapIndexes_(nbReturns, resamplingMethod, blockLength, random);
+
+		var degenerate = true;
+		for (var k=1; k<nbReturns; ++k) {
+			if (diffReturns[indexes[k]] != diffReturns[indexes[0]]) {
+				degenerate = false;
+				break;
+			}
+		}
+		if (degenerate) {
+			continue;
+		}
+
+		var value = self.sharpeRatio.apply(null, resampledSeries_(initialValues, returns, indexes));
+		if (isFinite(value)) {
+			values.push(value);
+		}
+	}
+
+	// Compute the standard deviation of the bootstrap distribution of the Sharpe ratio
+	var srStdDev = sampleStddev_(values);
+
+	// And return the double Sharpe ratio, as defined in the reference
+	return sr/srStdDev;
+}
+
+
+/**
+* @function uniformRandomGenerator_
+*
+* @summary Internal function intended to build a seeded pseudo-random number generator.
+*
+* @description This internal function returns a function generating pseudo-random numbers uniformly
+* distributed over the interval ]0,1[, using the 32-bit xorshift generator of the reference, initialized with a seed.
+*
+* The sequence of generated numbers is fully determined by the seed.
+*
+* @see George Marsaglia, Xorshift RNGs, Journal of Statistical Software, Vol. 8, Issue 14 (2003)
+*
+* @param {number} seed the seed of the generator, a positive integer.
+* @return {function} a function with no argument, returning a pseudo-random number belonging to the interval ]0,1[ at each call.
+*
+* @example
+* var random = uniformRandomGenerator_(42); random();
+* // ~0.70
+*/
+function uniformRandomGenerator_(seed) {
+	// Initialize the state of the generator, which must not be null
+	var state = seed >>> 0;
+	if (state == 0) {
+		state = 2463534242; // The seed used in the reference
+	}
+
+	// Define the generator
+	var random = function() {
+		state ^= state << 13;
+		state ^= state >>> 17;
+		state ^= state << 5;
+		state >>>= 0;
+		return state / 4294967296;
+	}
+
+	// Discard the first generated numbers, poorly mixed for small seeds
+	for (var i=0; i<10; ++i) {
+		random();
+	}
+
+	// Return the generator
+	return random;
+}
+
+
+/**
+* @function bootstrapIndexes_
+*
+* @summary Internal function intended to compute the indexes of the returns of a bootstrap sample.
+*
+* @description This internal function returns the indexes of the returns making up a bootstrap sample,
+* drawn using either the iid bootstrap, the moving-block bootstrap or the stationary bootstrap, c.f. the bootstrap function.
+*
+* @param {number} nbReturns the number of returns, a positive integer.
+* @param {string} resamplingMethod the resampling method, a string either equals to "iid", "moving-block" or "stationary".
+* @param {number} blockLength the (mean) length of the blocks, a positive integer; defaults to the cubic root of nbReturns, rounded up.
+* @param {function} random a function returning a pseudo-random number belonging to the interval ]0,1[ at each call.
+* @return {Array.<number>} the indexes of the returns making up the bootstrap sample, an array of nbReturns integers.
+*
+* @example
+* bootstrapIndexes_(4, "moving-block", 2, uniformRandomGenerator_(42));
+* // [2, 3, 2, 3]
+*/
+function bootstrapIndexes_(nbReturns, resamplingMethod, blockLength, random) {
+	// Initialize default parameters
+	if (blockLength === undefined) {
+		blockLength = Math.ceil(Math.pow(nbReturns, 1/3));
+	}
+
+	// Draw the indexes
+	var indexes = new Array(nbReturns);
+	if (resamplingMethod == "iid") {
+		for (var i=0; i<nbReturns; ++i) {
+			indexes[i] = Math.floor(random() * nbReturns);
+		}
+	}
+	else if (resamplingMethod == "moving-block") {
+		// Draw the starting indexes of the blocks among the nbReturns - blockLength + 1 possible ones
+		blockLength = Math.min(blockLength, nbReturns);
+		var nbBlocks = nbReturns - blockLength + 1;
+		for (var i=0; i<nbReturns; ++i) {
+			if (i % blockLength == 0) {
+				var start = Math.floor(random() * nbBlocks);
+			}
+			indexes[i] = start + i % blockLength;
+		}
+	}
+	else if (resamplingMethod == "stationary") {
+		// Start a new block with probability 1/blockLength, otherwise continue the current block, wrapping around
+		for (var i=0; i<nbReturns; ++i) {
+			if (i == 0 || random() < 1/blockLength) {
+				indexes[i] = Math.floor(random() * nbReturns);
+			}
+			else {
+				indexes[i] = (indexes[i-1] + 1) % nbReturns;
+			}
+		}
+	}
+	else {
+		throw new Error('unsupported resampling method: ' + resamplingMethod);
+	}
+
+	// Return the drawn indexes
+	return indexes;
+}
+
+
+/**
+* @function resampledSeries_
+*
+* @summary Internal function intended to compute the equity curves of resampled returns.
+*
+* @description This internal function returns the equity curves obtained by compounding the returns of aligned series
+* taken at given indexes, starting at the initial values of the series.
+*
+* @param {Array.<number>} initialValues the initial values of the series, an array of real numbers.
+* @param {Array.<Array.<number>>} returns the arithmetic returns of the series, an array of arrays of real numbers of same length.
+* @param {Array.<number>} indexes the indexes of the returns to compound, an array of integers.
+* @return {Array.<Array.<number>>} the equity curves of the resampled returns, an array of arrays of real numbers
+* of length indexes.length + 1.
+*
+* @example
+* resampledSeries_([100], [[0.1, -0.5]], [1, 0, 0]);
+* // [[100, 50, ~55, ~60.5]]
+*/
+function resampledSeries_(initialValues, returns, indexes) {
+	// Compute the equity curves of the resampled returns
+	var curves = new Array(returns.length);
+	for (var j=0; j<returns.length; ++j) {
+		var curve = new returns[j].constructor(indexes.length + 1); // Inherit the array type from the input array
+		curve[0] = initialValues[j];
+		for (var i=0; i<indexes.length; ++i) {
+			curve[i+1] = curve[i] * (1 + returns[j][indexes[i]]);
+		}
+		curves[j] = curve;
+	}
+
+	// Return them
+	return curves;
+}
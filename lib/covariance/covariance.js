@@ -0,0 +1,404 @@
+/**
+ * @file Functions related to covariance matrices computation.
+ * @author Roman Rubsamen <roman.rubsamen@gmail.com>
+ */
+
+/* Start Wrapper private methods - Unit tests usage only */
+self.returnsMatrix_ = function(equityCurves) { return returnsMatrix_(equityCurves); }
+self.covarianceMatrix_ = function(x) { return covarianceMatrix_(x); }
+self.ledoitWolfShrinkage_ = function(x, target) { return ledoitWolfShrinkage_(x, target); }
+/* End Wrapper private methods - Unit tests usage only */
+
+
+/**
+* @function covarianceMatrix
+*
+* @summary Compute the covariance matrix of the arithmetic returns of several portfolios.
+*
+* @description This function returns the sample covariance matrix of the arithmetic returns of N portfolios,
+* provided as aligned equity curves, the (i,j)-th element of this matrix being the sample covariance of the
+* arithmetic returns of the i-th and of the j-th portfolios, c.f. the function sampleCovariance_.
+*
+* The covariance matrix is returned as a flat array of N*N real numbers, in row-major order,
+* i.e. the (i,j)-th element of the covariance matrix is the (i*N + j)-th element of this array.
+*
+* @param {Array.<Array.<number>>} equityCurves the portfolios equity curves, an array of N arrays of real numbers of same length.
+* @return {Float64Array} the covariance matrix of the arithmetic returns, a flat array of N*N real numbers in row-major order.
+*
+* @example
+* covarianceMatrix([[100, 110, 99, 108.9, 115], [100, 105, 103, 104, 110]]);
+* // Float64Array [~0.0090, ~0.0024, ~0.0024, ~0.0013]
+*/
+self.covarianceMatrix = function(equityCurves) {
+	// Compute the returns
+	var x = returnsMatrix_(equityCurves);
+	var nbReturns = x.length > 0 ? x[0].length : 0;
+
+	// Compute the covariance matrix
+	var cov = covarianceMatrix_(x);
+
+	// Convert it into the sample covariance matrix, c.f. the function sampleCovariance_
+	for (var i=0; i<cov.length; ++i) {
+		cov[i] *= nbReturns/(nbReturns - 1);
+	}
+
+	// Return it
+	return cov;
+}
+
+
+/**
+* @function correlationMatrix
+*
+* @summary Compute the correlation matrix of the arithmetic returns of several portfolios.
+*
+* @description This function returns the correlation matrix of the arithmetic returns of N portfolios,
+* provided as aligned equity curves, the (i,j)-th element of this matrix being the Pearson correlation coefficient
+* of the arithmetic returns of the i-th and of the j-th portfolios.
+*
+* The correlation matrix is returned as a flat array of N*N real numbers, in row-major order,
+* i.e. the (i,j)-th element of the correlation matrix is the (i*N + j)-th element of this array.
+*
+* @see <a href="https://en.wikipedia.org/wiki/Pearson_correlation_coefficient">https://en.wikipedia.org/wiki/Pearson_correlation_coefficient</a>
+*
+* @param {Array.<Array.<number>>} equityCurves the portfolios equity curves, an array of N arrays of real numbers of same length.
+* @return {Float64Array} the correlation matrix of the arithmetic returns, a flat array of N*N real numbers in row-major order.
+*
+* @example
+* correlationMatrix([[100, 110, 99, 108.9, 115], [100, 105, 103, 104, 110]]);
+* // Float64Array [1, ~0.71, ~0.71, 1]
+*/
+self.correlationMatrix = function(equityCurves) {
+	// Compute the covariance matrix of the returns
+	var corr = covarianceMatrix_(returnsMatrix_(equityCurves));
+	var nbPortfolios = equityCurves.length;
+
+	// Compute the standard deviations of the returns
+	var stddevs = new Float64Array(nbPortfolios);
+	for (var i=0; i<nbPortfolios; ++i) {
+		stddevs[i] = Math.sqrt(corr[i*nbPortfolios + i]);
+	}
+
+	// Normalize the covariance matrix into the correlation matrix, with an exact unit diagonal
+	for (var i=0; i<nbPortfolios; ++i) {
+		for (var j=0; j<nbPortfolios; ++j) {
+			corr[i*nbPortfolios + j] = (i == j ? 1 : corr[i*nbPortfolios + j]/(stddevs[i] * stddevs[j]));
+		}
+	}
+
+	// Return it
+	return corr;
+}
+
+
+/**
+* @function shrunkCovarianceMatrix
+*
+* @summary Compute the Ledoit-Wolf shrunk covariance matrix of the arithmetic returns of several portfolios.
+*
+* @description This function returns the covariance matrix of the arithmetic returns of N portfolios,
+* provided as aligned equity curves, estimated by shrinking the covariance matrix S of the returns
+* (c.f. the function covariance_) towards a structured target matrix F, i.e. d*F + (1-d)*S,
+* with the shrinkage intensity d belonging to interval [0,1] chosen so as to minimize
+* the expected quadratic loss of the estimator, using either:
+* - The constant correlation target, whose diagonal elements are the variances of the returns and whose
+* off-diagonal elements correspond to the average correlation of the returns, c.f. the first reference
+* - The identity target, which is the identity matrix multiplied by the average variance of the returns, c.f. the second reference
+*
+* The shrunk covariance matrix is positive definite as soon as the shrinkage intensity is positive and the target is positive definite,
+* even when the number of portfolios is greater than the number of returns.
+*
+* The shrunk covariance matrix is returned as a flat array of N*N real numbers, in row-major order,
+* i.e. the (i,j)-th element of the shrunk covariance matrix is the (i*N + j)-th element of this array.
+*
+* To be noted that, as in the references, the covariance matrix S is not the sample covariance matrix,
+* but the covariance matrix with a normalization by the number of returns.
+*
+* @see Olivier Ledoit, Michael Wolf, Honey, I Shrunk the Sample Covariance Matrix, The Journal of Portfolio Management, Vol. 30, No. 4 (2004), pp. 110-119
+* @see Olivier Ledoit, Michael Wolf, A Well-Conditioned Estimator for Large-Dimensional Covariance Matrices, Journal of Multivariate Analysis, Vol. 88, No. 2 (2004), pp. 365-411
+*
+* @param {Array.<Array.<number>>} equityCurves the portfolios equity curves, an array of N arrays of real numbers of same length.
+* @param {string} target the shrinkage target, a string either equals to:
+* - "constant-correlation", in order to use the constant correlation target
+* - "identity", in order to use the identity target
+* ; defaults to "constant-correlation".
+* @return {Float64Array} the shrunk covariance matrix of the arithmetic returns, a flat array of N*N real numbers in row-major order.
+*
+* @example
+* shrunkCovarianceMatrix([[100, 110, 99, 108.9, 115], [100, 105, 103, 104, 110]], "identity");
+* // Float64Array [~0.0046, ~0.0005, ~0.0005, ~0.0031]
+*/
+self.shrunkCovarianceMatrix = function(equityCurves, target) {
+	// Initialize default parameters
+	if (target === undefined) {
+		target = "constant-correlation";
+	}
+
+	// Compute the returns
+	var x = returnsMatrix_(equityCurves);
+
+	// Compute and return the shrunk covariance matrix
+	return ledoitWolfShrinkage_(x, target)[0];
+}
+
+
+/**
+* @function ewmaCovarianceMatrix
+*
+* @summary Compute the exponentially weighted covariance matrix of the arithmetic returns of several portfolios.
+*
+* @description This function returns the exponentially weighted moving average (EWMA) covariance matrix
+* of the arithmetic returns of N portfolios, provided as aligned equity curves, c.f. the reference.
+*
+* The (i,j)-th element of this matrix is defined as Sum_t=1..T w_t * r_i,t * r_j,t, where r_i,t is the t-th
+* arithmetic return of the i-th portfolio, and w_t = (1-lambda) * lambda^(T-t) / (1 - lambda^T) is the weight of the t-th returns,
+* lambda being the decay factor, so that the most recent returns have the highest weights and the weights sum to 1.
+*
+* The EWMA covariance matrix is returned as a flat array of N*N real numbers, in row-major order,
+* i.e. the (i,j)-th element of the EWMA covariance matrix is the (i*N + j)-th element of this array.
+*
+* To be noted that, as in the reference, the mean of the returns is assumed to be zero.
+*
+* @see J.P. Morgan/Reuters, RiskMetrics - Technical Document, 4th Edition, 1996
+*
+* @param {Array.<Array.<number>>} equityCurves the portfolios equity curves, an array of N arrays of real numbers of same length.
+* @param {number} lambda the decay factor, a real number belonging to interval ]0,1[; defaults to 0.94.
+* @return {Float64Array} the EWMA covariance matrix of the arithmetic returns, a flat array of N*N real numbers in row-major order.
+*
+* @example
+* ewmaCovarianceMatrix([[100, 110, 99, 108.9, 115], [100, 105, 103, 104, 110]]);
+* // Float64Array [~0.0081, ~0.0027, ~0.0027, ~0.0016]
+*/
+self.ewmaCovarianceMatrix = function(equityCurves, lambda) {
+	// Initialize default parameters
+	if (lambda === undefined) {
+		lambda = 0.94;
+	}
+
+	// Compute the returns
+	var x = returnsMatrix_(equityCurves);
+	var nbPortfolios = x.length;
+	var nbReturns = nbPortfolios > 0 ? x[0].length : 0;
+
+	// Compute the weights of the returns, from the most recent returns to the oldest returns
+	var weights = new Float64Array(nbReturns);
+	var normalization = 1 - Math.pow(lambda, nbReturns);
+	var lambdaPower = 1;
+	for (var t=nbReturns-1; t>=0; --t) {
+		weights[t] = (1 - lambda) * lambdaPower/normalization;
+		lambdaPower *= lambda;
+	}
+
+	// Compute the upper triangular part of the EWMA covariance matrix and copy it to the lower triangular part
+	var cov = new Float64Array(nbPortfolios * nbPortfolios);
+	for (var i=0; i<nbPortfolios; ++i) {
+		for (var j=i; j<nbPortfolios; ++j) {
+			var sum = 0.0;
+			for (var t=0; t<nbReturns; ++t) {
+				sum += weights[t] * x[i][t] * x[j][t];
+			}
+			cov[i*nbPortfolios + j] = sum;
+			cov[j*nbPortfolios + i] = sum;
+		}
+	}
+
+	// Return it
+	return cov;
+}
+
+
+/**
+* @function returnsMatrix_
+*
+* @summary Internal function intended to compute the arithmetic returns of several portfolios.
+*
+* @description This internal function returns the arithmetic returns of N portfolios, provided as aligned equity curves,
+* the first returns (which are NaN) being excluded.
+*
+* @param {Array.<Array.<number>>} equityCurves the portfolios equity curves, an array of N arrays of real numbers of same length.
+* @return {Array.<Array.<number>>} the arithmetic returns of the portfolios, an array of N arrays of real numbers of same length.
+*
+* @example
+* returnsMatrix_([[100, 110, 99], [100, 105, 105]]);
+* // [[0.1, -0.1], [0.05, 0]]
+*/
+function returnsMatrix_(equityCurves) {
+	var x = new Array(equityCurves.length);
+	for (var i=0; i<equityCurves.length; ++i) {
+		x[i] = self.arithmeticReturns(equityCurves[i]).slice(1); // First value is NaN
+	}
+	return x;
+}
+
+
+/**
+* @function covarianceMatrix_
+*
+* @summary Internal function intended to compute the covariance matrix of several series of values.
+*
+* @description This internal function returns the covariance matrix of N series of values, the (i,j)-th element
+* of this matrix being the covariance of the i-th and of the j-th series, c.f. the function covariance_.
+*
+* @param {Array.<Array.<number>>} x the series of values, an array of N arrays of real numbers of same length.
+* @return {Float64Array} the covariance matrix of the series, a flat array of N*N real numbers in row-major order.
+*
+* @example
+* covarianceMatrix_([[1, 2, 3, 4], [4, 3, 2, 1]]);
+* // Float64Array [1.25, -1.25, -1.25, 1.25]
+*/
+function covarianceMatrix_(x) {
+	// Compute the upper triangular part of the covariance matrix and copy it to the lower triangular part
+	var nbSeries = x.length;
+	var cov = new Float64Array(nbSeries * nbSeries);
+	for (var i=0; i<nbSeries; ++i) {
+		cov[i*nbSeries + i] = variance_(x[i]);
+		for (var j=i+1; j<nbSeries; ++j) {
+			cov[i*nbSeries + j] = covariance_(x[i], x[j]);
+			cov[j*nbSeries + i] = cov[i*nbSeries + j];
+		}
+	}
+
+	// Return it
+	return cov;
+}
+
+
+/**
+* @function ledoitWolfShrinkage_
+*
+* @summary Internal function intended to compute the Ledoit-Wolf shrunk covariance matrix of several series of values.
+*
+* @description This internal function returns the Ledoit-Wolf shrunk covariance matrix of N series of values,
+* together with the associated shrinkage intensity, c.f. the function shrunkCovarianceMatrix.
+*
+* @see Olivier Ledoit, Michael Wolf, Honey, I Shrunk the Sample Covariance Matrix, The Journal of Portfolio Management, Vol. 30, No. 4 (2004), pp. 110-119
+* @see Olivier Ledoit, Michael Wolf, A Well-Conditioned Estimator for Large-Dimensional Covariance Matrices, Journal of Multivariate Analysis, Vol. 88, No. 2 (2004), pp. 365-411
+*
+* @param {Array.<Array.<number>>} x the series of values, an array of N arrays of T real numbers.
+* @param {string} target the shrinkage target, a string either equals to "constant-correlation" or to "identity".
+* @return {Array} the shrunk covariance matrix, a flat array of N*N real numbers in row-major order,
+* and the shrinkage intensity, a real number belonging to interval [0,1], in this order.
+*
+* @example
+* ledoitWolfShrinkage_([[0.1, -0.1, 0.1, 0.05], [0.05, -0.02, 0.01, 0.06]], "identity");
+* // [Float64Array [~0.0046, ~0.0005, ~0.0005, ~0.0031], ~0.73]
+*/
+function ledoitWolfShrinkage_(x, target) {
+	// Initialisations
+	var nbSeries = x.length;
+	var nbValues = nbSeries > 0 ? x[0].length : 0;
+
+	// Compute the deviations from the means of the series
+	var y = new Array(nbSeries);
+	for (var i=0; i<nbSeries; ++i) {
+		var meanX = mean_(x[i]);
+		y[i] = new Float64Array(nbValues);
+		for (var t=0; t<nbValues; ++t) {
+			y[i][t] = x[i][t] - meanX;
+		}
+	}
+
+	// Compute the covariance matrix of the series
+	var s = covarianceMatrix_(x);
+
+	// Compute the asymptotic variances of the elements of the covariance matrix,
+	// i.e. pi_ij = 1/T * Sum_t=1..T ((y_i,t * y_j,t) - s_ij)^2, c.f. the references
+	var pi = new Float64Array(nbSeries * nbSeries);
+	var piSum = 0.0;
+	for (var i=0; i<nbSeries; ++i) {
+		for (var j=0; j<nbSeries; ++j) {
+			var sum = 0.0;
+			for (var t=0; t<nbValues; ++t) {
+				var diff = y[i][t] * y[j][t] - s[i*nbSeries + j];
+				sum += diff * diff;
+			}
+			pi[i*nbSeries + j] = sum/nbValues;
+			piSum += pi[i*nbSeries + j];
+		}
+	}
+
+	// Compute the target matrix and the shrinkage intensity
+	var f = new Float64Array(nbSeries * nbSeries);
+	var intensity;
+	if (target == "constant-correlation") {
+		// Compute the average correlation of the series
+		var rBar = 0.0;
+		for (var i=0; i<nbSeries; ++i) {
+			for (var j=i+1; j<nbSeries; ++j) {
+				rBar += s[i*nbSeries + j]/Math.sqrt(s[i*nbSeries + i] * s[j*nbSeries + j]);
+			}
+		}
+		rBar = nbSeries > 1 ? 2 * rBar/(nbSeries * (nbSeries - 1)) : 0;
+
+		// Compute the constant correlation target matrix
+		for (var i=0; i<nbSeries; ++i) {
+			for (var j=0; j<nbSeries; ++j) {
+				f[i*nbSeries + j] = (i == j ? s[i*nbSeries + i] : rBar * Math.sqrt(s[i*nbSeries + i] * s[j*nbSeries + j]));
+			}
+		}
+
+		// Compute the sum of the asymptotic covariances of the elements of the target matrix and of the covariance matrix,
+		// using theta_ii,ij = 1/T * Sum_t=1..T (y_i,t^2 - s_ii) * (y_i,t * y_j,t - s_ij), c.f. the first reference
+		var rho = 0.0;
+		for (var i=0; i<nbSeries; ++i) {
+			rho += pi[i*nbSeries + i];
+			for (var j=0; j<nbSeries; ++j) {
+				if (i == j) {
+					continue;
+				}
+				var thetaII = 0.0;
+				var thetaJJ = 0.0;
+				for (var t=0; t<nbValues; ++t) {
+					var diffIJ = y[i][t] * y[j][t] - s[i*nbSeries + j];
+					thetaII += (y[i][t] * y[i][t] - s[i*nbSeries + i]) * diffIJ;
+					thetaJJ += (y[j][t] * y[j][t] - s[j*nbSeries + j]) * diffIJ;
+				}
+				thetaII /= nbValues;
+				thetaJJ /= nbValues;
+				rho += rBar/2 * (Math.sqrt(s[j*nbSeries + j]/s[i*nbSeries + i]) * thetaII + Math.sqrt(s[i*nbSeries + i]/s[j*nbSeries + j]) * thetaJJ);
+			}
+		}
+
+		// Compute the misspecification of the target matrix
+		var gamma = 0.0;
+		for (var i=0; i<nbSeries*nbSeries; ++i) {
+			gamma += (f[i] - s[i]) * (f[i] - s[i]);
+		}
+
+		// Compute the shrinkage intensity, c.f. the first reference
+		intensity = gamma > 0 ? Math.max(0, Math.min(1, (piSum - rho)/gamma/nbValues)) : 0;
+	}
+	else if (target == "identity") {
+		// Compute the identity target matrix, scaled by the average variance of the series
+		var mu = 0.0;
+		for (var i=0; i<nbSeries; ++i) {
+			mu += s[i*nbSeries + i];
+		}
+		mu /= nbSeries;
+		for (var i=0; i<nbSeries; ++i) {
+			f[i*nbSeries + i] = mu;
+		}
+
+		// Compute the misspecification of the target matrix
+		var d2 = 0.0;
+		for (var i=0; i<nbSeries*nbSeries; ++i) {
+			d2 += (f[i] - s[i]) * (f[i] - s[i]);
+		}
+
+		// Compute the shrinkage intensity, c.f. the second reference
+		var b2 = Math.min(piSum/nbValues, d2);
+		intensity = d2 > 0 ? b2/d2 : 0;
+	}
+	else {
+		throw new Error('unsupported shrinkage target: ' + target);
+	}
+
+	// Compute the shrunk covariance matrix
+	var shrunkCov = new Float64Array(nbSeries * nbSeries);
+	for (var i=0; i<nbSeries*nbSeries; ++i) {
+		shrunkCov[i] = intensity * f[i] + (1 - intensity) * s[i];
+	}
+
+	// Return it, with the shrinkage intensity
+	return [shrunkCov, intensity];
+}
@@ -0,0 +1,229 @@
+/**
+ * @file Functions related to dates computation.
+ * @author Roman Rubsamen <roman.rubsamen@gmail.com>
+ */
+
+/* Start Wrapper private methods - Unit tests usage only */
+self.calendarDate_ = function(date) { return calendarDate_(date); }
+self.nbCalendarDays_ = function(startDate, endDate) { return nbCalendarDays_(startDate, endDate); }
+self.nbBusinessDays_ = function(startDate, endDate, holidayCalendar) { return nbBusinessDays_(startDate, endDate, holidayCalendar); }
+self.nbDays30360_ = function(startDate, endDate) { return nbDays30360_(startDate, endDate); }
+/* End Wrapper private methods - Unit tests usage only */
+
+
+/**
+* @function yearFraction
+*
+* @summary Compute the fraction of year between two dates, following a day count convention.
+*
+* @description This function returns the fraction of year between two dates, computed following one of the 
+* day count conventions below, c.f. the reference:
+* - "actual/365.25": the number of calendar days divided by 365.25
+* - "actual/365" (also called ACT/365 Fixed): the number of calendar days divided by 365
+* - "actual/360": the number of calendar days divided by 360
+* - "30/360" (also called 30/360 Bond Basis or 30A/360): the number of days computed assuming 30 days months, divided by 360,
+* c.f. the function nbDays30360_; to be noted that the end of February adjustments of the 30/360 US day count convention are not applied
+* - "business/252": the number of business days divided by 252, the business days being all the days except
+* saturdays, sundays and the holidays of an optional holiday calendar
+*
+* @see <a href="https://en.wikipedia.org/wiki/Day_count_convention">https://en.wikipedia.org/wiki/Day_count_convention</a>
+*
+* @param {Date} startDate the start date.
+* @param {Date} endDate the end date.
+* @param {string} dayCountConvention the day count convention to use, a string either equal to "actual/365.25", "actual/365",
+* "actual/360", "30/360" or "business/252"; defaults to "actual/365.25".
+* @param {function} holidayCalendar for the "business/252" day count convention only, an optional function taking a Date as input 
+* and returning true if this Date is a holiday and false otherwise, c.f. the function nbBusinessDays_; defaults to a function always returning false.
+* @return {number} the fraction of year between startDate and endDate, negative if endDate is before startDate.
+*
+* @example
+* yearFraction(new Date("2015-12-31"), new Date("2016-12-31"), "actual/360");
+* // ~1.017
+*/
+self.yearFraction = function(startDate, endDate, dayCountConvention, holidayCalendar) {
+	// Initialize default parameters
+	if (dayCountConvention === undefined) {
+		dayCountConvention = "actual/365.25";
+	}
+	
+	// Compute the fraction of year
+	if (dayCountConvention == "actual/365.25") {
+		return nbCalendarDays_(startDate, endDate) / 365.25;
+	}
+	else if (dayCountConvention == "actual/365") {
+		return nbCalendarDays_(startDate, endDate) / 365;
+	}
+	else if (dayCountConvention == "actual/360") {
+		return nbCalendarDays_(startDate, endDate) / 360;
+	}
+	else if (dayCountConvention == "30/360") {
+		return nbDays30360_(startDate, endDate) / 360;
+	}
+	else if (dayCountConvention == "business/252") {
+		return nbBusinessDays_(startDate, endDate, holidayCalendar) / 252;
+	}
+	else {
+		throw new Error('unsupported day count convention: ' + dayCountConvention);
+	}
+}
+
+
+/**
+* @function calendarDate_
+*
+* @summary Compute the calendar date of a date.
+*
+* @description This function returns the calendar date (year, month and day) of a date, as a Date at midnight UTC, 
+* so that all the computations on calendar dates can be done with the UTC methods of the Date object, 
+* independently of the time zone and of the daylight saving time changes.
+*
+* The calendar date of a date is defined as:
+* - Its UTC calendar date, if the date is at midnight UTC, which is the case of the dates parsed from ISO date strings (e.g. new Date("2017-01-31"))
+* - Its local calendar date otherwise, which is the case of the dates built from their local components (e.g. new Date(2017, 0, 31))
+*
+* To be noted that a date built from its local components which happens to be at midnight UTC (e.g. new Date(2017, 0, 30, 19) in New York)
+* is then associated to its UTC calendar date.
+*
+* @param {Date} date the date.
+* @return {Date} the calendar date of date, at midnight UTC.
+*
+* @example
+* calendarDate_(new Date(2017, 0, 31));
+* // new Date("2017-01-31")
+*/
+function calendarDate_(date) {
+	// Dates at midnight UTC are considered as UTC calendar dates
+	if (date.getUTCHours() == 0 && date.getUTCMinutes() == 0 && date.getUTCSeconds() == 0 && date.getUTCMilliseconds() == 0) {
+		return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+	}
+	
+	// Other dates are considered as local calendar dates
+	return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+}
+
+
+/**
+* @function nbCalendarDays_
+*
+* @summary Compute the number of calendar days between two dates.
+*
+* @description This function returns the number of calendar days between the calendar dates of two dates (c.f. the function calendarDate_), 
+* independently of the time zone and of the daylight saving time changes.
+*
+* @param {Date} startDate the start date.
+* @param {Date} endDate the end date.
+* @return {number} the number of calendar days between startDate and endDate, negative if endDate is before startDate.
+*
+* @example
+* nbCalendarDays_(new Date("2015-12-31"), new Date("2016-12-31"));
+* // 366
+*/
+function nbCalendarDays_(startDate, endDate) {
+	// Compute and return the number of calendar days, the calendar dates being at midnight UTC
+	// and thus separated by a multiple of 24 hours
+	var millisecondsPerDay = 24 * 60 * 60 * 1000;
+	return (calendarDate_(endDate) - calendarDate_(startDate)) / millisecondsPerDay;
+}
+
+
+/**
+* @function nbBusinessDays_
+*
+* @summary Compute the number of business days between two dates.
+*
+* @description This function returns the number of business days between the calendar dates of two dates 
+* (c.f. the function calendarDate_), the start date being excluded and the end date being included, a business day 
+* being a day which is neither a saturday, nor a sunday, nor a holiday of an optional holiday calendar.
+*
+* The holiday calendar is called with the calendar days as Dates at local midnight (e.g. new Date(2017, 0, 9)), 
+* so that it can use the local methods of the Date object.
+*
+* @param {Date} startDate the start date.
+* @param {Date} endDate the end date.
+* @param {function} holidayCalendar an optional function taking a Date as input and returning true if this Date is a holiday 
+* and false otherwise; defaults to a function always returning false.
+* @return {number} the number of business days between startDate and endDate, negative if endDate is before startDate.
+*
+* @example
+* nbBusinessDays_(new Date(2017, 0, 6), new Date(2017, 0, 13));
+* // 5
+*/
+function nbBusinessDays_(startDate, endDate, holidayCalendar) {
+	// Initialize default parameters
+	if (holidayCalendar === undefined) {
+		holidayCalendar = function(date) { return false; };
+	}
+	
+	// Reorder the dates if required
+	var sign = 1;
+	if (endDate < startDate) {
+		var tmpDate = startDate;
+		startDate = endDate;
+		endDate = tmpDate;
+		sign = -1;
+	}
+	
+	// Count the business days in the interval ]startDate, endDate], iterating on calendar dates
+	// at midnight UTC, so that daylight saving time changes are ignored
+	var nbDays = nbCalendarDays_(startDate, endDate);
+	var currentDate = calendarDate_(startDate);
+	var nbBusinessDays = 0;
+	for (var i=0; i<nbDays; ++i) {
+		currentDate.setUTCDate(currentDate.getUTCDate() + 1);
+		var dayOfWeek = currentDate.getUTCDay();
+		if (dayOfWeek != 0 && dayOfWeek != 6 && 
+		    !holidayCalendar(new Date(currentDate.getUTCFullYear(), currentDate.getUTCMonth(), currentDate.getUTCDate()))) {
+			++nbBusinessDays;
+		}
+	}
+	
+	// Return the number of business days
+	return sign * nbBusinessDays;
+}
+
+
+/**
+* @function nbDays30360_
+*
+* @summary Compute the number of days between two dates following the 30/360 Bond Basis day count convention.
+*
+* @description This function returns the number of days between the calendar dates of two dates (c.f. the function calendarDate_), 
+* assuming that all months have 30 days, with the adjustments of the 30/360 Bond Basis (also called 30A/360) day count convention, c.f. the reference:
+* - If the day of the start date is 31, it is changed to 30
+* - If the day of the end date is 31 and the day of the start date is 30 or 31, it is changed to 30
+*
+* To be noted that, contrary to the 30/360 US day count convention, the last day of February is not changed to 30.
+*
+* @see <a href="https://en.wikipedia.org/wiki/Day_count_convention">https://en.wikipedia.org/wiki/Day_count_convention</a>
+*
+* @param {Date} startDate the start date.
+* @param {Date} endDate the end date.
+* @return {number} the number of days between startDate and endDate following the 30/360 Bond Basis day count convention, 
+* negative if endDate is before startDate.
+*
+* @example
+* nbDays30360_(new Date(2017, 0, 31), new Date(2017, 2, 31));
+* // 60
+*/
+function nbDays30360_(startDate, endDate) {
+	// Extract the years, months and days of the calendar dates
+	var startCalendarDate = calendarDate_(startDate);
+	var endCalendarDate = calendarDate_(endDate);
+	var y1 = startCalendarDate.getUTCFullYear();
+	var m1 = startCalendarDate.getUTCMonth();
+	var d1 = startCalendarDate.getUTCDate();
+	var y2 = endCalendarDate.getUTCFullYear();
+	var m2 = endCalendarDate.getUTCMonth();
+	var d2 = endCalendarDate.getUTCDate();
+	
+	// Adjust the days, c.f. the reference
+	if (d1 == 31) {
+		d1 = 30;
+	}
+	if (d2 == 31 && d1 == 30) {
+		d2 = 30;
+	}
+	
+	// Compute and return the number of days
+	return 360 * (y2 - y1) + 30 * (m2 - m1) + (d2 - d1);
+}
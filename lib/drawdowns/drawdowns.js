@@ -6,6 +6,8 @@
 
 /* Start Wrapper private methods - Unit tests usage only */
 self.maxDrawdown_ = function(equityCurve, idxStart, idxEnd) { return maxDrawdown_(equityCurve, idxStart, idxEnd); }
+self.drawdownEpisode_ = function(equityCurve, idxPeak, idxEnd, idxRecovery) { return drawdownEpisode_(equityCurve, idxPeak, idxEnd, idxRecovery); }
+self.drawdownDurations_ = function(equityCurve, valuationDates) { return drawdownDurations_(equityCurve, valuationDates); }
 /* End Wrapper private methods - Unit tests usage only */
  
   
@@ -259,6 +261,321 @@ self.topDrawdowns = function(equityCurve, nbTopDrawdowns) {
 }
 
 
+/**
+* @function drawdownEpisodes
+*
+* @description Compute all the drawdown episodes associated to a portfolio equity curve,
+* that is, for each drawdown phase, its depth, the indexes of its peak, of its trough and of its recovery,
+* as well as its decline length, its recovery length and its total length.
+*
+* A drawdown episode starts at a peak of the equity curve (i.e., at a new high water mark),
+* reaches its trough at the index of its maximum drawdown, and ends at its recovery, that is, at 
+* the first index following the peak for which the equity curve is greater than or equal to the peak value.
+*
+* The decline length is the number of periods between the peak and the trough, the recovery length
+* is the number of periods between the trough and the recovery, and the total length is the number
+* of periods between the peak and the recovery.
+*
+* In case the last drawdown episode is not recovered, its recovery index is set to -1, and its 
+* recovery length and total length are set to NaN.
+*
+* If valuation dates are provided, the peak, trough and recovery indexes are replaced by 
+* their associated dates (null in case of no recovery), and the lengths are expressed in calendar days.
+*
+* The drawdown episodes are ordered from the least recent to the most recent, and the depth of the deepest one 
+* is always equal to the maximum drawdown.
+*
+* @see <a href="https://en.wikipedia.org/wiki/Drawdown_(economics)">https://en.wikipedia.org/wiki/Drawdown_(economics)</a>
+*
+* @param {Array.<number>} equityCurve the portfolio equity curve.
+* @param {Array.<Date>} valuationDates an optional array of Dates of same length as equityCurve, the portfolio valuation dates.
+* @return {Array.<Array.<Object>>} the drawdown episodes, each being an array made of, in this order, the depth, 
+* the peak index (or date), the trough index (or date), the recovery index (or date), 
+* the decline length, the recovery length and the total length of the episode.
+*
+* @example
+* drawdownEpisodes([1, 2, 1, 2, 1.5]);
+* // [[0.5, 1, 2, 3, 1, 1, 2], [0.25, 3, 4, -1, 1, NaN, NaN]]
+*
+* @example
+* drawdownEpisodes([1, 2, 1, 2], [new Date("2017-01-01"), new Date("2017-01-02"), new Date("2017-01-05"), new Date("2017-01-06")]);
+* // [[0.5, new Date("2017-01-02"), new Date("2017-01-05"), new Date("2017-01-06"), 3, 1, 4]]
+*/
+self.drawdownEpisodes = function(equityCurve, valuationDates) {
+	// Compute the drawdown function, which is null if and only if the equity curve is 
+	// at its high water mark
+	var ddFunc = self.drawdownFunction(equityCurve);
+
+	// Loop over all the values to detect the drawdown episodes, defined as the intervals 
+	// on which the drawdown function is not null
+	var episodes = [];
+	var idxHighWaterMark = -1;
+	var idxPeak = -1;
+	for (var i=0; i<ddFunc.length; ++i) {
+		if (ddFunc[i] == 0.0) {
+			// End of the current drawdown episode, if any, in which case the recovery
+			// index is the new high water mark index
+			if (idxPeak != -1) {
+				episodes.push(drawdownEpisode_(equityCurve, idxPeak, i-1, i));
+				idxPeak = -1;
+				idxHighWaterMark = i;
+			}
+
+			// Otherwise, update of the high water mark index, using the same convention as in maxDrawdown_
+			// in case of several identical high water marks
+			else if (idxHighWaterMark == -1 || equityCurve[i] > equityCurve[idxHighWaterMark]) {
+				idxHighWaterMark = i;
+			}
+		}
+		else if (idxPeak == -1) {
+			// Beginning of a new drawdown episode
+			idxPeak = idxHighWaterMark;
+		}
+	}
+
+	// Last drawdown episode, not recovered, if any
+	if (idxPeak != -1) {
+		episodes.push(drawdownEpisode_(equityCurve, idxPeak, ddFunc.length-1, -1));
+	}
+
+	// Convert the indexes into dates and the lengths into calendar days, if required
+	if (valuationDates !== undefined) {
+		for (var i=0; i<episodes.length; ++i) {
+			var episode = episodes[i];
+			var peakDate = valuationDates[episode[1]];
+			var troughDate = valuationDates[episode[2]];
+			var recoveryDate = episode[3] != -1 ? valuationDates[episode[3]] : null;
+
+			var declineLength = nbCalendarDays_(peakDate, troughDate);
+			var recoveryLength = recoveryDate != null ? nbCalendarDays_(troughDate, recoveryDate) : NaN;
+			var totalLength = recoveryDate != null ? nbCalendarDays_(peakDate, recoveryDate) : NaN;
+
+			episodes[i] = [episode[0], peakDate, troughDate, recoveryDate, declineLength, recoveryLength, totalLength];
+		}
+	}
+
+	// Return the computed episodes
+	return episodes;
+}
+
+
+/**
+* @function drawdownEpisode_
+*
+* @description Internal function intended to compute the characteristics of a drawdown episode 
+* of a portfolio equity curve, given the index of its peak, the index of its last value in drawdown
+* and the index of its recovery.
+*
+* The depth and the trough of the drawdown episode are computed thanks to the maxDrawdown_ function, 
+* so that they are consistent with the maximum drawdown.
+*
+* @param {Array.<number>} equityCurve the portfolio equity curve.
+* @param {number} idxPeak the equityCurve array index of the peak of the drawdown episode.
+* @param {number} idxEnd the equityCurve array index of the last value in drawdown of the drawdown episode.
+* @param {number} idxRecovery the equityCurve array index of the recovery of the drawdown episode, or -1 if not recovered.
+* @return {Array.<number>} in this order, the depth, the peak index, the trough index, the recovery index,
+* the decline length, the recovery length and the total length of the drawdown episode.
+*
+* @example
+* drawdownEpisode_([1, 2, 1, 2], 1, 2, 3); 
+* // [0.5, 1, 2, 3, 1, 1, 2]
+*/
+function drawdownEpisode_(equityCurve, idxPeak, idxEnd, idxRecovery) {
+	// Compute the depth and the trough of the drawdown episode
+	var maxDd = maxDrawdown_(equityCurve, idxPeak, idxEnd);
+	var idxTrough = maxDd[2];
+
+	// Compute the lengths of the drawdown episode
+	var declineLength = idxTrough - idxPeak;
+	var recoveryLength = idxRecovery != -1 ? idxRecovery - idxTrough : NaN;
+	var totalLength = idxRecovery != -1 ? idxRecovery - idxPeak : NaN;
+
+	// Return the computed values
+	return [maxDd[0], idxPeak, idxTrough, idxRecovery, declineLength, recoveryLength, totalLength];
+}
+
+
+/**
+* @function maxDrawdownDuration
+*
+* @description Compute the maximum drawdown duration associated to a portfolio equity curve,
+* also called the longest time under water.
+*
+* The duration of a drawdown phase is defined as the number of periods between the first time the equity curve 
+* reached its high water mark and the time the equity curve recovers this high water mark, or the 
+* last time the equity curve is valued in case it has not recovered yet, so that it is equal to the total length 
+* of the associated drawdown episode, c.f. the function drawdownEpisodes.
+*
+* If valuation dates are provided, the duration is expressed in calendar days instead of periods.
+*
+* @see <a href="https://en.wikipedia.org/wiki/Drawdown_(economics)">https://en.wikipedia.org/wiki/Drawdown_(economics)</a>
+*
+* @param {Array.<number>} equityCurve the portfolio equity curve.
+* @param {Array.<Date>} valuationDates an optional array of Dates of same length as equityCurve, the portfolio valuation dates.
+* @return {number} the maximum drawdown duration.
+*
+* @example
+* maxDrawdownDuration([1, 2, 1, 1.5, 2, 1.5]);
+* // 3, i.e. the drawdown phase started at index 1 lasted 3 periods
+*
+* @example
+* maxDrawdownDuration([1, 2, 3]);
+* // 0, i.e. no drawdown
+*/
+self.maxDrawdownDuration = function(equityCurve, valuationDates) {
+	// Compute the drawdown durations
+	var durations = drawdownDurations_(equityCurve, valuationDates)[0];
+
+	// Compute and return the maximum duration
+	var maxDuration = 0;
+	for (var i=0; i<durations.length; ++i) {
+		if (durations[i] > maxDuration) {
+			maxDuration = durations[i];
+		}
+	}
+	return maxDuration;
+}
+
+
+/**
+* @function averageDrawdownDuration
+*
+* @description Compute the average drawdown duration associated to a portfolio equity curve.
+*
+* The duration of a drawdown phase is defined as in the maxDrawdownDuration function, and the 
+* current drawdown phase, if any, is included in the average.
+*
+* If valuation dates are provided, the duration is expressed in calendar days instead of periods.
+*
+* @param {Array.<number>} equityCurve the portfolio equity curve.
+* @param {Array.<Date>} valuationDates an optional array of Dates of same length as equityCurve, the portfolio valuation dates.
+* @return {number} the average drawdown duration.
+*
+* @example
+* averageDrawdownDuration([1, 2, 1, 1.5, 2, 1.5]);
+* // 2, i.e. average of a drawdown phase of 3 periods and of a current drawdown phase of 1 period
+*
+* @example
+* averageDrawdownDuration([1, 2, 3]);
+* // 0, i.e. no drawdown
+*/
+self.averageDrawdownDuration = function(equityCurve, valuationDates) {
+	// Compute the drawdown durations
+	var durations = drawdownDurations_(equityCurve, valuationDates)[0];
+
+	// Limit case (no drawdown), return 0
+	if (durations.length == 0) {
+		return 0;
+	}
+
+	// Otherwise, compute and return the average duration
+	return mean_(durations);
+}
+
+
+/**
+* @function currentDrawdownDuration
+*
+* @description Compute the current drawdown duration associated to a portfolio equity curve, 
+* also called the current drawdown age.
+*
+* The current drawdown duration is defined as the number of periods between the first time the equity curve 
+* reached its high water mark and the last time the equity curve is valued, if the equity curve is below 
+* its high water mark, and is null otherwise.
+*
+* If valuation dates are provided, the duration is expressed in calendar days instead of periods.
+*
+* @param {Array.<number>} equityCurve the portfolio equity curve.
+* @param {Array.<Date>} valuationDates an optional array of Dates of same length as equityCurve, the portfolio valuation dates.
+* @return {number} the current drawdown duration.
+*
+* @example
+* currentDrawdownDuration([1, 2, 1, 1.5]);
+* // 2, i.e. the portfolio is under water since 2 periods
+*
+* @example
+* currentDrawdownDuration([1, 2, 1, 2]);
+* // 0, i.e. no current drawdown
+*/
+self.currentDrawdownDuration = function(equityCurve, valuationDates) {
+	// Compute and return the current drawdown duration
+	return drawdownDurations_(equityCurve, valuationDates)[1];
+}
+
+
+/**
+* @function drawdownDurations_
+*
+* @description Internal function intended to compute the durations of all the drawdown phases
+* associated to a portfolio equity curve, as well as the duration of the current drawdown phase.
+*
+* The drawdown phases are detected thanks to the drawdown function, which is non null 
+* if and only if the equity curve is below its high water mark.
+*
+* @param {Array.<number>} equityCurve the portfolio equity curve.
+* @param {Array.<Date>} valuationDates an optional array of Dates of same length as equityCurve, the portfolio valuation dates.
+* @return {Array.<Object>} in this order, the durations of all the drawdown phases, including the current one if any,
+* and the duration of the current drawdown phase (0 if the equity curve is at its high water mark),
+* expressed in periods or in calendar days if valuation dates are provided.
+*
+* @example
+* drawdownDurations_([1, 2, 1, 1.5, 2, 1.5]); 
+* // [[3, 1], 1]
+*/
+function drawdownDurations_(equityCurve, valuationDates) {
+	// Compute the drawdown function
+	var ddFunc = self.drawdownFunction(equityCurve);
+
+	// Duration between two indexes, in periods or in calendar days
+	function duration(idxStart, idxEnd) {
+		if (valuationDates === undefined) {
+			return idxEnd - idxStart;
+		}
+		else {
+			return nbCalendarDays_(valuationDates[idxStart], valuationDates[idxEnd]);
+		}
+	}
+
+	// Loop over all the values to compute the durations of the drawdown phases, 
+	// using the same convention as in drawdownEpisodes in case of several identical 
+	// high water marks, so that the duration of a drawdown phase is the total length 
+	// of the associated drawdown episode
+	var durations = [];
+	var idxHighWaterMark = -1;
+	var idxPeak = -1;
+	for (var i=0; i<ddFunc.length; ++i) {
+		if (ddFunc[i] == 0.0) {
+			// End of the current drawdown phase, if any, in which case the recovery
+			// index is the new high water mark index
+			if (idxPeak != -1) {
+				durations.push(duration(idxPeak, i));
+				idxPeak = -1;
+				idxHighWaterMark = i;
+			}
+
+			// Otherwise, update of the first index at which the equity curve is at its high water mark
+			else if (idxHighWaterMark == -1 || equityCurve[i] > equityCurve[idxHighWaterMark]) {
+				idxHighWaterMark = i;
+			}
+		}
+		else if (idxPeak == -1) {
+			// Beginning of a new drawdown phase
+			idxPeak = idxHighWaterMark;
+		}
+	}
+
+	// Current drawdown phase, if any
+	var currentDuration = 0;
+	if (idxPeak != -1) {
+		currentDuration = duration(idxPeak, ddFunc.length-1);
+		durations.push(currentDuration);
+	}
+
+	// Return the computed durations
+	return [durations, currentDuration];
+}
+
+
 /**
 * @function ulcerIndex
 *
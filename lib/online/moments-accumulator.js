@@ -0,0 +1,246 @@
+/**
+ * @file Functions related to online moments computation.
+ * @author Roman Rubsamen <roman.rubsamen@gmail.com>
+ */
+
+/* Start Wrapper private methods - Unit tests usage only */
+self.momentsAccumulator_ = function(state) { return momentsAccumulator_(state); }
+self.mergeMoments_ = function(a, b) { return mergeMoments_(a, b); }
+/* End Wrapper private methods - Unit tests usage only */
+
+
+/**
+* @function momentsAccumulator
+*
+* @summary Create an accumulator computing online the moments of a serie of values.
+*
+* @description This function returns an accumulator object computing online, i.e. one value at a time and without
+* storing the values, the arithmetic mean, the sample variance, the sample standard deviation, the sample skewness,
+* the sample kurtosis and the lower and higher partial moments with respect to a threshold of a serie of values.
+*
+* The accumulator object has the following methods:
+* - push(x), which adds the value x to the serie of values
+* - remove(x), which removes the value x, previously added, from the serie of values (e.g. to compute moments over a moving window)
+* - merge(otherAccumulator), which adds the values of another accumulator with the same threshold to the serie of values
+* - count(), mean(), variance(), stddev(), skewness(), kurtosis(), which return the number of values and their
+* arithmetic mean, sample variance, sample standard deviation, sample skewness and sample kurtosis, c.f. the function sampleMoments_
+* - moments(), which returns the same values as the function sampleMoments_
+* - lpm(n) and hpm(n), which return the n-th order lower and higher partial moments with respect to the threshold, c.f. the functions lpm_ and hpm_
+*
+* The methods push, remove and merge return the accumulator object, so that calls can be chained.
+*
+* The algorithm implemented updates the number of values, their mean and the sums of the powers of their deviations
+* from the mean up to the 4th order, using the merging formulas of the first reference, which generalize Welford's algorithm
+* to higher orders (c.f. also the second reference), the lower and higher partial moments being computed from running sums.
+*
+* The state of the accumulator is stored in the plain object of its state property, which should not be modified directly.
+*
+* To be noted that the values computed by the accumulator match those computed by the functions sampleMoments_, lpm_ and hpm_
+* on the same serie of values up to floating point rounding errors, which can accumulate with the removal of values.
+*
+* @see Philippe Pébay, Formulas for Robust, One-Pass Parallel Computation of Covariances and Arbitrary-Order Statistical Moments, Sandia Report SAND2008-6212, Sandia National Laboratories, 2008
+* @see B. P. Welford, Note on a Method for Calculating Corrected Sums of Squares and Products, Technometrics, Vol. 4, No. 3 (1962), pp. 419-420
+*
+* @param {number} threshold the threshold of the lower and higher partial moments, a real number; defaults to 0.
+* @param {number} maxOrder the maximum order of the lower and higher partial moments, a positive integer; defaults to 2.
+* @return {Object} the accumulator object.
+*
+* @example
+* momentsAccumulator().push(4).push(7).push(13).push(16).moments();
+* // [10, 30, ~5.477, 0, ~-0.30]
+*/
+self.momentsAccumulator = function(threshold, maxOrder) {
+	// Initialize default parameters
+	if (threshold === undefined) {
+		threshold = 0;
+	}
+	if (maxOrder === undefined) {
+		maxOrder = 2;
+	}
+
+	// Initialize the state of the accumulator, with
+	// - moments, the number of values, their mean and the sums of the powers of their deviations from the mean up to the 4th order
+	// - lpmSums and hpmSums, the sums of the powers of max(0, t-x) and of max(0, x-t) up to the maximum order
+	var state = { threshold: threshold, moments: [0, 0, 0, 0, 0], lpmSums: [], hpmSums: [] };
+	for (var n=1; n<=maxOrder; ++n) {
+		state.lpmSums.push(0);
+		state.hpmSums.push(0);
+	}
+
+	// Build and return the accumulator object
+	return momentsAccumulator_(state);
+}
+
+
+/**
+* @function momentsAccumulator_
+*
+* @summary Internal function intended to create an accumulator computing online the moments of a serie of values,
+* given its state.
+*
+* @description This internal function returns an accumulator object operating on a given state,
+* c.f. the function momentsAccumulator for the description of the accumulator object and of its state.
+*
+* To be noted that the state is not copied, so that it is updated by the accumulator object; this allows
+* to restore an accumulator object from a previously serialized state.
+*
+* @param {Object} state the state of the accumulator, a plain object as stored in the state property of an accumulator object.
+* @return {Object} the accumulator object.
+*
+* @example
+* momentsAccumulator_({ threshold: 0, moments: [2, 5.5, 4.5, 0, 10.125], lpmSums: [0, 0], hpmSums: [11, 65] }).push(13).push(16).mean();
+* // 10
+*/
+function momentsAccumulator_(state) {
+	// Update the partial moments sums with a value affected of a count of 1 or -1
+	function updatePartialMomentsSums(x, count) {
+		for (var n=1; n<=state.lpmSums.length; ++n) {
+			state.lpmSums[n-1] += count * Math.pow(Math.max(0, state.threshold - x), n);
+			state.hpmSums[n-1] += count * Math.pow(Math.max(0, x - state.threshold), n);
+		}
+	}
+
+	// Build the accumulator object
+	var accumulator = {
+		state: state,
+
+		push: function(x) {
+			state.moments = mergeMoments_(state.moments, [1, x, 0, 0, 0]);
+			updatePartialMomentsSums(x, 1);
+			return accumulator;
+		},
+
+		remove: function(x) {
+			// The removal of a value is done by merging with this value affected of a count of -1,
+			// the merging formulas being algebraic identities also valid for negative counts
+			state.moments = mergeMoments_(state.moments, [-1, x, 0, 0, 0]);
+			updatePartialMomentsSums(x, -1);
+			return accumulator;
+		},
+
+		merge: function(otherAccumulator) {
+			state.moments = mergeMoments_(state.moments, otherAccumulator.state.moments);
+			for (var n=1; n<=state.lpmSums.length; ++n) {
+				state.lpmSums[n-1] += otherAccumulator.state.lpmSums[n-1];
+				state.hpmSums[n-1] += otherAccumulator.state.hpmSums[n-1];
+			}
+			return accumulator;
+		},
+
+		count: function() {
+			return state.moments[0];
+		},
+
+		mean: function() {
+			return state.moments[0] == 0 ? NaN : state.moments[1];
+		},
+
+		variance: function() {
+			return accumulator.moments()[1];
+		},
+
+		stddev: function() {
+			return accumulator.moments()[2];
+		},
+
+		skewness: function() {
+			return accumulator.moments()[3];
+		},
+
+		kurtosis: function() {
+			return accumulator.moments()[4];
+		},
+
+		moments: function() {
+			// Code below is adapted from the sample moments computation, c.f. sampleMoments_ function
+			var nn = state.moments[0];
+			var S2 = state.moments[2];
+			var S3 = state.moments[3];
+			var S4 = state.moments[4];
+
+			// Sample variance
+			var correctedVariance = S2 / nn;
+			var sampleVarX = correctedVariance * nn/(nn - 1);
+			var sampleStddevX = Math.sqrt(sampleVarX);
+
+			// Sample skewness
+			var skewX = S3/(nn * Math.sqrt(correctedVariance) * correctedVariance);
+			var sampleSkewX = skewX * Math.sqrt(nn * (nn - 1))/(nn - 2);
+
+			// Sample kurtosis
+			var kurtX = S4/(nn * correctedVariance * correctedVariance);
+			var sampleKurtX =  (nn - 1)/((nn - 2) * (nn - 3)) * ((nn + 1) * kurtX - 3* (nn - 1)) + 3;
+
+			// Return the computed values
+			return [accumulator.mean(), sampleVarX, sampleStddevX, sampleSkewX, sampleKurtX];
+		},
+
+		lpm: function(n) {
+			return n > state.lpmSums.length ? NaN : state.lpmSums[n-1]/state.moments[0];
+		},
+
+		hpm: function(n) {
+			return n > state.hpmSums.length ? NaN : state.hpmSums[n-1]/state.moments[0];
+		}
+	};
+
+	// Return it
+	return accumulator;
+}
+
+
+/**
+* @function mergeMoments_
+*
+* @summary Internal function intended to merge the moments of two series of values.
+*
+* @description This internal function returns the number of values, their mean and the sums of the powers of their deviations
+* from the mean up to the 4th order of the union of two series of values, given the same quantities for these two series,
+* c.f. the reference.
+*
+* To be noted that the formulas of the reference are algebraic identities, so that the counts can be negative,
+* which allows to remove a serie of values from another serie of values.
+*
+* @see Philippe Pébay, Formulas for Robust, One-Pass Parallel Computation of Covariances and Arbitrary-Order Statistical Moments, Sandia Report SAND2008-6212, Sandia National Laboratories, 2008
+*
+* @param {Array.<number>} a the number of values, their mean and the sums of the powers of their deviations from the mean
+* up to the 4th order of the first serie of values, an array of 5 real numbers.
+* @param {Array.<number>} b the same quantities for the second serie of values, an array of 5 real numbers.
+* @return {Array.<number>} the same quantities for the union of the two series of values, an array of 5 real numbers.
+*
+* @example
+* mergeMoments_([2, 5.5, 4.5, 0, 10.125], [2, 14.5, 4.5, 0, 10.125]);
+* // [4, 10, 90, 0, 2754]
+*/
+function mergeMoments_(a, b) {
+	// Initialisations
+	var na = a[0];
+	var nb = b[0];
+	var nn = na + nb;
+
+	// Special cases of empty series
+	if (nn == 0) {
+		return [0, 0, 0, 0, 0];
+	}
+	else if (na == 0) {
+		return b.slice();
+	}
+	else if (nb == 0) {
+		return a.slice();
+	}
+
+	// Compute the merged quantities, c.f. the reference
+	var delta = b[1] - a[1];
+	var delta_nn = delta/nn;
+	var delta_nn_2 = delta_nn * delta_nn;
+	var na_nb = na * nb;
+
+	var meanX = a[1] + nb * delta_nn;
+	var m2 = a[2] + b[2] + na_nb * delta * delta_nn;
+	var m3 = a[3] + b[3] + na_nb * (na - nb) * delta * delta_nn_2 + 3 * delta_nn * (na * b[2] - nb * a[2]);
+	var m4 = a[4] + b[4] + na_nb * (na*na - na_nb + nb*nb) * delta * delta_nn_2 * delta_nn +
+	         6 * delta_nn_2 * (na*na * b[2] + nb*nb * a[2]) + 4 * delta_nn * (na * b[3] - nb * a[3]);
+
+	// Return them
+	return [nn, meanX, m2, m3, m4];
+}
@@ -0,0 +1,189 @@
+/**
+ * @file Functions related to online portfolio tracking.
+ * @author Roman Rubsamen <roman.rubsamen@gmail.com>
+ */
+
+
+/**
+* @function portfolioTracker
+*
+* @summary Create a tracker computing online performance and risk measures of a portfolio.
+*
+* @description This function returns a tracker object computing online, i.e. one valuation at a time and without
+* storing the valuations, performance and risk measures of a portfolio, optionally v.s. a benchmark.
+*
+* The tracker object has the following methods:
+* - update(value, benchmarkValue), which adds the value of the portfolio and optionally the value of the benchmark
+* at the next valuation date; if the value of the benchmark is not provided, it is considered as unchanged
+* (e.g. a benchmark equal to a risk free rate of 0)
+* - nbValues(), which returns the number of valuations of the portfolio added so far
+* - cumulativeReturn(), c.f. the function cumulativeReturn
+* - currentDrawdown() and maxDrawdown(), which return the current value of the drawdown function
+* and the maximum drawdown, c.f. the functions drawdownFunction and maxDrawdown
+* - currentDrawdownDuration() and maxDrawdownDuration(), expressed in periods, c.f. the functions currentDrawdownDuration
+* and maxDrawdownDuration
+* - sharpeRatio() and probabilisticSharpeRatio(referenceSharpeRatio), c.f. the functions sharpeRatio and probabilisticSharpeRatio
+* - valueAtRisk(alpha, method), c.f. the function valueAtRisk, with the method either equals to "gaussian" (default)
+* or to "cornish-fisher", the historical method requiring all the returns of the portfolio
+*
+* The method update returns the tracker object, so that calls can be chained.
+*
+* After each update, the drawdown related measures are computed from a running high water mark, as in the function drawdownFunction,
+* and the Sharpe ratio and value at risk related measures are computed from the sample moments of the returns,
+* updated online by moments accumulators, c.f. the function momentsAccumulator.
+*
+* The state of the tracker is stored in the plain object of its state property, which should not be modified directly, and which
+* is also the JSON representation of the tracker object, so that a tracker object can be persisted with JSON.stringify(tracker)
+* and restored with portfolioTracker(JSON.parse(json)).
+*
+* To be noted that the values computed by the tracker match those computed by the mentioned functions on the equity curves
+* made of all the valuations added so far, up to floating point rounding errors.
+*
+* @param {Object} state an optional state of a tracker, as obtained from the JSON representation of a previous tracker object,
+* in order to restore this tracker object; defaults to the state of a tracker without any valuation.
+* @return {Object} the tracker object.
+*
+* @example
+* portfolioTracker().update(100).update(110).update(105).update(107.5).update(115).sharpeRatio();
+* // ~0.585
+*
+* @example
+* JSON.stringify(portfolioTracker().update(100).update(110));
+* // '{"nbValues":2,"initialValue":100,...}'
+*/
+self.portfolioTracker = function(state) {
+	// Initialize the state of the tracker, with
+	// - nbValues, the number of valuations of the portfolio
+	// - initialValue and lastValue, the first and the last valuations of the portfolio
+	// - lastBenchmarkValue, the last valuation of the benchmark, if any
+	// - highWaterMark and idxHighWaterMark, the high water mark of the portfolio and the index of the first valuation at this high water mark
+	// - maxDrawdown and maxDrawdownDuration, the maximum drawdown and the maximum drawdown duration of the portfolio
+	// - returnsMoments and differentialReturnsMoments, the states of the moments accumulators of the arithmetic returns of the portfolio
+	// and of its differential arithmetic returns v.s. the benchmark
+	// Note: No infinite or NaN values are used, as they are not representable in JSON
+	if (state === undefined) {
+		state = { nbValues: 0, initialValue: null, lastValue: null, lastBenchmarkValue: null,
+		          highWaterMark: null, idxHighWaterMark: -1, maxDrawdown: 0, maxDrawdownDuration: 0,
+		          returnsMoments: self.momentsAccumulator(0, 0).state,
+		          differentialReturnsMoments: self.momentsAccumulator(0, 0).state };
+	}
+
+	// Build the moments accumulators operating on the state of the tracker
+	var returnsAccumulator = momentsAccumulator_(state.returnsMoments);
+	var differentialReturnsAccumulator = momentsAccumulator_(state.differentialReturnsMoments);
+
+	// Build the tracker object
+	var tracker = {
+		state: state,
+
+		toJSON: function() {
+			return state;
+		},
+
+		update: function(value, benchmarkValue) {
+			// Update the moments of the returns, c.f. the functions arithmeticReturns and differentialReturns_
+			if (state.nbValues > 0) {
+				var portfolioReturn = (value - state.lastValue)/state.lastValue;
+				var benchmarkReturn = 0;
+				if (benchmarkValue !== undefined && state.lastBenchmarkValue !== null) {
+					benchmarkReturn = (benchmarkValue - state.lastBenchmarkValue)/state.lastBenchmarkValue;
+				}
+				returnsAccumulator.push(portfolioReturn);
+				differentialReturnsAccumulator.push(portfolioReturn - benchmarkReturn);
+			}
+			else {
+				state.initialValue = value;
+			}
+			var inDrawdown = state.highWaterMark !== null && state.lastValue < state.highWaterMark;
+			state.lastValue = value;
+			if (benchmarkValue !== undefined) {
+				state.lastBenchmarkValue = benchmarkValue;
+			}
+
+			// Update the high water mark and the drawdown related measures, c.f. the functions drawdownFunction and drawdownDurations_
+			var idx = state.nbValues;
+			if (state.highWaterMark === null || value >= state.highWaterMark) {
+				// End of the current drawdown phase, if any, in which case the recovery
+				// index is the new high water mark index
+				if (inDrawdown) {
+					state.maxDrawdownDuration = Math.max(state.maxDrawdownDuration, idx - state.idxHighWaterMark);
+					state.idxHighWaterMark = idx;
+				}
+
+				// Otherwise, update of the first index at which the portfolio is at its high water mark
+				else if (state.highWaterMark === null || value > state.highWaterMark) {
+					state.idxHighWaterMark = idx;
+				}
+
+				// Update of the high water mark
+				state.highWaterMark = (state.highWaterMark === null ? value : Math.max(state.highWaterMark, value));
+			}
+			else {
+				// Current drawdown phase
+				state.maxDrawdownDuration = Math.max(state.maxDrawdownDuration, idx - state.idxHighWaterMark);
+				state.maxDrawdown = Math.max(state.maxDrawdown, (state.highWaterMark - value)/state.highWaterMark);
+			}
+			state.nbValues = idx + 1;
+
+			return tracker;
+		},
+
+		nbValues: function() {
+			return state.nbValues;
+		},
+
+		cumulativeReturn: function() {
+			// In order to compute a proper cumulative return, at least 2 periods are required, c.f. the function cumulativeReturn
+			return state.nbValues >= 2 ? (state.lastValue - state.initialValue)/state.initialValue : NaN;
+		},
+
+		currentDrawdown: function() {
+			return state.nbValues > 0 ? (state.highWaterMark - state.lastValue)/state.highWaterMark : 0;
+		},
+
+		maxDrawdown: function() {
+			return state.maxDrawdown;
+		},
+
+		currentDrawdownDuration: function() {
+			return state.nbValues > 0 && state.lastValue < state.highWaterMark ? state.nbValues - 1 - state.idxHighWaterMark : 0;
+		},
+
+		maxDrawdownDuration: function() {
+			return state.maxDrawdownDuration;
+		},
+
+		sharpeRatio: function() {
+			return sharpeRatioMomentsStatistics_(differentialReturnsAccumulator.moments(), differentialReturnsAccumulator.count())[0];
+		},
+
+		probabilisticSharpeRatio: function(referenceSharpeRatio) {
+			// Compute the Sharpe ratio statistics
+			var srs = sharpeRatioMomentsStatistics_(differentialReturnsAccumulator.moments(), differentialReturnsAccumulator.count());
+			var sr = srs[0];
+			var srStdDev = Math.sqrt(srs[1]);
+
+			// Compute and return the probabilistic Sharpe ratio, c.f. the function probabilisticSharpeRatio
+			return normcdf_((sr - referenceSharpeRatio)/srStdDev);
+		},
+
+		valueAtRisk: function(alpha, method) {
+			// By default, the gaussian method is used
+			if (method === undefined) {
+				method = "gaussian";
+			}
+
+			// Compute the parameters of the distribution of the returns
+			var params = parametricMomentsTail_(returnsAccumulator.moments(), alpha, method);
+			var m = params[0];
+			var sigma = params[1];
+			var z = params[2];
+
+			// Compute and return the value at risk, c.f. the function valueAtRisk
+			return -(m + z * sigma);
+		}
+	};
+
+	// Return it
+	return tracker;
+}
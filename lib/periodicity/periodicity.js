@@ -0,0 +1,272 @@
+/**
+ * @file Functions related to periodicity and annualization computation.
+ * @author Roman Rubsamen <roman.rubsamen@gmail.com>
+ */
+
+/* Start Wrapper private methods - Unit tests usage only */
+self.nbPeriodsPerYear_ = function(periodicity) { return nbPeriodsPerYear_(periodicity); }
+self.varianceScalingFactor_ = function(returns, nbPeriodsPerYear, method) { return varianceScalingFactor_(returns, nbPeriodsPerYear, method); }
+/* End Wrapper private methods - Unit tests usage only */
+
+
+/**
+* @function periodicity
+*
+* @summary Infer the periodicity of portfolio valuation dates.
+*
+* @description This function returns the periodicity of portfolio valuation dates, which is inferred
+* from the median number of calendar days between two consecutive valuation dates:
+* - Less than or equal to 4 days (so that week-ends and most bank holidays are taken into account): "daily"
+* - Less than or equal to 10 days: "weekly"
+* - Less than or equal to 45 days: "monthly"
+* - Less than or equal to 135 days: "quarterly"
+* - Otherwise: "annual"
+*
+* @param {Array.<Date>} valuationDates the portfolio valuation dates, an array of at least two Dates sorted in increasing order.
+* @return {string} the periodicity of the portfolio valuation dates, a string equal to "daily", "weekly", "monthly", "quarterly" or "annual".
+*
+* @example
+* periodicity([new Date("2017-01-31"), new Date("2017-02-28"), new Date("2017-03-31")]);
+* // "monthly"
+*/
+self.periodicity = function(valuationDates) {
+	// Check that the periodicity can be inferred
+	if (valuationDates.length < 2) {
+		throw new Error('insufficient number of valuation dates to infer periodicity: ' + valuationDates.length);
+	}
+	
+	// Compute the number of calendar days between consecutive valuation dates
+	var nbDays = new Array(valuationDates.length - 1);
+	for (var i=1; i<valuationDates.length; ++i) {
+		nbDays[i-1] = nbCalendarDays_(valuationDates[i-1], valuationDates[i]);
+	}
+
+	// Compute the median number of calendar days between consecutive valuation dates,
+	// which is robust to the presence of irregular periods (bank holidays, missing valuations...)
+	nbDays.sort(function(a, b) { return a - b; });
+	var mid = Math.floor(nbDays.length / 2);
+	var medianNbDays = nbDays.length % 2 == 1 ? nbDays[mid] : (nbDays[mid-1] + nbDays[mid]) / 2;
+	
+	// Infer and return the periodicity
+	if (medianNbDays <= 4) {
+		return "daily";
+	}
+	else if (medianNbDays <= 10) {
+		return "weekly";
+	}
+	else if (medianNbDays <= 45) {
+		return "monthly";
+	}
+	else if (medianNbDays <= 135) {
+		return "quarterly";
+	}
+	else {
+		return "annual";
+	}
+}
+
+
+/**
+* @function annualizedReturn
+*
+* @summary Compute the annualized return of a portfolio.
+*
+* @description This function returns the annualized return of a portfolio, provided as an
+* equity curve together with either its valuation dates or its periodicity.
+*
+* The annualized return of a portfolio is defined as the geometric progression ratio that provides a constant 
+* rate of return over the period on which the portfolio valuations are provided, the number of years of this period
+* being computed as the number of portfolio valuation periods divided by the number of periods per year.
+*
+* To be noted that, contrary to the cagr function, the number of years is not computed from calendar days
+* but from the number of valuation periods.
+*
+* @see <a href="https://en.wikipedia.org/wiki/Compound_annual_growth_rate">https://en.wikipedia.org/wiki/Compound_annual_growth_rate</a>
+* 
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @param {Array.<Date>|string} periodicity either the portfolio valuation dates, an array of Dates of same length as portfolioEquityCurve 
+* from which the periodicity is inferred, or the periodicity of the portfolio valuations, a string equal to 
+* "daily" (252 periods per year), "weekly" (52 periods per year), "monthly" (12 periods per year), "quarterly" (4 periods per year) or "annual" (1 period per year).
+* @return {number} the annualized return of the portfolio, expressed as a percentage.
+*
+* @example
+* annualizedReturn([100, 101, 102], "monthly");
+* // ~0.126
+*/
+self.annualizedReturn = function(portfolioEquityCurve, periodicity) {
+	// Compute the number of periods per year
+	var nbPeriodsPerYear = nbPeriodsPerYear_(periodicity);
+	
+	// In order to compute a proper annualized return, at least 2 periods are required
+	var nbPeriods = portfolioEquityCurve.length - 1;
+	if (nbPeriods < 1) {
+		return NaN;
+	}
+	
+	// Compute and return the annualized return
+	return Math.pow(portfolioEquityCurve[nbPeriods]/portfolioEquityCurve[0], nbPeriodsPerYear/nbPeriods) - 1;
+}
+
+
+/**
+* @function annualizedVolatility
+*
+* @summary Compute the annualized volatility of a portfolio.
+*
+* @description This function returns the annualized volatility of a portfolio, provided as an
+* equity curve together with either its valuation dates or its periodicity.
+*
+* The annualized volatility of a portfolio is defined as the sample standard deviation of its arithmetic returns,
+* scaled to a yearly horizon using one of the following methods:
+* - "square-root", the square root of time rule, which assumes independent and identically distributed returns
+* - "lo", the autocorrelation-corrected scaling of the reference, which uses the sample autocorrelations of the returns
+*
+* @see Andrew W. Lo, The Statistics of Sharpe Ratios, Financial Analysts Journal, Vol. 58, No. 4 (Jul. - Aug., 2002), pp. 36-52
+* 
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @param {Array.<Date>|string} periodicity either the portfolio valuation dates or the periodicity of the portfolio valuations, c.f. the annualizedReturn function.
+* @param {string} method the method used to annualize the volatility, a string either equal to "square-root" or to "lo"; defaults to "square-root".
+* @return {number} the annualized volatility of the portfolio.
+*
+* @example
+* annualizedVolatility([100, 110, 105, 107.5, 115], "monthly");
+* // ~0.219
+*/
+self.annualizedVolatility = function(portfolioEquityCurve, periodicity, method) {
+	// Compute the number of periods per year
+	var nbPeriodsPerYear = nbPeriodsPerYear_(periodicity);
+
+	// Compute the arithmetic returns
+	var returns = self.arithmeticReturns(portfolioEquityCurve).slice(1); // First value is NaN
+	
+	// Compute and return the annualized volatility
+	return sampleStddev_(returns) * Math.sqrt(varianceScalingFactor_(returns, nbPeriodsPerYear, method));
+}
+
+
+/**
+* @function annualizedSharpeRatio
+*
+* @summary Compute the annualized Sharpe ratio of a portfolio v.s. a benchmark.
+*
+* @description This function returns the annualized Sharpe ratio of a portfolio v.s. a benchmark, both provided as
+* equity curves together with either their valuation dates or their periodicity.
+*
+* The annualized Sharpe ratio is defined as the Sharpe ratio of the portfolio v.s. the benchmark, 
+* c.f. the sharpeRatio function, scaled to a yearly horizon using one of the following methods:
+* - "square-root", the square root of time rule, which assumes independent and identically distributed returns
+* - "lo", the autocorrelation-corrected scaling of the reference, which uses the sample autocorrelations of the differential returns
+*
+* @see Andrew W. Lo, The Statistics of Sharpe Ratios, Financial Analysts Journal, Vol. 58, No. 4 (Jul. - Aug., 2002), pp. 36-52
+* 
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @param {Array.<number>} benchmarkEquityCurve the benchmark equity curve, an array of real numbers of the same length as portfolioEquityCurve.
+* @param {Array.<Date>|string} periodicity either the portfolio valuation dates or the periodicity of the portfolio valuations, c.f. the annualizedReturn function.
+* @param {string} method the method used to annualize the Sharpe ratio, a string either equal to "square-root" or to "lo"; defaults to "square-root".
+* @return {number} the annualized Sharpe ratio of the portfolio v.s. the benchmark.
+*
+* @example
+* annualizedSharpeRatio([100, 110, 105, 107.5, 115], [100, 100, 100, 100, 100], "monthly");
+* // ~2.03
+*/
+self.annualizedSharpeRatio = function(portfolioEquityCurve, benchmarkEquityCurve, periodicity, method) {
+	// Compute the number of periods per year
+	var nbPeriodsPerYear = nbPeriodsPerYear_(periodicity);
+
+	// Compute the differential returns and the associated Sharpe ratio
+	var differentialReturns = differentialReturns_(portfolioEquityCurve, benchmarkEquityCurve);
+	var sr = mean_(differentialReturns)/sampleStddev_(differentialReturns);
+	
+	// Compute and return the annualized Sharpe ratio
+	return sr * nbPeriodsPerYear / Math.sqrt(varianceScalingFactor_(differentialReturns, nbPeriodsPerYear, method));
+}
+
+
+/**
+* @function nbPeriodsPerYear_
+*
+* @summary Internal function intended to compute the number of periods per year associated to a periodicity.
+*
+* @description This internal function returns the number of periods per year associated to a periodicity,
+* either provided explicitly or inferred from valuation dates, c.f. the periodicity function.
+*
+* @param {Array.<Date>|string} periodicity either valuation dates, an array of Dates, or a periodicity, a string equal to 
+* "daily", "weekly", "monthly", "quarterly" or "annual".
+* @return {number} the number of periods per year associated to the periodicity, i.e. 252, 52, 12, 4 or 1.
+*
+* @example
+* nbPeriodsPerYear_("monthly");
+* // 12
+*/
+function nbPeriodsPerYear_(periodicity) {
+	// Infer the periodicity from the valuation dates if required
+	if (typeof periodicity !== "string") {
+		periodicity = self.periodicity(periodicity);
+	}
+	
+	// Return the number of periods per year
+	if (periodicity == "daily") {
+		return 252;
+	}
+	else if (periodicity == "weekly") {
+		return 52;
+	}
+	else if (periodicity == "monthly") {
+		return 12;
+	}
+	else if (periodicity == "quarterly") {
+		return 4;
+	}
+	else if (periodicity == "annual") {
+		return 1;
+	}
+	else {
+		throw new Error('unsupported periodicity: ' + periodicity);
+	}
+}
+
+
+/**
+* @function varianceScalingFactor_
+*
+* @summary Internal function intended to compute the factor scaling the variance of returns to a yearly horizon.
+*
+* @description This internal function returns the factor by which the variance of periodic returns must be multiplied 
+* in order to obtain the variance of the aggregated yearly returns, using one of the following methods:
+* - "square-root", the square root of time rule, for which this factor is equal to q, the number of periods per year
+* - "lo", for which this factor is equal to q + 2 * sum_{k=1}^{q-1} (q-k) * rho_k, with rho_k the sample autocorrelation 
+* at lag k of the periodic returns, c.f. the reference
+*
+* @see Andrew W. Lo, The Statistics of Sharpe Ratios, Financial Analysts Journal, Vol. 58, No. 4 (Jul. - Aug., 2002), pp. 36-52
+*
+* @param {Array.<number>} returns the periodic returns, an array of real numbers.
+* @param {number} nbPeriodsPerYear the number of periods per year, a positive integer.
+* @param {string} method the scaling method, a string either equal to "square-root" or to "lo"; defaults to "square-root".
+* @return {number} the variance scaling factor.
+*
+* @example
+* varianceScalingFactor_([0.1, -0.05, 0.02, 0.07], 12, "square-root");
+* // 12
+*/
+function varianceScalingFactor_(returns, nbPeriodsPerYear, method) {
+	// Initialize default parameters
+	if (method === undefined) {
+		method = "square-root";
+	}
+
+	// Compute the variance scaling factor
+	if (method == "square-root") {
+		return nbPeriodsPerYear;
+	}
+	else if (method == "lo") {
+		var q = nbPeriodsPerYear;
+		var sumWeightedAutocorrelations = 0.0;
+		for (var k=1; k<q; ++k) {
+			sumWeightedAutocorrelations += (q - k) * autocorrelation_(returns, k);
+		}
+		return q + 2 * sumWeightedAutocorrelations;
+	}
+	else {
+		throw new Error('unsupported annualization method: ' + method);
+	}
+}
@@ -0,0 +1,244 @@
+/**
+ * @file Functions related to active performances measures computation, i.e. of a portfolio v.s. a benchmark.
+ * @author Roman Rubsamen <roman.rubsamen@gmail.com>
+ */
+
+/* Start Wrapper private methods - Unit tests usage only */
+self.captureRatio_ = function(portfolioEquityCurve, benchmarkEquityCurve, upMarket) { return captureRatio_(portfolioEquityCurve, benchmarkEquityCurve, upMarket); }
+/* End Wrapper private methods - Unit tests usage only */
+
+
+/**
+* @function trackingError
+*
+* @summary Compute the (ex-post) tracking error of a portfolio v.s. a benchmark.
+*
+* @description This function returns the ex-post tracking error of a portfolio v.s. a benchmark, both provided as
+* equity curves.
+*
+* The tracking error is defined as the sample standard deviation of the differential arithmetic returns 
+* (arithmetic returns of the portfolio minus arithmetic returns of the benchmark), c.f. the reference.
+*
+* To be noted that calculations are done in the original frequency of the portfolio valuations.
+*
+* @see Practical Portfolio Performance Measurement and Attribution, 2nd Edition, Carl R. Bacon, Wiley, 2008
+* 
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @param {Array.<number>} benchmarkEquityCurve the benchmark equity curve, an array of real numbers of the same length as portfolioEquityCurve.
+* @return {number} the tracking error of the portfolio v.s. the benchmark.
+*
+* @example
+* trackingError([100, 110, 105, 107.5, 115], [100, 105, 103, 104, 108]);
+* // ~0.03
+*/
+self.trackingError = function(portfolioEquityCurve, benchmarkEquityCurve) {
+	// Compute the differential returns
+	var differentialReturns = differentialReturns_(portfolioEquityCurve, benchmarkEquityCurve);
+
+	// Compute and return the tracking error
+	return sampleStddev_(differentialReturns);
+}
+
+
+/**
+* @function informationRatio
+*
+* @summary Compute the information ratio of a portfolio v.s. a benchmark.
+*
+* @description This function returns the information ratio of a portfolio v.s. a benchmark, both provided as
+* equity curves.
+*
+* The information ratio is defined as the arithmetic mean of the differential arithmetic returns 
+* (arithmetic returns of the portfolio minus arithmetic returns of the benchmark), divided by the tracking error
+* of the portfolio v.s. the benchmark, c.f. the reference.
+*
+* To be noted that the information ratio is then equal to the Sharpe ratio of the portfolio v.s. the benchmark, 
+* and that calculations are done in the original frequency of the portfolio valuations.
+*
+* @see Practical Portfolio Performance Measurement and Attribution, 2nd Edition, Carl R. Bacon, Wiley, 2008
+* 
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @param {Array.<number>} benchmarkEquityCurve the benchmark equity curve, an array of real numbers of the same length as portfolioEquityCurve.
+* @return {number} the information ratio of the portfolio v.s. the benchmark.
+*
+* @example
+* informationRatio([100, 110, 105, 107.5, 115], [100, 105, 103, 104, 108]);
+* // ~0.53
+*/
+self.informationRatio = function(portfolioEquityCurve, benchmarkEquityCurve) {
+	// Compute the differential returns
+	var differentialReturns = differentialReturns_(portfolioEquityCurve, benchmarkEquityCurve);
+
+	// Compute and return the information ratio
+	return mean_(differentialReturns)/sampleStddev_(differentialReturns);
+}
+
+
+/**
+* @function activePremium
+*
+* @summary Compute the active premium of a portfolio v.s. a benchmark.
+*
+* @description This function returns the active premium of a portfolio v.s. a benchmark, both provided as
+* equity curves together with their associated valuation dates.
+*
+* The active premium is defined as the compound annual growth rate of the portfolio minus the compound annual growth rate
+* of the benchmark, c.f. the reference.
+*
+* @see Practical Portfolio Performance Measurement and Attribution, 2nd Edition, Carl R. Bacon, Wiley, 2008
+* 
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @param {Array.<number>} benchmarkEquityCurve the benchmark equity curve, an array of real numbers of the same length as portfolioEquityCurve.
+* @param {Array.<Date>} valuationDates the valuation dates, an array of Dates of same length as portfolioEquityCurve.
+* @param {string} dayCountConvention the day count convention to use, c.f. the yearFraction function; defaults to "actual/365.25".
+* @param {function} holidayCalendar the holiday calendar to use with the "business/252" day count convention, c.f. the yearFraction function.
+* @return {number} the active premium of the portfolio v.s. the benchmark, expressed as a percentage.
+*
+* @example
+* activePremium([100, 110, 120], [100, 105, 110], [new Date("2015-12-31"), new Date("2016-12-31"), new Date("2017-12-31")]);
+* // ~0.05
+*/
+self.activePremium = function(portfolioEquityCurve, benchmarkEquityCurve, valuationDates, dayCountConvention, holidayCalendar) {
+	// Compute and return the difference between the annualized returns of the portfolio and of the benchmark
+	return self.cagr(portfolioEquityCurve, valuationDates, dayCountConvention, holidayCalendar) - self.cagr(benchmarkEquityCurve, valuationDates, dayCountConvention, holidayCalendar);
+}
+
+
+/**
+* @function upCaptureRatio
+*
+* @summary Compute the up capture ratio of a portfolio v.s. a benchmark.
+*
+* @description This function returns the up capture ratio of a portfolio v.s. a benchmark, both provided as
+* equity curves.
+*
+* The up capture ratio is defined as the arithmetic mean of the arithmetic returns of the portfolio over the periods 
+* during which the arithmetic returns of the benchmark are strictly positive, divided by the arithmetic mean of 
+* the arithmetic returns of the benchmark over these same periods, c.f. the reference.
+*
+* @see Practical Portfolio Performance Measurement and Attribution, 2nd Edition, Carl R. Bacon, Wiley, 2008
+* 
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @param {Array.<number>} benchmarkEquityCurve the benchmark equity curve, an array of real numbers of the same length as portfolioEquityCurve.
+* @return {number} the up capture ratio of the portfolio v.s. the benchmark, or NaN if the benchmark has no positive returns.
+*
+* @example
+* upCaptureRatio([100, 110, 105, 107.5, 115], [100, 105, 103, 104, 108]);
+* // ~1.97
+*/
+self.upCaptureRatio = function(portfolioEquityCurve, benchmarkEquityCurve) {
+	return captureRatio_(portfolioEquityCurve, benchmarkEquityCurve, true);
+}
+
+
+/**
+* @function downCaptureRatio
+*
+* @summary Compute the down capture ratio of a portfolio v.s. a benchmark.
+*
+* @description This function returns the down capture ratio of a portfolio v.s. a benchmark, both provided as
+* equity curves.
+*
+* The down capture ratio is defined as the arithmetic mean of the arithmetic returns of the portfolio over the periods 
+* during which the arithmetic returns of the benchmark are strictly negative, divided by the arithmetic mean of 
+* the arithmetic returns of the benchmark over these same periods, c.f. the reference.
+*
+* @see Practical Portfolio Performance Measurement and Attribution, 2nd Edition, Carl R. Bacon, Wiley, 2008
+* 
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @param {Array.<number>} benchmarkEquityCurve the benchmark equity curve, an array of real numbers of the same length as portfolioEquityCurve.
+* @return {number} the down capture ratio of the portfolio v.s. the benchmark, or NaN if the benchmark has no negative returns.
+*
+* @example
+* downCaptureRatio([100, 110, 105, 107.5, 115], [100, 105, 103, 104, 108]);
+* // ~2.39
+*/
+self.downCaptureRatio = function(portfolioEquityCurve, benchmarkEquityCurve) {
+	return captureRatio_(portfolioEquityCurve, benchmarkEquityCurve, false);
+}
+
+
+/**
+* @function battingAverage
+*
+* @summary Compute the batting average of a portfolio v.s. a benchmark.
+*
+* @description This function returns the batting average of a portfolio v.s. a benchmark, both provided as
+* equity curves.
+*
+* The batting average is defined as the proportion of periods during which the arithmetic return of the portfolio
+* is strictly greater than the arithmetic return of the benchmark, c.f. the reference.
+*
+* @see Practical Portfolio Performance Measurement and Attribution, 2nd Edition, Carl R. Bacon, Wiley, 2008
+* 
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @param {Array.<number>} benchmarkEquityCurve the benchmark equity curve, an array of real numbers of the same length as portfolioEquityCurve.
+* @return {number} the batting average of the portfolio v.s. the benchmark, expressed as a percentage.
+*
+* @example
+* battingAverage([100, 110, 105, 107.5, 115], [100, 105, 103, 104, 108]);
+* // 0.75
+*/
+self.battingAverage = function(portfolioEquityCurve, benchmarkEquityCurve) {
+	// Compute the differential returns
+	var differentialReturns = differentialReturns_(portfolioEquityCurve, benchmarkEquityCurve);
+
+	// If there is no usable returns, exit
+	if (differentialReturns.length == 0) {
+		return NaN;
+	}
+
+	// Otherwise, count the number of periods during which the portfolio outperformed the benchmark
+	var nbOutperformingPeriods = 0;
+	for (var i=0; i<differentialReturns.length; ++i) {
+		if (differentialReturns[i] > 0) {
+			++nbOutperformingPeriods;
+		}
+	}
+
+	// Compute and return the batting average
+	return nbOutperformingPeriods/differentialReturns.length;
+}
+
+
+/**
+* @function captureRatio_
+*
+* @summary Internal function intended to compute the up or down capture ratio of a portfolio v.s. a benchmark.
+*
+* @description This internal function returns the arithmetic mean of the arithmetic returns of a portfolio over the periods 
+* during which the arithmetic returns of a benchmark are strictly positive (resp. strictly negative), 
+* divided by the arithmetic mean of the arithmetic returns of the benchmark over these same periods.
+*
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @param {Array.<number>} benchmarkEquityCurve the benchmark equity curve, an array of real numbers of the same length as portfolioEquityCurve.
+* @param {boolean} upMarket a boolean, true to compute the up capture ratio and false to compute the down capture ratio.
+* @return {number} the up or down capture ratio of the portfolio v.s. the benchmark, or NaN if there is no such periods.
+*
+* @example
+* captureRatio_([100, 110, 105, 107.5, 115], [100, 105, 103, 104, 108], true);
+* // ~1.97
+*/
+function captureRatio_(portfolioEquityCurve, benchmarkEquityCurve, upMarket) {
+	// Compute the arithmetic returns of the portfolio and of the benchmark
+	var portfolioReturns = self.arithmeticReturns(portfolioEquityCurve).slice(1); // First value is NaN
+	var benchmarkReturns = self.arithmeticReturns(benchmarkEquityCurve).slice(1); // First value is NaN
+
+	// Extract the returns over the up (resp. down) market periods
+	var portfolioMarketReturns = [];
+	var benchmarkMarketReturns = [];
+	for (var i=0; i<benchmarkReturns.length; ++i) {
+		if ((upMarket && benchmarkReturns[i] > 0) || (!upMarket && benchmarkReturns[i] < 0)) {
+			portfolioMarketReturns.push(portfolioReturns[i]);
+			benchmarkMarketReturns.push(benchmarkReturns[i]);
+		}
+	}
+
+	// If there is no such periods, the capture ratio is undefined
+	if (benchmarkMarketReturns.length == 0) {
+		return NaN;
+	}
+
+	// Compute and return the capture ratio
+	return mean_(portfolioMarketReturns)/mean_(benchmarkMarketReturns);
+}
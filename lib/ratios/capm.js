@@ -0,0 +1,203 @@
+/**
+ * @file Functions related to the Capital Asset Pricing Model (CAPM) measures computation.
+ * @author Roman Rubsamen <roman.rubsamen@gmail.com>
+ */
+
+/* Start Wrapper private methods - Unit tests usage only */
+self.capmStatistics_ = function(portfolioEquityCurve, marketEquityCurve, riskFreeEquityCurve) { return capmStatistics_(portfolioEquityCurve, marketEquityCurve, riskFreeEquityCurve); }
+/* End Wrapper private methods - Unit tests usage only */
+
+
+/**
+* @function beta
+*
+* @summary Compute the CAPM beta of a portfolio v.s. a market.
+*
+* @description This function returns the CAPM beta of a portfolio v.s. a market, both provided as
+* equity curves, optionally in excess of a risk free asset, also provided as an equity curve.
+*
+* The CAPM beta is defined as the slope of the ordinary least squares regression of the excess arithmetic returns 
+* of the portfolio on the excess arithmetic returns of the market, c.f. the reference.
+*
+* @see Practical Portfolio Performance Measurement and Attribution, 2nd Edition, Carl R. Bacon, Wiley, 2008
+* 
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @param {Array.<number>} marketEquityCurve the market equity curve, an array of real numbers of the same length as portfolioEquityCurve.
+* @param {Array.<number>} riskFreeEquityCurve an optional risk free asset equity curve, an array of real numbers of the same length as portfolioEquityCurve,
+* defaulting to a constant equity curve (i.e., a risk free rate equals to zero).
+* @return {number} the CAPM beta of the portfolio v.s. the market.
+*
+* @example
+* beta([100, 110, 105, 107.5, 115], [100, 105, 103, 104, 108]);
+* // ~2.04
+*/
+self.beta = function(portfolioEquityCurve, marketEquityCurve, riskFreeEquityCurve) {
+	// Compute the CAPM statistics, and return the beta
+	return capmStatistics_(portfolioEquityCurve, marketEquityCurve, riskFreeEquityCurve)[1];
+}
+
+
+/**
+* @function jensenAlpha
+*
+* @summary Compute the Jensen's alpha of a portfolio v.s. a market.
+*
+* @description This function returns the Jensen's alpha of a portfolio v.s. a market, both provided as
+* equity curves, optionally in excess of a risk free asset, also provided as an equity curve.
+*
+* The Jensen's alpha is defined as the intercept of the ordinary least squares regression of the excess arithmetic returns 
+* of the portfolio on the excess arithmetic returns of the market, c.f. the reference.
+*
+* To be noted that calculations are done in the original frequency of the portfolio valuations.
+*
+* @see <a href="http://onlinelibrary.wiley.com/doi/10.1111/j.1540-6261.1968.tb00815.x/abstract">Jensen, M. C., The Performance of Mutual Funds in the Period 1945–1964, The Journal of Finance, 23: 389–416 (1968)</a>
+* 
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @param {Array.<number>} marketEquityCurve the market equity curve, an array of real numbers of the same length as portfolioEquityCurve.
+* @param {Array.<number>} riskFreeEquityCurve an optional risk free asset equity curve, an array of real numbers of the same length as portfolioEquityCurve,
+* defaulting to a constant equity curve (i.e., a risk free rate equals to zero).
+* @return {number} the Jensen's alpha of the portfolio v.s. the market.
+*
+* @example
+* jensenAlpha([100, 110, 105, 107.5, 115], [100, 105, 103, 104, 108]);
+* // ~-0.0033
+*/
+self.jensenAlpha = function(portfolioEquityCurve, marketEquityCurve, riskFreeEquityCurve) {
+	// Compute the CAPM statistics, and return the alpha
+	return capmStatistics_(portfolioEquityCurve, marketEquityCurve, riskFreeEquityCurve)[0];
+}
+
+
+/**
+* @function treynorRatio
+*
+* @summary Compute the Treynor ratio of a portfolio v.s. a market.
+*
+* @description This function returns the Treynor ratio of a portfolio v.s. a market, both provided as
+* equity curves, optionally in excess of a risk free asset, also provided as an equity curve.
+*
+* The Treynor ratio is defined as the arithmetic mean of the excess arithmetic returns of the portfolio,
+* divided by the CAPM beta of the portfolio v.s. the market, c.f. the reference.
+*
+* To be noted that calculations are done in the original frequency of the portfolio valuations.
+*
+* @see Practical Portfolio Performance Measurement and Attribution, 2nd Edition, Carl R. Bacon, Wiley, 2008
+* 
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @param {Array.<number>} marketEquityCurve the market equity curve, an array of real numbers of the same length as portfolioEquityCurve.
+* @param {Array.<number>} riskFreeEquityCurve an optional risk free asset equity curve, an array of real numbers of the same length as portfolioEquityCurve,
+* defaulting to a constant equity curve (i.e., a risk free rate equals to zero).
+* @return {number} the Treynor ratio of the portfolio v.s. the market.
+*
+* @example
+* treynorRatio([100, 110, 105, 107.5, 115], [100, 105, 103, 104, 108]);
+* // ~0.018
+*/
+self.treynorRatio = function(portfolioEquityCurve, marketEquityCurve, riskFreeEquityCurve) {
+	// Compute the CAPM statistics
+	var capms = capmStatistics_(portfolioEquityCurve, marketEquityCurve, riskFreeEquityCurve);
+	var beta = capms[1];
+	var meanExcessReturns = capms[7];
+
+	// Return the Treynor ratio
+	return meanExcessReturns/beta;
+}
+
+
+/**
+* @function capmRegression
+*
+* @summary Compute the CAPM regression statistics of a portfolio v.s. a market.
+*
+* @description This function returns the statistics of the ordinary least squares regression of the excess arithmetic returns 
+* of a portfolio on the excess arithmetic returns of a market, both provided as equity curves, optionally in excess of a 
+* risk free asset, also provided as an equity curve, c.f. the reference.
+*
+* These statistics are the Jensen's alpha and the CAPM beta, the R-squared of the regression, the standard errors 
+* of the alpha and of the beta, and the t-statistics of the alpha and of the beta (under the null hypothesis that they are null).
+*
+* @see <a href="https://en.wikipedia.org/wiki/Simple_linear_regression">https://en.wikipedia.org/wiki/Simple_linear_regression</a>
+* 
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @param {Array.<number>} marketEquityCurve the market equity curve, an array of real numbers of the same length as portfolioEquityCurve.
+* @param {Array.<number>} riskFreeEquityCurve an optional risk free asset equity curve, an array of real numbers of the same length as portfolioEquityCurve,
+* defaulting to a constant equity curve (i.e., a risk free rate equals to zero).
+* @return {Array.<number>} the alpha, the beta, the R-squared, the standard error of the alpha, the standard error of the beta,
+* the t-statistic of the alpha and the t-statistic of the beta, in this order.
+*
+* @example
+* capmRegression([100, 110, 105, 107.5, 115], [100, 105, 103, 104, 108]);
+* // [~-0.0033, ~2.04, ~0.99, ~0.0043, ~0.13, ~-0.76, ~15.84]
+*/
+self.capmRegression = function(portfolioEquityCurve, marketEquityCurve, riskFreeEquityCurve) {
+	// Compute the CAPM statistics, and return the regression statistics
+	return capmStatistics_(portfolioEquityCurve, marketEquityCurve, riskFreeEquityCurve).slice(0, 7);
+}
+
+
+/**
+* @function capmStatistics_
+*
+* @summary Internal function intended to compute the CAPM regression statistics of a portfolio v.s. a market.
+*
+* @description This internal function returns the statistics of the ordinary least squares regression of the excess arithmetic returns 
+* of a portfolio on the excess arithmetic returns of a market, both provided as equity curves, optionally in excess of a 
+* risk free asset, also provided as an equity curve, as well as the arithmetic mean of the excess arithmetic returns
+* of the portfolio.
+*
+* The excess arithmetic returns are computed thanks to the differentialReturns_ function.
+*
+* The standard errors of the regression coefficients are computed using the unbiased estimator of the variance 
+* of the residuals, c.f. the reference.
+*
+* @see <a href="https://en.wikipedia.org/wiki/Simple_linear_regression">https://en.wikipedia.org/wiki/Simple_linear_regression</a>
+* 
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @param {Array.<number>} marketEquityCurve the market equity curve, an array of real numbers of the same length as portfolioEquityCurve.
+* @param {Array.<number>} riskFreeEquityCurve an optional risk free asset equity curve, an array of real numbers of the same length as portfolioEquityCurve,
+* defaulting to a constant equity curve (i.e., a risk free rate equals to zero).
+* @return {Array.<number>} the alpha, the beta, the R-squared, the standard error of the alpha, the standard error of the beta,
+* the t-statistic of the alpha, the t-statistic of the beta and the arithmetic mean of the excess returns of the portfolio, in this order.
+*
+* @example
+* capmStatistics_([100, 110, 105, 107.5, 115], [100, 105, 103, 104, 108]);
+* // [~-0.0033, ~2.04, ~0.99, ~0.0043, ~0.13, ~-0.76, ~15.84, ~0.037]
+*/
+function capmStatistics_(portfolioEquityCurve, marketEquityCurve, riskFreeEquityCurve) {
+	// By default, the risk free asset equity curve is constant
+	if (riskFreeEquityCurve === undefined) {
+		riskFreeEquityCurve = new portfolioEquityCurve.constructor(portfolioEquityCurve.length); // Inherit the array type from the input array
+		for (var i=0; i<portfolioEquityCurve.length; ++i) {
+			riskFreeEquityCurve[i] = 1.0;
+		}
+	}
+
+	// Compute the excess returns of the portfolio and of the market
+	var y = differentialReturns_(portfolioEquityCurve, riskFreeEquityCurve);
+	var x = differentialReturns_(marketEquityCurve, riskFreeEquityCurve);
+	var nn = y.length;
+
+	// Compute the regression coefficients
+	var meanX = mean_(x);
+	var meanY = mean_(y);
+	var varX = variance_(x);
+	var beta = covariance_(x, y)/varX;
+	var alpha = meanY - beta * meanX;
+
+	// Compute the sum of the squares of the residuals, and the R-squared
+	var sse = 0.0;
+	for (var i=0; i<nn; ++i) {
+		var residual = (y[i] - meanY) - beta * (x[i] - meanX);
+		sse += residual * residual;
+	}
+	var rSquared = 1 - sse/(nn * variance_(y));
+
+	// Compute the standard errors of the regression coefficients, using the unbiased estimator
+	// of the variance of the residuals
+	var residualsVar = sse/(nn - 2);
+	var betaStdErr = Math.sqrt(residualsVar/(nn * varX));
+	var alphaStdErr = Math.sqrt(residualsVar * (1/nn + meanX * meanX/(nn * varX)));
+
+	// Return the computed statistics
+	return [alpha, beta, rSquared, alphaStdErr, betaStdErr, alpha/alphaStdErr, beta/betaStdErr, meanY];
+}
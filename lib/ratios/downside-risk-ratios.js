@@ -0,0 +1,295 @@
+/**
+ * @file Functions related to downside risk performances ratios computation.
+ * @author Roman Rubsamen <roman.rubsamen@gmail.com>
+ */
+
+/* Start Wrapper private methods - Unit tests usage only */
+self.thresholdReturns_ = function(portfolioSerie, threshold, serieType) { return thresholdReturns_(portfolioSerie, threshold, serieType); }
+/* End Wrapper private methods - Unit tests usage only */
+
+
+/**
+* @function sortinoRatio
+*
+* @summary Compute the Sortino ratio of a portfolio v.s. a minimum acceptable return or a benchmark.
+*
+* @description This function returns the Sortino ratio of a portfolio, provided as an equity curve, 
+* v.s. either a minimum acceptable return or a benchmark, provided as an equity curve.
+*
+* The portfolio and the benchmark can alternatively be provided as their period-to-period arithmetic returns,
+* c.f. the function thresholdReturns_.
+*
+* The Sortino ratio is defined as the arithmetic mean of the arithmetic returns of the portfolio in excess of 
+* the minimum acceptable return, divided by the downside deviation of these returns, i.e. the square root 
+* of their second order lower partial moment with respect to the minimum acceptable return, c.f. the reference.
+*
+* In case a benchmark is provided, the differential arithmetic returns of the portfolio v.s. the benchmark are used,
+* with a minimum acceptable return equals to 0, as in the sharpeRatio function.
+*
+* To be noted that calculations are done in the original frequency of the portfolio valuations,
+* so that the minimum acceptable return must be expressed in this frequency.
+*
+* @see Practical Portfolio Performance Measurement and Attribution, 2nd Edition, Carl R. Bacon, Wiley, 2008
+* 
+* @param {Array.<number>} portfolioSerie the portfolio equity curve or the portfolio arithmetic returns, an array of real numbers.
+* @param {number|Array.<number>} threshold an optional minimum acceptable return, a real number defaulting to 0, 
+* or the benchmark equity curve or the benchmark arithmetic returns, an array of real numbers of the same length as portfolioSerie.
+* @param {string} serieType an optional string, either "equity-curve" (default) or "returns", indicating whether
+* portfolioSerie and the benchmark are equity curves or arithmetic returns.
+* @return {number} the Sortino ratio of the portfolio.
+*
+* @example
+* sortinoRatio([100, 110, 105, 107.5, 115]);
+* // ~1.63
+*/
+self.sortinoRatio = function(portfolioSerie, threshold, serieType) {
+	// Compute the returns to use, together with the minimum acceptable return
+	var tr = thresholdReturns_(portfolioSerie, threshold, serieType);
+	var returns = tr[0];
+	var mar = tr[1];
+
+	// Compute the Sortino ratio, c.f. the reference
+	var numerator = mean_(returns) - mar;
+	var denominator = Math.sqrt(lpm_(returns, 2, mar));
+
+	// Return the Sortino ratio
+	if (denominator == 0.0) {
+		return NaN; // The Sortino ratio is undefined in case there is no returns below the minimum acceptable return
+	}
+	else {
+		return numerator/denominator;
+	}
+}
+
+
+/**
+* @function upsidePotentialRatio
+*
+* @summary Compute the upside potential ratio of a portfolio v.s. a minimum acceptable return or a benchmark.
+*
+* @description This function returns the upside potential ratio of a portfolio, provided as an equity curve, 
+* v.s. either a minimum acceptable return or a benchmark, provided as an equity curve.
+*
+* The portfolio and the benchmark can alternatively be provided as their period-to-period arithmetic returns,
+* c.f. the function thresholdReturns_.
+*
+* The upside potential ratio is defined as the first order higher partial moment of the arithmetic returns of the portfolio
+* with respect to the minimum acceptable return, divided by the downside deviation of these returns, c.f. the reference.
+*
+* In case a benchmark is provided, the differential arithmetic returns of the portfolio v.s. the benchmark are used,
+* with a minimum acceptable return equals to 0, as in the sharpeRatio function.
+*
+* @see Frank A. Sortino, Robert van der Meer, Auke Plantinga, The Dutch Triangle, The Journal of Portfolio Management, Fall 1999, Vol. 26, No. 1: pp. 50-57
+* 
+* @param {Array.<number>} portfolioSerie the portfolio equity curve or the portfolio arithmetic returns, an array of real numbers.
+* @param {number|Array.<number>} threshold an optional minimum acceptable return, a real number defaulting to 0, 
+* or the benchmark equity curve or the benchmark arithmetic returns, an array of real numbers of the same length as portfolioSerie.
+* @param {string} serieType an optional string, either "equity-curve" (default) or "returns", indicating whether
+* portfolioSerie and the benchmark are equity curves or arithmetic returns.
+* @return {number} the upside potential ratio of the portfolio.
+*
+* @example
+* upsidePotentialRatio([100, 110, 105, 107.5, 115]);
+* // ~2.13
+*/
+self.upsidePotentialRatio = function(portfolioSerie, threshold, serieType) {
+	// Compute the returns to use, together with the minimum acceptable return
+	var tr = thresholdReturns_(portfolioSerie, threshold, serieType);
+	var returns = tr[0];
+	var mar = tr[1];
+
+	// Compute the upside potential ratio, c.f. the reference
+	var numerator = hpm_(returns, 1, mar);
+	var denominator = Math.sqrt(lpm_(returns, 2, mar));
+
+	// Return the upside potential ratio
+	if (denominator == 0.0) {
+		return NaN; // The upside potential ratio is undefined in case there is no returns below the minimum acceptable return
+	}
+	else {
+		return numerator/denominator;
+	}
+}
+
+
+/**
+* @function omegaRatio
+*
+* @summary Compute the Omega ratio of a portfolio v.s. a minimum acceptable return or a benchmark.
+*
+* @description This function returns the Omega ratio of a portfolio, provided as an equity curve, 
+* v.s. either a minimum acceptable return or a benchmark, provided as an equity curve.
+*
+* The portfolio and the benchmark can alternatively be provided as their period-to-period arithmetic returns,
+* c.f. the function thresholdReturns_.
+*
+* The Omega ratio is defined as the first order higher partial moment of the arithmetic returns of the portfolio
+* with respect to the minimum acceptable return, divided by the first order lower partial moment of these returns
+* with respect to the minimum acceptable return, c.f. the references.
+*
+* In case a benchmark is provided, the differential arithmetic returns of the portfolio v.s. the benchmark are used,
+* with a minimum acceptable return equals to 0, as in the sharpeRatio function.
+*
+* @see Kazemi, H., Schneeweis, T. and Gupta, R., Omega as a Performance Measure, Journal of Performance Measurement, Spring 2004, Vol. 8, No. 3: pp. 16-25
+* 
+* @param {Array.<number>} portfolioSerie the portfolio equity curve or the portfolio arithmetic returns, an array of real numbers.
+* @param {number|Array.<number>} threshold an optional minimum acceptable return, a real number defaulting to 0, 
+* or the benchmark equity curve or the benchmark arithmetic returns, an array of real numbers of the same length as portfolioSerie.
+* @param {string} serieType an optional string, either "equity-curve" (default) or "returns", indicating whether
+* portfolioSerie and the benchmark are equity curves or arithmetic returns.
+* @return {number} the Omega ratio of the portfolio.
+*
+* @example
+* omegaRatio([100, 110, 105, 107.5, 115]);
+* // ~4.26
+*/
+self.omegaRatio = function(portfolioSerie, threshold, serieType) {
+	// Compute the returns to use, together with the minimum acceptable return
+	var tr = thresholdReturns_(portfolioSerie, threshold, serieType);
+	var returns = tr[0];
+	var mar = tr[1];
+
+	// Compute the Omega ratio, c.f. the references
+	var numerator = hpm_(returns, 1, mar);
+	var denominator = lpm_(returns, 1, mar);
+
+	// Return the Omega ratio
+	if (denominator == 0.0) {
+		return NaN; // The Omega ratio is undefined in case there is no returns below the minimum acceptable return
+	}
+	else {
+		return numerator/denominator;
+	}
+}
+
+
+/**
+* @function kappaRatio
+*
+* @summary Compute the Kappa ratio of order n of a portfolio v.s. a minimum acceptable return or a benchmark.
+*
+* @description This function returns the Kappa ratio of order n of a portfolio, provided as an equity curve, 
+* v.s. either a minimum acceptable return or a benchmark, provided as an equity curve.
+*
+* The portfolio and the benchmark can alternatively be provided as their period-to-period arithmetic returns,
+* c.f. the function thresholdReturns_.
+*
+* The Kappa ratio of order n is defined as the arithmetic mean of the arithmetic returns of the portfolio in excess of 
+* the minimum acceptable return, divided by the n-th root of the n-th order lower partial moment of these returns 
+* with respect to the minimum acceptable return, c.f. the reference.
+*
+* The Kappa ratio of order 1 is equal to the Omega ratio minus 1, and the Kappa ratio of order 2 is equal to the Sortino ratio.
+*
+* In case a benchmark is provided, the differential arithmetic returns of the portfolio v.s. the benchmark are used,
+* with a minimum acceptable return equals to 0, as in the sharpeRatio function.
+*
+* @see Kaplan, P. D. and Knowles, J. A., Kappa: A Generalized Downside Risk-Adjusted Performance Measure, Journal of Performance Measurement, Spring 2004, Vol. 8, No. 3: pp. 42-54
+* 
+* @param {Array.<number>} portfolioSerie the portfolio equity curve or the portfolio arithmetic returns, an array of real numbers.
+* @param {number} n the order of the Kappa ratio, a positive integer.
+* @param {number|Array.<number>} threshold an optional minimum acceptable return, a real number defaulting to 0, 
+* or the benchmark equity curve or the benchmark arithmetic returns, an array of real numbers of the same length as portfolioSerie.
+* @param {string} serieType an optional string, either "equity-curve" (default) or "returns", indicating whether
+* portfolioSerie and the benchmark are equity curves or arithmetic returns.
+* @return {number} the Kappa ratio of order n of the portfolio.
+*
+* @example
+* kappaRatio([100, 110, 105, 107.5, 115], 3);
+* // ~1.29
+*/
+self.kappaRatio = function(portfolioSerie, n, threshold, serieType) {
+	// Compute the returns to use, together with the minimum acceptable return
+	var tr = thresholdReturns_(portfolioSerie, threshold, serieType);
+	var returns = tr[0];
+	var mar = tr[1];
+
+	// Compute the Kappa ratio, c.f. the reference
+	var numerator = mean_(returns) - mar;
+	var denominator = Math.pow(lpm_(returns, n, mar), 1/n);
+
+	// Return the Kappa ratio
+	if (denominator == 0.0) {
+		return NaN; // The Kappa ratio is undefined in case there is no returns below the minimum acceptable return
+	}
+	else {
+		return numerator/denominator;
+	}
+}
+
+
+/**
+* @function thresholdReturns_
+*
+* @summary Internal function intended to compute the arithmetic returns of a portfolio to be compared 
+* to a minimum acceptable return, as well as this minimum acceptable return.
+*
+* @description This internal function returns, when a minimum acceptable return is provided, 
+* the arithmetic returns of a portfolio, provided as an equity curve, together with this minimum acceptable return.
+*
+* When a benchmark equity curve is provided, this function returns the differential arithmetic returns 
+* of the portfolio v.s. the benchmark, together with a minimum acceptable return equals to 0.
+*
+* The portfolio and the benchmark can alternatively be provided as their period-to-period arithmetic returns, 
+* which are then used as is, in which case the returns of the benchmark are subtracted from the returns of the portfolio.
+*
+* @param {Array.<number>} portfolioSerie the portfolio equity curve or the portfolio arithmetic returns, an array of real numbers.
+* @param {number|Array.<number>} threshold an optional minimum acceptable return, a real number defaulting to 0, 
+* or the benchmark equity curve or the benchmark arithmetic returns, an array of real numbers of the same length as portfolioSerie.
+* @param {string} serieType an optional string, either "equity-curve" (default) or "returns", indicating whether
+* portfolioSerie and the benchmark are equity curves or arithmetic returns.
+* @return {Array.<Object>} the returns to use, an array of real numbers of the same length as portfolioSerie minus 1
+* in case of an equity curve, or of the same length as portfolioSerie in case of arithmetic returns,
+* and the minimum acceptable return, a real number, in this order.
+*
+* @example
+* thresholdReturns_([100, 105, 110.25], 0.01);
+* // [[0.05, 0.05], 0.01]
+*
+* @example
+* thresholdReturns_([100, 105, 110.25], [100, 100, 100]);
+* // [[0.05, 0.05], 0]
+*
+* @example
+* thresholdReturns_([0.05, 0.05], [0.01, 0.02], "returns");
+* // [[0.04, ~0.03], 0]
+*/
+function thresholdReturns_(portfolioSerie, threshold, serieType) {
+	// By default, the minimum acceptable return is null
+	if (threshold === undefined) {
+		threshold = 0.0;
+	}
+	
+	// By default, the series are equity curves
+	if (serieType === undefined) {
+		serieType = "equity-curve";
+	}
+	if (serieType != "equity-curve" && serieType != "returns") {
+		throw new Error('unsupported serie type: ' + serieType);
+	}
+
+	// In case the threshold is a minimum acceptable return, use the portfolio returns
+	if (typeof threshold == "number") {
+		var returns;
+		if (serieType == "equity-curve") {
+			returns = self.arithmeticReturns(portfolioSerie).slice(1); // First value is NaN
+		}
+		else {
+			returns = Array.prototype.slice.call(portfolioSerie); // Also works for typed arrays
+		}
+		return [returns, threshold];
+	}
+	// Otherwise, the threshold is a benchmark, so that the differential returns are used
+	else {
+		var returns;
+		if (serieType == "equity-curve") {
+			returns = differentialReturns_(portfolioSerie, threshold);
+		}
+		else {
+			returns = new Array(portfolioSerie.length);
+			for (var i=0; i<portfolioSerie.length; ++i) {
+				returns[i] = portfolioSerie[i] - threshold[i];
+			}
+		}
+		return [returns, 0.0];
+	}
+}
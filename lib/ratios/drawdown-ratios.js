@@ -0,0 +1,231 @@
+/**
+ * @file Functions related to drawdown-based performances ratios computation.
+ * @author Roman Rubsamen <roman.rubsamen@gmail.com>
+ */
+
+/* Start Wrapper private methods - Unit tests usage only */
+self.drawdownRatio_ = function(portfolioEquityCurve, valuationDates, riskFreeRate, drawdownMeasure, dayCountConvention, holidayCalendar) { return drawdownRatio_(portfolioEquityCurve, valuationDates, riskFreeRate, drawdownMeasure, dayCountConvention, holidayCalendar); }
+/* End Wrapper private methods - Unit tests usage only */
+
+
+/**
+* @function calmarRatio
+*
+* @summary Compute the Calmar ratio of a portfolio.
+*
+* @description This function returns the Calmar ratio of a portfolio, provided as an
+* equity curve together with its associated valuation dates.
+*
+* The Calmar ratio is defined as the compound annual growth rate of the portfolio in excess of the risk free rate, 
+* divided by the maximum drawdown of the portfolio, c.f. the reference.
+*
+* @see Practical Portfolio Performance Measurement and Attribution, 2nd Edition, Carl R. Bacon, Wiley, 2008
+* 
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @param {Array.<Date>} valuationDates the portfolio valuation dates, an array of Dates of same length as portfolioEquityCurve.
+* @param {number} riskFreeRate an optional annual risk free rate, a real number, defaulting to 0.
+* @param {string} dayCountConvention the day count convention to use to compute the compound annual growth rate, c.f. the yearFraction function; defaults to "actual/365.25".
+* @param {function} holidayCalendar the holiday calendar to use with the "business/252" day count convention, c.f. the yearFraction function.
+* @return {number} the Calmar ratio of the portfolio.
+*
+* @example
+* calmarRatio([100, 90, 110], [new Date("2015-12-31"), new Date("2016-12-31"), new Date("2017-12-31")]); 
+* // ~0.49
+*/
+self.calmarRatio = function(portfolioEquityCurve, valuationDates, riskFreeRate, dayCountConvention, holidayCalendar) {
+	// Compute the maximum drawdown
+	var maxDd = self.maxDrawdown(portfolioEquityCurve);
+
+	// Compute and return the Calmar ratio, c.f. the reference
+	return drawdownRatio_(portfolioEquityCurve, valuationDates, riskFreeRate, maxDd, dayCountConvention, holidayCalendar);
+}
+
+
+/**
+* @function sterlingRatio
+*
+* @summary Compute the Sterling ratio of a portfolio.
+*
+* @description This function returns the Sterling ratio of a portfolio, provided as an
+* equity curve together with its associated valuation dates.
+*
+* The Sterling ratio is defined as the compound annual growth rate of the portfolio in excess of the risk free rate, 
+* divided by the arithmetic average of the top n drawdowns of the portfolio, c.f. the reference.
+*
+* @see Practical Portfolio Performance Measurement and Attribution, 2nd Edition, Carl R. Bacon, Wiley, 2008
+* 
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @param {Array.<Date>} valuationDates the portfolio valuation dates, an array of Dates of same length as portfolioEquityCurve.
+* @param {number} nbTopDrawdowns the (maximum) number of top drawdowns to use, a positive integer.
+* @param {number} riskFreeRate an optional annual risk free rate, a real number, defaulting to 0.
+* @param {string} dayCountConvention the day count convention to use to compute the compound annual growth rate, c.f. the yearFraction function; defaults to "actual/365.25".
+* @param {function} holidayCalendar the holiday calendar to use with the "business/252" day count convention, c.f. the yearFraction function.
+* @return {number} the Sterling ratio of the portfolio.
+*
+* @example
+* sterlingRatio([100, 90, 110, 100, 120], [new Date("2013-12-31"), new Date("2014-12-31"), new Date("2015-12-31"), new Date("2016-12-31"), new Date("2017-12-31")], 2); 
+* // ~0.49
+*/
+self.sterlingRatio = function(portfolioEquityCurve, valuationDates, nbTopDrawdowns, riskFreeRate, dayCountConvention, holidayCalendar) {
+	// Compute the top drawdowns
+	var topDds = self.topDrawdowns(portfolioEquityCurve, nbTopDrawdowns);
+
+	// Compute the average of the top drawdowns
+	var avgTopDd = 0.0;
+	for (var i=0; i<topDds.length; ++i) {
+		avgTopDd += topDds[i][0];
+	}
+	if (topDds.length != 0) {
+		avgTopDd /= topDds.length;
+	}
+
+	// Compute and return the Sterling ratio, c.f. the reference
+	return drawdownRatio_(portfolioEquityCurve, valuationDates, riskFreeRate, avgTopDd, dayCountConvention, holidayCalendar);
+}
+
+
+/**
+* @function burkeRatio
+*
+* @summary Compute the Burke ratio of a portfolio.
+*
+* @description This function returns the Burke ratio of a portfolio, provided as an
+* equity curve together with its associated valuation dates.
+*
+* The Burke ratio is defined as the compound annual growth rate of the portfolio in excess of the risk free rate, 
+* divided by the square root of the sum of the squares of the top n drawdowns of the portfolio, c.f. the reference.
+*
+* @see Practical Portfolio Performance Measurement and Attribution, 2nd Edition, Carl R. Bacon, Wiley, 2008
+* 
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @param {Array.<Date>} valuationDates the portfolio valuation dates, an array of Dates of same length as portfolioEquityCurve.
+* @param {number} nbTopDrawdowns the (maximum) number of top drawdowns to use, a positive integer.
+* @param {number} riskFreeRate an optional annual risk free rate, a real number, defaulting to 0.
+* @param {string} dayCountConvention the day count convention to use to compute the compound annual growth rate, c.f. the yearFraction function; defaults to "actual/365.25".
+* @param {function} holidayCalendar the holiday calendar to use with the "business/252" day count convention, c.f. the yearFraction function.
+* @return {number} the Burke ratio of the portfolio.
+*
+* @example
+* burkeRatio([100, 90, 110, 100, 120], [new Date("2013-12-31"), new Date("2014-12-31"), new Date("2015-12-31"), new Date("2016-12-31"), new Date("2017-12-31")], 2); 
+* // ~0.35
+*/
+self.burkeRatio = function(portfolioEquityCurve, valuationDates, nbTopDrawdowns, riskFreeRate, dayCountConvention, holidayCalendar) {
+	// Compute the top drawdowns
+	var topDds = self.topDrawdowns(portfolioEquityCurve, nbTopDrawdowns);
+
+	// Compute the square root of the sum of the squares of the top drawdowns
+	var sumSquaresTopDd = 0.0;
+	for (var i=0; i<topDds.length; ++i) {
+		sumSquaresTopDd += topDds[i][0] * topDds[i][0];
+	}
+
+	// Compute and return the Burke ratio, c.f. the reference
+	return drawdownRatio_(portfolioEquityCurve, valuationDates, riskFreeRate, Math.sqrt(sumSquaresTopDd), dayCountConvention, holidayCalendar);
+}
+
+
+/**
+* @function ulcerPerformanceIndex
+*
+* @summary Compute the Ulcer performance index of a portfolio, also called the Martin ratio.
+*
+* @description This function returns the Ulcer performance index of a portfolio, provided as an
+* equity curve together with its associated valuation dates.
+*
+* The Ulcer performance index is defined as the compound annual growth rate of the portfolio in excess of the risk free rate, 
+* divided by the Ulcer index of the portfolio, c.f. the references.
+*
+* @see <a href="http://www.tangotools.com/ui/ui.htm">Ulcer Index, An Alternative Approach to the Measurement of Investment Risk & Risk-Adjusted Performance</a>
+* @see Practical Portfolio Performance Measurement and Attribution, 2nd Edition, Carl R. Bacon, Wiley, 2008
+* 
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @param {Array.<Date>} valuationDates the portfolio valuation dates, an array of Dates of same length as portfolioEquityCurve.
+* @param {number} riskFreeRate an optional annual risk free rate, a real number, defaulting to 0.
+* @param {string} dayCountConvention the day count convention to use to compute the compound annual growth rate, c.f. the yearFraction function; defaults to "actual/365.25".
+* @param {function} holidayCalendar the holiday calendar to use with the "business/252" day count convention, c.f. the yearFraction function.
+* @return {number} the Ulcer performance index of the portfolio.
+*
+* @example
+* ulcerPerformanceIndex([100, 90, 110], [new Date("2015-12-31"), new Date("2016-12-31"), new Date("2017-12-31")]); 
+* // ~0.84
+*/
+self.ulcerPerformanceIndex = function(portfolioEquityCurve, valuationDates, riskFreeRate, dayCountConvention, holidayCalendar) {
+	// Compute the Ulcer index
+	var ui = self.ulcerIndex(portfolioEquityCurve);
+
+	// Compute and return the Ulcer performance index, c.f. the references
+	return drawdownRatio_(portfolioEquityCurve, valuationDates, riskFreeRate, ui, dayCountConvention, holidayCalendar);
+}
+
+
+/**
+* @function painRatio
+*
+* @summary Compute the Pain ratio of a portfolio.
+*
+* @description This function returns the Pain ratio of a portfolio, provided as an
+* equity curve together with its associated valuation dates.
+*
+* The Pain ratio is defined as the compound annual growth rate of the portfolio in excess of the risk free rate, 
+* divided by the Pain index of the portfolio, c.f. the reference.
+*
+* @see <a href="http://www.styleadvisor.com/content/pain-index">Pain Index and Pain Ratio, White Paper, Zephyr Associates</a>
+* 
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @param {Array.<Date>} valuationDates the portfolio valuation dates, an array of Dates of same length as portfolioEquityCurve.
+* @param {number} riskFreeRate an optional annual risk free rate, a real number, defaulting to 0.
+* @param {string} dayCountConvention the day count convention to use to compute the compound annual growth rate, c.f. the yearFraction function; defaults to "actual/365.25".
+* @param {function} holidayCalendar the holiday calendar to use with the "business/252" day count convention, c.f. the yearFraction function.
+* @return {number} the Pain ratio of the portfolio.
+*
+* @example
+* painRatio([100, 90, 110], [new Date("2015-12-31"), new Date("2016-12-31"), new Date("2017-12-31")]); 
+* // ~1.46
+*/
+self.painRatio = function(portfolioEquityCurve, valuationDates, riskFreeRate, dayCountConvention, holidayCalendar) {
+	// Compute the Pain index
+	var pi = self.painIndex(portfolioEquityCurve);
+
+	// Compute and return the Pain ratio, c.f. the reference
+	return drawdownRatio_(portfolioEquityCurve, valuationDates, riskFreeRate, pi, dayCountConvention, holidayCalendar);
+}
+
+
+/**
+* @function drawdownRatio_
+*
+* @summary Internal function intended to compute a drawdown-based ratio of a portfolio.
+*
+* @description This internal function returns the compound annual growth rate of a portfolio, provided as an
+* equity curve together with its associated valuation dates, in excess of the risk free rate, 
+* divided by a drawdown-based measure of the risk of the portfolio.
+*
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @param {Array.<Date>} valuationDates the portfolio valuation dates, an array of Dates of same length as portfolioEquityCurve.
+* @param {number} riskFreeRate an optional annual risk free rate, a real number, defaulting to 0.
+* @param {number} drawdownMeasure the drawdown-based measure of the risk of the portfolio, a positive real number.
+* @param {string} dayCountConvention the day count convention to use to compute the compound annual growth rate, c.f. the yearFraction function; defaults to "actual/365.25".
+* @param {function} holidayCalendar the holiday calendar to use with the "business/252" day count convention, c.f. the yearFraction function.
+* @return {number} the drawdown-based ratio of the portfolio, or NaN if the drawdown-based measure is null.
+*
+* @example
+* drawdownRatio_([100, 90, 110], [new Date("2015-12-31"), new Date("2016-12-31"), new Date("2017-12-31")], 0.01, 0.1); 
+* // ~0.39
+*/
+function drawdownRatio_(portfolioEquityCurve, valuationDates, riskFreeRate, drawdownMeasure, dayCountConvention, holidayCalendar) {
+	// By default, the risk free rate is null
+	if (riskFreeRate === undefined) {
+		riskFreeRate = 0.0;
+	}
+
+	// The ratio is undefined in case there is no drawdown
+	if (drawdownMeasure == 0.0) {
+		return NaN;
+	}
+
+	// Compute the compound annual growth rate of the portfolio
+	var valCagr = self.cagr(portfolioEquityCurve, valuationDates, dayCountConvention, holidayCalendar);
+
+	// Compute and return the ratio
+	return (valCagr - riskFreeRate)/drawdownMeasure;
+}
@@ -5,6 +5,7 @@
 
 /* Start Wrapper private methods - Unit tests usage only */
 self.sharpeRatioStatistics_ = function(portfolioEquityCurve, benchmarkEquityCurve) { return sharpeRatioStatistics_(portfolioEquityCurve, benchmarkEquityCurve); }
+self.sharpeRatioMomentsStatistics_ = function(moments, nbReturns) { return sharpeRatioMomentsStatistics_(moments, nbReturns); }
 self.differentialReturns_ = function(portfolioEquityCurve, benchmarkEquityCurve) { return differentialReturns_(portfolioEquityCurve, benchmarkEquityCurve); }
 /* End Wrapper private methods - Unit tests usage only */
 
@@ -41,6 +42,84 @@ self.sharpeRatio = function(portfolioEquityCurve, benchmarkEquityCurve) {
 }  
 
 
+/**
+* @function robustSharpeRatio
+*
+* @summary Compute a robust Sharpe ratio of a portfolio v.s. a benchmark.
+*
+* @description This function returns a robust Sharpe ratio of a portfolio v.s. a benchmark, both provided as
+* equity curves, i.e. a Sharpe ratio whose estimators of location and of scale of the differential arithmetic returns 
+* (arithmetic returns of portfolio minus the arithmetic returns of the benchmark) are less sensitive to outliers than
+* the arithmetic mean and the sample standard deviation, c.f. the function sharpeRatio.
+*
+* The robust Sharpe ratio can be computed using one of the following methods:
+* - "median-mad" (default), defined as the median of the differential returns divided by their median absolute deviation,
+* scaled so as to be a consistent estimator of the standard deviation for normally distributed differential returns, c.f. the function mad_
+* - "median-iqr", defined as the median of the differential returns divided by their interquartile range,
+* scaled so as to be a consistent estimator of the standard deviation for normally distributed differential returns, c.f. the function iqr_
+* - "trimmed", defined as the trimmed mean of the differential returns divided by their winsorized sample standard deviation,
+* scaled so as to be a consistent estimator of the standard deviation for normally distributed differential returns, 
+* c.f. the functions trimmedMean_, winsorizedVariance_ and normalWinsorizedVariance_
+* - "winsorized", defined as the arithmetic mean of the winsorized differential returns divided by the same scaled
+* winsorized sample standard deviation as with the method "trimmed", c.f. the function winsorize_
+*
+* To be noted that, for normally distributed differential returns, all these robust Sharpe ratios estimate the Sharpe ratio.
+*
+* @see Peter J. Rousseeuw, Christophe Croux, Alternatives to the Median Absolute Deviation, Journal of the American Statistical Association, Vol. 88, No. 424 (1993), pp. 1273-1283
+* @see Rand R. Wilcox, Introduction to Robust Estimation and Hypothesis Testing, Academic Press
+* 
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @param {Array.<number>} benchmarkEquityCurve the benchmark equity curve, an array of real numbers of the same length as portfolioEquityCurve.
+* @param {string} method an optional string, either "median-mad" (default), "median-iqr", "trimmed" or "winsorized", 
+* indicating the method to use to compute the robust Sharpe ratio.
+* @param {number} proportion an optional proportion of differential returns to trim or to winsorize at each end with the methods 
+* "trimmed" and "winsorized", a real number belonging to interval [0,0.5[; defaults to 0.1.
+* @return {number} the robust Sharpe ratio of the portfolio v.s. the benchmark.
+*
+* @example
+* robustSharpeRatio([100, 110, 105, 107.5, 115], [100, 100, 100, 100, 100]);
+* // ~0.83
+*/
+self.robustSharpeRatio = function(portfolioEquityCurve, benchmarkEquityCurve, method, proportion) {
+	// Initialize default parameters
+	if (method === undefined) {
+		method = "median-mad";
+	}
+	if (proportion === undefined) {
+		proportion = 0.1;
+	}
+
+	// Compute the differential returns
+	var diffReturns = differentialReturns_(portfolioEquityCurve, benchmarkEquityCurve);
+
+	// Compute the robust estimators of location and of scale of the differential returns, depending on the method
+	var location;
+	var scale;
+	if (method == "median-mad") {
+		location = median_(diffReturns);
+		scale = mad_(diffReturns)/norminv_(0.75);
+	}
+	else if (method == "median-iqr") {
+		location = median_(diffReturns);
+		scale = iqr_(diffReturns)/(2 * norminv_(0.75));
+	}
+	else if (method == "trimmed") {
+		location = trimmedMean_(diffReturns, proportion);
+		scale = Math.sqrt(winsorizedVariance_(diffReturns, proportion)/normalWinsorizedVariance_(proportion));
+	}
+	else if (method == "winsorized") {
+		location = mean_(winsorize_(diffReturns, proportion));
+		scale = Math.sqrt(winsorizedVariance_(diffReturns, proportion)/normalWinsorizedVariance_(proportion));
+	}
+	else {
+		throw new Error('unsupported robust method: ' + method);
+	}
+
+	// Compute and return the robust Sharpe ratio
+	return location/scale;
+}
+
+
 /**
 * @function sharpeRatioStatistics_
 *
@@ -76,6 +155,40 @@ function sharpeRatioStatistics_(portfolioEquityCurve, benchmarkEquityCurve) {
 	// Compute the differential returns and associated statistics
 	var differentialReturns = differentialReturns_(portfolioEquityCurve, benchmarkEquityCurve);
 	var moments = sampleMoments_(differentialReturns);
+
+	// Compute and return the Sharpe ratio statistics
+	return sharpeRatioMomentsStatistics_(moments, differentialReturns.length);
+}
+
+
+/**
+* @function sharpeRatioMomentsStatistics_
+*
+* @summary Internal function intended to compute the Sharpe ratio, the Sharpe ratio variance
+* and the Sharpe ratio asymptotic bias from the sample moments of the differential returns.
+*
+* @description This internal function returns the Sharpe ratio, the Sharpe ratio variance and the Sharpe ratio
+* asymptotic bias of a portfolio v.s. a benchmark, given the sample moments of their differential arithmetic returns,
+* c.f. the function sharpeRatioStatistics_.
+*
+* This function allows to compute these statistics without the differential returns themselves, 
+* e.g. from the sample moments computed online by a moments accumulator.
+*
+* @see <a href="http://www.iijournals.com/doi/abs/10.3905/jpm.1994.409501?journalCode=jpm">The Sharpe Ratio, William F. Sharpe, The Journal of Portfolio Management, Fall 1994, Vol. 21, No. 1: pp.49-58</a>
+* @see <a href="http://link.springer.com/article/10.1057/palgrave.jam.2250084">Comparing Sharpe ratios: So where are the p-values, J.D. Opdyke, Journal of Asset Management (2007) 8, 308–336</a>
+* 
+* @param {Array.<number>} moments the arithmetic mean, the sample variance, the sample standard deviation,
+* the sample skewness and the sample kurtosis of the differential returns, c.f. the function sampleMoments_.
+* @param {number} nbReturns the number of differential returns, a positive integer.
+* @return {Array.<number>} the Sharpe ratio of the portfolio v.s. the benchmark, the variance of the Sharpe ratio and the
+* asymptotic bias of the Sharpe ratio.
+*
+* @example
+* sharpeRatioMomentsStatistics_(sampleMoments_([0.1, -0.045454545454545456, 0.023809523809523808, 0.06976744186046512]), 4);
+* // [0.5851289093221407, 0.5228801702220195, 1.1019640163238367]
+*/
+function sharpeRatioMomentsStatistics_(moments, nbReturns) {
+	// Initialisations
 	var m = moments[0];
 	var sigma = moments[2];
 	var s = moments[3];	
@@ -85,10 +198,10 @@ function sharpeRatioStatistics_(portfolioEquityCurve, benchmarkEquityCurve) {
 	var sr = m/sigma;
 
 	// Compute the Sharpe ratio variance, as defined by formula (8) of the second reference
-	var srVar = (1 + 0.25 * sr * sr *(k - 1) - sr * s)/(differentialReturns.length - 1);
+	var srVar = (1 + 0.25 * sr * sr *(k - 1) - sr * s)/(nbReturns - 1);
 
 	// Compute the Sharpe ratio asymptotic bias, c.f. formula 11b of the second reference
-	var srBias = 1 + 0.25 * (k - 1)/differentialReturns.length;
+	var srBias = 1 + 0.25 * (k - 1)/nbReturns;
 
 	// Return them
 	return [sr, srVar, srBias];
@@ -176,7 +289,8 @@ self.biasAdjustedSharpeRatio = function(portfolioEquityCurve, benchmarkEquityCur
 *
 * To be noted that the algorithm approximates the standard deviation of the Sharpe ratio through its asymptotic closed form formula,
 * dependant on the skewness and on the kurtosis of the differential returns of the portfolio v.s. the benchmark, c.f. the second reference,
-* and not through a bootstrap procedure originally described in the first reference.
+* and not through a bootstrap procedure originally described in the first reference, c.f. the bootstrapDoubleSharpeRatio function
+* for this procedure.
 *	
 * @see <a href="https://ssrn.com/abstract=168748">Vinod, Hrishikesh D. and Morey, Matthew R., A Double Sharpe Ratio (June 1, 1999).</a>
 * @see <a href="http://link.springer.com/article/10.1057/palgrave.jam.2250084">Comparing Sharpe ratios: So where are the p-values, J.D. Opdyke, Journal of Asset Management (2007) 8, 308–336</a>
@@ -332,3 +446,200 @@ self.minimumTrackRecordLength = function(portfolioEquityCurve, benchmarkEquityCu
 	// And return it
 	return mtl;
 }
+
+
+/**
+* @function expectedMaximumSharpeRatio
+*
+* @summary Compute the expected maximum Sharpe ratio of a number of independent trials with null true Sharpe ratios.
+*
+* @description This function returns the expected maximum Sharpe ratio of a number of independent trials 
+* (e.g. the backtests of several variants of a strategy), under the null hypothesis that the true Sharpe ratios
+* of all the trials are equal to 0, given the variance of the Sharpe ratios across the trials, c.f. the reference.
+*
+* The expected maximum Sharpe ratio is approximated using the formula of the reference, based on the 
+* expected maximum of a sample of independent standard normal random variables.
+*
+* To be noted that the variance of the Sharpe ratios across the trials must be expressed in the original frequency
+* of the portfolio valuations (i.e., not annualized), and that the expected maximum Sharpe ratio of a single trial is 0.
+*
+* @see David H. Bailey, Marcos Lopez de Prado, The Deflated Sharpe Ratio: Correcting for Selection Bias, Backtest Overfitting and Non-Normality, The Journal of Portfolio Management, Vol. 40, No. 5, 2014
+* 
+* @param {number} nbTrials the number of independent trials, a positive integer.
+* @param {number} sharpeRatiosVariance the variance of the Sharpe ratios across the trials, a positive real number.
+* @return {number} the expected maximum Sharpe ratio of the trials.
+*
+* @example
+* expectedMaximumSharpeRatio(10, 0.1); 
+* // ~0.50
+*/
+self.expectedMaximumSharpeRatio = function(nbTrials, sharpeRatiosVariance) {
+	// The expected maximum Sharpe ratio of a single trial is its expected Sharpe ratio
+	if (nbTrials == 1) {
+		return 0;
+	}
+	
+	// Compute the expected maximum Sharpe ratio, as defined by the formula of the proposition 1 of the reference
+	var eulerMascheroni = 0.5772156649015329;
+	var emax = (1 - eulerMascheroni) * norminv_(1 - 1/nbTrials) + eulerMascheroni * norminv_(1 - 1/(nbTrials * Math.E));
+
+	// And return it
+	return Math.sqrt(sharpeRatiosVariance) * emax;
+}
+
+
+/**
+* @function deflatedSharpeRatio
+*
+* @summary Compute the deflated Sharpe ratio of a portfolio v.s. a benchmark.
+*
+* @description This function returns the deflated Sharpe ratio of a portfolio v.s. a benchmark, both provided as
+* equity curves, selected as the best of a number of independent trials.
+*
+* The deflated Sharpe ratio is defined as the probabilistic Sharpe ratio of the portfolio v.s. the benchmark, 
+* assessed against the expected maximum Sharpe ratio of the trials under the null hypothesis of no investment skill, 
+* c.f. the reference and the probabilisticSharpeRatio and expectedMaximumSharpeRatio functions.
+*
+* The deflated Sharpe ratio thus corrects the probabilistic Sharpe ratio for the selection bias under multiple testing
+* (e.g. when the portfolio is the best among hundreds of backtested variants of a strategy), in addition to the
+* non-normality of the portfolio returns and to the length of the track record.
+*
+* To be noted that calculations are done in the original frequency of the portfolio valuations,
+* so that the variance of the Sharpe ratios across the trials must not be annualized.
+*
+* @see David H. Bailey, Marcos Lopez de Prado, The Deflated Sharpe Ratio: Correcting for Selection Bias, Backtest Overfitting and Non-Normality, The Journal of Portfolio Management, Vol. 40, No. 5, 2014
+* 
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @param {Array.<number>} benchmarkEquityCurve the benchmark equity curve, an array of real numbers of the same length as portfolioEquityCurve.
+* @param {number} nbTrials the number of independent trials, a positive integer.
+* @param {number} sharpeRatiosVariance the variance of the Sharpe ratios across the trials, a positive real number.
+* @return {number} the deflated Sharpe ratio of the portfolio v.s. the benchmark, expressed as a percentage.
+*
+* @example
+* deflatedSharpeRatio([100, 110, 105, 107.5, 115], [100, 100, 100, 100, 100], 10, 0.1); 
+* // ~0.55; // Indicates that the portfolio v.s. benchmark Sharpe ratio is greater than the expected maximum Sharpe ratio 
+* of 10 trials without investment skill with a confidence level of 55%
+*/
+self.deflatedSharpeRatio = function(portfolioEquityCurve, benchmarkEquityCurve, nbTrials, sharpeRatiosVariance) {
+	// Compute the Sharpe ratio statistics
+	var srs = sharpeRatioStatistics_(portfolioEquityCurve, benchmarkEquityCurve);
+	var sr = srs[0];
+	var srStdDev = Math.sqrt(srs[1]);
+
+	// Compute the expected maximum Sharpe ratio of the trials
+	var sr0 = self.expectedMaximumSharpeRatio(nbTrials, sharpeRatiosVariance);
+	
+	// Then compute the deflated Sharpe ratio, as defined by the formula of the reference
+	var x = (sr - sr0)/srStdDev;
+	var dsr = normcdf_(x);
+
+	// And return it
+	return dsr;
+}
+
+
+/**
+* @function sharpeRatioDifferenceTest
+*
+* @summary Test the difference between the Sharpe ratios of two portfolios v.s. a benchmark.
+*
+* @description This function returns the difference between the Sharpe ratios of two portfolios v.s. a common benchmark, 
+* all provided as equity curves, together with the standard error of this difference, the associated z-statistic 
+* and the associated two-sided p-value under the null hypothesis of equal Sharpe ratios.
+*
+* The standard error of the difference between the two Sharpe ratios is approximated through its asymptotic 
+* closed form formula, computed using either:
+* - The Jobson-Korkie test with the Memmel correction, valid under the assumption of jointly normal returns, c.f. the first and the second references
+* - The Opdyke test, valid under the weaker assumption of stationary and ergodic returns, so that non-normal and 
+* correlated returns are allowed, c.f. the third reference
+*
+* To be noted that the Opdyke test reduces to the Jobson-Korkie test with the Memmel correction in case of normal returns.
+*
+* @see J.D. Jobson, Bob M. Korkie, Performance Hypothesis Testing with the Sharpe and Treynor Measures, The Journal of Finance, Vol. 36, No. 4 (1981), pp. 889-908
+* @see Christoph Memmel, Performance Hypothesis Testing with the Sharpe Ratio, Finance Letters, 2003, 1, 21-23
+* @see <a href="http://link.springer.com/article/10.1057/palgrave.jam.2250084">Comparing Sharpe ratios: So where are the p-values, J.D. Opdyke, Journal of Asset Management (2007) 8, 308–336</a>
+* 
+* @param {Array.<number>} portfolioEquityCurve the first portfolio equity curve, an array of real numbers.
+* @param {Array.<number>} otherPortfolioEquityCurve the second portfolio equity curve, an array of real numbers of the same length as portfolioEquityCurve.
+* @param {Array.<number>} benchmarkEquityCurve the benchmark equity curve, an array of real numbers of the same length as portfolioEquityCurve.
+* @param {string} method optional, the method used to compute the standard error of the difference between the two Sharpe ratios,
+* a string either equals to:
+* - "jobson-korkie-memmel", in order to use the Jobson-Korkie test with the Memmel correction
+* - "opdyke", in order to use the Opdyke test
+* ; defaults to "opdyke".
+* @return {Array.<number>} the difference between the Sharpe ratio of the first portfolio v.s. the benchmark and the Sharpe ratio 
+* of the second portfolio v.s. the benchmark, the standard error of this difference, the associated z-statistic and 
+* the associated two-sided p-value, in this order.
+*
+* @example
+* sharpeRatioDifferenceTest([100, 110, 105, 107.5, 115], [100, 102, 104, 103, 106], [100, 100, 100, 100, 100], "jobson-korkie-memmel"); 
+* // [~-0.29, ~0.72, ~-0.41, ~0.69]
+*/
+self.sharpeRatioDifferenceTest = function(portfolioEquityCurve, otherPortfolioEquityCurve, benchmarkEquityCurve, method) {
+	// Initialisations
+	if (method === undefined) {
+		method = "opdyke";
+	}
+	
+	// Compute the differential returns of the two portfolios and associated statistics
+	var x = differentialReturns_(portfolioEquityCurve, benchmarkEquityCurve);
+	var y = differentialReturns_(otherPortfolioEquityCurve, benchmarkEquityCurve);
+	var nn = x.length;
+	var xMoments = sampleMoments_(x);
+	var yMoments = sampleMoments_(y);
+	var xMean = xMoments[0];
+	var xStddev = xMoments[2];
+	var yMean = yMoments[0];
+	var yStddev = yMoments[2];
+	
+	// Compute the Sharpe ratios of the two portfolios, and their difference
+	var xSr = xMean/xStddev;
+	var ySr = yMean/yStddev;
+	var srDiff = xSr - ySr;
+
+	// Compute the correlation and the co-moments of the standardized differential returns of the two portfolios
+	var sumXY = 0.0;
+	var sumXYY = 0.0;
+	var sumXXY = 0.0;
+	var sumXXYY = 0.0;
+	for (var i=0; i<nn; ++i) {
+		var xx = (x[i] - xMean)/xStddev;
+		var yy = (y[i] - yMean)/yStddev;
+		var xxyy = xx * yy;
+		sumXY += xxyy;
+		sumXYY += xxyy * yy;
+		sumXXY += xxyy * xx;
+		sumXXYY += xxyy * xxyy;
+	}
+	var rho = sumXY/(nn - 1); // Not sumXY/nn to make sure computation matches with the sample correlation
+	
+	// Compute the variance of the difference between the two Sharpe ratios
+	var srDiffVar;
+	if (method == "jobson-korkie-memmel") {
+		// Compute the variance, as defined by the formula of the second reference
+		srDiffVar = (2 - 2*rho + 0.5 * (xSr*xSr + ySr*ySr - 2*xSr*ySr*rho*rho))/nn;
+	}
+	else if (method == "opdyke") {
+		// Compute the variances of the two Sharpe ratios, as defined by the formula (8) of the third reference
+		// (c.f. also the function sharpeRatioStatistics_)
+		var xSrVar = 1 + 0.25 * xSr * xSr * (xMoments[4] - 1) - xSr * xMoments[3];
+		var ySrVar = 1 + 0.25 * ySr * ySr * (yMoments[4] - 1) - ySr * yMoments[3];
+		
+		// Compute the covariance of the two Sharpe ratios, c.f. the third reference
+		var srCovar = rho - 0.5 * ySr * sumXYY/nn - 0.5 * xSr * sumXXY/nn + 0.25 * xSr * ySr * (sumXXYY/nn - 1);
+		
+		// Compute the variance, c.f. the third reference
+		srDiffVar = (xSrVar + ySrVar - 2 * srCovar)/(nn - 1);
+	}
+	else {
+		throw new Error('unsupported sharpe ratio difference test method: ' + method);
+	}
+	var srDiffStddev = Math.sqrt(srDiffVar);
+	
+	// Compute the z-statistic and the associated two-sided p-value
+	var z = srDiff/srDiffStddev;
+	var pValue = 2 * normcdf_(-Math.abs(z));
+	
+	// Return them
+	return [srDiff, srDiffStddev, z, pValue];
+}
@@ -0,0 +1,268 @@
+/**
+ * @file Functions related to calendar returns computation.
+ * @author Roman Rubsamen <roman.rubsamen@gmail.com>
+ */
+
+/* Start Wrapper private methods - Unit tests usage only */
+self.calendarPeriod_ = function(date, calendarPeriodicity) { return calendarPeriod_(date, calendarPeriodicity); }
+self.lastValuationIndex_ = function(valuationDates, year, month, day) { return lastValuationIndex_(valuationDates, year, month, day); }
+/* End Wrapper private methods - Unit tests usage only */
+
+
+/**
+* @function calendarReturns
+*
+* @summary Compute the calendar month, quarter or year returns of a portfolio.
+*
+* @description This function returns the calendar returns of a portfolio, provided as an
+* equity curve together with its associated valuation dates, aggregated by calendar month, 
+* calendar quarter or calendar year.
+*
+* The return of a portfolio over a calendar period is defined as the cumulative return of the portfolio 
+* from its last valuation before the calendar period (or its first valuation, for the first calendar period) 
+* to its last valuation within the calendar period, c.f. the cumulativeReturn function.
+*
+* Calendar periods without valuation dates are skipped, and the calendar period of the first valuation date 
+* is skipped if it does not contain other valuation dates.
+*
+* To be noted that the calendar periods are determined using the calendar dates of the valuation dates, 
+* c.f. the calendarDate_ function, consistent with the day count computations of the cagr function.
+*
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @param {Array.<Date>} valuationDates the portfolio valuation dates, an array of Dates of same length as portfolioEquityCurve, sorted in increasing order.
+* @param {string} calendarPeriodicity the calendar periods to aggregate the returns on, a string either equal to "monthly", "quarterly" or "annual".
+* @return {Array.<Array.<number>>} the calendar returns of the portfolio, an array of arrays of three elements
+* [year, period number (from 1 to 12 for months, from 1 to 4 for quarters, and 1 for years), calendar period return], 
+* sorted in increasing order.
+*
+* @example
+* calendarReturns([100, 110, 99, 108.9], [new Date("2016-12-31"), new Date("2017-01-31"), new Date("2017-02-28"), new Date("2017-03-31")], "monthly");
+* // [[2017, 1, ~0.1], [2017, 2, ~-0.1], [2017, 3, ~0.1]]
+*/
+self.calendarReturns = function(portfolioEquityCurve, valuationDates, calendarPeriodicity) {
+	// Initialisations
+	var calReturns = [];
+	if (portfolioEquityCurve.length == 0) {
+		return calReturns;
+	}
+	
+	// Loop over the valuation dates, detecting the ends of the calendar periods
+	var idxBase = 0;
+	var currentPeriod = calendarPeriod_(valuationDates[0], calendarPeriodicity);
+	for (var i=1; i<=valuationDates.length; ++i) {
+		var period = (i < valuationDates.length) ? calendarPeriod_(valuationDates[i], calendarPeriodicity) : null;
+		
+		if (period === null || period[0] != currentPeriod[0] || period[1] != currentPeriod[1]) {
+			// The current calendar period ends at the previous valuation date
+			var idxEnd = i - 1;
+			if (idxEnd > idxBase) {
+				calReturns.push([currentPeriod[0], currentPeriod[1], 
+				                 self.cumulativeReturn([portfolioEquityCurve[idxBase], portfolioEquityCurve[idxEnd]])]);
+			}
+			
+			// The next calendar period starts from the end of the current calendar period
+			idxBase = idxEnd;
+			currentPeriod = period;
+		}
+	}
+	
+	// Return the calendar returns
+	return calReturns;
+}
+
+
+/**
+* @function monthlyReturnsTable
+*
+* @summary Compute the monthly returns table of a portfolio.
+*
+* @description This function returns the monthly returns table of a portfolio, provided as an
+* equity curve together with its associated valuation dates.
+*
+* The monthly returns table of a portfolio is made of one row per calendar year, containing the year, 
+* the twelve calendar month returns of the portfolio for this year (NaN if undefined) and the calendar year return 
+* of the portfolio (i.e., the compounded calendar month returns), c.f. the calendarReturns function.
+*
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @param {Array.<Date>} valuationDates the portfolio valuation dates, an array of Dates of same length as portfolioEquityCurve, sorted in increasing order.
+* @return {Array.<Array.<number>>} the monthly returns table of the portfolio, an array of arrays of fourteen elements
+* [year, january return, ..., december return, year return], sorted in increasing order of years.
+*
+* @example
+* monthlyReturnsTable([100, 110, 99], [new Date("2016-12-31"), new Date("2017-01-31"), new Date("2017-02-28")]);
+* // [[2017, ~0.1, ~-0.1, NaN, NaN, NaN, NaN, NaN, NaN, NaN, NaN, NaN, NaN, ~-0.01]]
+*/
+self.monthlyReturnsTable = function(portfolioEquityCurve, valuationDates) {
+	// Compute the calendar month and calendar year returns
+	var monthlyReturns = self.calendarReturns(portfolioEquityCurve, valuationDates, "monthly");
+	var yearlyReturns = self.calendarReturns(portfolioEquityCurve, valuationDates, "annual");
+	
+	// Build the table, with one row per calendar year
+	var table = [];
+	var j = 0;
+	for (var i=0; i<yearlyReturns.length; ++i) {
+		var year = yearlyReturns[i][0];
+		var row = [year, NaN, NaN, NaN, NaN, NaN, NaN, NaN, NaN, NaN, NaN, NaN, NaN, yearlyReturns[i][2]];
+		while (j < monthlyReturns.length && monthlyReturns[j][0] == year) {
+			row[monthlyReturns[j][1]] = monthlyReturns[j][2];
+			++j;
+		}
+		table.push(row);
+	}
+	
+	// Return the table
+	return table;
+}
+
+
+/**
+* @function trailingReturn
+*
+* @summary Compute a trailing return of a portfolio.
+*
+* @description This function returns a trailing return of a portfolio, provided as an
+* equity curve together with its associated valuation dates, the trailing period ending at the last valuation date.
+*
+* The supported trailing periods are:
+* - "mtd", "qtd", "ytd": month to date, quarter to date and year to date, corresponding to the cumulative return of the portfolio
+* since its last valuation before the current calendar month, quarter or year
+* - "1y": one year, corresponding to the cumulative return of the portfolio since its last valuation on or before the same day one year before
+* - "3y", "5y": three and five years, corresponding to the annualized return of the portfolio, c.f. the cagr function, 
+* since its last valuation on or before the same day three (resp. five) years before
+* - "inception": since inception, corresponding to the annualized return of the portfolio since its first valuation, c.f. the cagr function
+*
+* If the portfolio valuations do not cover the whole trailing period, the trailing return is NaN.
+*
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @param {Array.<Date>} valuationDates the portfolio valuation dates, an array of Dates of same length as portfolioEquityCurve, sorted in increasing order.
+* @param {string} trailingPeriod the trailing period, a string either equal to "mtd", "qtd", "ytd", "1y", "3y", "5y" or "inception".
+* @param {string} dayCountConvention the day count convention to use to compute the annualized returns, c.f. the yearFraction function; defaults to "actual/365.25".
+* @param {function} holidayCalendar the holiday calendar to use with the "business/252" day count convention, c.f. the yearFraction function.
+* @return {number} the trailing return of the portfolio, expressed as a percentage.
+*
+* @example
+* trailingReturn([100, 110, 99, 108.9], [new Date("2016-12-31"), new Date("2017-01-31"), new Date("2017-02-28"), new Date("2017-03-31")], "ytd");
+* // ~0.089
+*/
+self.trailingReturn = function(portfolioEquityCurve, valuationDates, trailingPeriod, dayCountConvention, holidayCalendar) {
+	// Initialisations
+	var idxLast = valuationDates.length - 1;
+	var lastDate = valuationDates[idxLast];
+	var lastCalendarDate = calendarDate_(lastDate);
+	var year = lastCalendarDate.getUTCFullYear();
+	var month = lastCalendarDate.getUTCMonth();
+	var day = lastCalendarDate.getUTCDate();
+	
+	// Compute the index of the valuation date at the start of the trailing period,
+	// as well as whether the trailing return must be annualized
+	var idxBase = -1;
+	var annualized = false;
+	if (trailingPeriod == "mtd") {
+		idxBase = lastValuationIndex_(valuationDates, year, month, 0); // Last day of the previous month
+	}
+	else if (trailingPeriod == "qtd") {
+		idxBase = lastValuationIndex_(valuationDates, year, month - month % 3, 0); // Last day of the previous quarter
+	}
+	else if (trailingPeriod == "ytd") {
+		idxBase = lastValuationIndex_(valuationDates, year, 0, 0); // Last day of the previous year
+	}
+	else if (trailingPeriod == "1y" || trailingPeriod == "3y" || trailingPeriod == "5y") {
+		var nbYears = parseInt(trailingPeriod, 10);
+		
+		// Same day nbYears years before, with the 29th of February being mapped to the 28th of February if required
+		var startDay = Math.min(day, new Date(Date.UTC(year - nbYears, month + 1, 0)).getUTCDate());
+		idxBase = lastValuationIndex_(valuationDates, year - nbYears, month, startDay);
+		annualized = (nbYears > 1);
+	}
+	else if (trailingPeriod == "inception") {
+		idxBase = 0;
+		annualized = true;
+	}
+	else {
+		throw new Error('unsupported trailing period: ' + trailingPeriod);
+	}
+	
+	// If the portfolio valuations do not cover the whole trailing period, the trailing return is undefined
+	if (idxBase == -1 || idxBase == idxLast) {
+		return NaN;
+	}
+	
+	// Compute and return the trailing return
+	if (annualized) {
+		return self.cagr([portfolioEquityCurve[idxBase], portfolioEquityCurve[idxLast]], [valuationDates[idxBase], lastDate], dayCountConvention, holidayCalendar);
+	}
+	else {
+		return self.cumulativeReturn([portfolioEquityCurve[idxBase], portfolioEquityCurve[idxLast]]);
+	}
+}
+
+
+/**
+* @function calendarPeriod_
+*
+* @summary Internal function intended to compute the calendar period of a date.
+*
+* @description This internal function returns the calendar month, calendar quarter or calendar year of a date, 
+* using the calendar date of the date, c.f. the calendarDate_ function.
+*
+* @param {Date} date the date.
+* @param {string} calendarPeriodicity the calendar periodicity, a string either equal to "monthly", "quarterly" or "annual".
+* @return {Array.<number>} the calendar period of the date, an array of two elements [year, period number], the period number being
+* from 1 to 12 for months, from 1 to 4 for quarters and 1 for years.
+*
+* @example
+* calendarPeriod_(new Date(2017, 4, 15), "quarterly");
+* // [2017, 2]
+*/
+function calendarPeriod_(date, calendarPeriodicity) {
+	var calendarDate = calendarDate_(date);
+	var year = calendarDate.getUTCFullYear();
+	var month = calendarDate.getUTCMonth();
+	
+	if (calendarPeriodicity == "monthly") {
+		return [year, month + 1];
+	}
+	else if (calendarPeriodicity == "quarterly") {
+		return [year, Math.floor(month / 3) + 1];
+	}
+	else if (calendarPeriodicity == "annual") {
+		return [year, 1];
+	}
+	else {
+		throw new Error('unsupported calendar periodicity: ' + calendarPeriodicity);
+	}
+}
+
+
+/**
+* @function lastValuationIndex_
+*
+* @summary Internal function intended to compute the index of the last valuation date on or before a calendar day.
+*
+* @description This internal function returns the index of the last valuation date whose calendar date 
+* (c.f. the calendarDate_ function) is on or before
+* a calendar day, provided as a year, a month and a day, following the conventions of the Date constructor 
+* (e.g., the day 0 of a month is the last day of the previous month).
+*
+* @param {Array.<Date>} valuationDates the valuation dates, an array of Dates sorted in increasing order.
+* @param {number} year the year of the calendar day.
+* @param {number} month the month of the calendar day, from 0 to 11.
+* @param {number} day the day of the calendar day.
+* @return {number} the index of the last valuation date on or before the calendar day, or -1 if there is no such valuation date.
+*
+* @example
+* lastValuationIndex_([new Date(2016, 11, 31), new Date(2017, 0, 31)], 2017, 0, 0);
+* // 0
+*/
+function lastValuationIndex_(valuationDates, year, month, day) {
+	// Normalize the calendar day, and compute the next calendar day, at midnight UTC
+	var nextDay = new Date(Date.UTC(year, month, day + 1));
+	
+	// Search for the last valuation date whose calendar date is strictly before the next calendar day
+	for (var i=valuationDates.length-1; i>=0; --i) {
+		if (calendarDate_(valuationDates[i]) < nextDay) {
+			return i;
+		}
+	}
+	return -1;
+}
@@ -0,0 +1,304 @@
+/**
+ * @file Functions related to returns computation in presence of external cash flows.
+ * @author Roman Rubsamen <roman.rubsamen@gmail.com>
+ */
+
+/* Start Wrapper private methods - Unit tests usage only */
+self.cashFlowsAdjustedReturns_ = function(portfolioEquityCurve, cashFlows) { return cashFlowsAdjustedReturns_(portfolioEquityCurve, cashFlows); }
+self.internalRateOfReturn_ = function(cashFlows, cashFlowsTimes) { return internalRateOfReturn_(cashFlows, cashFlowsTimes); }
+/* End Wrapper private methods - Unit tests usage only */
+
+
+/**
+* @function timeWeightedReturn
+*
+* @summary Compute the time-weighted return of a portfolio in presence of external cash flows.
+*
+* @description This function returns the time-weighted return of a portfolio, provided as an
+* equity curve together with the external cash flows (deposits and withdrawals) associated to each valuation.
+*
+* The time-weighted return of a portfolio is defined as the chain-linked product of the sub-period returns
+* of the portfolio, each sub-period return being adjusted for the external cash flow occuring at the end
+* of the sub-period, c.f. the reference.
+*
+* By convention, the external cash flow cashFlows[i] is supposed to occur at the end of the i-th period, 
+* so that it is included in the valuation portfolioEquityCurve[i].
+*
+* @see Practical Portfolio Performance Measurement and Attribution, 2nd Edition, Carl R. Bacon, Wiley, 2008
+* 
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @param {Array.<number>} cashFlows the portfolio external cash flows, an array of real numbers of same length as portfolioEquityCurve,
+* with positive values for deposits and negative values for withdrawals.
+* @return {number} the time-weighted return of the portfolio, expressed as a percentage.
+*
+* @example
+* timeWeightedReturn([100, 160, 144], [0, 50, 0]); 
+* // ~-0.01, i.e. 10% return over the first period and -10% return over the second period
+*/
+self.timeWeightedReturn = function(portfolioEquityCurve, cashFlows) {
+	// Compute the time-weighted equity curve
+	var twrEquityCurve = self.timeWeightedEquityCurve(portfolioEquityCurve, cashFlows);
+
+	// Compute and return the time-weighted return
+	return self.cumulativeReturn(twrEquityCurve);
+}
+
+
+/**
+* @function timeWeightedEquityCurve
+*
+* @summary Compute the time-weighted equity curve of a portfolio in presence of external cash flows.
+*
+* @description This function returns the time-weighted equity curve of a portfolio, provided as an
+* equity curve together with the external cash flows (deposits and withdrawals) associated to each valuation.
+*
+* The time-weighted equity curve of a portfolio is the equity curve of the portfolio cleaned from its external cash flows, 
+* starting from the initial portfolio valuation and compounding the sub-period returns adjusted for the external cash flows, 
+* c.f. the timeWeightedReturn function.
+*
+* The time-weighted equity curve can then be provided to all the other functions of the library.
+*
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @param {Array.<number>} cashFlows the portfolio external cash flows, c.f. the timeWeightedReturn function.
+* @return {Array.<number>} the time-weighted equity curve of the portfolio.
+*
+* @example
+* timeWeightedEquityCurve([100, 160, 144], [0, 50, 0]); 
+* // [100, 110, ~99]
+*/
+self.timeWeightedEquityCurve = function(portfolioEquityCurve, cashFlows) {
+	// Compute the returns adjusted for the external cash flows
+	var returns = cashFlowsAdjustedReturns_(portfolioEquityCurve, cashFlows);
+
+	// Compute the time-weighted equity curve
+	var twrEquityCurve = new portfolioEquityCurve.constructor(portfolioEquityCurve.length); // Inherit the array type from the input array
+	twrEquityCurve[0] = portfolioEquityCurve[0];
+	for (var i=1; i<portfolioEquityCurve.length; ++i) {
+		twrEquityCurve[i] = twrEquityCurve[i-1] * (1 + returns[i]);
+	}
+
+	// Return the time-weighted equity curve
+	return twrEquityCurve;
+}
+
+
+/**
+* @function modifiedDietzReturns
+*
+* @summary Compute the period-to-period Modified Dietz returns of a portfolio in presence of external cash flows.
+*
+* @description This function returns the period-to-period Modified Dietz returns of a portfolio, provided as an
+* equity curve together with its valuation dates and with dated external cash flows (deposits and withdrawals).
+*
+* The Modified Dietz return of a portfolio over a valuation period is defined as the gain of the portfolio over the period
+* (i.e., the final portfolio valuation minus the initial portfolio valuation minus the external cash flows) divided by the
+* average capital invested over the period (i.e., the initial portfolio valuation plus the external cash flows weighted by 
+* the proportion of the period during which they were invested), c.f. the reference.
+*
+* By convention, an external cash flow occuring at a valuation date is supposed to occur at the end of the valuation period 
+* ending at this date, so that it is included in the corresponding valuation and has a null weight.
+*
+* To be noted that the external cash flows are assigned to the valuation periods by comparing calendar dates, 
+* c.f. the nbCalendarDays_ function.
+*
+* @see Practical Portfolio Performance Measurement and Attribution, 2nd Edition, Carl R. Bacon, Wiley, 2008
+* 
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @param {Array.<Date>} valuationDates the portfolio valuation dates, an array of Dates of same length as portfolioEquityCurve, sorted in increasing order.
+* @param {Array.<number>} cashFlows the portfolio external cash flows, an array of real numbers, with positive values for deposits and negative values for withdrawals.
+* @param {Array.<Date>} cashFlowsDates the dates of the portfolio external cash flows, an array of Dates of same length as cashFlows.
+* @return {Array.<number>} the period-to-period Modified Dietz returns of the portfolio, 
+* with the convention that the first return is NaN, expressed as percentages.
+*
+* @example
+* modifiedDietzReturns([100, 160], [new Date("2017-01-01"), new Date("2017-01-31")], [50], [new Date("2017-01-16")]); 
+* // [NaN, 0.08]
+*/
+self.modifiedDietzReturns = function(portfolioEquityCurve, valuationDates, cashFlows, cashFlowsDates) {
+	// Compute the calendar dates of the external cash flows
+	var cashFlowsCalendarDates = new Array(cashFlows.length);
+	for (var j=0; j<cashFlows.length; ++j) {
+		cashFlowsCalendarDates[j] = calendarDate_(cashFlowsDates[j]);
+	}
+
+	// Compute the Modified Dietz returns
+	var returns = new portfolioEquityCurve.constructor(portfolioEquityCurve.length); // Inherit the array type from the input array
+	returns[0] = NaN;
+	for (var i=1; i<portfolioEquityCurve.length; ++i) {
+		// Compute the calendar dates of the valuation period
+		var startDate = calendarDate_(valuationDates[i-1]);
+		var endDate = calendarDate_(valuationDates[i]);
+		
+		// Compute the length of the valuation period
+		var periodLength = nbCalendarDays_(valuationDates[i-1], valuationDates[i]);
+		
+		// Compute the sum of the external cash flows and of the weighted external cash flows 
+		// occuring during the valuation period
+		var sumCashFlows = 0.0;
+		var sumWeightedCashFlows = 0.0;
+		for (var j=0; j<cashFlows.length; ++j) {
+			if (cashFlowsCalendarDates[j] > startDate && cashFlowsCalendarDates[j] <= endDate) {
+				var weight = nbCalendarDays_(cashFlowsDates[j], valuationDates[i]) / periodLength;
+				sumCashFlows += cashFlows[j];
+				sumWeightedCashFlows += weight * cashFlows[j];
+			}
+		}
+		
+		// Compute the Modified Dietz return of the valuation period
+		returns[i] = (portfolioEquityCurve[i] - portfolioEquityCurve[i-1] - sumCashFlows) / (portfolioEquityCurve[i-1] + sumWeightedCashFlows);
+	}
+
+	// Return the Modified Dietz returns
+	return returns;
+}
+
+
+/**
+* @function xirr
+*
+* @summary Compute the money-weighted return of a serie of dated cash flows.
+*
+* @description This function returns the money-weighted return, also called extended internal rate of return, 
+* of a serie of dated cash flows, which is defined as the annual rate r such that the sum of the cash flows CF_i,
+* discounted by (1 + r)^((t_i - t_0)/365) with t_i - t_0 the number of calendar days between the first cash flow date
+* and the i-th cash flow date (c.f. the yearFraction function with the "actual/365" day count convention), is equal to 0, c.f. the reference.
+*
+* In order to compute the money-weighted return of a portfolio, the initial portfolio valuation must be provided as a negative cash flow,
+* the deposits (resp. withdrawals) as negative (resp. positive) cash flows and the final portfolio valuation as a positive cash flow.
+*
+* The rate r is computed using Brent's method, after a bracketing of the root on ]-1, +oo[.
+*
+* @see <a href="https://en.wikipedia.org/wiki/Internal_rate_of_return">https://en.wikipedia.org/wiki/Internal_rate_of_return</a>
+* 
+* @param {Array.<number>} cashFlows the cash flows, an array of real numbers.
+* @param {Array.<Date>} cashFlowsDates the dates of the cash flows, an array of Dates of same length as cashFlows, sorted in increasing order.
+* @return {number} the money-weighted return of the cash flows, expressed as a percentage, or NaN if it cannot be computed
+* (e.g. if all the cash flows have the same sign).
+*
+* @example
+* xirr([-100, 110], [new Date("2016-12-31"), new Date("2017-12-31")]); 
+* // ~0.1
+*/
+self.xirr = function(cashFlows, cashFlowsDates) {
+	// Compute the times of the cash flows, in years
+	var cashFlowsTimes = new Array(cashFlows.length);
+	for (var i=0; i<cashFlows.length; ++i) {
+		cashFlowsTimes[i] = self.yearFraction(cashFlowsDates[0], cashFlowsDates[i], "actual/365");
+	}
+	
+	// Compute and return the internal rate of return
+	return internalRateOfReturn_(cashFlows, cashFlowsTimes);
+}
+
+
+/**
+* @function irr
+*
+* @summary Compute the internal rate of return of a serie of periodic cash flows.
+*
+* @description This function returns the internal rate of return of a serie of periodic cash flows, 
+* which is defined as the periodic rate r such that the sum of the cash flows CF_i discounted by (1 + r)^i is equal to 0, 
+* c.f. the reference.
+*
+* The rate r is computed using Brent's method, after a bracketing of the root on ]-1, +oo[.
+*
+* @see <a href="https://en.wikipedia.org/wiki/Internal_rate_of_return">https://en.wikipedia.org/wiki/Internal_rate_of_return</a>
+* 
+* @param {Array.<number>} cashFlows the periodic cash flows, an array of real numbers.
+* @return {number} the internal rate of return of the cash flows, expressed as a percentage, or NaN if it cannot be computed
+* (e.g. if all the cash flows have the same sign).
+*
+* @example
+* irr([-100, 0, 121]); 
+* // ~0.1
+*/
+self.irr = function(cashFlows) {
+	// Compute the times of the cash flows, in periods
+	var cashFlowsTimes = new Array(cashFlows.length);
+	for (var i=0; i<cashFlows.length; ++i) {
+		cashFlowsTimes[i] = i;
+	}
+	
+	// Compute and return the internal rate of return
+	return internalRateOfReturn_(cashFlows, cashFlowsTimes);
+}
+
+
+/**
+* @function cashFlowsAdjustedReturns_
+*
+* @summary Internal function intended to compute the period-to-period returns of a portfolio adjusted for external cash flows.
+*
+* @description This internal function returns the period-to-period arithmetic returns of a portfolio, 
+* adjusted for the external cash flows occuring at the end of each period, i.e. (V_i - CF_i)/V_{i-1} - 1.
+*
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @param {Array.<number>} cashFlows the portfolio external cash flows, c.f. the timeWeightedReturn function.
+* @return {Array.<number>} the period-to-period returns of the portfolio adjusted for the external cash flows, 
+* with the convention that the first return is NaN.
+*
+* @example
+* cashFlowsAdjustedReturns_([100, 160, 144], [0, 50, 0]); 
+* // [NaN, 0.1, -0.1]
+*/
+function cashFlowsAdjustedReturns_(portfolioEquityCurve, cashFlows) {
+	// Compute the adjusted returns
+	var returns = new portfolioEquityCurve.constructor(portfolioEquityCurve.length); // Inherit the array type from the input array
+	returns[0] = NaN;
+	for (var i=1; i<portfolioEquityCurve.length; ++i) {
+		returns[i] = (portfolioEquityCurve[i] - cashFlows[i] - portfolioEquityCurve[i-1])/portfolioEquityCurve[i-1];
+	}
+
+	// Return the adjusted returns
+	return returns;
+}
+
+
+/**
+* @function internalRateOfReturn_
+*
+* @summary Internal function intended to compute the internal rate of return of a serie of cash flows.
+*
+* @description This internal function returns the rate r such that the sum of the cash flows CF_i discounted 
+* by (1 + r)^t_i is equal to 0, with t_i the time of the i-th cash flow.
+*
+* The root is first bracketed on ]-1, +oo[ by expanding an initial interval, and then computed using Brent's method.
+*
+* @param {Array.<number>} cashFlows the cash flows, an array of real numbers.
+* @param {Array.<number>} cashFlowsTimes the times of the cash flows, an array of positive real numbers of same length as cashFlows.
+* @return {number} the internal rate of return, or NaN if no root can be bracketed.
+*
+* @example
+* internalRateOfReturn_([-100, 110], [0, 1]); 
+* // ~0.1
+*/
+function internalRateOfReturn_(cashFlows, cashFlowsTimes) {
+	// The net present value of the cash flows, as a function of the rate
+	var npv = function(r) {
+		var sum = 0.0;
+		for (var i=0; i<cashFlows.length; ++i) {
+			sum += cashFlows[i] / Math.pow(1 + r, cashFlowsTimes[i]);
+		}
+		return sum;
+	};
+	
+	// Bracket the root on ]-1, +oo[, by expanding the initial interval [-0.5, 1]
+	// towards -1 (geometrically) and towards +oo (geometrically)
+	var a = -0.5;
+	var b = 1;
+	var fa = npv(a);
+	var fb = npv(b);
+	var maxIterBracketing = 50;
+	for (var iter = 0; iter < maxIterBracketing && fa * fb > 0; ++iter) {
+		a = -1 + (1 + a)/10;
+		b = 2 * b;
+		fa = npv(a);
+		fb = npv(b);
+	}
+	if (fa * fb > 0 || isNaN(fa) || isNaN(fb)) {
+		return NaN;
+	}
+	
+	// Compute and return the root
+	return brentRoot_(npv, a, b);
+}
@@ -0,0 +1,178 @@
+/**
+ * @file Functions related to normality tests of returns.
+ * @author Roman Rubsamen <roman.rubsamen@gmail.com>
+ */
+
+
+/**
+* @function jarqueBeraTest
+*
+* @summary Compute the Jarque-Bera normality test of the arithmetic returns of a portfolio.
+*
+* @description This function returns the statistic and the p-value of the Jarque-Bera test of the null hypothesis
+* that the arithmetic returns of a portfolio, provided as an equity curve, are normally distributed.
+*
+* The Jarque-Bera statistic is defined as n/6 * (S^2 + (K-3)^2/4), where n is the number of returns,
+* S the skewness and K the kurtosis of the returns, c.f. the reference; under the null hypothesis,
+* it asymptotically follows a chi-square distribution with 2 degrees of freedom.
+*
+* To be noted that the convergence to the asymptotic distribution is slow, so that this test should
+* be used with care for small numbers of returns.
+*
+* @see Carlos M. Jarque, Anil K. Bera, A Test for Normality of Observations and Regression Residuals, International Statistical Review, Vol. 55, No. 2 (1987), pp. 163-172
+*
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @return {Array.<number>} the Jarque-Bera statistic and the associated p-value, in this order.
+*
+* @example
+* jarqueBeraTest([100, 110, 105, 107.5, 115, 112, 118, 121, 117, 125]);
+* // [~0.71, ~0.70]
+*/
+self.jarqueBeraTest = function(portfolioEquityCurve) {
+	// Compute the returns and their skewness and kurtosis
+	var returns = self.arithmeticReturns(portfolioEquityCurve).slice(1); // First value is NaN
+	var nn = returns.length;
+	var s = skewness_(returns);
+	var k = kurtosis_(returns);
+
+	// Compute the Jarque-Bera statistic, c.f. the reference
+	var jb = nn/6 * (s*s + (k - 3)*(k - 3)/4);
+
+	// Compute the associated p-value
+	var pValue = chi2cdf_(jb, 2, true);
+
+	// Return them
+	return [jb, pValue];
+}
+
+
+/**
+* @function dagostinoTest
+*
+* @summary Compute the D'Agostino K^2 normality test of the arithmetic returns of a portfolio.
+*
+* @description This function returns the statistic and the p-value of the D'Agostino K^2 test (also called
+* D'Agostino-Pearson omnibus test) of the null hypothesis that the arithmetic returns of a portfolio,
+* provided as an equity curve, are normally distributed.
+*
+* The D'Agostino K^2 statistic is defined as Z1^2 + Z2^2, where Z1 and Z2 are transformations of the skewness
+* and of the kurtosis of the returns which are approximately standard normal under the null hypothesis, c.f. the reference;
+* under the null hypothesis, it approximately follows a chi-square distribution with 2 degrees of freedom.
+*
+* To be noted that this test requires at least 8 returns, and that the approximation of the distribution of Z2
+* is not accurate for less than 20 returns.
+*
+* @see Ralph B. D'Agostino, Albert Belanger, Ralph B. D'Agostino Jr., A Suggestion for Using Powerful and Informative Tests of Normality, The American Statistician, Vol. 44, No. 4 (1990), pp. 316-321
+*
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @return {Array.<number>} the D'Agostino K^2 statistic and the associated p-value, in this order, or NaN values if there are less than 8 returns.
+*
+* @example
+* dagostinoTest([100, 110, 105, 107.5, 115, 112, 118, 121, 117, 125]);
+* // [~1.40, ~0.50]
+*/
+self.dagostinoTest = function(portfolioEquityCurve) {
+	// Compute the returns and their skewness and kurtosis
+	var returns = self.arithmeticReturns(portfolioEquityCurve).slice(1); // First value is NaN
+	var nn = returns.length;
+	if (nn < 8) {
+		return [NaN, NaN];
+	}
+	var s = skewness_(returns);
+	var k = kurtosis_(returns);
+
+	// Compute the transformed skewness Z1, c.f. the reference
+	var y = s * Math.sqrt((nn + 1) * (nn + 3)/(6 * (nn - 2)));
+	var beta2 = 3 * (nn*nn + 27*nn - 70) * (nn + 1) * (nn + 3)/((nn - 2) * (nn + 5) * (nn + 7) * (nn + 9));
+	var w2 = -1 + Math.sqrt(2 * (beta2 - 1));
+	var delta = 1/Math.sqrt(0.5 * Math.log(w2));
+	var alpha = Math.sqrt(2/(w2 - 1));
+	var ya = y/alpha;
+	var z1 = delta * Math.log(ya + Math.sqrt(ya*ya + 1));
+
+	// Compute the transformed kurtosis Z2, c.f. the reference
+	var e = 3 * (nn - 1)/(nn + 1);
+	var v = 24 * nn * (nn - 2) * (nn - 3)/((nn + 1) * (nn + 1) * (nn + 3) * (nn + 5));
+	var x = (k - e)/Math.sqrt(v);
+	var sqrtBeta1 = 6 * (nn*nn - 5*nn + 2)/((nn + 7) * (nn + 9)) * Math.sqrt(6 * (nn + 3) * (nn + 5)/(nn * (nn - 2) * (nn - 3)));
+	var a = 6 + 8/sqrtBeta1 * (2/sqrtBeta1 + Math.sqrt(1 + 4/(sqrtBeta1*sqrtBeta1)));
+	var denom = 1 + x * Math.sqrt(2/(a - 4));
+	var cubeRoot = (denom < 0 ? -1 : 1) * Math.pow((1 - 2/a)/Math.abs(denom), 1/3); // Real cube root, also for negative values
+	var z2 = ((1 - 2/(9*a)) - cubeRoot)/Math.sqrt(2/(9*a));
+
+	// Compute the D'Agostino K^2 statistic, c.f. the reference
+	var k2 = z1*z1 + z2*z2;
+
+	// Compute the associated p-value
+	var pValue = chi2cdf_(k2, 2, true);
+
+	// Return them
+	return [k2, pValue];
+}
+
+
+/**
+* @function andersonDarlingTest
+*
+* @summary Compute the Anderson-Darling normality test of the arithmetic returns of a portfolio.
+*
+* @description This function returns the statistic and the p-value of the Anderson-Darling test of the null hypothesis
+* that the arithmetic returns of a portfolio, provided as an equity curve, are normally distributed,
+* with unknown mean and variance.
+*
+* The Anderson-Darling statistic A^2 is a weighted distance between the empirical distribution function of
+* the standardized returns and the standard normal distribution function, putting more weight on the tails, c.f. the first reference.
+*
+* The p-value is computed using the modified statistic A^2 * (1 + 0.75/n + 2.25/n^2), where n is the number of returns,
+* and the approximation formulas of the second reference.
+*
+* @see T. W. Anderson, D. A. Darling, A Test of Goodness of Fit, Journal of the American Statistical Association, Vol. 49, No. 268 (1954), pp. 765-769
+* @see Ralph B. D'Agostino, Michael A. Stephens, Goodness-of-Fit Techniques, Marcel Dekker, 1986
+*
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @return {Array.<number>} the Anderson-Darling statistic A^2 and the associated p-value, in this order.
+*
+* @example
+* andersonDarlingTest([100, 110, 105, 107.5, 115, 112, 118, 121, 117, 125]);
+* // [~0.32, ~0.46]
+*/
+self.andersonDarlingTest = function(portfolioEquityCurve) {
+	// Compute the returns and their mean and standard deviation
+	var returns = self.arithmeticReturns(portfolioEquityCurve).slice(1); // First value is NaN
+	var nn = returns.length;
+	var m = mean_(returns);
+	var sigma = sampleStddev_(returns);
+
+	// Compute the sorted standardized returns
+	var z = new Array(nn);
+	for (var i=0; i<nn; ++i) {
+		z[i] = (returns[i] - m)/sigma;
+	}
+	z.sort(function(a, b) { return a - b; });
+
+	// Compute the Anderson-Darling statistic, c.f. the first reference
+	var sum = 0.0;
+	for (var i=0; i<nn; ++i) {
+		sum += (2*i + 1) * (Math.log(normcdf_(z[i])) + Math.log(normcdf_(-z[nn - 1 - i]))); // 1 - Phi(x) = Phi(-x), for accuracy
+	}
+	var a2 = -nn - sum/nn;
+
+	// Compute the associated p-value, c.f. the second reference
+	var a2Star = a2 * (1 + 0.75/nn + 2.25/(nn*nn));
+	var pValue;
+	if (a2Star >= 0.6) {
+		pValue = Math.exp(1.2937 - 5.709*a2Star + 0.0186*a2Star*a2Star);
+	}
+	else if (a2Star >= 0.34) {
+		pValue = Math.exp(0.9177 - 4.279*a2Star - 1.38*a2Star*a2Star);
+	}
+	else if (a2Star >= 0.2) {
+		pValue = 1 - Math.exp(-8.318 + 42.796*a2Star - 59.938*a2Star*a2Star);
+	}
+	else {
+		pValue = 1 - Math.exp(-13.436 + 101.14*a2Star - 223.73*a2Star*a2Star);
+	}
+
+	// Return them
+	return [a2, pValue];
+}
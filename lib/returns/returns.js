@@ -3,6 +3,14 @@
  * @author Roman Rubsamen <roman.rubsamen@gmail.com>
  */
 
+/* Start Wrapper private methods - Unit tests usage only */
+self.returnsTail_ = function(portfolioEquityCurve, alpha) { return returnsTail_(portfolioEquityCurve, alpha); }
+self.parametricTail_ = function(portfolioEquityCurve, alpha, method) { return parametricTail_(portfolioEquityCurve, alpha, method); }
+self.parametricMomentsTail_ = function(moments, alpha, method) { return parametricMomentsTail_(moments, alpha, method); }
+self.parametricValueAtRisk_ = function(params, volatility) { return parametricValueAtRisk_(params, volatility); }
+self.parametricExpectedShortfall_ = function(params, alpha, volatility) { return parametricExpectedShortfall_(params, alpha, volatility); }
+/* End Wrapper private methods - Unit tests usage only */
+
 
 /**
 * @function cumulativeReturn
@@ -51,38 +59,35 @@ self.cumulativeReturn = function(portfolioEquityCurve) {
 * The compound annual growth rate of a portfolio is defined as the geometric progression ratio
 * that provides a constant rate of return over the period on which the portfolio valuations are provided, c.f. the reference.
 *
-* The algorithm automatically computes the number of (calendar) days between the first portfolio valuation date
-* and the last portfolio valuation date, which is then converted into a number of years for the cagr computation following the
-* formula of the reference.
+* The algorithm automatically computes the number of years between the first portfolio valuation date
+* and the last portfolio valuation date following a day count convention, c.f. the yearFraction function, 
+* which is then used for the cagr computation following the formula of the reference.
 *
 * @see <a href="https://en.wikipedia.org/wiki/Compound_annual_growth_rate">https://en.wikipedia.org/wiki/Compound_annual_growth_rate</a>
 * 
 * @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
 * @param {Array.<date>} valuationDates the portfolio valuation dates, an array of Dates of same length as portfolioEquityCurve.
+* @param {string} dayCountConvention the day count convention to use, c.f. the yearFraction function; defaults to "actual/365.25".
+* @param {function} holidayCalendar the holiday calendar to use with the "business/252" day count convention, c.f. the yearFraction function.
 * @return {number} the compound annual growth rate of the portfolio, expressed as a percentage.
 *
 * @example
 * cagr([1, 1.1, 1.2], [new Date("2015-12-31"), new Date("2016-12-31"), new Date("2017-12-31")]);
 * // 0.095, i.e. 9.5% cagr over two years, from 31/12/2015 to 31/12/2017
+*
+* @example
+* cagr([1, 1.1, 1.2], [new Date("2015-12-31"), new Date("2016-12-31"), new Date("2017-12-31")], "actual/360");
+* // ~0.0939
 */
-self.cagr = function(portfolioEquityCurve, valuationDates) {
+self.cagr = function(portfolioEquityCurve, valuationDates, dayCountConvention, holidayCalendar) {
 	// Extract the initial and the final equity curve values and valuation dates
 	var initialValue = portfolioEquityCurve[0];
 	var initialValuationDate = valuationDates[0];
 	var finalValue = portfolioEquityCurve[portfolioEquityCurve.length-1];
 	var finalValuationDate = valuationDates[valuationDates.length-1];
 
-	// Compute the number of invested calendar days and then years
-	// The computation of the number of calendar days is following the algorithm
-	// of Michael Liu - http://stackoverflow.com/questions/542938/how-do-i-get-the-number-of-days-between-two-dates-in-javascript
-	function treatAsUTC(date) {
-		var result = new Date(date);
-		result.setMinutes(result.getMinutes() - result.getTimezoneOffset());
-		return result;
-	}
-	var millisecondsPerDay = 24 * 60 * 60 * 1000;
-	var nbInvestedDays = (treatAsUTC(finalValuationDate) - treatAsUTC(initialValuationDate)) / millisecondsPerDay;
-	var nbInvestedYears = nbInvestedDays/365.25;
+	// Compute the number of invested years
+	var nbInvestedYears = self.yearFraction(initialValuationDate, finalValuationDate, dayCountConvention, holidayCalendar);
 
 	// Compute the CAGR
 	var valCagr = Math.pow(finalValue/initialValue, 1/nbInvestedYears) - 1;
@@ -127,6 +132,205 @@ self.arithmeticReturns = function(portfolioEquityCurve) {
 }
 
 
+/**
+* @function logarithmicReturns
+*
+* @summary Compute the period-to-period logarithmic returns of a portfolio.
+*
+* @description This function returns the period-to-period logarithmic returns of a portfolio, provided as an
+* equity curve.
+*
+* The period-to-period logarithmic returns (also called continuously compounded returns) of a portfolio are defined as 
+* the serie of the natural logarithms of the ratios of the portfolio values over each of its valuation period, 
+* with the return associated to the first period being undefined.
+*
+* @see <a href="https://en.wikipedia.org/wiki/Rate_of_return">https://en.wikipedia.org/wiki/Rate_of_return</a>
+* 
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @return {Array.<number>} the period-to-period logarithmic returns of the portfolio, 
+* with the convention that the first return is NaN.
+*
+* @example
+* logarithmicReturns([1, 2, 1]); 
+* // [NaN, ~0.693, ~-0.693]
+*/
+self.logarithmicReturns = function(portfolioEquityCurve) {
+	// Compute the logarithmic returns
+	var returns = new portfolioEquityCurve.constructor(portfolioEquityCurve.length); // Inherit the array type from the input array
+	returns[0] = NaN;
+	for (var i=1; i<portfolioEquityCurve.length; ++i) {
+		returns[i] = Math.log(portfolioEquityCurve[i]/portfolioEquityCurve[i-1]);
+	}
+
+	// Return the logarithmic returns
+	return returns;
+}
+
+
+/**
+* @function equityCurve
+*
+* @summary Compute the equity curve of a portfolio from its period-to-period returns.
+*
+* @description This function returns the equity curve of a portfolio, provided as a serie of
+* period-to-period returns together with an initial portfolio value.
+*
+* The equity curve of a portfolio is the serie of the portfolio values, starting from the initial
+* value and compounding each period-to-period return, which can be either arithmetic returns 
+* or logarithmic returns.
+*
+* To be noted that this function is the inverse of the arithmeticReturns (resp. logarithmicReturns) function, 
+* except for the first (undefined) return which must not be provided, so that the computed equity curve
+* has one more value than the returns serie.
+*
+* @see <a href="https://en.wikipedia.org/wiki/Rate_of_return">https://en.wikipedia.org/wiki/Rate_of_return</a>
+* 
+* @param {Array.<number>} returns the portfolio period-to-period returns, an array of real numbers.
+* @param {number} initialValue the portfolio initial value, a real number; defaults to 1.
+* @param {string} returnsType the type of the portfolio returns, a string either equal to:
+* - "arithmetic", for arithmetic returns
+* - "logarithmic", for logarithmic returns
+* ; defaults to "arithmetic".
+* @return {Array.<number>} the equity curve of the portfolio, of length returns.length + 1.
+*
+* @example
+* equityCurve([1.0, -0.5], 100); 
+* // [100, 200, 100]
+*
+* @example
+* equityCurve([Math.log(2), -Math.log(2)], 100, "logarithmic"); 
+* // [100, 200, 100]
+*/
+self.equityCurve = function(returns, initialValue, returnsType) {
+	// Initialize default parameters
+	if (initialValue === undefined) {
+		initialValue = 1;
+	}
+	if (returnsType === undefined) {
+		returnsType = "arithmetic";
+	}
+	
+	// Compute the equity curve
+	var equityCurve = new returns.constructor(returns.length + 1); // Inherit the array type from the input array
+	equityCurve[0] = initialValue;
+	if (returnsType == "arithmetic") {
+		for (var i=0; i<returns.length; ++i) {
+			equityCurve[i+1] = equityCurve[i] * (1 + returns[i]);
+		}
+	}
+	else if (returnsType == "logarithmic") {
+		for (var i=0; i<returns.length; ++i) {
+			equityCurve[i+1] = equityCurve[i] * Math.exp(returns[i]);
+		}
+	}
+	else {
+		throw new Error('unsupported returns type: ' + returnsType);
+	}
+
+	// Return the equity curve
+	return equityCurve;
+}
+
+
+/**
+* @function arithmeticToLogarithmicReturns
+*
+* @summary Convert arithmetic returns into logarithmic returns.
+*
+* @description This function returns the logarithmic returns corresponding to a serie of arithmetic returns,
+* using the formula r_log = ln(1 + r_arith).
+*
+* Undefined (NaN) returns, like the first return computed by the arithmeticReturns function, are kept undefined.
+*
+* @see <a href="https://en.wikipedia.org/wiki/Rate_of_return">https://en.wikipedia.org/wiki/Rate_of_return</a>
+* 
+* @param {Array.<number>} returns the arithmetic returns, an array of real numbers.
+* @return {Array.<number>} the corresponding logarithmic returns.
+*
+* @example
+* arithmeticToLogarithmicReturns([NaN, 1.0, -0.5]); 
+* // [NaN, ~0.693, ~-0.693]
+*/
+self.arithmeticToLogarithmicReturns = function(returns) {
+	// Convert the returns
+	var logReturns = new returns.constructor(returns.length); // Inherit the array type from the input array
+	for (var i=0; i<returns.length; ++i) {
+		logReturns[i] = Math.log(1 + returns[i]);
+	}
+
+	// Return the converted returns
+	return logReturns;
+}
+
+
+/**
+* @function logarithmicToArithmeticReturns
+*
+* @summary Convert logarithmic returns into arithmetic returns.
+*
+* @description This function returns the arithmetic returns corresponding to a serie of logarithmic returns,
+* using the formula r_arith = exp(r_log) - 1.
+*
+* Undefined (NaN) returns, like the first return computed by the logarithmicReturns function, are kept undefined.
+*
+* @see <a href="https://en.wikipedia.org/wiki/Rate_of_return">https://en.wikipedia.org/wiki/Rate_of_return</a>
+* 
+* @param {Array.<number>} returns the logarithmic returns, an array of real numbers.
+* @return {Array.<number>} the corresponding arithmetic returns.
+*
+* @example
+* logarithmicToArithmeticReturns([NaN, Math.log(2), -Math.log(2)]); 
+* // [NaN, 1.0, -0.5]
+*/
+self.logarithmicToArithmeticReturns = function(returns) {
+	// Convert the returns
+	var arithReturns = new returns.constructor(returns.length); // Inherit the array type from the input array
+	for (var i=0; i<returns.length; ++i) {
+		arithReturns[i] = Math.exp(returns[i]) - 1;
+	}
+
+	// Return the converted returns
+	return arithReturns;
+}
+
+
+/**
+* @function winsorizedEquityCurve
+*
+* @summary Compute the winsorized equity curve of a portfolio.
+*
+* @description This function returns the equity curve of a portfolio, provided as an equity curve, 
+* whose arithmetic returns have been winsorized, i.e. whose floor(n*p) lowest returns have been replaced
+* by the next lowest return and whose floor(n*p) highest returns have been replaced by the next highest return,
+* with n the number of returns and p a proportion, c.f. the function winsorize_.
+*
+* The winsorized equity curve can then be used with any other function of the library,
+* for instance to compute a Sharpe ratio or a maximum drawdown less sensitive to extreme returns.
+*
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @param {number} proportion the proportion of returns to winsorize at each end, a real number belonging to interval [0,0.5[; defaults to 0.1.
+* @return {Array.<number>} the winsorized equity curve, an array of real numbers of the same length as portfolioEquityCurve
+* and with the same initial value.
+*
+* @example
+* winsorizedEquityCurve([100, 110, 99, 108.9, 115, 112], 0.2);
+* // [100, 110, ~107.1, ~117.8, ~124.4, ~121.2]
+*/
+self.winsorizedEquityCurve = function(portfolioEquityCurve, proportion) {
+	// Initialize default parameters
+	if (proportion === undefined) {
+		proportion = 0.1;
+	}
+
+	// Compute the winsorized returns
+	var returns = self.arithmeticReturns(portfolioEquityCurve).slice(1); // First value is NaN
+	var winsorizedReturns = winsorize_(returns, proportion);
+
+	// Compute and return the associated equity curve
+	return self.equityCurve(winsorizedReturns, portfolioEquityCurve[0]);
+}
+
+
 /**
 * @function valueAtRisk
 *
@@ -138,29 +342,68 @@ self.arithmeticReturns = function(portfolioEquityCurve) {
 * The (percent) value at risk of a portfolio at an alpha% confidence level answers to the question:
 * what is the minimum (percent) loss incurred in the 1-alpha% worst returns of the portfolio?
 *
-* By convention from the reference, this value is positive so that the computed value is negative if there is no loss.
+* By convention from the first reference, this value is positive so that the computed value is negative if there is no loss.
+*
+* The value at risk can be computed using one of the following methods:
+* - "historical" (default), using the empirical distribution of the portfolio returns, c.f. the first reference
+* - "gaussian", assuming that the portfolio returns follow a normal distribution, whose mean and standard deviation are
+* the sample mean and the sample standard deviation of the portfolio returns
+* - "cornish-fisher", also called modified value at risk, using a Cornish-Fisher expansion of the quantile of the 
+* normal distribution to take into account the sample skewness and the sample kurtosis of the portfolio returns, c.f. the second reference
+*
+* With the parametric methods, the sample standard deviation of the portfolio returns can be replaced by another volatility, 
+* for instance a conditional volatility forecast computed by the functions ewmaVolatility or garchVolatility,
+* in order to compute a time-varying value at risk.
 *
 * @see <a href="http://onlinelibrary.wiley.com/doi/10.1111/1468-0300.00091/abstract">Expected Shortfall: A Natural Coherent Alternative to Value at Risk, CARLO ACERBI, DIRK TASCHEy, Economic Notes, Volume 31, Issue 2, Pages 379–388 (July 2002)</a>
+* @see Zangari, P. (1996). A VaR methodology for portfolios that include options. RiskMetrics Monitor, First Quarter, 4–12
 *
 * @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
 * @param {number} alpha the percent confidence level, real number belonging to interval [0,1].
+* @param {string} method an optional string, either "historical" (default), "gaussian" or "cornish-fisher", 
+* indicating the method to use to compute the value at risk.
+* @param {number} volatility an optional volatility of the portfolio returns, a positive real number, to use with the parametric methods
+* instead of the sample standard deviation of the portfolio returns; defaults to this sample standard deviation.
+* An error is thrown if a volatility is provided with the historical method.
 * @return {number} the value at risk at the alpha percent confidence level, expressed as a percentage.
 *
 * @example
 * valueAtRisk([100, 90, 80, 70, 60, 50, 40, 30, 20], 0.80); // 80% confidence level 
 * // ~0.33, i.e. 33% of minimal loss at a confidence level of 80%
+*
+* @example
+* valueAtRisk([100, 90, 80, 70, 60, 50, 40, 30, 20], 0.80, "gaussian");
+* // ~0.25, i.e. 25% of minimal loss at a confidence level of 80%, assuming normally distributed returns
+*
+* @example
+* valueAtRisk([100, 90, 80, 70, 60, 50, 40, 30, 20], 0.80, "gaussian", 0.1);
+* // ~0.26, i.e. 26% of minimal loss at a confidence level of 80%, assuming normally distributed returns with a volatility of 10%
 */
-self.valueAtRisk = function(portfolioEquityCurve, alpha) {
-	// Compute the returns and remove the first element, always equals to NaN
-	var returns = self.arithmeticReturns(portfolioEquityCurve).slice(1);
+self.valueAtRisk = function(portfolioEquityCurve, alpha, method, volatility) {
+	// By default, the historical method is used
+	if (method === undefined) {
+		method = "historical";
+	}
 
-	// Sort the returns from lowest to highest values
-	returns.sort(function(a, b) { return a - b;});
+	// Parametric methods
+	if (method != "historical") {
+		// Compute the parameters of the distribution of the returns
+		var params = parametricTail_(portfolioEquityCurve, alpha, method);
 
-	// Compute w
-	// C.f. p. 383 of the reference
-	var calpha = 1 - alpha;
-	var w = Math.floor(calpha * returns.length)
+		// Compute and return the value at risk
+		return parametricValueAtRisk_(params, volatility);
+	}
+
+	// Historical method
+	// The empirical distribution of the portfolio returns does not depend on any volatility
+	if (volatility !== undefined) {
+		throw new Error('unsupported volatility with the historical method: ' + volatility);
+	}
+	
+	// Compute the sorted returns and the number of returns in the tail
+	var tail = returnsTail_(portfolioEquityCurve, alpha);
+	var returns = tail[0];
+	var w = tail[1];
 
 	// Limit case (w equals to 0), return NaN
 	if (w == 0) {
@@ -174,3 +417,314 @@ self.valueAtRisk = function(portfolioEquityCurve, alpha) {
 	// Return the value at risk
 	return valAtRisk;
 }
+
+
+/**
+* @function expectedShortfall
+*
+* @summary Compute the expected shortfall of a portfolio.
+*
+* @description This function returns the percent expected shortfall (also called conditional value at risk) 
+* at a given confidence level of a portfolio, provided as an equity curve.
+*
+* The (percent) expected shortfall of a portfolio at an alpha% confidence level answers to the question:
+* what is the average (percent) loss incurred in the 1-alpha% worst returns of the portfolio?
+*
+* By convention from the first reference, this value is positive so that the computed value is negative if there is no loss.
+*
+* The expected shortfall can be computed using one of the following methods:
+* - "historical" (default), using the estimator of the first reference, corrected for the fractional 
+* observation at the 1-alpha% quantile, this quantile being the same as the one used in the value at risk computation.
+* As a consequence, the expected shortfall is always greater than or equal to the value at risk at the same
+* confidence level, and is equal to it when the tail contains only one return
+* - "gaussian", assuming that the portfolio returns follow a normal distribution, whose mean and standard deviation are
+* the sample mean and the sample standard deviation of the portfolio returns
+* - "cornish-fisher", also called modified expected shortfall, integrating the Edgeworth expansion of the distribution 
+* of the portfolio returns up to the Cornish-Fisher quantile used in the modified value at risk computation, c.f. the second reference.
+* As in the second reference, the modified expected shortfall is floored by the modified value at risk.
+*
+* As with the function valueAtRisk, the sample standard deviation of the portfolio returns can be replaced by another volatility
+* with the parametric methods.
+*
+* @see <a href="http://onlinelibrary.wiley.com/doi/10.1111/1468-0300.00091/abstract">Expected Shortfall: A Natural Coherent Alternative to Value at Risk, CARLO ACERBI, DIRK TASCHEy, Economic Notes, Volume 31, Issue 2, Pages 379–388 (July 2002)</a>
+* @see Boudt, Kris and Peterson, Brian G. and Croux, Christophe, Estimation and Decomposition of Downside Risk for Portfolios with Non-Normal Returns, Journal of Risk, Vol. 11, No. 2, pp. 79-103, 2008
+*
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @param {number} alpha the percent confidence level, real number belonging to interval [0,1].
+* @param {string} method an optional string, either "historical" (default), "gaussian" or "cornish-fisher", 
+* indicating the method to use to compute the expected shortfall.
+* @param {number} volatility an optional volatility of the portfolio returns, a positive real number, to use with the parametric methods
+* instead of the sample standard deviation of the portfolio returns; defaults to this sample standard deviation.
+* An error is thrown if a volatility is provided with the historical method.
+* @return {number} the expected shortfall at the alpha percent confidence level, expressed as a percentage.
+*
+* @example
+* expectedShortfall([100, 90, 80, 70, 60, 50, 40, 30, 20], 0.80); // 80% confidence level 
+* // ~0.33, i.e. 33% of average loss at a confidence level of 80%
+*/
+self.expectedShortfall = function(portfolioEquityCurve, alpha, method, volatility) {
+	// By default, the historical method is used
+	if (method === undefined) {
+		method = "historical";
+	}
+
+	// Parametric methods
+	if (method != "historical") {
+		// Compute the parameters of the distribution of the returns
+		var params = parametricTail_(portfolioEquityCurve, alpha, method);
+
+		// Compute and return the expected shortfall
+		return parametricExpectedShortfall_(params, alpha, volatility);
+	}
+
+	// Historical method
+	// The empirical distribution of the portfolio returns does not depend on any volatility
+	if (volatility !== undefined) {
+		throw new Error('unsupported volatility with the historical method: ' + volatility);
+	}
+	
+	// Compute the sorted returns and the number of returns in the tail
+	var tail = returnsTail_(portfolioEquityCurve, alpha);
+	var returns = tail[0];
+	var w = tail[1];
+
+	// Limit case (w equals to 0), return NaN, so as to be consistent with the value at risk
+	if (w == 0) {
+		return NaN;
+	}
+
+	// Otherwise, compute the sum of the w worst returns
+	var sumTailReturns = 0.0;
+	for (var i=0; i<w; ++i) {
+		sumTailReturns += returns[i];
+	}
+
+	// Then, correct this sum for the fractional observation at the value at risk boundary, 
+	// which is non null only when calpha * returns.length is not an integer
+	// C.f. the definition of the expected shortfall in the reference, applied to the empirical distribution 
+	// of the returns with the w-th return as the 1-alpha% quantile, i.e., the value at risk
+	var calpha = 1 - alpha;
+	var nbTailReturns = calpha * returns.length;
+	sumTailReturns += (nbTailReturns - w) * returns[w-1];
+
+	// Compute the expected shortfall as the average of the tail returns
+	var es = -sumTailReturns/nbTailReturns;
+
+	// Return the expected shortfall
+	return es;
+}
+
+
+/**
+* @function parametricTail_
+*
+* @summary Internal function intended to compute the parameters of the parametric distribution of the
+* arithmetic returns of a portfolio, as well as the standardized 1-alpha% quantile of this distribution.
+*
+* @description This internal function returns the sample mean, the sample standard deviation, the sample skewness 
+* and the sample excess kurtosis of the period-to-period arithmetic returns of a portfolio, provided as an equity curve, 
+* together with the standardized 1-alpha% quantile of their distribution, either assumed to be normal or approximated 
+* by a Cornish-Fisher expansion, c.f. the reference.
+*
+* In case of a normal distribution, the returned skewness and excess kurtosis are null.
+*
+* This function is shared by the value at risk and by the expected shortfall computations, so that both measures
+* always agree at the value at risk boundary.
+*
+* @see Zangari, P. (1996). A VaR methodology for portfolios that include options. RiskMetrics Monitor, First Quarter, 4–12
+*
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @param {number} alpha the percent confidence level, real number belonging to interval [0,1].
+* @param {string} method a string, either "gaussian" or "cornish-fisher", indicating the parametric distribution to use.
+* @return {Array.<number>} the sample mean, the sample standard deviation, the standardized 1-alpha% quantile,
+* the sample skewness and the sample excess kurtosis of the portfolio returns, in this order.
+*
+* @example
+* parametricTail_([100, 90, 80, 70, 60, 50, 40, 30, 20], 0.80, "gaussian");
+* // [~-0.18, ~0.08, ~-0.84, 0, 0]
+*/
+function parametricTail_(portfolioEquityCurve, alpha, method) {
+	// Compute the returns and remove the first element, always equals to NaN
+	var returns = self.arithmeticReturns(portfolioEquityCurve).slice(1);
+
+	// Compute the sample moments of the returns
+	var moments = sampleMoments_(returns);
+
+	// Compute and return the parameters of the distribution of the returns
+	return parametricMomentsTail_(moments, alpha, method);
+}
+
+
+/**
+* @function parametricMomentsTail_
+*
+* @summary Internal function intended to compute the parameters of the parametric distribution of the
+* arithmetic returns of a portfolio, as well as the standardized 1-alpha% quantile of this distribution,
+* from the sample moments of these returns.
+*
+* @description This internal function returns the same values as the function parametricTail_, 
+* given the sample moments of the arithmetic returns of a portfolio instead of its equity curve.
+*
+* This function allows to compute these values without the returns themselves, 
+* e.g. from the sample moments computed online by a moments accumulator.
+*
+* @see Zangari, P. (1996). A VaR methodology for portfolios that include options. RiskMetrics Monitor, First Quarter, 4–12
+*
+* @param {Array.<number>} moments the arithmetic mean, the sample variance, the sample standard deviation,
+* the sample skewness and the sample kurtosis of the portfolio returns, c.f. the function sampleMoments_.
+* @param {number} alpha the percent confidence level, real number belonging to interval [0,1].
+* @param {string} method a string, either "gaussian" or "cornish-fisher", indicating the parametric distribution to use.
+* @return {Array.<number>} the sample mean, the sample standard deviation, the standardized 1-alpha% quantile,
+* the sample skewness and the sample excess kurtosis of the portfolio returns, in this order.
+*
+* @example
+* parametricMomentsTail_([0, 0.01, 0.1, 0, 3], 0.95, "gaussian");
+* // [0, 0.1, ~-1.64, 0, 0]
+*/
+function parametricMomentsTail_(moments, alpha, method) {
+	// Initialisations
+	var m = moments[0];
+	var sigma = moments[2];
+
+	// Compute the standardized 1-alpha% quantile of the normal distribution
+	var calpha = 1 - alpha;
+	var z = norminv_(calpha);
+
+	// Dispatch on the method
+	if (method == "gaussian") {
+		return [m, sigma, z, 0.0, 0.0];
+	}
+	else if (method == "cornish-fisher") {
+		// Compute the Cornish-Fisher expansion of the quantile above, using the sample skewness
+		// and the sample excess kurtosis of the returns, c.f. the reference
+		var s = moments[3];
+		var ek = moments[4] - 3;
+		var z2 = z*z;
+		var zcf = z + (z2 - 1)*s/6 + (z2 - 3)*z*ek/24 - (2*z2 - 5)*z*s*s/36;
+
+		return [m, sigma, zcf, s, ek];
+	}
+	else {
+		throw new Error('unsupported parametric method: ' + method);
+	}
+}
+
+
+/**
+* @function parametricValueAtRisk_
+*
+* @summary Internal function intended to compute the value at risk of a portfolio 
+* from the parameters of the parametric distribution of its arithmetic returns.
+*
+* @description This internal function returns the value at risk of a portfolio computed with a parametric method, 
+* c.f. the function valueAtRisk, given the parameters of the parametric distribution of the arithmetic returns of the portfolio, 
+* as computed by the functions parametricTail_ or parametricMomentsTail_.
+*
+* @param {Array.<number>} params the parameters of the distribution of the returns, c.f. the function parametricTail_.
+* @param {number} volatility an optional volatility of the portfolio returns, a positive real number, to use
+* instead of the sample standard deviation of the portfolio returns; defaults to this sample standard deviation.
+* @return {number} the value at risk, expressed as a percentage.
+*
+* @example
+* parametricValueAtRisk_([0, 0.1, -1.6448536269514729, 0, 0]);
+* // ~0.16
+*/
+function parametricValueAtRisk_(params, volatility) {
+	// Initialisations
+	var m = params[0];
+	var sigma = volatility === undefined ? params[1] : volatility;
+	var z = params[2];
+
+	// Compute the value at risk as the opposite of the 1-alpha% quantile of the returns
+	return -(m + z * sigma);
+}
+
+
+/**
+* @function parametricExpectedShortfall_
+*
+* @summary Internal function intended to compute the expected shortfall of a portfolio 
+* from the parameters of the parametric distribution of its arithmetic returns.
+*
+* @description This internal function returns the expected shortfall of a portfolio computed with a parametric method, 
+* c.f. the function expectedShortfall, given the parameters of the parametric distribution of the arithmetic returns of the portfolio, 
+* as computed by the functions parametricTail_ or parametricMomentsTail_.
+*
+* @see Boudt, Kris and Peterson, Brian G. and Croux, Christophe, Estimation and Decomposition of Downside Risk for Portfolios with Non-Normal Returns, Journal of Risk, Vol. 11, No. 2, pp. 79-103, 2008
+*
+* @param {Array.<number>} params the parameters of the distribution of the returns, c.f. the function parametricTail_.
+* @param {number} alpha the percent confidence level, real number belonging to interval [0,1].
+* @param {number} volatility an optional volatility of the portfolio returns, a positive real number, to use
+* instead of the sample standard deviation of the portfolio returns; defaults to this sample standard deviation.
+* @return {number} the expected shortfall, expressed as a percentage.
+*
+* @example
+* parametricExpectedShortfall_([0, 0.1, -1.6448536269514729, 0, 0], 0.95);
+* // ~0.21
+*/
+function parametricExpectedShortfall_(params, alpha, volatility) {
+	// Initialisations
+	var m = params[0];
+	var sigma = volatility === undefined ? params[1] : volatility;
+	var z = params[2];
+	var s = params[3];
+	var ek = params[4];
+
+	// Compute the expected value of the standardized returns below the quantile z,
+	// by integrating their Edgeworth expansion (reducing to the normal density when
+	// skewness and excess kurtosis are null), c.f. the reference
+	var calpha = 1 - alpha;
+	var z2 = z*z;
+	var z3 = z2*z;
+	var z4 = z2*z2;
+	var z6 = z4*z2;
+	var phiZ = Math.exp(-0.5 * z2) * 0.3989422804014327; // Constant is equal to 1/sqrt(2*pi)
+	var tailExpectation = -phiZ/calpha * (1 + s*z3/6 + ek*(z4 - 2*z2 - 1)/24 + s*s*(z6 - 9*z4 + 9*z2 + 3)/72);
+
+	// Floor the expected shortfall by the value at risk, c.f. the reference
+	tailExpectation = Math.min(tailExpectation, z);
+
+	// Compute the expected shortfall
+	return -(m + tailExpectation * sigma);
+}
+
+
+/**
+* @function returnsTail_
+*
+* @summary Internal function intended to compute the sorted arithmetic returns of a portfolio, 
+* as well as the number of these returns belonging to the 1-alpha% left tail of their empirical distribution.
+*
+* @description This internal function returns the period-to-period arithmetic returns of a portfolio, provided as an
+* equity curve, sorted from lowest to highest values, together with the number w of these returns belonging
+* to the 1-alpha% left tail of their empirical distribution, c.f. the reference.
+*
+* This function is shared by the value at risk and by the expected shortfall computations, so that both measures
+* always agree at the value at risk boundary.
+*
+* @see <a href="http://onlinelibrary.wiley.com/doi/10.1111/1468-0300.00091/abstract">Expected Shortfall: A Natural Coherent Alternative to Value at Risk, CARLO ACERBI, DIRK TASCHEy, Economic Notes, Volume 31, Issue 2, Pages 379–388 (July 2002)</a>
+*
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @param {number} alpha the percent confidence level, real number belonging to interval [0,1].
+* @return {Array.<Object>} the sorted arithmetic returns of the portfolio, and the number w of these returns
+* belonging to the 1-alpha% left tail, in this order.
+*
+* @example
+* returnsTail_([100, 90, 80, 70, 60, 50, 40, 30, 20], 0.80);
+* // [[~-0.33, -0.25, -0.2, ~-0.17, ~-0.14, -0.125, ~-0.11, -0.1], 1]
+*/
+function returnsTail_(portfolioEquityCurve, alpha) {
+	// Compute the returns and remove the first element, always equals to NaN
+	var returns = self.arithmeticReturns(portfolioEquityCurve).slice(1);
+
+	// Sort the returns from lowest to highest values
+	returns.sort(function(a, b) { return a - b;});
+
+	// Compute w
+	// C.f. p. 383 of the reference
+	var calpha = 1 - alpha;
+	var w = Math.floor(calpha * returns.length);
+
+	// Return the computed values
+	return [returns, w];
+}
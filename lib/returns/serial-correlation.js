@@ -0,0 +1,238 @@
+/**
+ * @file Functions related to serial correlation of returns.
+ * @author Roman Rubsamen <roman.rubsamen@gmail.com>
+ */
+
+/* Start Wrapper private methods - Unit tests usage only */
+self.unsmoothedReturns_ = function(returns, smoothingCoefficients) { return unsmoothedReturns_(returns, smoothingCoefficients); }
+/* End Wrapper private methods - Unit tests usage only */
+
+
+/**
+* @function autocorrelations
+*
+* @summary Compute the autocorrelation function of the arithmetic returns of a portfolio.
+*
+* @description This function returns the sample autocorrelations at lags 1 to maxLag of the arithmetic returns
+* of a portfolio, provided as an equity curve, c.f. the reference.
+*
+* @see George E. P. Box, Gwilym M. Jenkins, Gregory C. Reinsel, Time Series Analysis: Forecasting and Control, 4th Edition, Wiley, 2008
+*
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @param {number} maxLag the maximum lag, a positive integer.
+* @return {Array.<number>} the sample autocorrelations at lags 1 to maxLag of the arithmetic returns, an array of maxLag real numbers.
+*
+* @example
+* autocorrelations([100, 110, 105, 107.5, 115], 2);
+* // [~-0.38, ~-0.29]
+*/
+self.autocorrelations = function(portfolioEquityCurve, maxLag) {
+	// Compute the returns
+	var returns = self.arithmeticReturns(portfolioEquityCurve).slice(1); // First value is NaN
+
+	// Compute and return their sample autocorrelations
+	return acf_(returns, maxLag);
+}
+
+
+/**
+* @function partialAutocorrelations
+*
+* @summary Compute the partial autocorrelation function of the arithmetic returns of a portfolio.
+*
+* @description This function returns the sample partial autocorrelations at lags 1 to maxLag of the arithmetic returns
+* of a portfolio, provided as an equity curve, c.f. the reference.
+*
+* @see George E. P. Box, Gwilym M. Jenkins, Gregory C. Reinsel, Time Series Analysis: Forecasting and Control, 4th Edition, Wiley, 2008
+*
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @param {number} maxLag the maximum lag, a positive integer.
+* @return {Array.<number>} the sample partial autocorrelations at lags 1 to maxLag of the arithmetic returns, an array of maxLag real numbers.
+*
+* @example
+* partialAutocorrelations([100, 110, 105, 107.5, 115], 2);
+* // [~-0.38, ~-0.51]
+*/
+self.partialAutocorrelations = function(portfolioEquityCurve, maxLag) {
+	// Compute the returns
+	var returns = self.arithmeticReturns(portfolioEquityCurve).slice(1); // First value is NaN
+
+	// Compute and return their sample partial autocorrelations
+	return pacf_(returns, maxLag);
+}
+
+
+/**
+* @function ljungBoxTest
+*
+* @summary Compute the Ljung-Box test of serial correlation of the arithmetic returns of a portfolio.
+*
+* @description This function returns the statistic and the p-value of the Ljung-Box test of the null hypothesis
+* that the arithmetic returns of a portfolio, provided as an equity curve, are not serially correlated up to a lag h.
+*
+* The Ljung-Box statistic is defined as Q = n(n+2) * Sum_k=1..h r_k^2/(n-k), where n is the number of returns and
+* r_k the sample autocorrelation at lag k of the returns, c.f. the reference; under the null hypothesis,
+* it asymptotically follows a chi-square distribution with h degrees of freedom.
+*
+* @see G. M. Ljung, G. E. P. Box, On a Measure of Lack of Fit in Time Series Models, Biometrika, Vol. 65, No. 2 (1978), pp. 297-303
+*
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @param {number} maxLag the maximum lag h, a positive integer.
+* @return {Array.<number>} the Ljung-Box statistic and the associated p-value, in this order.
+*
+* @example
+* ljungBoxTest([100, 110, 105, 107.5, 115, 112, 118, 121, 117, 125], 2);
+* // [~3.96, ~0.14]
+*/
+self.ljungBoxTest = function(portfolioEquityCurve, maxLag) {
+	// Compute the returns and their sample autocorrelations
+	var returns = self.arithmeticReturns(portfolioEquityCurve).slice(1); // First value is NaN
+	var nn = returns.length;
+	var rho = acf_(returns, maxLag);
+
+	// Compute the Ljung-Box statistic, c.f. the reference
+	var sum = 0.0;
+	for (var k=1; k<=maxLag; ++k) {
+		sum += rho[k-1] * rho[k-1]/(nn - k);
+	}
+	var q = nn * (nn + 2) * sum;
+
+	// Compute the associated p-value
+	var pValue = chi2cdf_(q, maxLag, true);
+
+	// Return them
+	return [q, pValue];
+}
+
+
+/**
+* @function smoothingCoefficients
+*
+* @summary Compute the Getmansky-Lo-Makarov smoothing coefficients of the arithmetic returns of a portfolio.
+*
+* @description This function returns the smoothing coefficients [theta_0,...,theta_k] of the arithmetic returns of a portfolio,
+* provided as an equity curve, under the model of the reference, in which the observed returns R^o_t are a weighted average
+* of the true (unobserved) returns R_t: R^o_t = theta_0*R_t + theta_1*R_{t-1} + ... + theta_k*R_{t-k},
+* with theta_0 + ... + theta_k = 1, the true returns being serially uncorrelated.
+*
+* The smoothing coefficients are estimated by the method of moments, through the factorization of the sample autocovariances
+* at lags 0 to k of the observed returns into the coefficients of an invertible moving average process (c.f. the function maFactorization_),
+* which are then normalized to sum to 1, instead of by maximum likelihood as in the reference.
+*
+* To be noted that, contrary to the reference, the smoothing coefficients are not constrained to be positive.
+*
+* @see Mila Getmansky, Andrew W. Lo, Igor Makarov, An Econometric Model of Serial Correlation and Illiquidity in Hedge Fund Returns, Journal of Financial Economics, Vol. 74, No. 3 (2004), pp. 529-609
+*
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @param {number} nbLags the number of lags k of the smoothing model, a positive integer; defaults to 2.
+* @return {Array.<number>} the smoothing coefficients, an array of nbLags + 1 real numbers, or an array of NaN values
+* if the sample autocovariances of the returns are not compatible with the smoothing model.
+*
+* @example
+* smoothingCoefficients([100, 101, 102.5, 104.5, 105.5, 106, 106.2, 107, 108.5, 110], 1);
+* // [~0.60, ~0.40]
+*/
+self.smoothingCoefficients = function(portfolioEquityCurve, nbLags) {
+	// Initialize default parameters
+	if (nbLags === undefined) {
+		nbLags = 2;
+	}
+
+	// Compute the returns and their sample autocovariances
+	var returns = self.arithmeticReturns(portfolioEquityCurve).slice(1); // First value is NaN
+	var gamma = autocovariances_(returns, nbLags);
+
+	// Compute the coefficients of the invertible moving average process having these autocovariances
+	var theta = maFactorization_(gamma);
+
+	// Normalize them to sum to 1, c.f. the reference
+	var sum = 0.0;
+	for (var i=0; i<=nbLags; ++i) {
+		sum += theta[i];
+	}
+	for (var i=0; i<=nbLags; ++i) {
+		theta[i] /= sum;
+	}
+
+	// Return them
+	return theta;
+}
+
+
+/**
+* @function unsmoothedEquityCurve
+*
+* @summary Compute the Getmansky-Lo-Makarov unsmoothed equity curve of a portfolio.
+*
+* @description This function returns the equity curve of a portfolio corresponding to its true (unobserved) arithmetic returns
+* under the smoothing model of the reference, c.f. the function smoothingCoefficients, the portfolio being provided
+* as an (observed) equity curve.
+*
+* The true returns are computed by inverting the smoothing model:
+* R_t = (R^o_t - theta_1*R_{t-1} - ... - theta_k*R_{t-k})/theta_0, with the true returns before the first observed return
+* set to the mean of the observed returns, which is also the mean of the true returns.
+*
+* The unsmoothed equity curve can then be used with any other function of the library,
+* for instance to compute a Sharpe ratio or a maximum drawdown corrected for the smoothing of the returns.
+*
+* @see Mila Getmansky, Andrew W. Lo, Igor Makarov, An Econometric Model of Serial Correlation and Illiquidity in Hedge Fund Returns, Journal of Financial Economics, Vol. 74, No. 3 (2004), pp. 529-609
+*
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @param {number} nbLags the number of lags k of the smoothing model, a positive integer; defaults to 2.
+* @return {Array.<number>} the unsmoothed equity curve, an array of real numbers of the same length as portfolioEquityCurve
+* and with the same initial value.
+*
+* @example
+* unsmoothedEquityCurve([100, 101, 102.5, 104.5, 105.5, 106, 106.2, 107, 108.5, 110], 1);
+* // [100, ~100.96, ~102.81, ~104.89, ~105.16, ~105.81, ~105.71, ~107.10, ~108.66, ~110.11]
+*/
+self.unsmoothedEquityCurve = function(portfolioEquityCurve, nbLags) {
+	// Compute the smoothing coefficients
+	var theta = self.smoothingCoefficients(portfolioEquityCurve, nbLags);
+
+	// Compute the unsmoothed returns
+	var returns = self.arithmeticReturns(portfolioEquityCurve).slice(1); // First value is NaN
+	var unsmoothedReturns = unsmoothedReturns_(returns, theta);
+
+	// Compute and return the associated equity curve
+	return self.equityCurve(unsmoothedReturns, portfolioEquityCurve[0]);
+}
+
+
+/**
+* @function unsmoothedReturns_
+*
+* @summary Internal function intended to compute the Getmansky-Lo-Makarov unsmoothed returns of a portfolio.
+*
+* @description This internal function returns the true (unobserved) returns of a portfolio, given its observed returns
+* and the smoothing coefficients of the model of the reference, c.f. the function unsmoothedEquityCurve.
+*
+* @see Mila Getmansky, Andrew W. Lo, Igor Makarov, An Econometric Model of Serial Correlation and Illiquidity in Hedge Fund Returns, Journal of Financial Economics, Vol. 74, No. 3 (2004), pp. 529-609
+*
+* @param {Array.<number>} returns the observed returns, an array of real numbers.
+* @param {Array.<number>} smoothingCoefficients the smoothing coefficients [theta_0,...,theta_k], an array of real numbers.
+* @return {Array.<number>} the unsmoothed returns, an array of real numbers of the same length as returns.
+*
+* @example
+* unsmoothedReturns_([0.01, 0.03, 0.02], [0.5, 0.5]);
+* // [0, 0.06, -0.02]
+*/
+function unsmoothedReturns_(returns, smoothingCoefficients) {
+	// Initialisations
+	var nn = returns.length;
+	var nbLags = smoothingCoefficients.length - 1;
+	var meanReturn = mean_(returns);
+
+	// Invert the smoothing model, c.f. the reference
+	var unsmoothedReturns = new returns.constructor(nn); // Inherit the array type from (ultimately) the input array
+	for (var t=0; t<nn; ++t) {
+		var r = returns[t];
+		for (var i=1; i<=nbLags; ++i) {
+			r -= smoothingCoefficients[i] * (t - i >= 0 ? unsmoothedReturns[t-i] : meanReturn);
+		}
+		unsmoothedReturns[t] = r/smoothingCoefficients[0];
+	}
+
+	// Return them
+	return unsmoothedReturns;
+}
@@ -0,0 +1,521 @@
+/**
+ * @file Functions related to volatility estimation of returns.
+ * @author Roman Rubsamen <roman.rubsamen@gmail.com>
+ */
+
+/* Start Wrapper private methods - Unit tests usage only */
+self.garchResiduals_ = function(portfolioEquityCurve) { return garchResiduals_(portfolioEquityCurve); }
+self.ewmaVariances_ = function(returns, lambda) { return ewmaVariances_(returns, lambda); }
+self.garchVariances_ = function(residuals, omega, alpha, beta) { return garchVariances_(residuals, omega, alpha, beta); }
+self.garchFit_ = function(residuals) { return garchFit_(residuals); }
+self.nelderMeadMinimize_ = function(f, x0, tol, maxIter) { return nelderMeadMinimize_(f, x0, tol, maxIter); }
+/* End Wrapper private methods - Unit tests usage only */
+
+
+/**
+* @function ewmaVolatility
+*
+* @summary Compute the exponentially weighted volatility of the arithmetic returns of a portfolio.
+*
+* @description This function returns the exponentially weighted moving average (EWMA) volatilities
+* of the arithmetic returns of a portfolio, provided as an equity curve, c.f. the reference.
+*
+* The i-th EWMA volatility is the volatility of the return of the portfolio over the period following the i-th valuation,
+* conditional on the returns up to the i-th valuation, defined as the square root of Sum_t=1..i w_t * r_t^2,
+* where r_t is the t-th arithmetic return of the portfolio and w_t = (1-lambda) * lambda^(i-t) / (1 - lambda^i) is the weight of the t-th return,
+* lambda being the decay factor, so that the most recent returns have the highest weights and the weights sum to 1,
+* c.f. also the function ewmaCovarianceMatrix.
+*
+* In particular, the last EWMA volatility is the forecast of the volatility of the return of the portfolio over the next period,
+* which can be used with the parametric methods of the function valueAtRisk, and which is also, as in the reference,
+* the forecast of the volatility of the return of the portfolio over any future period.
+*
+* To be noted that, as in the reference, the mean of the returns is assumed to be zero.
+*
+* @see J.P. Morgan/Reuters, RiskMetrics - Technical Document, 4th Edition, 1996
+*
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @param {number} lambda the decay factor, a real number belonging to interval ]0,1[; defaults to 0.94.
+* @return {Array.<number>} the EWMA volatilities, an array of real numbers of the same length as portfolioEquityCurve,
+* with the first value equals to NaN.
+*
+* @example
+* ewmaVolatility([100, 110, 99, 108.9, 115]);
+* // [NaN, 0.1, ~0.1, ~0.1, ~0.09]
+*/
+self.ewmaVolatility = function(portfolioEquityCurve, lambda) {
+	// Initialize default parameters
+	if (lambda === undefined) {
+		lambda = 0.94;
+	}
+
+	// Compute the returns
+	var returns = self.arithmeticReturns(portfolioEquityCurve).slice(1); // First value is NaN
+
+	// Compute the EWMA variances of the returns
+	var variances = ewmaVariances_(returns, lambda);
+
+	// Compute and return the associated volatilities
+	for (var i=0; i<variances.length; ++i) {
+		variances[i] = Math.sqrt(variances[i]);
+	}
+	return variances;
+}
+
+
+/**
+* @function garchParameters
+*
+* @summary Compute the GARCH(1,1) parameters of the arithmetic returns of a portfolio.
+*
+* @description This function returns the parameters omega, alpha and beta of the GARCH(1,1) model
+* of the arithmetic returns of a portfolio, provided as an equity curve, c.f. the reference,
+* together with the associated log-likelihood.
+*
+* In the GARCH(1,1) model, the arithmetic return r_t of the portfolio over the t-th period is defined as r_t = m + e_t,
+* with m the mean of the returns and e_t a normally distributed residual of conditional variance
+* s_t^2 = omega + alpha * e_{t-1}^2 + beta * s_{t-1}^2, omega > 0, alpha >= 0, beta >= 0 and alpha + beta < 1.
+*
+* The mean m is estimated by the arithmetic mean of the returns, and the parameters omega, alpha and beta are estimated
+* by maximizing the gaussian log-likelihood of the residuals, the initial conditional variance s_1^2 being set to the variance
+* of the residuals, c.f. the function garchFit_.
+*
+* In case the parameters cannot be estimated (e.g. with less than 2 returns), NaN values are returned.
+*
+* @see Tim Bollerslev, Generalized Autoregressive Conditional Heteroskedasticity, Journal of Econometrics, Vol. 31, No. 3 (1986), pp. 307-327
+*
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @return {Array.<number>} the parameters omega, alpha and beta of the GARCH(1,1) model and the associated log-likelihood, in this order.
+*
+* @example
+* garchParameters(equityCurve([0.003, 0.026, 0.011, -0.01, 0.015, 0.025, 0.016, 0.067, -0.014, 0.04, -0.005, 0.081, 0.04, -0.037, -0.061, 0.017, -0.049, -0.022, 0.07, 0.058, -0.065, 0.024, -0.005, -0.009]));
+* // [~0.0003, ~0.135, ~0.704, ~44.27]
+*/
+self.garchParameters = function(portfolioEquityCurve) {
+	// Compute the residuals of the returns
+	var residuals = garchResiduals_(portfolioEquityCurve);
+
+	// Fit and return the parameters of the GARCH(1,1) model
+	return garchFit_(residuals);
+}
+
+
+/**
+* @function garchVolatility
+*
+* @summary Compute the GARCH(1,1) conditional volatility of the arithmetic returns of a portfolio.
+*
+* @description This function returns the GARCH(1,1) conditional volatilities of the arithmetic returns
+* of a portfolio, provided as an equity curve, c.f. the function garchParameters for the description of the model.
+*
+* The i-th conditional volatility is the volatility of the return of the portfolio over the period following the i-th valuation,
+* conditional on the returns up to the i-th valuation, i.e. the square root of s_{i+1}^2 with the notations of the function garchParameters.
+*
+* In particular, the last conditional volatility is the forecast of the volatility of the return of the portfolio over the next period,
+* which can be used with the parametric methods of the function valueAtRisk.
+*
+* @see Tim Bollerslev, Generalized Autoregressive Conditional Heteroskedasticity, Journal of Econometrics, Vol. 31, No. 3 (1986), pp. 307-327
+*
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @return {Array.<number>} the conditional volatilities, an array of real numbers of the same length as portfolioEquityCurve.
+*
+* @example
+* garchVolatility(equityCurve([0.003, 0.026, 0.011, -0.01, 0.015, 0.025, 0.016, 0.067, -0.014, 0.04, -0.005, 0.081, 0.04, -0.037, -0.061, 0.017, -0.049, -0.022, 0.07, 0.058, -0.065, 0.024, -0.005, -0.009]))[24];
+* // ~0.0405, i.e. the forecast of the volatility over the next period
+*/
+self.garchVolatility = function(portfolioEquityCurve) {
+	// Compute the residuals of the returns and fit the parameters of the GARCH(1,1) model
+	var residuals = garchResiduals_(portfolioEquityCurve);
+	var params = garchFit_(residuals);
+
+	// Compute the conditional variances of the residuals
+	var variances = garchVariances_(residuals, params[0], params[1], params[2]);
+
+	// Compute and return the associated volatilities
+	for (var i=0; i<variances.length; ++i) {
+		variances[i] = Math.sqrt(variances[i]);
+	}
+	return variances;
+}
+
+
+/**
+* @function garchVolatilityForecasts
+*
+* @summary Compute the GARCH(1,1) conditional volatility forecasts of the arithmetic returns of a portfolio.
+*
+* @description This function returns the forecasts of the volatilities of the arithmetic returns of a portfolio,
+* provided as an equity curve, over the h periods following its last valuation, under the GARCH(1,1) model,
+* c.f. the function garchParameters for the description of the model.
+*
+* With the notations of the function garchParameters and T the number of returns, the forecast of the conditional variance
+* of the return over the k-th period following the last valuation is defined as V + (alpha + beta)^(k-1) * (s_{T+1}^2 - V),
+* with V = omega/(1 - alpha - beta) the unconditional variance of the returns, c.f. the reference,
+* so that the forecasts revert to the unconditional volatility as h increases.
+*
+* To be noted that the forecast over the first period is equal to the last volatility computed by the function garchVolatility.
+*
+* @see Tim Bollerslev, Generalized Autoregressive Conditional Heteroskedasticity, Journal of Econometrics, Vol. 31, No. 3 (1986), pp. 307-327
+*
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @param {number} h the number of periods to forecast, a positive integer; defaults to 1.
+* @return {Array.<number>} the forecasts of the volatilities over the h next periods, an array of h real numbers.
+*
+* @example
+* garchVolatilityForecasts(equityCurve([0.003, 0.026, 0.011, -0.01, 0.015, 0.025, 0.016, 0.067, -0.014, 0.04, -0.005, 0.081, 0.04, -0.037, -0.061, 0.017, -0.049, -0.022, 0.07, 0.058, -0.065, 0.024, -0.005, -0.009]), 3);
+* // [~0.0405, ~0.0411, ~0.0415]
+*/
+self.garchVolatilityForecasts = function(portfolioEquityCurve, h) {
+	// Initialize default parameters
+	if (h === undefined) {
+		h = 1;
+	}
+
+	// Compute the residuals of the returns and fit the parameters of the GARCH(1,1) model
+	var residuals = garchResiduals_(portfolioEquityCurve);
+	var params = garchFit_(residuals);
+	var omega = params[0];
+	var persistence = params[1] + params[2];
+
+	// Compute the conditional variance over the next period
+	var variances = garchVariances_(residuals, params[0], params[1], params[2]);
+	var nextVariance = variances[variances.length - 1];
+
+	// Compute the volatility forecasts, c.f. the reference
+	var unconditionalVariance = omega/(1 - persistence);
+	var forecasts = new Array(h);
+	var persistencePower = 1;
+	for (var k=0; k<h; ++k) {
+		forecasts[k] = Math.sqrt(unconditionalVariance + persistencePower * (nextVariance - unconditionalVariance));
+		persistencePower *= persistence;
+	}
+
+	// Return them
+	return forecasts;
+}
+
+
+/**
+* @function garchResiduals_
+*
+* @summary Internal function intended to compute the residuals of the arithmetic returns of a portfolio
+* under the GARCH(1,1) model.
+*
+* @description This internal function returns the residuals e_t = r_t - m of the arithmetic returns r_t of a portfolio,
+* provided as an equity curve, with m the arithmetic mean of the returns, c.f. the function garchParameters.
+*
+* @param {Array.<number>} portfolioEquityCurve the portfolio equity curve, an array of real numbers.
+* @return {Array.<number>} the residuals, an array of real numbers of the same length as portfolioEquityCurve minus 1.
+*
+* @example
+* garchResiduals_([100, 110, 99, 108.9]);
+* // [~0.067, ~-0.133, ~0.067]
+*/
+function garchResiduals_(portfolioEquityCurve) {
+	// Compute the returns
+	var returns = self.arithmeticReturns(portfolioEquityCurve).slice(1); // First value is NaN
+
+	// Compute and return the residuals
+	var m = mean_(returns);
+	for (var t=0; t<returns.length; ++t) {
+		returns[t] -= m;
+	}
+	return returns;
+}
+
+
+/**
+* @function ewmaVariances_
+*
+* @summary Internal function intended to compute the exponentially weighted variances of a serie of returns.
+*
+* @description This internal function returns the exponentially weighted moving average (EWMA) variances
+* of a serie of returns [r_1,...,r_T], c.f. the function ewmaVolatility.
+*
+* The algorithm implemented uses the recursion S_i = lambda * S_{i-1} + (1-lambda) * r_i^2, S_0 = 0,
+* the i-th EWMA variance being equal to S_i/(1 - lambda^i).
+*
+* @see J.P. Morgan/Reuters, RiskMetrics - Technical Document, 4th Edition, 1996
+*
+* @param {Array.<number>} returns the returns, an array of real numbers.
+* @param {number} lambda the decay factor, a real number belonging to interval ]0,1[.
+* @return {Array.<number>} the EWMA variances, an array of real numbers of the same length as returns plus 1,
+* with the first value equals to NaN.
+*
+* @example
+* ewmaVariances_([0.1, -0.1], 0.5);
+* // [NaN, 0.01, 0.01]
+*/
+function ewmaVariances_(returns, lambda) {
+	// Initialisations
+	var nn = returns.length;
+	var variances = new returns.constructor(nn + 1); // Inherit the array type from (ultimately) the input array
+	variances[0] = NaN;
+
+	// Compute the EWMA variances, c.f. the reference
+	var s = 0.0;
+	var lambdaPower = 1;
+	for (var i=1; i<=nn; ++i) {
+		s = lambda * s + (1 - lambda) * returns[i-1] * returns[i-1];
+		lambdaPower *= lambda;
+		variances[i] = s/(1 - lambdaPower);
+	}
+
+	// Return them
+	return variances;
+}
+
+
+/**
+* @function garchVariances_
+*
+* @summary Internal function intended to compute the GARCH(1,1) conditional variances of a serie of residuals.
+*
+* @description This internal function returns the conditional variances [s_1^2,...,s_{T+1}^2] of a serie of residuals [e_1,...,e_T]
+* under the GARCH(1,1) model with parameters omega, alpha and beta, c.f. the function garchParameters,
+* the initial conditional variance s_1^2 being set to the variance of the residuals.
+*
+* @see Tim Bollerslev, Generalized Autoregressive Conditional Heteroskedasticity, Journal of Econometrics, Vol. 31, No. 3 (1986), pp. 307-327
+*
+* @param {Array.<number>} residuals the residuals, an array of real numbers.
+* @param {number} omega the parameter omega of the GARCH(1,1) model, a positive real number.
+* @param {number} alpha the parameter alpha of the GARCH(1,1) model, a positive real number.
+* @param {number} beta the parameter beta of the GARCH(1,1) model, a positive real number.
+* @return {Array.<number>} the conditional variances, an array of real numbers of the same length as residuals plus 1.
+*
+* @example
+* garchVariances_([0.1, -0.1], 0.001, 0.1, 0.8);
+* // [0.01, 0.01, 0.01]
+*/
+function garchVariances_(residuals, omega, alpha, beta) {
+	// Initialisations
+	var nn = residuals.length;
+	var variances = new residuals.constructor(nn + 1); // Inherit the array type from (ultimately) the input array
+	variances[0] = variance_(residuals);
+
+	// Compute the conditional variances, c.f. the reference
+	for (var t=1; t<=nn; ++t) {
+		variances[t] = omega + alpha * residuals[t-1] * residuals[t-1] + beta * variances[t-1];
+	}
+
+	// Return them
+	return variances;
+}
+
+
+/**
+* @function garchFit_
+*
+* @summary Internal function intended to fit the GARCH(1,1) model to a serie of residuals.
+*
+* @description This internal function returns the parameters omega, alpha and beta of the GARCH(1,1) model
+* maximizing the gaussian log-likelihood of a serie of residuals [e_1,...,e_T], c.f. the reference,
+* together with this maximum log-likelihood, defined as -1/2 * Sum_t=1..T (ln(2*pi) + ln(s_t^2) + e_t^2/s_t^2),
+* with s_t^2 the conditional variances of the residuals, c.f. the function garchVariances_.
+*
+* The algorithm implemented minimizes the opposite of the log-likelihood using the Nelder-Mead method, c.f. the function nelderMeadMinimize_,
+* on the unconstrained variables ln(omega), logit(alpha + beta) and logit(alpha/(alpha + beta)), which enforces the constraints
+* omega > 0, alpha >= 0, beta >= 0 and alpha + beta < 1; the minimization is restarted once from the solution found,
+* in order to avoid a premature convergence of the Nelder-Mead method.
+*
+* In case the log-likelihood is not finite (e.g. with less than 2 residuals, or with null residuals),
+* the parameters and the log-likelihood are undefined and NaN values are returned.
+*
+* @see Tim Bollerslev, Generalized Autoregressive Conditional Heteroskedasticity, Journal of Econometrics, Vol. 31, No. 3 (1986), pp. 307-327
+*
+* @param {Array.<number>} residuals the residuals, an array of real numbers.
+* @return {Array.<number>} the parameters omega, alpha and beta of the GARCH(1,1) model and the associated log-likelihood, in this order.
+*
+* @example
+* garchFit_(garchResiduals_(equityCurve([0.003, 0.026, 0.011, -0.01, 0.015, 0.025, 0.016, 0.067, -0.014, 0.04, -0.005, 0.081, 0.04, -0.037, -0.061, 0.017, -0.049, -0.022, 0.07, 0.058, -0.065, 0.024, -0.005, -0.009])));
+* // [~0.0003, ~0.135, ~0.704, ~44.27]
+*/
+function garchFit_(residuals) {
+	// Initialisations
+	var nn = residuals.length;
+	var logTwoPi = Math.log(2 * Math.PI);
+	function logistic(x) {
+		return 1/(1 + Math.exp(-x));
+	}
+	function logit(p) {
+		return Math.log(p/(1 - p));
+	}
+
+	// Compute the parameters of the GARCH(1,1) model from the unconstrained variables
+	function parameters(x) {
+		var persistence = logistic(x[1]);
+		var alpha = persistence * logistic(x[2]);
+		return [Math.exp(x[0]), alpha, persistence - alpha];
+	}
+
+	// Compute the log-likelihood of the residuals
+	function logLikelihood(params) {
+		var variances = garchVariances_(residuals, params[0], params[1], params[2]);
+		var sum = 0.0;
+		for (var t=0; t<nn; ++t) {
+			sum += logTwoPi + Math.log(variances[t]) + residuals[t] * residuals[t]/variances[t];
+		}
+		return -0.5 * sum;
+	}
+
+	// Minimize the opposite of the log-likelihood, starting from the usual values alpha = 0.05 and beta = 0.90,
+	// with omega such that the unconditional variance is equal to the variance of the residuals
+	var f = function(x) {
+		return -logLikelihood(parameters(x));
+	};
+	var x0 = [Math.log(0.05 * variance_(residuals)), logit(0.95), logit(0.05/0.95)];
+	var x = nelderMeadMinimize_(f, x0);
+	x = nelderMeadMinimize_(f, x);
+
+	// Compute the parameters and the associated log-likelihood
+	var params = parameters(x);
+	params.push(logLikelihood(params));
+
+	// Limit case (e.g. less than 2 residuals, or null residuals), the log-likelihood is not finite and the parameters are undefined
+	if (!isFinite(params[0]) || !isFinite(params[3])) {
+		return [NaN, NaN, NaN, NaN];
+	}
+
+	// Return the parameters and the associated log-likelihood
+	return params;
+}
+
+
+/**
+* @function nelderMeadMinimize_
+*
+* @summary Internal function intended to compute a minimum of a function of several variables.
+*
+* @description This internal function returns a (local) minimum of a function f of n variables,
+* using the Nelder-Mead simplex method with the usual reflection, expansion, contraction and shrink coefficients 1, 2, 1/2 and 1/2,
+* c.f. the reference.
+*
+* The initial simplex is made of the initial point x0 and of the n points x0 + 0.5 * e_i, i = 1..n,
+* and the method stops when the values of f at the vertices of the simplex are equal up to a relative tolerance,
+* or when the maximum number of iterations is reached.
+*
+* @see J. A. Nelder, R. Mead, A Simplex Method for Function Minimization, The Computer Journal, Vol. 7, No. 4 (1965), pp. 308-313
+*
+* @param {function} f the function, taking an array of n real numbers as input and returning a real number.
+* @param {Array.<number>} x0 the initial point, an array of n real numbers.
+* @param {number} tol the relative tolerance on the values of f, a positive real number; defaults to 1e-12.
+* @param {number} maxIter the maximum number of iterations, a positive integer; defaults to 10000.
+* @return {Array.<number>} the vertex of the final simplex with the lowest value of f, an array of n real numbers.
+*
+* @example
+* nelderMeadMinimize_(function(x) { return (x[0] - 1)*(x[0] - 1) + (x[1] + 2)*(x[1] + 2); }, [0, 0]);
+* // [~1, ~-2]
+*/
+function nelderMeadMinimize_(f, x0, tol, maxIter) {
+	// Initialize default parameters
+	if (tol === undefined) {
+		tol = 1e-12;
+	}
+	if (maxIter === undefined) {
+		maxIter = 10000;
+	}
+
+	// Initialisations
+	var n = x0.length;
+	function combine(a, b, c) { // Compute the point a + c*(a - b)
+		var x = new Array(n);
+		for (var j=0; j<n; ++j) {
+			x[j] = a[j] + c * (a[j] - b[j]);
+		}
+		return x;
+	}
+
+	// Build the initial simplex
+	var simplex = new Array(n + 1);
+	var values = new Array(n + 1);
+	for (var i=0; i<=n; ++i) {
+		simplex[i] = x0.slice();
+		if (i > 0) {
+			simplex[i][i-1] += 0.5;
+		}
+		values[i] = f(simplex[i]);
+	}
+
+	// Main loop, c.f. the reference
+	for (var iter=0; iter<maxIter; ++iter) {
+		// Sort the vertices of the simplex by increasing values of f, non-numeric values being considered as the highest values
+		var idx = new Array(n + 1);
+		for (var i=0; i<=n; ++i) {
+			idx[i] = i;
+		}
+		idx.sort(function(a, b) {
+			var va = isNaN(values[a]) ? Infinity : values[a];
+			var vb = isNaN(values[b]) ? Infinity : values[b];
+			return va - vb || a - b;
+		});
+		var sortedSimplex = new Array(n + 1);
+		var sortedValues = new Array(n + 1);
+		for (var i=0; i<=n; ++i) {
+			sortedSimplex[i] = simplex[idx[i]];
+			sortedValues[i] = isNaN(values[idx[i]]) ? Infinity : values[idx[i]];
+		}
+		simplex = sortedSimplex;
+		values = sortedValues;
+
+		// Convergence check
+		if (Math.abs(values[n] - values[0]) <= tol * (Math.abs(values[0]) + tol)) {
+			break;
+		}
+
+		// Compute the centroid of all the vertices except the worst one
+		var centroid = new Array(n);
+		for (var j=0; j<n; ++j) {
+			centroid[j] = 0;
+			for (var i=0; i<n; ++i) {
+				centroid[j] += simplex[i][j];
+			}
+			centroid[j] /= n;
+		}
+
+		// Reflection
+		var xr = combine(centroid, simplex[n], 1);
+		var fr = f(xr);
+		if (fr < values[0]) {
+			// Expansion
+			var xe = combine(centroid, simplex[n], 2);
+			var fe = f(xe);
+			if (fe < fr) {
+				simplex[n] = xe;
+				values[n] = fe;
+			}
+			else {
+				simplex[n] = xr;
+				values[n] = fr;
+			}
+		}
+		else if (fr < values[n-1]) {
+			simplex[n] = xr;
+			values[n] = fr;
+		}
+		else {
+			// Contraction, outside or inside the simplex
+			var xc = fr < values[n] ? combine(centroid, simplex[n], 0.5) : combine(centroid, simplex[n], -0.5);
+			var fc = f(xc);
+			if (fc < Math.min(fr, values[n])) {
+				simplex[n] = xc;
+				values[n] = fc;
+			}
+			else {
+				// Shrink towards the best vertex
+				for (var i=1; i<=n; ++i) {
+					simplex[i] = combine(simplex[0], simplex[i], -0.5);
+					values[i] = f(simplex[i]);
+				}
+			}
+		}
+	}
+
+	// Return the best vertex
+	var best = 0;
+	for (var i=1; i<=n; ++i) {
+		if (values[i] < values[best]) {
+			best = i;
+		}
+	}
+	return simplex[best];
+}
@@ -0,0 +1,331 @@
+/**
+ * @file Functions related to rolling windows computation.
+ * @author Roman Rubsamen <roman.rubsamen@gmail.com>
+ */
+
+/* Start Wrapper private methods - Unit tests usage only */
+self.rollingWindowsBounds_ = function(nbValuations, windowSize, step, valuationDates) { return rollingWindowsBounds_(nbValuations, windowSize, step, valuationDates); }
+self.fastRollingStatistics_ = function(func, series, bounds, args) { return fastRollingStatistics_(func, series, bounds, args); }
+/* End Wrapper private methods - Unit tests usage only */
+
+
+/**
+* @function rolling
+*
+* @summary Compute a function of the library over rolling windows.
+*
+* @description This function returns the values of a function applied over rolling windows of one or several
+* aligned series (e.g. a portfolio equity curve and a benchmark equity curve), each window ending at a valuation 
+* and containing either:
+* - A fixed number of valuations, if windowSize is a number
+* - All the valuations since the last valuation on or before the same date a number of days, weeks, months or years before, 
+* if windowSize is a string of the form "<n>d", "<n>w", "<n>m" or "<n>y" (e.g. "12m"), with the end of month rule applying 
+* for months and years (e.g., the date 3 months before the 30th of April is the 31st of January)
+*
+* The function is called with the windows of the series as arguments, in the same order as the series, followed by
+* the optional additional arguments (e.g. the confidence level of the valueAtRisk function).
+*
+* To be noted that the valuation dates can be provided as one of the series, for the functions requiring them (e.g. cagr).
+*
+* The windows are computed every step valuations, starting from the first complete window.
+* If padding is enabled, the computed values are aligned with the series, the positions for which no value is computed 
+* being filled with NaN; otherwise, only the computed values are returned.
+*
+* For the functions computed from the sample moments of the returns (sharpeRatio, informationRatio, trackingError,
+* probabilisticSharpeRatio, and valueAtRisk and expectedShortfall with the "gaussian" and "cornish-fisher" methods),
+* the computation is done using O(1) updates of these sample moments from one window to the next, 
+* instead of recomputing them over each window, c.f. the fastRollingStatistics_ function.
+*
+* @param {function} func the function to apply over the rolling windows, e.g. sharpeRatio or maxDrawdown.
+* @param {Array.<number>|Array.<Array.<number>>} series either a serie (e.g. an equity curve), an array of real numbers, 
+* or aligned series, an array of arrays of real numbers of same length.
+* @param {number|string} windowSize either the number of valuations in each window, a positive integer, or the length of each window
+* in calendar time, a string of the form "<n>d", "<n>w", "<n>m" or "<n>y".
+* @param {number} step the number of valuations between two consecutive windows ends, a positive integer; defaults to 1.
+* @param {boolean} padding whether to align the computed values with the series, with NaN values for the positions without 
+* computed values; defaults to true.
+* @param {Array.<Date>} valuationDates the valuation dates of the series, an array of Dates sorted in increasing order,
+* mandatory if windowSize is a string.
+* @param {Array.<Object>} args an optional array of additional arguments to provide to the function after the windows of the series; 
+* defaults to an empty array.
+* @return {Array.<number>} the values of the function over the rolling windows.
+*
+* @example
+* rolling(maxDrawdown, [100, 90, 99, 89.1, 98.01], 3);
+* // [NaN, NaN, 0.1, 0.1, 0.1]
+*
+* @example
+* rolling(sharpeRatio, [[100, 110, 105, 107.5, 115], [100, 100, 100, 100, 100]], 4, 1, false);
+* // [~0.36, ~0.28]
+*
+* @example
+* rolling(valueAtRisk, [100, 90, 99, 89.1, 98.01], 4, 1, false, undefined, [0.95, "gaussian"]);
+* // [~0.22, ~0.16]
+*/
+self.rolling = function(func, series, windowSize, step, padding, valuationDates, args) {
+	// Initialize default parameters
+	if (step === undefined) {
+		step = 1;
+	}
+	if (padding === undefined) {
+		padding = true;
+	}
+	if (args === undefined) {
+		args = [];
+	}
+	
+	// Convert a single serie into aligned series
+	if (series.length > 0 && typeof series[0] === "number") {
+		series = [series];
+	}
+	var nbValuations = series.length > 0 ? series[0].length : 0;
+	
+	// Compute the bounds of the rolling windows
+	var bounds = rollingWindowsBounds_(nbValuations, windowSize, step, valuationDates);
+	
+	// Compute the values of the function over the rolling windows, 
+	// using a fast path if available
+	var values = fastRollingStatistics_(func, series, bounds, args);
+	if (values === null) {
+		values = new Array(bounds.length);
+		for (var i=0; i<bounds.length; ++i) {
+			var windows = new Array(series.length);
+			for (var j=0; j<series.length; ++j) {
+				windows[j] = series[j].slice(bounds[i][0], bounds[i][1] + 1);
+			}
+			values[i] = func.apply(null, windows.concat(args));
+		}
+	}
+	
+	// Return the computed values, aligned with the series if required
+	if (padding) {
+		var paddedValues = new Array(nbValuations);
+		for (var i=0; i<nbValuations; ++i) {
+			paddedValues[i] = NaN;
+		}
+		for (var i=0; i<bounds.length; ++i) {
+			paddedValues[bounds[i][1]] = values[i];
+		}
+		return paddedValues;
+	}
+	else {
+		return values;
+	}
+}
+
+
+/**
+* @function rollingWindowsBounds_
+*
+* @summary Internal function intended to compute the bounds of rolling windows.
+*
+* @description This internal function returns the start and end indexes of the complete rolling windows 
+* over a serie of valuations, c.f. the rolling function.
+*
+* @param {number} nbValuations the number of valuations.
+* @param {number|string} windowSize the size of the windows, c.f. the rolling function.
+* @param {number} step the number of valuations between two consecutive windows ends, a positive integer.
+* @param {Array.<Date>} valuationDates the valuation dates, an array of nbValuations Dates sorted in increasing order, 
+* mandatory if windowSize is a string.
+* @return {Array.<Array.<number>>} the bounds of the windows, an array of arrays of two elements [start index, end index], 
+* both included, sorted in increasing order.
+*
+* @example
+* rollingWindowsBounds_(5, 3, 1);
+* // [[0, 2], [1, 3], [2, 4]]
+*/
+function rollingWindowsBounds_(nbValuations, windowSize, step, valuationDates) {
+	// Initialisations
+	var bounds = [];
+	
+	if (typeof windowSize === "number") {
+		// Fixed number of valuations windows
+		for (var i=windowSize-1; i<nbValuations; i+=step) {
+			bounds.push([i - windowSize + 1, i]);
+		}
+	}
+	else {
+		// Calendar time windows
+		var match = /^(\d+)([dwmy])$/.exec(windowSize);
+		if (match === null) {
+			throw new Error('unsupported window size: ' + windowSize);
+		}
+		var n = parseInt(match[1], 10);
+		var unit = match[2];
+		
+		// The start of a window is the last valuation on or before the same calendar date n units before the end of the window, 
+		// c.f. the calendarDate_ function, computed incrementally since window starts are increasing
+		var idxStart = -1;
+		var firstWindow = true;
+		for (var i=0; i<nbValuations; ++i) {
+			var endDate = calendarDate_(valuationDates[i]);
+			var year = endDate.getUTCFullYear();
+			var month = endDate.getUTCMonth();
+			var day = endDate.getUTCDate();
+			if (unit == "d") {
+				day -= n;
+			}
+			else if (unit == "w") {
+				day -= 7 * n;
+			}
+			else {
+				var nbMonths = (unit == "m") ? n : 12 * n;
+				var endOfMonth = (day == new Date(Date.UTC(year, month + 1, 0)).getUTCDate());
+				month -= nbMonths;
+				var nbDaysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+				day = endOfMonth ? nbDaysInMonth : Math.min(day, nbDaysInMonth); // End of month rule
+			}
+			var nextDay = new Date(Date.UTC(year, month, day + 1));
+			while (idxStart + 1 <= i && calendarDate_(valuationDates[idxStart + 1]) < nextDay) {
+				++idxStart;
+			}
+			
+			// Complete windows only, every step valuations
+			if (idxStart != -1) {
+				if (firstWindow || i - bounds[bounds.length - 1][1] >= step) {
+					bounds.push([idxStart, i]);
+					firstWindow = false;
+				}
+			}
+		}
+	}
+	
+	// Return the bounds
+	return bounds;
+}
+
+
+/**
+* @function fastRollingStatistics_
+*
+* @summary Internal function intended to compute moment-based functions over rolling windows using O(1) updates.
+*
+* @description This internal function returns the values over rolling windows of the functions of the library 
+* computed from the sample moments of returns, which are:
+* - sharpeRatio, informationRatio, trackingError and probabilisticSharpeRatio, computed from the sample moments 
+* of the differential returns of a portfolio equity curve v.s. a benchmark equity curve
+* - valueAtRisk and expectedShortfall with the "gaussian" and "cornish-fisher" methods, computed from the sample moments 
+* of the returns of a portfolio equity curve
+*
+* The sample moments are updated in O(1) when adding (resp. removing) a return to (resp. from) a window, 
+* thanks to a moments accumulator, c.f. the momentsAccumulator function.
+*
+* To be noted that the values of the functions using the sample skewness and the sample kurtosis of the returns
+* (probabilisticSharpeRatio, and the "cornish-fisher" method) are NaN over windows of less than 4 returns, 
+* on which these sample moments are undefined.
+*
+* Because removing a value from a window can lead to catastrophic cancellation when the sum of squared deviations 
+* becomes small compared to its previous values or to the squared mean, the sample moments are recomputed over 
+* the whole window in this case.
+*
+* @param {function} func the function to apply over the rolling windows.
+* @param {Array.<Array.<number>>} series the aligned series, an array of arrays of real numbers of same length.
+* @param {Array.<Array.<number>>} bounds the bounds of the windows, c.f. the rollingWindowsBounds_ function.
+* @param {Array.<Object>} args the additional arguments to provide to the function after the windows of the series, an array.
+* @return {Array.<number>} the values of the function over the rolling windows, or null if no fast path is available for the function.
+*
+* @example
+* fastRollingStatistics_(sharpeRatio, [[100, 110, 105, 107.5, 115], [100, 100, 100, 100, 100]], [[0, 3], [1, 4]], []);
+* // [~0.36, ~0.28]
+*/
+function fastRollingStatistics_(func, series, bounds, args) {
+	// Select the returns to compute the sample moments from, and the function computing the value 
+	// of func from these sample moments and from the number of returns, if a fast path is available
+	var returns;
+	var momentsFunc;
+	if (series.length == 2 && (func === self.sharpeRatio || func === self.informationRatio)) {
+		returns = differentialReturns_(series[0], series[1]);
+		momentsFunc = function(moments, nbReturns) { 
+			return sharpeRatioMomentsStatistics_(moments, nbReturns)[0]; 
+		};
+	}
+	else if (series.length == 2 && func === self.trackingError) {
+		returns = differentialReturns_(series[0], series[1]);
+		momentsFunc = function(moments, nbReturns) { 
+			return moments[2]; 
+		};
+	}
+	else if (series.length == 2 && func === self.probabilisticSharpeRatio) {
+		var referenceSharpeRatio = args[0];
+		returns = differentialReturns_(series[0], series[1]);
+		momentsFunc = function(moments, nbReturns) { 
+			// The sample skewness and the sample kurtosis are undefined with less than 4 returns
+			if (nbReturns < 4) {
+				return NaN;
+			}
+			
+			// C.f. the function probabilisticSharpeRatio
+			var srs = sharpeRatioMomentsStatistics_(moments, nbReturns);
+			return normcdf_((srs[0] - referenceSharpeRatio)/Math.sqrt(srs[1])); 
+		};
+	}
+	else if (series.length == 1 && (func === self.valueAtRisk || func === self.expectedShortfall) && 
+	         (args[1] == "gaussian" || args[1] == "cornish-fisher")) {
+		var alpha = args[0];
+		var method = args[1];
+		var volatility = args[2];
+		returns = self.arithmeticReturns(series[0]).slice(1); // First value is NaN
+		momentsFunc = function(moments, nbReturns) { 
+			// The sample skewness and the sample kurtosis are undefined with less than 4 returns
+			if (method == "cornish-fisher" && nbReturns < 4) {
+				return NaN;
+			}
+			
+			var params = parametricMomentsTail_(moments, alpha, method);
+			return func === self.valueAtRisk ? parametricValueAtRisk_(params, volatility) : parametricExpectedShortfall_(params, alpha, volatility); 
+		};
+	}
+	else {
+		return null;
+	}
+	
+	// Loop over the windows, updating the sample moments of the returns in the current window
+	var values = new Array(bounds.length);
+	var accumulator = self.momentsAccumulator();
+	var m2Ref = 0.0; // Largest sum of squared deviations since the last recomputation
+	var idxFirst = 0; // First return in the current window
+	var idxLast = -1; // Last return in the current window
+	for (var i=0; i<bounds.length; ++i) {
+		// The window [start, end] of valuations corresponds to the returns [start, end - 1]
+		var start = bounds[i][0];
+		var end = bounds[i][1] - 1;
+		
+		// Add the new returns
+		while (idxLast < end) {
+			++idxLast;
+			if (idxLast >= idxFirst) {
+				accumulator.push(returns[idxLast]);
+				m2Ref = Math.max(m2Ref, accumulator.state.moments[2]);
+			}
+		}
+		
+		// Remove the old returns
+		while (idxFirst < start) {
+			if (idxFirst <= idxLast) {
+				accumulator.remove(returns[idxFirst]);
+			}
+			++idxFirst;
+		}
+		if (idxLast < idxFirst - 1) {
+			idxLast = idxFirst - 1;
+		}
+		
+		// Recompute the sample moments over the whole window in case of potential catastrophic cancellation
+		var nn = accumulator.count();
+		var mean = accumulator.state.moments[1];
+		var m2 = accumulator.state.moments[2];
+		if (nn > 0 && m2 <= 1e-6 * Math.max(m2Ref, nn * mean * mean)) {
+			accumulator = self.momentsAccumulator();
+			for (var j=idxFirst; j<=idxLast; ++j) {
+				accumulator.push(returns[j]);
+			}
+			m2Ref = accumulator.state.moments[2];
+		}
+		
+		// Compute the function value
+		values[i] = momentsFunc(accumulator.moments(), nn);
+	}
+	
+	// Return the computed values
+	return values;
+}
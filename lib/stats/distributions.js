@@ -9,6 +9,15 @@ self.norminv_ = function(p, extendedPrecision) { return norminv_(p, extendedPrec
 self.normcdf_ = function(x) { return normcdf_(x); }
 self.erf_ = function(x) { return erf_(x); }
 self.erfc_ = function(x) { return erfc_(x); }
+self.gammaln_ = function(x) { return gammaln_(x); }
+self.gammainc_ = function(x, a, upper) { return gammainc_(x, a, upper); }
+self.betainc_ = function(x, a, b, upper) { return betainc_(x, a, b, upper); }
+self.tcdf_ = function(x, nu, upper) { return tcdf_(x, nu, upper); }
+self.tinv_ = function(p, nu) { return tinv_(p, nu); }
+self.chi2cdf_ = function(x, k, upper) { return chi2cdf_(x, k, upper); }
+self.chi2inv_ = function(p, k) { return chi2inv_(p, k); }
+self.fcdf_ = function(x, d1, d2, upper) { return fcdf_(x, d1, d2, upper); }
+self.finv_ = function(p, d1, d2) { return finv_(p, d1, d2); }
 /* End Wrapper private methods - Unit tests usage only */
 
 
@@ -122,6 +131,11 @@ function norminv_(p, extendedPrecision) {
 * // 0.5
 */
 function normcdf_(x) {
+	// Limit case (x is NaN, e.g. Sharpe ratio of a single return), return NaN, as the main loop below would not terminate
+	if (isNaN(x)) {
+		return NaN;
+	}
+
 	// Initialisations
 	var s=x;
 	var t=0;
@@ -308,3 +322,530 @@ function calerf_(x, j) {
 	return result;
 }
 
+
+
+/**
+* @function gammaln_
+*
+* @summary Compute the logarithm of the gamma function.
+*
+* @description This function returns an approximation of the natural logarithm of the gamma function, 
+* defined, for x a strictly positive real number, by Gamma(x) = Int_0^+infinity{t^(x-1)e^(-t)dt}.
+*
+* The algorithm uses a Lanczos approximation with 14 coefficients, c.f. the reference,
+* which has a relative error of less than 1e-15 on the whole domain.
+*
+* @see William H. Press, Saul A. Teukolsky, William T. Vetterling, Brian P. Flannery, Numerical Recipes: The Art of Scientific Computing, 3rd Edition, Cambridge University Press, 2007, Section 6.1
+* 
+* @param {number} x a strictly positive real number.
+* @return {number} an approximation to ln(Gamma(x)), or NaN if x is not strictly positive.
+*
+* @example
+* gammaln_(0.5);
+* // ~0.5723649429247001, i.e. ln(sqrt(pi))
+*/
+function gammaln_(x) {
+	// Coefficients of the Lanczos approximation
+	var cof = [57.1562356658629235, -59.5979603554754912, 14.1360979747417471, -0.491913816097620199, 0.339946499848118887e-4, 
+	           0.465236289270485756e-4, -0.983744753048795646e-4, 0.158088703224912494e-3, -0.210264441724104883e-3, 0.217439618115212643e-3, 
+	           -0.164318106536763890e-3, 0.844182239838527433e-4, -0.261908384015814087e-4, 0.368991826595316234e-5];
+	
+	// The gamma function is not defined for non strictly positive values of interest
+	if (x <= 0) {
+		return NaN;
+	}
+	
+	// Compute the Lanczos approximation, c.f. the reference
+	var y = x;
+	var tmp = x + 5.24218750000000000; // Constant is equal to 671/128
+	tmp = (x + 0.5) * Math.log(tmp) - tmp;
+	var ser = 0.999999999999997092;
+	for (var j=0; j<14; ++j) {
+		ser += cof[j]/++y;
+	}
+	
+	// Return the computed value
+	return tmp + Math.log(2.5066282746310005 * ser/x); // Constant is equal to sqrt(2*pi)
+}
+
+
+/**
+* @function gammainc_
+*
+* @summary Compute the regularized incomplete gamma function.
+*
+* @description This function returns an approximation of the regularized lower incomplete gamma function, 
+* defined, for x a positive real number and a a strictly positive real number, by P(a,x) = 1/Gamma(a) * Int_0^x{t^(a-1)e^(-t)dt},
+* or of the regularized upper incomplete gamma function Q(a,x) = 1 - P(a,x).
+*
+* The algorithm uses a series representation for x < a + 1, and a continued fraction representation evaluated
+* through the modified Lentz's method otherwise, c.f. the reference, so that the function which is not computed 
+* through a subtraction from 1 is accurate up to the machine precision.
+*
+* @see William H. Press, Saul A. Teukolsky, William T. Vetterling, Brian P. Flannery, Numerical Recipes: The Art of Scientific Computing, 3rd Edition, Cambridge University Press, 2007, Section 6.2
+* 
+* @param {number} x a positive real number.
+* @param {number} a a strictly positive real number.
+* @param {boolean} upper an optional boolean, either false to compute P(a,x) (default) or true to compute Q(a,x).
+* @return {number} an approximation to P(a,x) or to Q(a,x), or NaN if x is negative or if a is not strictly positive.
+*
+* @example
+* gammainc_(1, 1);
+* // ~0.6321205588285577, i.e. 1 - e^-1
+*/
+function gammainc_(x, a, upper) {
+	// By default, the lower incomplete gamma function is required
+	if (upper === undefined) {
+		upper = false;
+	}
+
+	// Special cases
+	if (x < 0 || a <= 0) {
+		return NaN;
+	}
+	if (x == 0) {
+		return upper ? 1 : 0;
+	}
+	
+	// Initialisations
+	var eps = 2.220446049250313e-16;
+	var fpmin = 1e-300;
+	var maxIter = 10000;
+	var gln = -x + a * Math.log(x) - gammaln_(a);
+	
+	// Compute P(a,x) through its series representation, for x < a + 1
+	if (x < a + 1) {
+		var ap = a;
+		var del = 1/a;
+		var sum = del;
+		for (var n=0; n<maxIter; ++n) {
+			++ap;
+			del *= x/ap;
+			sum += del;
+			if (Math.abs(del) < Math.abs(sum) * eps) {
+				break;
+			}
+		}
+		var p = sum * Math.exp(gln);
+		return upper ? 1 - p : p;
+	}
+	
+	// Compute Q(a,x) through its continued fraction representation, for x >= a + 1
+	else {
+		var b = x + 1 - a;
+		var c = 1/fpmin;
+		var d = 1/b;
+		var h = d;
+		for (var i=1; i<=maxIter; ++i) {
+			var an = -i * (i - a);
+			b += 2;
+			d = an*d + b;
+			if (Math.abs(d) < fpmin) {
+				d = fpmin;
+			}
+			c = b + an/c;
+			if (Math.abs(c) < fpmin) {
+				c = fpmin;
+			}
+			d = 1/d;
+			var del = d*c;
+			h *= del;
+			if (Math.abs(del - 1) <= eps) {
+				break;
+			}
+		}
+		var q = Math.exp(gln) * h;
+		return upper ? q : 1 - q;
+	}
+}
+
+
+/**
+* @function betainc_
+*
+* @summary Compute the regularized incomplete beta function.
+*
+* @description This function returns an approximation of the regularized incomplete beta function, 
+* defined, for x a real number belonging to interval [0,1] and a, b strictly positive real numbers, by 
+* I_x(a,b) = Gamma(a+b)/(Gamma(a)Gamma(b)) * Int_0^x{t^(a-1)(1-t)^(b-1)dt}, or of its complement 1 - I_x(a,b) = I_1-x(b,a).
+*
+* The algorithm uses a continued fraction representation evaluated through the modified Lentz's method, 
+* together with the symmetry relationship above in order to ensure a fast convergence, c.f. the reference,
+* so that the function which is not computed through a subtraction from 1 is accurate up to the machine precision.
+*
+* @see William H. Press, Saul A. Teukolsky, William T. Vetterling, Brian P. Flannery, Numerical Recipes: The Art of Scientific Computing, 3rd Edition, Cambridge University Press, 2007, Section 6.4
+* 
+* @param {number} x a real number belonging to interval [0,1].
+* @param {number} a a strictly positive real number.
+* @param {number} b a strictly positive real number.
+* @param {boolean} upper an optional boolean, either false to compute I_x(a,b) (default) or true to compute 1 - I_x(a,b).
+* @return {number} an approximation to I_x(a,b) or to 1 - I_x(a,b), or NaN if x does not belong to interval [0,1] 
+* or if a or b are not strictly positive.
+*
+* @example
+* betainc_(0.5, 2, 3);
+* // ~0.6875
+*/
+function betainc_(x, a, b, upper) {
+	// By default, the incomplete beta function is required
+	if (upper === undefined) {
+		upper = false;
+	}
+
+	// Special cases
+	if (x < 0 || x > 1 || a <= 0 || b <= 0) {
+		return NaN;
+	}
+	if (x == 0 || x == 1) {
+		return (x == 0) != upper ? 0 : 1;
+	}
+	
+	// Compute the factor in front of the continued fraction
+	var bt = Math.exp(gammaln_(a + b) - gammaln_(a) - gammaln_(b) + a * Math.log(x) + b * Math.log(1 - x));
+	
+	// Compute the continued fraction directly or through the symmetry relationship, depending on its convergence rate
+	if (x < (a + 1)/(a + b + 2)) {
+		var i = bt * betacf_(x, a, b)/a;
+		return upper ? 1 - i : i;
+	}
+	else {
+		var ic = bt * betacf_(1 - x, b, a)/b;
+		return upper ? ic : 1 - ic;
+	}
+}
+
+
+/**
+* @function betacf_
+*
+* @summary Internal function intended to compute the continued fraction of the regularized incomplete beta function.
+*
+* @description This internal function evaluates the continued fraction representation of the regularized incomplete beta function
+* through the modified Lentz's method, c.f. the reference and the function betainc_.
+*
+* @see William H. Press, Saul A. Teukolsky, William T. Vetterling, Brian P. Flannery, Numerical Recipes: The Art of Scientific Computing, 3rd Edition, Cambridge University Press, 2007, Section 6.4
+* 
+* @param {number} x a real number belonging to interval ]0,1[.
+* @param {number} a a strictly positive real number.
+* @param {number} b a strictly positive real number.
+* @return {number} an approximation to the continued fraction.
+*
+*/
+function betacf_(x, a, b) {
+	// Initialisations
+	var eps = 2.220446049250313e-16;
+	var fpmin = 1e-300;
+	var maxIter = 10000;
+	var qab = a + b;
+	var qap = a + 1;
+	var qam = a - 1;
+	
+	// First step of the modified Lentz's method
+	var c = 1;
+	var d = 1 - qab*x/qap;
+	if (Math.abs(d) < fpmin) {
+		d = fpmin;
+	}
+	d = 1/d;
+	var h = d;
+	
+	// Main loop, c.f. the reference
+	for (var m=1; m<=maxIter; ++m) {
+		// Even step of the recurrence
+		var m2 = 2*m;
+		var aa = m * (b - m) * x/((qam + m2) * (a + m2));
+		d = 1 + aa*d;
+		if (Math.abs(d) < fpmin) {
+			d = fpmin;
+		}
+		c = 1 + aa/c;
+		if (Math.abs(c) < fpmin) {
+			c = fpmin;
+		}
+		d = 1/d;
+		h *= d*c;
+		
+		// Odd step of the recurrence
+		aa = -(a + m) * (qab + m) * x/((a + m2) * (qap + m2));
+		d = 1 + aa*d;
+		if (Math.abs(d) < fpmin) {
+			d = fpmin;
+		}
+		c = 1 + aa/c;
+		if (Math.abs(c) < fpmin) {
+			c = fpmin;
+		}
+		d = 1/d;
+		var del = d*c;
+		h *= del;
+		if (Math.abs(del - 1) <= eps) {
+			break;
+		}
+	}
+	
+	// Return the computed value
+	return h;
+}
+
+
+/**
+* @function tcdf_
+*
+* @summary Compute the Student's t cumulative distribution function.
+*
+* @description This function returns an approximation of the Student's t cumulative distribution function, i.e.
+* given x a real number, it returns an approximation to p = Pr{T <= x} (or to 1 - p = Pr{T > x}) where T is a
+* random variable following a Student's t distribution law with nu degrees of freedom.
+*
+* The algorithm uses the relationship between this distribution function and the regularized incomplete beta function,
+* c.f. the reference and the function betainc_.
+*
+* @see William H. Press, Saul A. Teukolsky, William T. Vetterling, Brian P. Flannery, Numerical Recipes: The Art of Scientific Computing, 3rd Edition, Cambridge University Press, 2007, Section 6.14
+* 
+* @param {number} x a real number.
+* @param {number} nu the number of degrees of freedom, a strictly positive real number.
+* @param {boolean} upper an optional boolean, either false to compute Pr{T <= x} (default) or true to compute Pr{T > x}.
+* @return {number} an approximation to Pr{T <= x} or to Pr{T > x}.
+*
+* @example
+* tcdf_(1, 1);
+* // ~0.75
+*/
+function tcdf_(x, nu, upper) {
+	// By default, the lower tail is required
+	if (upper === undefined) {
+		upper = false;
+	}
+	
+	// Compute Pr{T > |x|}, c.f. the reference
+	var tail = 0.5 * betainc_(nu/(nu + x*x), 0.5*nu, 0.5);
+	
+	// Compute the required probability by symmetry
+	if ((x > 0) != upper) {
+		return 1 - tail;
+	}
+	else {
+		return tail;
+	}
+}
+
+
+/**
+* @function tinv_
+*
+* @summary Compute the inverse of the Student's t cumulative distribution function.
+*
+* @description This function returns an approximation of the inverse Student's t cumulative distribution function, i.e.
+* given p in [0,1] it returns an approximation to the x value satisfying p = Pr{T <= x} where T is a
+* random variable following a Student's t distribution law with nu degrees of freedom.
+*
+* The algorithm numerically inverts the Student's t cumulative distribution function, c.f. the function tcdf_,
+* using Brent's method.
+*
+* @param {number} p a probability value, real number belonging to interval [0,1].
+* @param {number} nu the number of degrees of freedom, a strictly positive real number.
+* @return {number} an approximation to the x value satisfying p = Pr{T <= x}, or NaN if p does not belong to interval [0,1].
+*
+* @example
+* tinv_(0.975, 10);
+* // ~2.228138851986274
+*/
+function tinv_(p, nu) {
+	// Boundaries
+	if (p == 0) {
+		return Number.NEGATIVE_INFINITY;
+	}
+	if (p == 1) {
+		return Number.POSITIVE_INFINITY;
+	}
+	
+	// Invert the cumulative distribution function
+	return distributionInverse_(function(x) { return tcdf_(x, nu); }, p, Number.NEGATIVE_INFINITY);
+}
+
+
+/**
+* @function chi2cdf_
+*
+* @summary Compute the chi-square cumulative distribution function.
+*
+* @description This function returns an approximation of the chi-square cumulative distribution function, i.e.
+* given x a real number, it returns an approximation to p = Pr{X <= x} (or to 1 - p = Pr{X > x}) where X is a
+* random variable following a chi-square distribution law with k degrees of freedom.
+*
+* The algorithm uses the relationship between this distribution function and the regularized incomplete gamma function,
+* c.f. the reference and the function gammainc_.
+*
+* @see William H. Press, Saul A. Teukolsky, William T. Vetterling, Brian P. Flannery, Numerical Recipes: The Art of Scientific Computing, 3rd Edition, Cambridge University Press, 2007, Section 6.14
+* 
+* @param {number} x a real number.
+* @param {number} k the number of degrees of freedom, a strictly positive real number.
+* @param {boolean} upper an optional boolean, either false to compute Pr{X <= x} (default) or true to compute Pr{X > x}.
+* @return {number} an approximation to Pr{X <= x} or to Pr{X > x}.
+*
+* @example
+* chi2cdf_(2, 2);
+* // ~0.6321205588285577, i.e. 1 - e^-1
+*/
+function chi2cdf_(x, k, upper) {
+	// By default, the lower tail is required
+	if (upper === undefined) {
+		upper = false;
+	}
+	
+	// The chi-square distribution has a positive support
+	if (x <= 0) {
+		return upper ? 1 : 0;
+	}
+
+	// Compute the required probability, c.f. the reference
+	return gammainc_(0.5*x, 0.5*k, upper);
+}
+
+
+/**
+* @function chi2inv_
+*
+* @summary Compute the inverse of the chi-square cumulative distribution function.
+*
+* @description This function returns an approximation of the inverse chi-square cumulative distribution function, i.e.
+* given p in [0,1] it returns an approximation to the x value satisfying p = Pr{X <= x} where X is a
+* random variable following a chi-square distribution law with k degrees of freedom.
+*
+* The algorithm numerically inverts the chi-square cumulative distribution function, c.f. the function chi2cdf_,
+* using Brent's method.
+*
+* @param {number} p a probability value, real number belonging to interval [0,1].
+* @param {number} k the number of degrees of freedom, a strictly positive real number.
+* @return {number} an approximation to the x value satisfying p = Pr{X <= x}, or NaN if p does not belong to interval [0,1].
+*
+* @example
+* chi2inv_(0.95, 2);
+* // ~5.991464547107979
+*/
+function chi2inv_(p, k) {
+	// Boundaries
+	if (p == 0) {
+		return 0;
+	}
+	if (p == 1) {
+		return Number.POSITIVE_INFINITY;
+	}
+	
+	// Invert the cumulative distribution function
+	return distributionInverse_(function(x) { return chi2cdf_(x, k); }, p, 0);
+}
+
+
+/**
+* @function fcdf_
+*
+* @summary Compute the F cumulative distribution function.
+*
+* @description This function returns an approximation of the F cumulative distribution function, i.e.
+* given x a real number, it returns an approximation to p = Pr{F <= x} (or to 1 - p = Pr{F > x}) where F is a
+* random variable following a F distribution law with d1 and d2 degrees of freedom.
+*
+* The algorithm uses the relationship between this distribution function and the regularized incomplete beta function,
+* c.f. the reference and the function betainc_.
+*
+* @see William H. Press, Saul A. Teukolsky, William T. Vetterling, Brian P. Flannery, Numerical Recipes: The Art of Scientific Computing, 3rd Edition, Cambridge University Press, 2007, Section 6.14
+* 
+* @param {number} x a real number.
+* @param {number} d1 the number of degrees of freedom of the numerator, a strictly positive real number.
+* @param {number} d2 the number of degrees of freedom of the denominator, a strictly positive real number.
+* @param {boolean} upper an optional boolean, either false to compute Pr{F <= x} (default) or true to compute Pr{F > x}.
+* @return {number} an approximation to Pr{F <= x} or to Pr{F > x}.
+*
+* @example
+* fcdf_(1, 2, 2);
+* // ~0.5
+*/
+function fcdf_(x, d1, d2, upper) {
+	// By default, the lower tail is required
+	if (upper === undefined) {
+		upper = false;
+	}
+	
+	// The F distribution has a positive support
+	if (x <= 0) {
+		return upper ? 1 : 0;
+	}
+
+	// Compute the required probability, c.f. the reference
+	return betainc_(d1*x/(d1*x + d2), 0.5*d1, 0.5*d2, upper);
+}
+
+
+/**
+* @function finv_
+*
+* @summary Compute the inverse of the F cumulative distribution function.
+*
+* @description This function returns an approximation of the inverse F cumulative distribution function, i.e.
+* given p in [0,1] it returns an approximation to the x value satisfying p = Pr{F <= x} where F is a
+* random variable following a F distribution law with d1 and d2 degrees of freedom.
+*
+* The algorithm numerically inverts the F cumulative distribution function, c.f. the function fcdf_,
+* using Brent's method.
+*
+* @param {number} p a probability value, real number belonging to interval [0,1].
+* @param {number} d1 the number of degrees of freedom of the numerator, a strictly positive real number.
+* @param {number} d2 the number of degrees of freedom of the denominator, a strictly positive real number.
+* @return {number} an approximation to the x value satisfying p = Pr{F <= x}, or NaN if p does not belong to interval [0,1].
+*
+* @example
+* finv_(0.95, 2, 10);
+* // ~4.102821015130399
+*/
+function finv_(p, d1, d2) {
+	// Boundaries
+	if (p == 0) {
+		return 0;
+	}
+	if (p == 1) {
+		return Number.POSITIVE_INFINITY;
+	}
+	
+	// Invert the cumulative distribution function
+	return distributionInverse_(function(x) { return fcdf_(x, d1, d2); }, p, 0);
+}
+
+
+/**
+* @function distributionInverse_
+*
+* @summary Internal function intended to compute the inverse of a continuous cumulative distribution function.
+*
+* @description This internal function returns the x value satisfying p = F(x), where F is a continuous 
+* cumulative distribution function, by bracketing x and then using Brent's method, c.f. the function brentRoot_.
+*
+* @param {function} cdf the cumulative distribution function, taking a real number as input and returning a real number.
+* @param {number} p a probability value, real number belonging to interval ]0,1[.
+* @param {number} lowerBound the lower bound of the support of the distribution, either 0 or -infinity.
+* @return {number} an approximation to the x value satisfying p = F(x), or NaN if p does not belong to interval ]0,1[ 
+* or if x cannot be bracketed.
+*
+*/
+function distributionInverse_(cdf, p, lowerBound) {
+	// The inverse is undefined outside of ]0,1[, which also covers the NaN case
+	if (!(p > 0 && p < 1)) {
+		return NaN;
+	}
+	
+	// Bracket the inverse by expanding the initial interval [-1, 1] (or [0, 1]) geometrically, 
+	// up to the largest finite double precision numbers
+	var maxDoublings = 1024;
+	var f = function(x) { return cdf(x) - p; };
+	var a = lowerBound == 0 ? 0 : -1;
+	var b = 1;
+	for (var i=0; i<maxDoublings && f(b) < 0; ++i) {
+		b *= 2;
+	}
+	for (var i=0; i<maxDoublings && lowerBound != 0 && f(a) > 0; ++i) {
+		a *= 2;
+	}
+	
+	// Compute the inverse, up to the machine precision
+	return brentRoot_(f, a, b, 0, 1000);
+}
@@ -18,6 +18,7 @@ self.sampleSkewness_ = function(x) { return sampleSkewness_(x); }
 self.kurtosis_ = function(x) { return kurtosis_(x); }
 self.sampleKurtosis_ = function(x) { return sampleKurtosis_(x); }
 self.sampleMoments_ = function(x) { return sampleMoments_(x); }
+self.autocorrelation_ = function(x, k) { return autocorrelation_(x, k); }
 /* End Wrapper private methods - Unit tests usage only */
  
  
@@ -591,3 +592,49 @@ function sampleMoments_(x) {
 	// Return the computed values
 	return [meanX, sampleVarX, sampleStddevX, sampleSkewX, sampleKurtX];
 }
+
+
+/**
+* @function autocorrelation_
+*
+* @summary Compute the sample autocorrelation of a serie of values at a given lag.
+*
+* @description This function returns the sample autocorrelation at lag k of a serie of values [x_1,...,x_p], 
+* which is defined as the sum of the p-k values (x_1-m)*(x_{1+k}-m),...,(x_{p-k}-m)*(x_p-m)
+* divided by the sum of the p values (x_1-m)^2,...,(x_p-m)^2, where m is the arithmetic mean of the p values x_1,...,x_p, 
+* c.f. the reference.
+*
+* To be noted that the sample autocorrelation at a lag k greater than or equal to p is, by this definition, equal to 0.
+*
+* @see <a href="https://en.wikipedia.org/wiki/Autocorrelation">https://en.wikipedia.org/wiki/Autocorrelation</a>
+*
+* @param {Array.<number>} x an array of real numbers.
+* @param {number} k the lag, a positive integer.
+* @return {number} the sample autocorrelation at lag k of the values of the array x.
+*
+* @example
+* autocorrelation_([1, 2, 3, 4], 1); 
+* // 0.25
+*/
+function autocorrelation_(x, k) {
+	// Initialisations
+	var nn = x.length;
+
+	// Compute the mean of the input numeric array (first pass)
+	var meanX = mean_(x);
+
+	// Compute the sum of the squared deviations from the mean and 
+	// the sum of the products of the lagged deviations from the mean (second pass)
+	var sumSquareDiff = 0.0;
+	var sumLagProdDiff = 0.0;
+	for (var i=0; i<nn; ++i) {
+		var diff = (x[i] - meanX);
+		sumSquareDiff += diff * diff;
+		if (i >= k) {
+			sumLagProdDiff += diff * (x[i-k] - meanX);
+		}
+	}
+
+	// Return the sample autocorrelation
+	return sumLagProdDiff/sumSquareDiff;
+}
@@ -0,0 +1,52 @@
+/**
+ * @file Functions related to quantiles computation.
+ * @author Roman Rubsamen <roman.rubsamen@gmail.com>
+ */
+
+/* Start Wrapper private methods - Unit tests usage only */
+self.quantile_ = function(x, p) { return quantile_(x, p); }
+/* End Wrapper private methods - Unit tests usage only */
+
+
+/**
+* @function quantile_
+*
+* @summary Compute the p-quantile of a serie of values.
+*
+* @description This function returns the p-quantile of a serie of values [x_1,...,x_n],
+* computed through a linear interpolation between the order statistics of these values,
+* which corresponds to the definition 7 of the reference.
+*
+* To be noted that the input array is not modified.
+*
+* @see Rob J. Hyndman, Yanan Fan, Sample Quantiles in Statistical Packages, The American Statistician, Vol. 50, No. 4 (1996), pp. 361-365
+*
+* @param {Array.<number>} x an array of real numbers.
+* @param {number} p the order of the quantile, a real number belonging to interval [0,1].
+* @return {number} the p-quantile of the values of the array x.
+*
+* @example
+* quantile_([4, 1, 3, 2], 0.5);
+* // 2.5
+*/
+function quantile_(x, p) {
+	// Initialisations
+	var nn = x.length;
+	if (nn == 0) {
+		return NaN;
+	}
+
+	// Sort a copy of the values in increasing order
+	var sortedX = Array.prototype.slice.call(x); // Also works for typed arrays
+	sortedX.sort(function(a, b) { return a - b; });
+
+	// Compute the position of the p-quantile within the order statistics
+	var h = (nn - 1) * p;
+	var hFloor = Math.floor(h);
+	if (hFloor >= nn - 1) {
+		return sortedX[nn - 1];
+	}
+
+	// Compute the p-quantile through a linear interpolation between the surrounding order statistics
+	return sortedX[hFloor] + (h - hFloor) * (sortedX[hFloor + 1] - sortedX[hFloor]);
+}
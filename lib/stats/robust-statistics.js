@@ -0,0 +1,300 @@
+/**
+ * @file Functions related to robust statistics computation.
+ * @author Roman Rubsamen <roman.rubsamen@gmail.com>
+ */
+
+/* Start Wrapper private methods - Unit tests usage only */
+self.median_ = function(x) { return median_(x); }
+self.mad_ = function(x) { return mad_(x); }
+self.iqr_ = function(x) { return iqr_(x); }
+self.trimmedValues_ = function(x, p) { return trimmedValues_(x, p); }
+self.trimmedMean_ = function(x, p) { return trimmedMean_(x, p); }
+self.trimmedVariance_ = function(x, p) { return trimmedVariance_(x, p); }
+self.winsorize_ = function(x, p) { return winsorize_(x, p); }
+self.winsorizedVariance_ = function(x, p) { return winsorizedVariance_(x, p); }
+self.normalWinsorizedVariance_ = function(p) { return normalWinsorizedVariance_(p); }
+/* End Wrapper private methods - Unit tests usage only */
+
+
+/**
+* @function median_
+*
+* @summary Compute the median of a serie of values.
+*
+* @description This function returns the median of a serie of values [x_1,...,x_n],
+* which is defined as the 0.5-quantile of these values, c.f. the function quantile_.
+*
+* To be noted that the input array is not modified.
+*
+* @param {Array.<number>} x an array of real numbers.
+* @return {number} the median of the values of the array x.
+*
+* @example
+* median_([4, 1, 3, 2]);
+* // 2.5
+*/
+function median_(x) {
+	// Compute and return the 0.5-quantile
+	return quantile_(x, 0.5);
+}
+
+
+/**
+* @function mad_
+*
+* @summary Compute the median absolute deviation of a serie of values.
+*
+* @description This function returns the median absolute deviation of a serie of values [x_1,...,x_n],
+* which is defined as the median of the n values |x_1-m|,...,|x_n-m|, where m is the median of the n values x_1,...,x_n,
+* c.f. the reference.
+*
+* To be noted that the median absolute deviation is not scaled, so that, for normally distributed values,
+* it is a consistent estimator of the standard deviation multiplied by the 0.75-quantile of the standard normal distribution,
+* i.e. ~0.6745.
+*
+* To be noted that the input array is not modified.
+*
+* @see Peter J. Rousseeuw, Christophe Croux, Alternatives to the Median Absolute Deviation, Journal of the American Statistical Association, Vol. 88, No. 424 (1993), pp. 1273-1283
+*
+* @param {Array.<number>} x an array of real numbers.
+* @return {number} the median absolute deviation of the values of the array x.
+*
+* @example
+* mad_([1, 1, 2, 2, 4, 6, 9]);
+* // 1
+*/
+function mad_(x) {
+	// Initialisations
+	var nn = x.length;
+
+	// Compute the median of the values
+	var m = median_(x);
+
+	// Compute the absolute deviations of the values from their median
+	var absDev = new Array(nn);
+	for (var i=0; i<nn; ++i) {
+		absDev[i] = Math.abs(x[i] - m);
+	}
+
+	// Compute and return their median
+	return median_(absDev);
+}
+
+
+/**
+* @function iqr_
+*
+* @summary Compute the interquartile range of a serie of values.
+*
+* @description This function returns the interquartile range of a serie of values [x_1,...,x_n],
+* which is defined as the difference between the 0.75-quantile and the 0.25-quantile of these values, c.f. the function quantile_.
+*
+* To be noted that the input array is not modified.
+*
+* @param {Array.<number>} x an array of real numbers.
+* @return {number} the interquartile range of the values of the array x.
+*
+* @example
+* iqr_([4, 1, 3, 2]);
+* // 1.5
+*/
+function iqr_(x) {
+	// Compute and return the difference between the 0.75-quantile and the 0.25-quantile
+	return quantile_(x, 0.75) - quantile_(x, 0.25);
+}
+
+
+/**
+* @function trimmedValues_
+*
+* @summary Compute the trimmed values of a serie of values.
+*
+* @description This function returns the values of a serie of values [x_1,...,x_n], sorted in increasing order,
+* from which the k lowest values and the k highest values have been removed, with k = floor(n*p).
+*
+* To be noted that the input array is not modified.
+*
+* @param {Array.<number>} x an array of real numbers.
+* @param {number} p the proportion of values to remove at each end, a real number belonging to interval [0,0.5[.
+* @return {Array.<number>} the trimmed values of the array x, an array of n - 2*k real numbers sorted in increasing order.
+*
+* @example
+* trimmedValues_([4, 100, 1, 3, 2], 0.2);
+* // [2, 3, 4]
+*/
+function trimmedValues_(x, p) {
+	// Initialisations
+	var nn = x.length;
+	var k = Math.floor(nn * p);
+
+	// Sort a copy of the values in increasing order
+	var sortedX = Array.prototype.slice.call(x); // Also works for typed arrays
+	sortedX.sort(function(a, b) { return a - b; });
+
+	// Remove the k lowest and the k highest values
+	return sortedX.slice(k, nn - k);
+}
+
+
+/**
+* @function trimmedMean_
+*
+* @summary Compute the trimmed mean of a serie of values.
+*
+* @description This function returns the trimmed mean of a serie of values [x_1,...,x_n],
+* which is defined as the arithmetic mean of these values after the removal of the floor(n*p) lowest values
+* and of the floor(n*p) highest values, c.f. the function trimmedValues_.
+*
+* To be noted that the input array is not modified.
+*
+* @param {Array.<number>} x an array of real numbers.
+* @param {number} p the proportion of values to remove at each end, a real number belonging to interval [0,0.5[.
+* @return {number} the trimmed mean of the values of the array x.
+*
+* @example
+* trimmedMean_([4, 100, 1, 3, 2], 0.2);
+* // 3
+*/
+function trimmedMean_(x, p) {
+	// Compute and return the arithmetic mean of the trimmed values
+	return mean_(trimmedValues_(x, p));
+}
+
+
+/**
+* @function trimmedVariance_
+*
+* @summary Compute the trimmed sample variance of a serie of values.
+*
+* @description This function returns the trimmed sample variance of a serie of values [x_1,...,x_n],
+* which is defined as the sample variance of these values after the removal of the floor(n*p) lowest values
+* and of the floor(n*p) highest values, c.f. the functions trimmedValues_ and sampleVariance_.
+*
+* To be noted that the trimmed sample variance is a measure of the dispersion of the central values, 
+* and is not a consistent estimator of the variance for normally distributed values; for a robust
+* estimator of the scale of the values, c.f. the function winsorizedVariance_.
+*
+* To be noted that the input array is not modified.
+*
+* @param {Array.<number>} x an array of real numbers.
+* @param {number} p the proportion of values to remove at each end, a real number belonging to interval [0,0.5[.
+* @return {number} the trimmed sample variance of the values of the array x.
+*
+* @example
+* trimmedVariance_([4, 100, 1, 3, 2], 0.2);
+* // 1
+*/
+function trimmedVariance_(x, p) {
+	// Compute and return the sample variance of the trimmed values
+	return sampleVariance_(trimmedValues_(x, p));
+}
+
+
+/**
+* @function winsorize_
+*
+* @summary Compute the winsorized values of a serie of values.
+*
+* @description This function returns the winsorized values of a serie of values [x_1,...,x_n],
+* which are defined as these values with the k lowest values replaced by the (k+1)-th lowest value
+* and the k highest values replaced by the (k+1)-th highest value, with k = floor(n*p).
+*
+* The order of the values is preserved.
+*
+* To be noted that the input array is not modified.
+*
+* @param {Array.<number>} x an array of real numbers.
+* @param {number} p the proportion of values to replace at each end, a real number belonging to interval [0,0.5[.
+* @return {Array.<number>} the winsorized values of the array x, an array of n real numbers.
+*
+* @example
+* winsorize_([4, 100, 1, 3, 2], 0.2);
+* // [4, 4, 2, 3, 2]
+*/
+function winsorize_(x, p) {
+	// Initialisations
+	var nn = x.length;
+	var winsorizedX = new x.constructor(nn); // Inherit the array type from the input array
+	if (nn == 0) {
+		return winsorizedX;
+	}
+
+	// Compute the (k+1)-th lowest and the (k+1)-th highest values
+	var k = Math.floor(nn * p);
+	var sortedX = Array.prototype.slice.call(x); // Also works for typed arrays
+	sortedX.sort(function(a, b) { return a - b; });
+	var lowerBound = sortedX[k];
+	var upperBound = sortedX[nn - 1 - k];
+
+	// Replace the values lower than the lower bound and higher than the upper bound
+	for (var i=0; i<nn; ++i) {
+		winsorizedX[i] = Math.min(Math.max(x[i], lowerBound), upperBound);
+	}
+
+	// Return the winsorized values
+	return winsorizedX;
+}
+
+
+/**
+* @function winsorizedVariance_
+*
+* @summary Compute the winsorized sample variance of a serie of values.
+*
+* @description This function returns the winsorized sample variance of a serie of values [x_1,...,x_n],
+* which is defined as the sample variance of the winsorized values, c.f. the functions winsorize_ and sampleVariance_.
+*
+* To be noted that the winsorized sample variance is not scaled, so that, for normally distributed values,
+* it is a consistent estimator of the variance multiplied by the winsorized variance of the standard normal distribution,
+* c.f. the function normalWinsorizedVariance_.
+*
+* To be noted that the input array is not modified.
+*
+* @see Rand R. Wilcox, Introduction to Robust Estimation and Hypothesis Testing, Academic Press
+*
+* @param {Array.<number>} x an array of real numbers.
+* @param {number} p the proportion of values to replace at each end, a real number belonging to interval [0,0.5[.
+* @return {number} the winsorized sample variance of the values of the array x.
+*
+* @example
+* winsorizedVariance_([4, 100, 1, 3, 2], 0.2);
+* // 1
+*/
+function winsorizedVariance_(x, p) {
+	// Compute and return the sample variance of the winsorized values
+	return sampleVariance_(winsorize_(x, p));
+}
+
+
+/**
+* @function normalWinsorizedVariance_
+*
+* @summary Compute the winsorized variance of the standard normal distribution.
+*
+* @description This function returns the variance of the standard normal distribution winsorized at its p-quantile
+* and at its (1-p)-quantile, which is equal to 1 - 2p - 2c*phi(c) + 2p*c^2, with c the (1-p)-quantile and phi
+* the probability density function of the standard normal distribution.
+*
+* This value is the factor making the winsorized sample variance a consistent estimator of the variance
+* for normally distributed values, c.f. the function winsorizedVariance_.
+*
+* @param {number} p the proportion of values to replace at each end, a real number belonging to interval [0,0.5[.
+* @return {number} the winsorized variance of the standard normal distribution.
+*
+* @example
+* normalWinsorizedVariance_(0.1);
+* // ~0.68
+*/
+function normalWinsorizedVariance_(p) {
+	// Limit case (no winsorization), return the variance of the standard normal distribution
+	if (p == 0) {
+		return 1;
+	}
+	
+	// Compute the (1-p)-quantile of the standard normal distribution and its density
+	var c = norminv_(1 - p, true);
+	var phi = Math.exp(-c*c/2) / Math.sqrt(2 * Math.PI);
+	
+	// Compute and return the winsorized variance
+	return 1 - 2*p - 2*c*phi + 2*p*c*c;
+}
@@ -0,0 +1,134 @@
+/**
+ * @file Functions related to root finding.
+ * @author Roman Rubsamen <roman.rubsamen@gmail.com>
+ */
+
+/* Start Wrapper private methods - Unit tests usage only */
+self.brentRoot_ = function(f, a, b, tol, maxIter) { return brentRoot_(f, a, b, tol, maxIter); }
+/* End Wrapper private methods - Unit tests usage only */
+
+
+/**
+* @function brentRoot_
+*
+* @summary Internal function intended to compute a root of a function of one variable.
+*
+* @description This internal function returns a root of a continuous function f of one variable on an interval [a, b] 
+* on which f changes sign, using Brent's method, which combines the bisection method, the secant method 
+* and inverse quadratic interpolation, c.f. the reference.
+*
+* @see Richard P. Brent, Algorithms for Minimization without Derivatives, Prentice-Hall, 1973
+*
+* @param {function} f the function, taking a real number as input and returning a real number.
+* @param {number} a the left bound of the interval, a real number.
+* @param {number} b the right bound of the interval, a real number such that f(a) and f(b) have opposite signs.
+* @param {number} tol the absolute tolerance on the root, a positive real number; defaults to 1e-12.
+* @param {number} maxIter the maximum number of iterations, a positive integer; defaults to 100.
+* @return {number} a root of f on [a, b], or NaN if f(a) and f(b) do not have opposite signs or if the maximum number of iterations is reached.
+*
+* @example
+* brentRoot_(function(x) { return x*x - 2; }, 0, 2); 
+* // ~1.4142135623730951
+*/
+function brentRoot_(f, a, b, tol, maxIter) {
+	// Initialize default parameters
+	if (tol === undefined) {
+		tol = 1e-12;
+	}
+	if (maxIter === undefined) {
+		maxIter = 100;
+	}
+	
+	// Check the bracketing of the root
+	var fa = f(a);
+	var fb = f(b);
+	if (fa == 0) {
+		return a;
+	}
+	if (fb == 0) {
+		return b;
+	}
+	if (fa * fb > 0) {
+		return NaN;
+	}
+	
+	// Main loop, c.f. the reference
+	var c = a;
+	var fc = fa;
+	var d = b - a;
+	var e = d;
+	for (var iter = 0; iter < maxIter; ++iter) {
+		// Make sure that b is the best approximation of the root, and that the root is between b and c
+		if (fb * fc > 0) {
+			c = a;
+			fc = fa;
+			d = b - a;
+			e = d;
+		}
+		if (Math.abs(fc) < Math.abs(fb)) {
+			a = b;
+			b = c;
+			c = a;
+			fa = fb;
+			fb = fc;
+			fc = fa;
+		}
+		
+		// Convergence check
+		var tol1 = 2 * 2.220446049250313e-16 * Math.abs(b) + 0.5 * tol;
+		var xm = 0.5 * (c - b);
+		if (Math.abs(xm) <= tol1 || fb == 0) {
+			return b;
+		}
+		
+		// Attempt an interpolation step, and fall back on a bisection step if it is not acceptable
+		if (Math.abs(e) >= tol1 && Math.abs(fa) > Math.abs(fb)) {
+			var s = fb / fa;
+			var p, q;
+			if (a == c) {
+				// Secant method
+				p = 2 * xm * s;
+				q = 1 - s;
+			}
+			else {
+				// Inverse quadratic interpolation
+				var qq = fa / fc;
+				var r = fb / fc;
+				p = s * (2 * xm * qq * (qq - r) - (b - a) * (r - 1));
+				q = (qq - 1) * (r - 1) * (s - 1);
+			}
+			if (p > 0) {
+				q = -q;
+			}
+			else {
+				p = -p;
+			}
+			if (2 * p < Math.min(3 * xm * q - Math.abs(tol1 * q), Math.abs(e * q))) {
+				e = d;
+				d = p / q;
+			}
+			else {
+				d = xm;
+				e = d;
+			}
+		}
+		else {
+			d = xm;
+			e = d;
+		}
+		
+		// Update the best approximation of the root
+		a = b;
+		fa = fb;
+		if (Math.abs(d) > tol1) {
+			b += d;
+		}
+		else {
+			b += (xm > 0 ? tol1 : -tol1);
+		}
+		fb = f(b);
+	}
+	
+	// The maximum number of iterations has been reached
+	return NaN;
+}
@@ -0,0 +1,287 @@
+/**
+ * @file Functions related to time series statistics computation.
+ * @author Roman Rubsamen <roman.rubsamen@gmail.com>
+ */
+
+/* Start Wrapper private methods - Unit tests usage only */
+self.acf_ = function(x, maxLag) { return acf_(x, maxLag); }
+self.pacf_ = function(x, maxLag) { return pacf_(x, maxLag); }
+self.autocovariances_ = function(x, maxLag) { return autocovariances_(x, maxLag); }
+self.maFactorization_ = function(autocovariances) { return maFactorization_(autocovariances); }
+self.linearSystemSolve_ = function(a, b) { return linearSystemSolve_(a, b); }
+/* End Wrapper private methods - Unit tests usage only */
+
+
+/**
+* @function acf_
+*
+* @summary Compute the sample autocorrelation function of a serie of values.
+*
+* @description This function returns the sample autocorrelations at lags 1 to maxLag of a serie of values [x_1,...,x_p],
+* c.f. the function autocorrelation_ for the definition of the sample autocorrelation at a given lag.
+*
+* @see George E. P. Box, Gwilym M. Jenkins, Gregory C. Reinsel, Time Series Analysis: Forecasting and Control, 4th Edition, Wiley, 2008
+*
+* @param {Array.<number>} x an array of real numbers.
+* @param {number} maxLag the maximum lag, a positive integer.
+* @return {Array.<number>} the sample autocorrelations at lags 1 to maxLag of the values of the array x, an array of maxLag real numbers.
+*
+* @example
+* acf_([1, 2, 3, 4], 2);
+* // [0.25, -0.3]
+*/
+function acf_(x, maxLag) {
+	// Compute the sample autocorrelations at each lag
+	var acf = new Array(maxLag);
+	for (var k=1; k<=maxLag; ++k) {
+		acf[k-1] = autocorrelation_(x, k);
+	}
+
+	// Return them
+	return acf;
+}
+
+
+/**
+* @function pacf_
+*
+* @summary Compute the sample partial autocorrelation function of a serie of values.
+*
+* @description This function returns the sample partial autocorrelations at lags 1 to maxLag of a serie of values [x_1,...,x_p],
+* the sample partial autocorrelation at lag k being the last coefficient of the autoregressive model of order k
+* fitted to the sample autocorrelations at lags 1 to k.
+*
+* The algorithm implemented uses the Durbin-Levinson recursion on the sample autocorrelations, c.f. the reference.
+*
+* @see George E. P. Box, Gwilym M. Jenkins, Gregory C. Reinsel, Time Series Analysis: Forecasting and Control, 4th Edition, Wiley, 2008
+*
+* @param {Array.<number>} x an array of real numbers.
+* @param {number} maxLag the maximum lag, a positive integer.
+* @return {Array.<number>} the sample partial autocorrelations at lags 1 to maxLag of the values of the array x, an array of maxLag real numbers.
+*
+* @example
+* pacf_([1, 2, 3, 4], 2);
+* // [0.25, ~-0.39]
+*/
+function pacf_(x, maxLag) {
+	// Compute the sample autocorrelations
+	var rho = acf_(x, maxLag);
+
+	// Durbin-Levinson recursion, phi containing the coefficients of the autoregressive model of the current order
+	var pacf = new Array(maxLag);
+	var phi = [];
+	for (var k=1; k<=maxLag; ++k) {
+		// Compute the last coefficient of the autoregressive model of order k
+		var num = rho[k-1];
+		var den = 1;
+		for (var j=1; j<k; ++j) {
+			num -= phi[j-1] * rho[k-j-1];
+			den -= phi[j-1] * rho[j-1];
+		}
+		var phiKK = num/den;
+
+		// Update the other coefficients of the autoregressive model
+		var newPhi = new Array(k);
+		for (var j=1; j<k; ++j) {
+			newPhi[j-1] = phi[j-1] - phiKK * phi[k-j-1];
+		}
+		newPhi[k-1] = phiKK;
+		phi = newPhi;
+
+		pacf[k-1] = phiKK;
+	}
+
+	// Return the sample partial autocorrelations
+	return pacf;
+}
+
+
+/**
+* @function autocovariances_
+*
+* @summary Compute the sample autocovariances of a serie of values.
+*
+* @description This function returns the sample autocovariances at lags 0 to maxLag of a serie of values [x_1,...,x_p],
+* the sample autocovariance at lag k being defined as the sample autocorrelation at lag k multiplied
+* by the variance of the values, c.f. the functions autocorrelation_ and variance_.
+*
+* @param {Array.<number>} x an array of real numbers.
+* @param {number} maxLag the maximum lag, a positive integer.
+* @return {Array.<number>} the sample autocovariances at lags 0 to maxLag of the values of the array x, an array of maxLag + 1 real numbers.
+*
+* @example
+* autocovariances_([1, 2, 3, 4], 1);
+* // [1.25, 0.3125]
+*/
+function autocovariances_(x, maxLag) {
+	// Compute the variance of the values, i.e. the autocovariance at lag 0
+	var gamma = new Array(maxLag + 1);
+	gamma[0] = variance_(x);
+
+	// Compute the sample autocovariances at lags 1 to maxLag
+	for (var k=1; k<=maxLag; ++k) {
+		gamma[k] = autocorrelation_(x, k) * gamma[0];
+	}
+
+	// Return them
+	return gamma;
+}
+
+
+/**
+* @function maFactorization_
+*
+* @summary Compute the coefficients of the invertible moving average process having given autocovariances.
+*
+* @description This function returns the coefficients [t_0,...,t_q] of the invertible moving average process
+* X_t = t_0*e_t + t_1*e_{t-1} + ... + t_q*e_{t-q}, with e_t a white noise of unit variance, whose autocovariances
+* at lags 0 to q are equal to given autocovariances [g_0,...,g_q], i.e., such that g_j = t_0*t_j + ... + t_{q-j}*t_q for j = 0..q.
+*
+* The algorithm implemented uses the Newton-Raphson method of the reference, which converges quadratically
+* to the invertible solution when it exists.
+*
+* @see G. Tunnicliffe Wilson, Factorization of the Covariance Generating Function of a Pure Moving Average Process, SIAM Journal on Numerical Analysis, Vol. 6, No. 1 (1969), pp. 1-7
+*
+* @param {Array.<number>} autocovariances the autocovariances at lags 0 to q, an array of q + 1 real numbers.
+* @return {Array.<number>} the coefficients of the invertible moving average process, an array of q + 1 real numbers
+* with a positive sum, or an array of NaN values if the method does not converge (e.g. if the autocovariances
+* do not correspond to a moving average process).
+*
+* @example
+* maFactorization_([0.58, 0.21]);
+* // [~0.7, ~0.3]
+*/
+function maFactorization_(autocovariances) {
+	// Initialisations
+	var q = autocovariances.length - 1;
+	var maxIter = 100;
+	var t = new Array(q + 1);
+	t[0] = Math.sqrt(autocovariances[0]);
+	for (var i=1; i<=q; ++i) {
+		t[i] = 0;
+	}
+
+	// Newton-Raphson iterations on the system g_j = t_0*t_j + ... + t_{q-j}*t_q, j = 0..q, c.f. the reference
+	for (var iter=0; iter<maxIter; ++iter) {
+		// Compute the residuals and the Jacobian of the system
+		var f = new Array(q + 1);
+		var jac = new Array(q + 1);
+		for (var j=0; j<=q; ++j) {
+			f[j] = -autocovariances[j];
+			for (var i=0; i<=q-j; ++i) {
+				f[j] += t[i] * t[i+j];
+			}
+			jac[j] = new Array(q + 1);
+			for (var l=0; l<=q; ++l) {
+				jac[j][l] = (l - j >= 0 ? t[l-j] : 0) + (l + j <= q ? t[l+j] : 0);
+			}
+		}
+
+		// Compute and apply the Newton-Raphson step
+		var delta = linearSystemSolve_(jac, f);
+		var maxDelta = 0;
+		var maxT = 0;
+		for (var i=0; i<=q; ++i) {
+			t[i] -= delta[i];
+			maxDelta = Math.max(maxDelta, Math.abs(delta[i]));
+			maxT = Math.max(maxT, Math.abs(t[i]));
+		}
+
+		// Convergence check
+		if (maxDelta <= 1e-14 * maxT) {
+			// Normalize the sign of the coefficients, so that their sum is positive
+			var sum = 0;
+			for (var i=0; i<=q; ++i) {
+				sum += t[i];
+			}
+			if (sum < 0) {
+				for (var i=0; i<=q; ++i) {
+					t[i] = -t[i];
+				}
+			}
+
+			return t;
+		}
+		else if (isNaN(maxDelta)) {
+			break;
+		}
+	}
+
+	// No convergence
+	for (var i=0; i<=q; ++i) {
+		t[i] = NaN;
+	}
+	return t;
+}
+
+
+/**
+* @function linearSystemSolve_
+*
+* @summary Compute the solution of a square linear system.
+*
+* @description This function returns the solution x of a square linear system a*x = b,
+* using Gaussian elimination with partial pivoting, c.f. the reference.
+*
+* To be noted that the input arrays are not modified.
+*
+* @see Gene H. Golub, Charles F. Van Loan, Matrix Computations, 4th Edition, Johns Hopkins University Press, 2013
+*
+* @param {Array.<Array.<number>>} a the matrix of the linear system, an array of n arrays of n real numbers.
+* @param {Array.<number>} b the right hand side of the linear system, an array of n real numbers.
+* @return {Array.<number>} the solution of the linear system, an array of n real numbers,
+* or an array of NaN values if the matrix is singular.
+*
+* @example
+* linearSystemSolve_([[2, 1], [1, 3]], [3, 5]);
+* // [0.8, 1.4]
+*/
+function linearSystemSolve_(a, b) {
+	// Initialisations, with copies of the input arrays
+	var n = b.length;
+	var m = new Array(n);
+	var x = new Array(n);
+	for (var i=0; i<n; ++i) {
+		m[i] = a[i].slice();
+		x[i] = b[i];
+	}
+
+	// Forward elimination, with partial pivoting
+	for (var k=0; k<n; ++k) {
+		// Select the pivot
+		var p = k;
+		for (var i=k+1; i<n; ++i) {
+			if (Math.abs(m[i][k]) > Math.abs(m[p][k])) {
+				p = i;
+			}
+		}
+		if (m[p][k] == 0) {
+			for (var i=0; i<n; ++i) {
+				x[i] = NaN;
+			}
+			return x;
+		}
+		var tmpRow = m[k]; m[k] = m[p]; m[p] = tmpRow;
+		var tmp = x[k]; x[k] = x[p]; x[p] = tmp;
+
+		// Eliminate the k-th unknown from the next rows
+		for (var i=k+1; i<n; ++i) {
+			var factor = m[i][k]/m[k][k];
+			for (var j=k; j<n; ++j) {
+				m[i][j] -= factor * m[k][j];
+			}
+			x[i] -= factor * x[k];
+		}
+	}
+
+	// Back substitution
+	for (var i=n-1; i>=0; --i) {
+		for (var j=i+1; j<n; ++j) {
+			x[i] -= m[i][j] * x[j];
+		}
+		x[i] /= m[i][i];
+	}
+
+	// Return the solution
+	return x;
+}
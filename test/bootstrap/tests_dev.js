@@ -0,0 +1,64 @@
+// ------------------------------------------------------------
+QUnit.module('Bootstrap internal module', {
+});
+
+
+QUnit.test('Uniform random generator internal computation', function(assert) {    
+  // Reproducibility
+  var random = PortfolioAnalytics.uniformRandomGenerator_(42);
+  var otherRandom = PortfolioAnalytics.uniformRandomGenerator_(42);
+  var values = [];
+  for (var i=0; i<10; ++i) {
+	  values.push(random());
+	  assert.equal(otherRandom(), values[i], 'Uniform random generator reproducibility #' + i);
+  }
+  
+  // Range and mean of the generated numbers, with a null seed
+  random = PortfolioAnalytics.uniformRandomGenerator_(0);
+  var inRange = true;
+  var sum = 0.0;
+  for (var i=0; i<10000; ++i) {
+	  var u = random();
+	  inRange = inRange && u > 0 && u < 1;
+	  sum += u;
+  }
+  assert.ok(inRange, 'Uniform random generator range');
+  assert.ok(Math.abs(sum/10000 - 0.5) <= 0.01, 'Uniform random generator mean');
+});
+
+
+QUnit.test('Bootstrap indexes internal computation', function(assert) {    
+  var random = PortfolioAnalytics.uniformRandomGenerator_(42);
+  
+  // iid bootstrap
+  var indexes = PortfolioAnalytics.bootstrapIndexes_(20, "iid", undefined, random);
+  assert.equal(indexes.length, 20, 'Bootstrap indexes iid length');
+  assert.ok(indexes.every(function(index) { return index >= 0 && index < 20 && index == Math.floor(index); }), 'Bootstrap indexes iid range');
+  
+  // Moving-block bootstrap, with blocks of consecutive indexes
+  indexes = PortfolioAnalytics.bootstrapIndexes_(20, "moving-block", 4, random);
+  assert.equal(indexes.length, 20, 'Bootstrap indexes moving-block length');
+  var consecutive = true;
+  for (var i=0; i<20; ++i) {
+	  consecutive = consecutive && indexes[i] >= 0 && indexes[i] < 20 && (i % 4 == 0 || indexes[i] == indexes[i-1] + 1);
+  }
+  assert.ok(consecutive, 'Bootstrap indexes moving-block blocks');
+  assert.deepEqual(PortfolioAnalytics.bootstrapIndexes_(5, "moving-block", 5, random), [0, 1, 2, 3, 4], 'Bootstrap indexes moving-block single block');
+  
+  // Stationary bootstrap, with blocks of consecutive indexes wrapping around
+  indexes = PortfolioAnalytics.bootstrapIndexes_(20, "stationary", 1000000, random);
+  var wrapped = true;
+  for (var i=1; i<20; ++i) {
+	  wrapped = wrapped && indexes[i] == (indexes[i-1] + 1) % 20;
+  }
+  assert.ok(wrapped, 'Bootstrap indexes stationary wrap around');
+  indexes = PortfolioAnalytics.bootstrapIndexes_(20, "stationary", 1, random);
+  assert.ok(indexes.every(function(index) { return index >= 0 && index < 20; }), 'Bootstrap indexes stationary range');
+});
+
+
+QUnit.test('Resampled series internal computation', function(assert) {    
+  assert.deepEqual(PortfolioAnalytics.resampledSeries_([100, 1], [[1, -0.5], [0, 1]], [0, 1]), [[100, 200, 100], [1, 1, 2]], 'Resampled series identity');
+  assert.deepEqual(PortfolioAnalytics.resampledSeries_([100], [[1, -0.5]], [1, 0, 1]), [[100, 50, 100, 50]], 'Resampled series');
+  assert.deepEqual(PortfolioAnalytics.resampledSeries_([100], [new Float64Array([1, -0.5])], [1])[0], new Float64Array([100, 50]), 'Resampled series typed array');
+});
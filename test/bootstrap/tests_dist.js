@@ -0,0 +1,96 @@
+// ------------------------------------------------------------
+QUnit.module('Bootstrap module', {
+  before: function() {
+	  // Taken from "Practical Portfolio Performance Measurement and Attribution, 2nd Edition, Carl R. Bacon."
+	  var baconPortfolioReturns = [0.003, 0.026, 0.011, -0.01, 0.015, 0.025, 0.016, 0.067, -0.014, 0.04, -0.005, 0.081, 0.04, -0.037, -0.061, 0.017, -0.049, -0.022, 0.07, 0.058, -0.065, 0.024, -0.005, -0.009];
+
+	  // Build the equity curves corresponding to the returns
+	  this.baconPortfolio = new Array(baconPortfolioReturns.length + 1);
+	  this.zeroRiskFree = new Array(baconPortfolioReturns.length + 1);
+	  this.baconPortfolio[0] = 100;
+	  this.zeroRiskFree[0] = 100;
+	  for (var i=0; i<baconPortfolioReturns.length; ++i) {
+		this.baconPortfolio[i+1] = this.baconPortfolio[i] * (1 + baconPortfolioReturns[i]);
+		this.zeroRiskFree[i+1] = this.zeroRiskFree[i];
+	  }
+  }
+});
+
+
+QUnit.test('Bootstrap computation', function(assert) {    
+  var series = [this.baconPortfolio, this.zeroRiskFree];
+  var resamplingMethods = ["iid", "moving-block", "stationary"];
+  for (var i=0; i<resamplingMethods.length; ++i) {
+	  // Reproducibility with a seed
+	  var values = PortfolioAnalytics.bootstrap(PortfolioAnalytics.sharpeRatio, series, 100, resamplingMethods[i], undefined, 42);
+	  assert.equal(values.length, 100, 'Bootstrap number of samples ' + resamplingMethods[i]);
+	  assert.deepEqual(PortfolioAnalytics.bootstrap(PortfolioAnalytics.sharpeRatio, series, 100, resamplingMethods[i], undefined, 42), values, 'Bootstrap reproducibility ' + resamplingMethods[i]);
+	  assert.notDeepEqual(PortfolioAnalytics.bootstrap(PortfolioAnalytics.sharpeRatio, series, 100, resamplingMethods[i], undefined, 43), values, 'Bootstrap seed ' + resamplingMethods[i]);
+  }
+  
+  // Single serie, with a block length equal to the number of returns, so that the moving-block bootstrap sample is the serie itself
+  assert.deepEqual(PortfolioAnalytics.bootstrap(PortfolioAnalytics.cumulativeReturn, this.baconPortfolio, 3, "moving-block", 24, 42).map(function(value) { return Math.abs(value - PortfolioAnalytics.cumulativeReturn(this.baconPortfolio)) <= 1e-14; }, this), 
+                   [true, true, true], 'Bootstrap single serie');
+  
+  // Default parameters
+  assert.equal(PortfolioAnalytics.bootstrap(PortfolioAnalytics.sharpeRatio, series).length, 1000, 'Bootstrap default number of samples');
+
+  // Unsupported resampling method
+  assert.throws(function() { 
+	  PortfolioAnalytics.bootstrap(PortfolioAnalytics.sharpeRatio, [[100, 110, 105, 107.5, 115], [100, 100, 100, 100, 100]], 10, "unknown"); 
+  }, new Error('unsupported resampling method: unknown'), 'Bootstrap unsupported resampling method');
+});
+
+
+QUnit.test('Bootstrap confidence interval computation', function(assert) {    
+  var series = [this.baconPortfolio, this.zeroRiskFree];
+  var sr = PortfolioAnalytics.sharpeRatio(this.baconPortfolio, this.zeroRiskFree);
+  
+  // Reference values
+  assert.deepEqual(PortfolioAnalytics.bootstrapConfidenceInterval(PortfolioAnalytics.sharpeRatio, series, 0.05, 2000, "percentile", "iid", undefined, 1), 
+                   [-0.18980723121333407, 0.672724745682502], 'Bootstrap confidence interval percentile');
+  assert.deepEqual(PortfolioAnalytics.bootstrapConfidenceInterval(PortfolioAnalytics.sharpeRatio, series, 0.05, 2000, "bca", "iid", undefined, 1), 
+                   [-0.21876389740969282, 0.6373640092889398], 'Bootstrap confidence interval BCa');
+  
+  // Consistency with the asymptotic confidence interval
+  var ci = PortfolioAnalytics.sharpeRatioConfidenceInterval(this.baconPortfolio, this.zeroRiskFree, 0.05);
+  var resamplingMethods = ["iid", "moving-block", "stationary"];
+  var intervalMethods = ["percentile", "bca"];
+  for (var i=0; i<resamplingMethods.length; ++i) {
+	  for (var j=0; j<intervalMethods.length; ++j) {
+		  var bootstrapCi = PortfolioAnalytics.bootstrapConfidenceInterval(PortfolioAnalytics.sharpeRatio, series, 0.05, 2000, intervalMethods[j], resamplingMethods[i], undefined, 1);
+		  assert.ok(bootstrapCi[0] < sr && sr < bootstrapCi[1], 'Bootstrap confidence interval contains the Sharpe ratio ' + resamplingMethods[i] + ' ' + intervalMethods[j]);
+		  assert.ok(Math.abs(bootstrapCi[0] - ci[0]) <= 0.1 && Math.abs(bootstrapCi[1] - ci[1]) <= 0.1, 'Bootstrap confidence interval close to asymptotic confidence interval ' + resamplingMethods[i] + ' ' + intervalMethods[j]);
+	  }
+  }
+
+  // Bootstrap distribution on one side of the value of the function, the BCa method falls back to the percentile method
+  assert.deepEqual(PortfolioAnalytics.bootstrapConfidenceInterval(PortfolioAnalytics.maxDrawdown, [100, 110, 120, 130, 140], 0.05, 100, "bca", "iid", undefined, 1), 
+                   [0, 0], 'Bootstrap confidence interval BCa one-sided distribution');
+  assert.deepEqual(PortfolioAnalytics.bootstrapConfidenceInterval(PortfolioAnalytics.maxDrawdown, [100, 110, 120, 130, 140], 0.05, 100, "bca", "iid", undefined, 1), 
+                   PortfolioAnalytics.bootstrapConfidenceInterval(PortfolioAnalytics.maxDrawdown, [100, 110, 120, 130, 140], 0.05, 100, "percentile", "iid", undefined, 1), 'Bootstrap confidence interval BCa one-sided distribution percentile');
+
+  // Unsupported confidence interval method
+  assert.throws(function() { 
+	  PortfolioAnalytics.bootstrapConfidenceInterval(PortfolioAnalytics.sharpeRatio, [[100, 110, 105, 107.5, 115], [100, 100, 100, 100, 100]], 0.05, 10, "unknown"); 
+  }, new Error('unsupported confidence interval method: unknown'), 'Bootstrap confidence interval unsupported method');
+});
+
+
+QUnit.test('Bootstrap double Sharpe ratio computation', function(assert) {    
+  assert.equal(PortfolioAnalytics.bootstrapDoubleSharpeRatio(this.baconPortfolio, this.zeroRiskFree, 2000, "iid", undefined, 1), 1.0514229689880532, 'Bootstrap double Sharpe ratio #1');
+  
+  // Short series, with degenerate bootstrap samples made of identical differential returns
+  for (var seed=1; seed<=10; ++seed) {
+	  var bdsr = PortfolioAnalytics.bootstrapDoubleSharpeRatio([100, 110, 105, 107.5, 115], [100, 100, 100, 100, 100], 1000, "iid", undefined, seed);
+	  assert.ok(bdsr > 0.3 && bdsr < 0.6, 'Bootstrap double Sharpe ratio short series #' + seed);
+  }
+  assert.ok(isNaN(PortfolioAnalytics.bootstrapDoubleSharpeRatio([100, 110], [100, 100], 100, "iid", undefined, 1)), 'Bootstrap double Sharpe ratio one return');
+  
+  // Consistency with the asymptotic double Sharpe ratio
+  var dsr = PortfolioAnalytics.doubleSharpeRatio(this.baconPortfolio, this.zeroRiskFree);
+  var resamplingMethods = ["iid", "moving-block", "stationary"];
+  for (var i=0; i<resamplingMethods.length; ++i) {
+	  assert.ok(Math.abs(PortfolioAnalytics.bootstrapDoubleSharpeRatio(this.baconPortfolio, this.zeroRiskFree, 2000, resamplingMethods[i], undefined, 1) - dsr) <= 0.15, 'Bootstrap double Sharpe ratio ' + resamplingMethods[i]);
+  }
+});
@@ -0,0 +1,36 @@
+// ------------------------------------------------------------
+QUnit.module('Covariance internal module', {
+});
+
+
+QUnit.test('Covariance matrix internal computation', function(assert) {    
+  assert.deepEqual(PortfolioAnalytics.covarianceMatrix_([[1, 2, 3, 4], [4, 3, 2, 1]]), new Float64Array([1.25, -1.25, -1.25, 1.25]), 'Covariance matrix #1');
+  assert.deepEqual(PortfolioAnalytics.covarianceMatrix_([[4, 7, 13, 16]]), new Float64Array([22.5]), 'Covariance matrix #2');
+});
+
+
+QUnit.test('Ledoit-Wolf shrinkage internal computation', function(assert) {    
+  var x = [[0.003, 0.026, 0.011, -0.01, 0.015, 0.025, 0.016, 0.067, -0.014, 0.04, -0.005, 0.081, 0.04, -0.037, -0.061, 0.017, -0.049, -0.022, 0.07, 0.058, -0.065, 0.024, -0.005, -0.009],
+           [0.002, 0.025, 0.018, -0.011, 0.014, 0.018, 0.014, 0.065, -0.015, 0.042, -0.006, 0.083, 0.039, -0.038, -0.062, 0.015, -0.048, 0.021, 0.06, 0.056, -0.067, 0.019, -0.003, 0],
+           [0.01, -0.02, 0.015, 0.005, -0.01, 0.02, 0.0, 0.03, -0.005, 0.01, 0.012, 0.04, -0.02, 0.01, -0.03, 0.02, 0.005, -0.01, 0.03, 0.02, -0.04, 0.01, 0.0, 0.005]];
+  var s = PortfolioAnalytics.covarianceMatrix_(x);
+  
+  // Shrinkage intensities, computed with an independent implementation of the formulas of the references
+  var lw = PortfolioAnalytics.ledoitWolfShrinkage_(x, "constant-correlation");
+  assert.ok(Math.abs(lw[1] - 0.6512903006559418) <= 1e-14, 'Ledoit-Wolf shrinkage intensity constant correlation target');
+  lw = PortfolioAnalytics.ledoitWolfShrinkage_(x, "identity");
+  assert.ok(Math.abs(lw[1] - 0.12963515427891423) <= 1e-14, 'Ledoit-Wolf shrinkage intensity identity target');
+  
+  // Identity target: the off-diagonal elements are shrunk towards 0, and the trace is preserved
+  assert.ok(Math.abs(lw[0][1] - (1 - lw[1]) * s[1]) <= 1e-18, 'Ledoit-Wolf shrinkage identity target off-diagonal element');
+  assert.ok(Math.abs((lw[0][0] + lw[0][4] + lw[0][8]) - (s[0] + s[4] + s[8])) <= 1e-18, 'Ledoit-Wolf shrinkage identity target trace');
+  
+  // Constant correlation target: the diagonal elements are preserved
+  lw = PortfolioAnalytics.ledoitWolfShrinkage_(x, "constant-correlation");
+  assert.ok(Math.abs(lw[0][0] - s[0]) <= 1e-18 && Math.abs(lw[0][4] - s[4]) <= 1e-18 && Math.abs(lw[0][8] - s[8]) <= 1e-18, 'Ledoit-Wolf shrinkage constant correlation target diagonal');
+  
+  // Constant correlation target with two series, equal to the covariance matrix, so that there is no shrinkage
+  lw = PortfolioAnalytics.ledoitWolfShrinkage_([x[0], x[1]], "constant-correlation");
+  assert.equal(lw[1], 0, 'Ledoit-Wolf shrinkage constant correlation target two series intensity');
+  assert.deepEqual(lw[0], PortfolioAnalytics.covarianceMatrix_([x[0], x[1]]), 'Ledoit-Wolf shrinkage constant correlation target two series');
+});
@@ -0,0 +1,137 @@
+// ------------------------------------------------------------
+QUnit.module('Covariance module', {
+  before: function() {
+	  // Taken from "Practical Portfolio Performance Measurement and Attribution, 2nd Edition, Carl R. Bacon."
+	  this.baconPortfolioReturns = [0.003, 0.026, 0.011, -0.01, 0.015, 0.025, 0.016, 0.067, -0.014, 0.04, -0.005, 0.081, 0.04, -0.037, -0.061, 0.017, -0.049, -0.022, 0.07, 0.058, -0.065, 0.024, -0.005, -0.009];
+	  this.baconBenchmarkReturns = [0.002, 0.025, 0.018, -0.011, 0.014, 0.018, 0.014, 0.065, -0.015, 0.042, -0.006, 0.083, 0.039, -0.038, -0.062, 0.015, -0.048, 0.021, 0.06, 0.056, -0.067, 0.019, -0.003, 0];
+	  this.otherPortfolioReturns = [0.01, -0.02, 0.015, 0.005, -0.01, 0.02, 0.0, 0.03, -0.005, 0.01, 0.012, 0.04, -0.02, 0.01, -0.03, 0.02, 0.005, -0.01, 0.03, 0.02, -0.04, 0.01, 0.0, 0.005];
+
+	  // Build the equity curves corresponding to the returns
+	  this.equityCurves = [PortfolioAnalytics.equityCurve(this.baconPortfolioReturns, 100), 
+	                       PortfolioAnalytics.equityCurve(this.baconBenchmarkReturns, 100),
+	                       PortfolioAnalytics.equityCurve(this.otherPortfolioReturns, 100)];
+	  this.returns = [this.baconPortfolioReturns, this.baconBenchmarkReturns, this.otherPortfolioReturns];
+  }
+});
+
+
+QUnit.test('Covariance matrix computation', function(assert) {    
+  var cov = PortfolioAnalytics.covarianceMatrix(this.equityCurves);
+  assert.ok(cov instanceof Float64Array, 'Covariance matrix type');
+  assert.equal(cov.length, 9, 'Covariance matrix length');
+  
+  // Comparison with the pairwise sample covariances of the returns
+  var equal = true;
+  for (var i=0; i<3; ++i) {
+	for (var j=0; j<3; ++j) {
+		var returnsI = PortfolioAnalytics.arithmeticReturns(this.equityCurves[i]).slice(1);
+		var returnsJ = PortfolioAnalytics.arithmeticReturns(this.equityCurves[j]).slice(1);
+		var expectedCov = PortfolioAnalytics.covariance_(returnsI, returnsJ) * 24/23;
+		if (Math.abs(cov[i*3 + j] - expectedCov) > 1e-15 || cov[i*3 + j] != cov[j*3 + i]) {
+			equal = false;
+		}
+	}
+  }
+  assert.ok(equal, 'Covariance matrix elements');
+  
+  // Single portfolio
+  assert.deepEqual(PortfolioAnalytics.covarianceMatrix([[100, 110, 99, 108.9]]).length, 1, 'Covariance matrix single portfolio');
+});
+
+
+QUnit.test('Correlation matrix computation', function(assert) {    
+  var cov = PortfolioAnalytics.covarianceMatrix(this.equityCurves);
+  var corr = PortfolioAnalytics.correlationMatrix(this.equityCurves);
+  assert.ok(corr instanceof Float64Array, 'Correlation matrix type');
+  
+  var equal = true;
+  for (var i=0; i<3; ++i) {
+	for (var j=0; j<3; ++j) {
+		var expectedCorr = (i == j ? 1 : cov[i*3 + j]/Math.sqrt(cov[i*3 + i] * cov[j*3 + j]));
+		if (Math.abs(corr[i*3 + j] - expectedCorr) > 1e-14 || corr[i*3 + j] != corr[j*3 + i]) {
+			equal = false;
+		}
+	}
+  }
+  assert.ok(equal, 'Correlation matrix elements');
+  assert.deepEqual([corr[0], corr[4], corr[8]], [1, 1, 1], 'Correlation matrix diagonal');
+  
+  // Perfectly anti-correlated returns
+  corr = PortfolioAnalytics.correlationMatrix([[100, 110, 99, 108.9], [100, 90, 99, 89.1]]);
+  assert.ok(Math.abs(corr[1] + 1) <= 1e-14, 'Correlation matrix perfect anti-correlation');
+});
+
+
+QUnit.test('Shrunk covariance matrix computation', function(assert) {    
+  // Reference values computed with an independent implementation of the formulas of the references
+  var expectedConstantCorrelationCov = [0.0014989166666666673, 0.0012125103875261836, 0.0005308619254237031, 
+                                        0.0012125103875261836, 0.0014117899305555557, 0.0005087618856299386, 
+                                        0.0005308619254237033, 0.0005087618856299386, 0.00035383159722222223];
+  var expectedIdentityCov = [0.001445670677494169, 0.001227359493274351, 0.0004243753926928394, 
+                             0.001227359493274351, 0.0013698386292606399, 0.00039578179204079064, 
+                             0.0004243753926928394, 0.00039578179204079064, 0.00044902888768963607];
+
+  var cov = PortfolioAnalytics.shrunkCovarianceMatrix(this.equityCurves);
+  assert.ok(cov instanceof Float64Array, 'Shrunk covariance matrix type');
+  var equal = true;
+  for (var i=0; i<9; ++i) {
+	if (Math.abs(cov[i] - expectedConstantCorrelationCov[i]) > 1e-15) {
+		equal = false;
+	}
+  }
+  assert.ok(equal, 'Shrunk covariance matrix constant correlation target');
+  assert.deepEqual(PortfolioAnalytics.shrunkCovarianceMatrix(this.equityCurves, "constant-correlation"), cov, 'Shrunk covariance matrix default target');
+
+  cov = PortfolioAnalytics.shrunkCovarianceMatrix(this.equityCurves, "identity");
+  equal = true;
+  for (var i=0; i<9; ++i) {
+	if (Math.abs(cov[i] - expectedIdentityCov[i]) > 1e-15) {
+		equal = false;
+	}
+  }
+  assert.ok(equal, 'Shrunk covariance matrix identity target');
+  
+  // Unsupported target
+  assert.throws(function() { 
+	  PortfolioAnalytics.shrunkCovarianceMatrix(this.equityCurves, "unknown"); 
+	}, 
+	new Error('unsupported shrinkage target: unknown'), 
+	'Shrunk covariance matrix unsupported target');
+});
+
+
+QUnit.test('EWMA covariance matrix computation', function(assert) {    
+  // Comparison with the RiskMetrics recursion, initialized with the (normalized) first returns
+  var lambda = 0.94;
+  var cov = PortfolioAnalytics.ewmaCovarianceMatrix(this.equityCurves);
+  assert.ok(cov instanceof Float64Array, 'EWMA covariance matrix type');
+  var equal = true;
+  for (var i=0; i<3; ++i) {
+	for (var j=0; j<3; ++j) {
+		var returnsI = PortfolioAnalytics.arithmeticReturns(this.equityCurves[i]).slice(1);
+		var returnsJ = PortfolioAnalytics.arithmeticReturns(this.equityCurves[j]).slice(1);
+		var expectedCov = returnsI[0] * returnsJ[0];
+		var sumWeights = 1;
+		for (var t=1; t<returnsI.length; ++t) {
+			expectedCov = lambda * sumWeights * expectedCov + returnsI[t] * returnsJ[t];
+			sumWeights = lambda * sumWeights + 1;
+			expectedCov /= sumWeights;
+		}
+		if (Math.abs(cov[i*3 + j] - expectedCov) > 1e-15) {
+			equal = false;
+		}
+	}
+  }
+  assert.ok(equal, 'EWMA covariance matrix elements');
+  
+  // Constant returns
+  cov = PortfolioAnalytics.ewmaCovarianceMatrix([[100, 110, 121, 133.1], [100, 95, 90.25, 85.7375]], 0.5);
+  var expectedCov = [0.01, -0.005, -0.005, 0.0025];
+  equal = true;
+  for (var i=0; i<4; ++i) {
+	if (Math.abs(cov[i] - expectedCov[i]) > 1e-15) {
+		equal = false;
+	}
+  }
+  assert.ok(equal, 'EWMA covariance matrix constant returns');
+});
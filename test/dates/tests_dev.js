@@ -0,0 +1,66 @@
+// ------------------------------------------------------------
+QUnit.module('Dates internal module', {
+});
+
+
+QUnit.test('Calendar date internal computation', function(assert) {    
+  // ISO date strings and local components lead to the same calendar date, whatever the time zone
+  assert.equal(PortfolioAnalytics.calendarDate_(new Date("2017-03-31")).getTime(), Date.UTC(2017, 2, 31), 'Calendar date ISO date string');
+  assert.equal(PortfolioAnalytics.calendarDate_(new Date(2017, 2, 31)).getTime(), Date.UTC(2017, 2, 31), 'Calendar date local components');
+  assert.equal(PortfolioAnalytics.calendarDate_(new Date(2017, 2, 31, 12, 30)).getTime(), Date.UTC(2017, 2, 31), 'Calendar date local components with time');
+});
+
+
+QUnit.test('Number of calendar days internal computation', function(assert) {    
+  assert.equal(PortfolioAnalytics.nbCalendarDays_(new Date("2015-12-31"), new Date("2015-12-31")), 0, 'Number of calendar days #1');
+  assert.equal(PortfolioAnalytics.nbCalendarDays_(new Date("2015-12-31"), new Date("2016-12-31")), 366, 'Number of calendar days #2');
+  assert.equal(PortfolioAnalytics.nbCalendarDays_(new Date("2016-12-31"), new Date("2017-12-31")), 365, 'Number of calendar days #3');
+  assert.equal(PortfolioAnalytics.nbCalendarDays_(new Date("2017-12-31"), new Date("2016-12-31")), -365, 'Number of calendar days #4');
+  
+  // Daylight saving time change, in local time and with ISO date strings
+  assert.equal(PortfolioAnalytics.nbCalendarDays_(new Date(2017, 2, 1), new Date(2017, 3, 1)), 31, 'Number of calendar days daylight saving time');
+  assert.equal(PortfolioAnalytics.nbCalendarDays_(new Date("2017-03-01"), new Date("2017-04-01")), 31, 'Number of calendar days daylight saving time ISO date strings');
+  assert.equal(PortfolioAnalytics.nbCalendarDays_(new Date("2017-10-01"), new Date("2017-11-01")), 31, 'Number of calendar days daylight saving time ISO date strings #2');
+  
+  // Mixed ISO date strings and local components
+  assert.equal(PortfolioAnalytics.nbCalendarDays_(new Date("2017-03-01"), new Date(2017, 3, 1)), 31, 'Number of calendar days mixed dates');
+});
+
+
+QUnit.test('Number of business days internal computation', function(assert) {    
+  assert.equal(PortfolioAnalytics.nbBusinessDays_(new Date(2017, 0, 6), new Date(2017, 0, 6)), 0, 'Number of business days same date');
+  
+  // Start date is excluded, end date is included
+  assert.equal(PortfolioAnalytics.nbBusinessDays_(new Date(2017, 0, 5), new Date(2017, 0, 6)), 1, 'Number of business days #1');
+  assert.equal(PortfolioAnalytics.nbBusinessDays_(new Date(2017, 0, 6), new Date(2017, 0, 8)), 0, 'Number of business days week-end');
+  assert.equal(PortfolioAnalytics.nbBusinessDays_(new Date(2017, 0, 6), new Date(2017, 0, 13)), 5, 'Number of business days #2');
+  assert.equal(PortfolioAnalytics.nbBusinessDays_(new Date(2017, 0, 13), new Date(2017, 0, 6)), -5, 'Number of business days reversed dates');
+  assert.equal(PortfolioAnalytics.nbBusinessDays_(new Date(2017, 0, 1), new Date(2018, 0, 1)), 261, 'Number of business days one year');
+  
+  // Holiday calendar, with holidays falling on week-ends being ignored
+  var holidayCalendar = function(date) { return date.getMonth() == 0 && (date.getDate() == 9 || date.getDate() == 14); };
+  assert.equal(PortfolioAnalytics.nbBusinessDays_(new Date(2017, 0, 6), new Date(2017, 0, 16), holidayCalendar), 5, 'Number of business days with holidays');
+  
+  // Daylight saving time change, in local time
+  assert.equal(PortfolioAnalytics.nbBusinessDays_(new Date(2017, 2, 24), new Date(2017, 2, 31)), 5, 'Number of business days daylight saving time');
+  
+  // ISO date strings, with the holiday calendar called with dates at local midnight
+  assert.equal(PortfolioAnalytics.nbBusinessDays_(new Date("2017-01-06"), new Date("2017-01-13")), 5, 'Number of business days ISO dates');
+  assert.equal(PortfolioAnalytics.nbBusinessDays_(new Date("2017-01-06"), new Date("2017-01-16"), holidayCalendar), 5, 'Number of business days ISO dates with holidays');
+  assert.equal(PortfolioAnalytics.nbBusinessDays_(new Date("2017-01-01"), new Date("2018-01-01")), 261, 'Number of business days ISO dates one year');
+});
+
+
+QUnit.test('Number of days 30/360 internal computation', function(assert) {    
+  assert.equal(PortfolioAnalytics.nbDays30360_(new Date(2017, 0, 15), new Date(2017, 1, 15)), 30, 'Number of days 30/360 #1');
+  assert.equal(PortfolioAnalytics.nbDays30360_(new Date(2017, 0, 31), new Date(2017, 2, 31)), 60, 'Number of days 30/360 #2');
+  assert.equal(PortfolioAnalytics.nbDays30360_(new Date(2017, 0, 30), new Date(2017, 2, 31)), 60, 'Number of days 30/360 #3');
+  assert.equal(PortfolioAnalytics.nbDays30360_(new Date(2017, 0, 29), new Date(2017, 2, 31)), 62, 'Number of days 30/360 #4');
+  assert.equal(PortfolioAnalytics.nbDays30360_(new Date(2017, 1, 28), new Date(2017, 2, 31)), 33, 'Number of days 30/360 #5');
+  assert.equal(PortfolioAnalytics.nbDays30360_(new Date(2017, 2, 31), new Date(2017, 0, 31)), -60, 'Number of days 30/360 reversed dates');
+  
+  // ISO date strings
+  assert.equal(PortfolioAnalytics.nbDays30360_(new Date("2017-01-31"), new Date("2017-03-31")), 60, 'Number of days 30/360 ISO dates #1');
+  assert.equal(PortfolioAnalytics.nbDays30360_(new Date("2017-02-01"), new Date("2017-03-01")), 30, 'Number of days 30/360 ISO dates #2');
+  assert.equal(PortfolioAnalytics.nbDays30360_(new Date("2015-12-31"), new Date("2016-12-31")), 360, 'Number of days 30/360 ISO dates #3');
+});
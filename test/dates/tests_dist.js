@@ -0,0 +1,28 @@
+// ------------------------------------------------------------
+QUnit.module('Dates module', {
+});
+
+
+QUnit.test('Year fraction computation', function(assert) {    
+  // Default day count convention
+  assert.equal(PortfolioAnalytics.yearFraction(new Date("2015-12-31"), new Date("2016-12-31")), 366/365.25, 'Year fraction default day count convention');
+  assert.equal(PortfolioAnalytics.yearFraction(new Date("2015-12-31"), new Date("2016-12-31"), "actual/365.25"), 366/365.25, 'Year fraction actual/365.25');
+  
+  // Actual day count conventions
+  assert.equal(PortfolioAnalytics.yearFraction(new Date("2015-12-31"), new Date("2016-12-31"), "actual/365"), 366/365, 'Year fraction actual/365');
+  assert.equal(PortfolioAnalytics.yearFraction(new Date("2015-12-31"), new Date("2016-12-31"), "actual/360"), 366/360, 'Year fraction actual/360');
+  assert.equal(PortfolioAnalytics.yearFraction(new Date("2016-12-31"), new Date("2015-12-31"), "actual/360"), -366/360, 'Year fraction actual/360 reversed dates');
+  
+  // 30/360 Bond Basis day count convention (no end of February adjustment, c.f. #2)
+  assert.equal(PortfolioAnalytics.yearFraction(new Date(2015, 11, 31), new Date(2016, 11, 31), "30/360"), 1, 'Year fraction 30/360 #1');
+  assert.equal(PortfolioAnalytics.yearFraction(new Date(2017, 1, 28), new Date(2017, 7, 31), "30/360"), 183/360, 'Year fraction 30/360 #2');
+  
+  // Business/252 day count convention, with and without holidays
+  assert.equal(PortfolioAnalytics.yearFraction(new Date(2017, 0, 6), new Date(2017, 0, 13), "business/252"), 5/252, 'Year fraction business/252');
+  assert.equal(PortfolioAnalytics.yearFraction(new Date(2017, 0, 6), new Date(2017, 0, 13), "business/252", function(date) { return date.getDate() == 9; }), 4/252, 'Year fraction business/252 with holidays');
+  
+  // Unsupported day count convention
+  assert.throws(function() { PortfolioAnalytics.yearFraction(new Date(2017, 0, 6), new Date(2017, 0, 13), "actual/actual") },
+                new Error('unsupported day count convention: actual/actual'),
+				'Year fraction unsupported day count convention');
+});
@@ -36,3 +36,33 @@ QUnit.test('Max drawdown internal computation', function(assert) {
                                                    [0.3076923076923077, 9, 12], 
                                                    'Complex max drawdown #3');
 });
+
+
+QUnit.test('Drawdown episode internal computation', function(assert) {    
+  assert.deepEqual(PortfolioAnalytics.drawdownEpisode_([1, 2, 1, 2], 1, 2, 3), 
+                                                       [0.5, 1, 2, 3, 1, 1, 2], 
+                                                       'Simple drawdown episode');
+  assert.deepEqual(PortfolioAnalytics.drawdownEpisode_([1, 2, 1, 1.5], 1, 3, -1), 
+                                                       [0.5, 1, 2, -1, 1, NaN, NaN], 
+                                                       'Drawdown episode not recovered');
+													   
+  var episode = PortfolioAnalytics.drawdownEpisode_(this.complexEquityCurve, 3, 12, 13);
+  var maxDd = PortfolioAnalytics.maxDrawdown_(this.complexEquityCurve, 3, 12);
+  assert.deepEqual([episode[0], episode[1], episode[2]], maxDd, 'Drawdown episode consistency with max drawdown');
+});
+
+
+QUnit.test('Drawdown durations internal computation', function(assert) {    
+  assert.deepEqual(PortfolioAnalytics.drawdownDurations_([]), 
+                                                         [[], 0], 
+                                                         'No drawdown durations');
+  assert.deepEqual(PortfolioAnalytics.drawdownDurations_([1, 2, 1, 1.5, 2, 1.5]), 
+                                                         [[3, 1], 1], 
+                                                         'Simple drawdown durations');
+  assert.deepEqual(PortfolioAnalytics.drawdownDurations_([100, 100, 90, 100]), 
+                                                         [[3], 0], 
+                                                         'Ties in drawdown durations');
+  assert.deepEqual(PortfolioAnalytics.drawdownDurations_(this.complexEquityCurve), 
+                                                         [[2, 10, 2], 2], 
+                                                         'Complex drawdown durations');
+});
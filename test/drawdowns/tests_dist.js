@@ -199,3 +199,78 @@ QUnit.test('Conditional drawdown computation', function(assert) {
                  0.2, 
                 'Simple conditional drawdown #2');
 });
+
+
+
+QUnit.test('Drawdown episodes computation', function(assert) {
+  assert.deepEqual(PortfolioAnalytics.drawdownEpisodes([]), 
+                   [], 
+                   'No drawdown episodes #1');
+  assert.deepEqual(PortfolioAnalytics.drawdownEpisodes([100, 110, 110]), 
+                   [], 
+                   'No drawdown episodes #2');
+
+  assert.deepEqual(PortfolioAnalytics.drawdownEpisodes([100, 90, 100]), 
+                   [[0.1, 0, 1, 2, 1, 1, 2]], 
+                   'Simple drawdown episodes #1');
+  assert.deepEqual(PortfolioAnalytics.drawdownEpisodes([100, 90, 80]), 
+                   [[0.2, 0, 2, -1, 2, NaN, NaN]], 
+                   'Simple drawdown episodes #2');
+  assert.deepEqual(PortfolioAnalytics.drawdownEpisodes([100, 100, 90, 100, 100, 90, 110]), 
+                   [[0.1, 0, 2, 3, 2, 1, 3], [0.1, 3, 5, 6, 2, 1, 3]], 
+                   'Ties in drawdown episodes');
+				   
+  assert.deepEqual(PortfolioAnalytics.drawdownEpisodes(this.complexEquityCurve), 
+                   [[0.3333333333333333, 0, 1, 2, 1, 1, 2], [0.5, 3, 7, 13, 4, 6, 10], [0.2, 13, 14, -1, 1, NaN, NaN]], 
+                   'Complex drawdown episodes #1');
+				   
+  // Consistency with the maximum drawdown
+  var episodes = PortfolioAnalytics.drawdownEpisodes(this.BaconEquityCurve);
+  var maxDepth = 0;
+  for (var i=0; i<episodes.length; ++i) {
+    maxDepth = Math.max(maxDepth, episodes[i][0]);
+  }
+  assert.equal(maxDepth, PortfolioAnalytics.maxDrawdown(this.BaconEquityCurve), 'Complex drawdown episodes #2');
+  
+  // With valuation dates
+  assert.deepEqual(PortfolioAnalytics.drawdownEpisodes([100, 90, 100, 80], [new Date("2016-12-31"), new Date("2017-01-31"), new Date("2017-03-31"), new Date("2017-04-30")]), 
+                   [[0.1, new Date("2016-12-31"), new Date("2017-01-31"), new Date("2017-03-31"), 31, 59, 90], [0.2, new Date("2017-03-31"), new Date("2017-04-30"), null, 30, NaN, NaN]], 
+                   'Drawdown episodes with dates');
+});
+
+
+
+QUnit.test('Drawdown durations computation', function(assert) {
+  // No drawdown
+  assert.equal(PortfolioAnalytics.maxDrawdownDuration([]), 0, 'No maximum drawdown duration #1');
+  assert.equal(PortfolioAnalytics.maxDrawdownDuration([100, 110]), 0, 'No maximum drawdown duration #2');
+  assert.equal(PortfolioAnalytics.averageDrawdownDuration([100, 110]), 0, 'No average drawdown duration');
+  assert.equal(PortfolioAnalytics.currentDrawdownDuration([100, 110]), 0, 'No current drawdown duration');
+  
+  // Simple equity curves
+  assert.equal(PortfolioAnalytics.maxDrawdownDuration([1, 2, 1, 1.5, 2, 1.5]), 3, 'Simple maximum drawdown duration');
+  assert.equal(PortfolioAnalytics.averageDrawdownDuration([1, 2, 1, 1.5, 2, 1.5]), 2, 'Simple average drawdown duration');
+  assert.equal(PortfolioAnalytics.currentDrawdownDuration([1, 2, 1, 1.5, 2, 1.5]), 1, 'Simple current drawdown duration #1');
+  assert.equal(PortfolioAnalytics.currentDrawdownDuration([1, 2, 1, 1.5, 2]), 0, 'Simple current drawdown duration #2');
+  assert.equal(PortfolioAnalytics.currentDrawdownDuration([100, 90, 80]), 2, 'Simple current drawdown duration #3');
+  
+  // Ties in high water marks, consistent with the drawdown episodes
+  assert.equal(PortfolioAnalytics.maxDrawdownDuration([100, 100, 90, 100]), 3, 'Ties maximum drawdown duration #1');
+  assert.equal(PortfolioAnalytics.maxDrawdownDuration([100, 100, 90, 100]), PortfolioAnalytics.drawdownEpisodes([100, 100, 90, 100])[0][6], 'Ties maximum drawdown duration #2');
+  assert.equal(PortfolioAnalytics.averageDrawdownDuration([100, 100, 90, 100, 100, 90, 110]), 3, 'Ties average drawdown duration');
+  assert.equal(PortfolioAnalytics.currentDrawdownDuration([100, 90, 100, 100, 90]), 2, 'Ties current drawdown duration #1');
+  assert.equal(PortfolioAnalytics.currentDrawdownDuration([100, 100]), 0, 'Ties current drawdown duration #2');
+  assert.equal(PortfolioAnalytics.maxDrawdownDuration([100, 100, 100]), 0, 'Ties maximum drawdown duration #3');
+  
+  // Complex equity curve
+  assert.equal(PortfolioAnalytics.maxDrawdownDuration(this.complexEquityCurve), 10, 'Complex maximum drawdown duration');
+  assert.equal(PortfolioAnalytics.averageDrawdownDuration(this.complexEquityCurve), 14/3, 'Complex average drawdown duration');
+  assert.equal(PortfolioAnalytics.currentDrawdownDuration(this.complexEquityCurve), 2, 'Complex current drawdown duration');
+  
+  // With valuation dates
+  var equityCurve = [100, 90, 100, 80];
+  var valuationDates = [new Date("2016-12-31"), new Date("2017-01-31"), new Date("2017-03-31"), new Date("2017-04-30")];
+  assert.equal(PortfolioAnalytics.maxDrawdownDuration(equityCurve, valuationDates), 90, 'Maximum drawdown duration with dates');
+  assert.equal(PortfolioAnalytics.averageDrawdownDuration(equityCurve, valuationDates), 60, 'Average drawdown duration with dates');
+  assert.equal(PortfolioAnalytics.currentDrawdownDuration(equityCurve, valuationDates), 30, 'Current drawdown duration with dates');
+});
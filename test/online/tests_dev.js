@@ -0,0 +1,28 @@
+// ------------------------------------------------------------
+QUnit.module('Online internal module', {
+});
+
+
+QUnit.test('Moments merge internal computation', function(assert) {    
+  // Merge of [4, 7] and [13, 16]
+  assert.deepEqual(PortfolioAnalytics.mergeMoments_([2, 5.5, 4.5, 0, 10.125], [2, 14.5, 4.5, 0, 10.125]), [4, 10, 90, 0, 2754], 'Moments merge #1');
+  
+  // Merge of [1, 2] and [6], with a non-null third order sum
+  var merged = PortfolioAnalytics.mergeMoments_([2, 1.5, 0.5, 0, 0.125], [1, 6, 0, 0, 0]);
+  var expected = [3, 3, 14, 18, 98]; // Deviations -2, -1, 3
+  for (var i=0; i<5; ++i) {
+	assert.ok(Math.abs(merged[i] - expected[i]) <= 1e-13, 'Moments merge #2 quantity ' + i);
+  }
+  
+  // Removal of [6] from [1, 2, 6], using a negative count
+  var removed = PortfolioAnalytics.mergeMoments_(expected, [-1, 6, 0, 0, 0]);
+  expected = [2, 1.5, 0.5, 0, 0.125];
+  for (var i=0; i<5; ++i) {
+	assert.ok(Math.abs(removed[i] - expected[i]) <= 1e-13, 'Moments removal quantity ' + i);
+  }
+  
+  // Empty series
+  assert.deepEqual(PortfolioAnalytics.mergeMoments_([0, 0, 0, 0, 0], [2, 5.5, 4.5, 0, 10.125]), [2, 5.5, 4.5, 0, 10.125], 'Moments merge empty serie #1');
+  assert.deepEqual(PortfolioAnalytics.mergeMoments_([2, 5.5, 4.5, 0, 10.125], [0, 0, 0, 0, 0]), [2, 5.5, 4.5, 0, 10.125], 'Moments merge empty serie #2');
+  assert.deepEqual(PortfolioAnalytics.mergeMoments_([1, 6, 0, 0, 0], [-1, 6, 0, 0, 0]), [0, 0, 0, 0, 0], 'Moments merge empty result');
+});
@@ -0,0 +1,152 @@
+// ------------------------------------------------------------
+QUnit.module('Online module', {
+  before: function() {
+	  // Taken from "Practical Portfolio Performance Measurement and Attribution, 2nd Edition, Carl R. Bacon."
+	  this.baconPortfolioReturns = [0.003, 0.026, 0.011, -0.01, 0.015, 0.025, 0.016, 0.067, -0.014, 0.04, -0.005, 0.081, 0.04, -0.037, -0.061, 0.017, -0.049, -0.022, 0.07, 0.058, -0.065, 0.024, -0.005, -0.009];
+	  this.baconBenchmarkReturns = [0.002, 0.025, 0.018, -0.011, 0.014, 0.018, 0.014, 0.065, -0.015, 0.042, -0.006, 0.083, 0.039, -0.038, -0.062, 0.015, -0.048, 0.021, 0.06, 0.056, -0.067, 0.019, -0.003, 0];
+  }
+});
+
+
+QUnit.test('Moments accumulator computation', function(assert) {    
+  function moments(accumulator) {
+	return [accumulator.mean(), accumulator.variance(), accumulator.stddev(), accumulator.skewness(), accumulator.kurtosis()];
+  }
+  function almostEqual(values, expectedValues, epsilon) {
+	for (var i=0; i<expectedValues.length; ++i) {
+		if (Math.abs(values[i] - expectedValues[i]) > epsilon) {
+			return false;
+		}
+	}
+	return true;
+  }
+  
+  // Comparison with the two pass algorithms
+  var x = this.baconPortfolioReturns;
+  var accumulator = PortfolioAnalytics.momentsAccumulator(0.01, 3);
+  for (var i=0; i<x.length; ++i) {
+	assert.equal(accumulator.push(x[i]), accumulator, 'Moments accumulator push chaining #' + i);
+  }
+  assert.equal(accumulator.count(), x.length, 'Moments accumulator count');
+  assert.ok(almostEqual(accumulator.moments(), PortfolioAnalytics.sampleMoments_(x), 1e-14), 'Moments accumulator moments');
+  assert.deepEqual(moments(accumulator), accumulator.moments(), 'Moments accumulator individual moments');
+  for (var n=1; n<=3; ++n) {
+	assert.ok(Math.abs(accumulator.lpm(n) - PortfolioAnalytics.lpm_(x, n, 0.01)) <= 1e-15, 'Moments accumulator lpm order ' + n);
+	assert.ok(Math.abs(accumulator.hpm(n) - PortfolioAnalytics.hpm_(x, n, 0.01)) <= 1e-15, 'Moments accumulator hpm order ' + n);
+  }
+  assert.ok(isNaN(accumulator.lpm(4)) && isNaN(accumulator.hpm(4)), 'Moments accumulator partial moments greater than maximum order');
+
+  // Example from sampleMoments_
+  var accumulatorMoments = PortfolioAnalytics.momentsAccumulator().push(4).push(7).push(13).push(16).moments();
+  assert.ok(almostEqual(accumulatorMoments, PortfolioAnalytics.sampleMoments_([4, 7, 13, 16]), 1e-14), 'Moments accumulator example');
+
+  // Moving window, using the removal of values
+  var windowSize = 10;
+  accumulator = PortfolioAnalytics.momentsAccumulator();
+  var equal = true;
+  for (var i=0; i<x.length; ++i) {
+	accumulator.push(x[i]);
+	if (i >= windowSize) {
+		accumulator.remove(x[i - windowSize]);
+	}
+	if (i >= windowSize - 1) {
+		var window = x.slice(i - windowSize + 1, i + 1);
+		if (accumulator.count() != windowSize || 
+		    !almostEqual(accumulator.moments(), PortfolioAnalytics.sampleMoments_(window), 1e-12) ||
+		    Math.abs(accumulator.lpm(2) - PortfolioAnalytics.lpm_(window, 2, 0)) > 1e-15) {
+			equal = false;
+		}
+	}
+  }
+  assert.ok(equal, 'Moments accumulator moving window');
+  
+  // Removal of all the values
+  accumulator = PortfolioAnalytics.momentsAccumulator().push(1).push(2).remove(2).remove(1);
+  assert.equal(accumulator.count(), 0, 'Moments accumulator removal of all values count');
+  assert.ok(isNaN(accumulator.mean()), 'Moments accumulator removal of all values mean');
+  
+  // Merge of accumulators, including empty ones
+  var accumulator = PortfolioAnalytics.momentsAccumulator();
+  var otherAccumulator = PortfolioAnalytics.momentsAccumulator();
+  for (var i=0; i<x.length; ++i) {
+	(i < 9 ? accumulator : otherAccumulator).push(x[i]);
+  }
+  accumulator.merge(otherAccumulator).merge(PortfolioAnalytics.momentsAccumulator());
+  assert.equal(accumulator.count(), x.length, 'Moments accumulator merge count');
+  assert.ok(almostEqual(accumulator.moments(), PortfolioAnalytics.sampleMoments_(x), 1e-14), 'Moments accumulator merge moments');
+  assert.ok(Math.abs(accumulator.lpm(2) - PortfolioAnalytics.lpm_(x, 2, 0)) <= 1e-15, 'Moments accumulator merge lpm');
+  assert.ok(almostEqual(PortfolioAnalytics.momentsAccumulator().merge(accumulator).moments(), accumulator.moments(), 0), 'Moments accumulator merge into empty accumulator');
+
+  // Insufficient number of values
+  assert.ok(isNaN(PortfolioAnalytics.momentsAccumulator().mean()), 'Moments accumulator no value');
+  assert.ok(isNaN(PortfolioAnalytics.momentsAccumulator().push(1).variance()), 'Moments accumulator one value');
+});
+
+
+QUnit.test('Portfolio tracker computation', function(assert) {    
+  function trackerMeasures(tracker) {
+	return [tracker.cumulativeReturn(), tracker.currentDrawdown(), tracker.maxDrawdown(), 
+	        tracker.currentDrawdownDuration(), tracker.maxDrawdownDuration(), 
+	        tracker.sharpeRatio(), tracker.probabilisticSharpeRatio(0), 
+	        tracker.valueAtRisk(0.95), tracker.valueAtRisk(0.95, "cornish-fisher")];
+  }
+  function batchMeasures(equityCurve, benchmarkEquityCurve) {
+	return [PortfolioAnalytics.cumulativeReturn(equityCurve), PortfolioAnalytics.drawdownFunction(equityCurve)[equityCurve.length-1], PortfolioAnalytics.maxDrawdown(equityCurve), 
+	        PortfolioAnalytics.currentDrawdownDuration(equityCurve), PortfolioAnalytics.maxDrawdownDuration(equityCurve), 
+	        PortfolioAnalytics.sharpeRatio(equityCurve, benchmarkEquityCurve), PortfolioAnalytics.probabilisticSharpeRatio(equityCurve, benchmarkEquityCurve, 0), 
+	        PortfolioAnalytics.valueAtRisk(equityCurve, 0.95, "gaussian"), PortfolioAnalytics.valueAtRisk(equityCurve, 0.95, "cornish-fisher")];
+  }
+  function almostEqual(values, expectedValues, epsilon) {
+	for (var i=0; i<expectedValues.length; ++i) {
+		if (Math.abs(values[i] - expectedValues[i]) > epsilon) {
+			return false;
+		}
+	}
+	return true;
+  }
+  
+  // Empty tracker
+  var tracker = PortfolioAnalytics.portfolioTracker();
+  assert.equal(tracker.nbValues(), 0, 'Portfolio tracker empty number of values');
+  assert.ok(isNaN(tracker.cumulativeReturn()), 'Portfolio tracker empty cumulative return');
+  assert.equal(tracker.maxDrawdown(), 0, 'Portfolio tracker empty maximum drawdown');
+  assert.ok(isNaN(tracker.sharpeRatio()), 'Portfolio tracker empty Sharpe ratio');
+  
+  // Comparison with the functions operating on the equity curves, the sample kurtosis being undefined with less than 4 returns,
+  // with the tracker restored from its JSON representation after each update
+  var portfolioEquityCurve = PortfolioAnalytics.equityCurve(this.baconPortfolioReturns, 100);
+  var benchmarkEquityCurve = PortfolioAnalytics.equityCurve(this.baconBenchmarkReturns, 100);
+  for (var i=0; i<portfolioEquityCurve.length; ++i) {
+	assert.equal(tracker.update(portfolioEquityCurve[i], benchmarkEquityCurve[i]), tracker, 'Portfolio tracker update chaining #' + i);
+	assert.equal(tracker.nbValues(), i+1, 'Portfolio tracker number of values #' + i);
+	if (i >= 4) {
+		assert.ok(almostEqual(trackerMeasures(tracker), 
+		                      batchMeasures(portfolioEquityCurve.slice(0, i+1), benchmarkEquityCurve.slice(0, i+1)), 1e-12), 'Portfolio tracker measures #' + i);
+	}
+	
+	tracker = PortfolioAnalytics.portfolioTracker(JSON.parse(JSON.stringify(tracker)));
+  }
+  
+  // Default benchmark, i.e., constant benchmark
+  var tracker = PortfolioAnalytics.portfolioTracker();
+  var equityCurve = [100, 110, 105, 107.5, 115];
+  for (var i=0; i<equityCurve.length; ++i) {
+	tracker.update(equityCurve[i]);
+  }
+  assert.ok(Math.abs(tracker.sharpeRatio() - PortfolioAnalytics.sharpeRatio(equityCurve, [100, 100, 100, 100, 100])) <= 1e-14, 'Portfolio tracker default benchmark Sharpe ratio');
+  assert.equal(tracker.currentDrawdownDuration(), 0, 'Portfolio tracker current drawdown duration');
+  assert.equal(tracker.maxDrawdownDuration(), 3, 'Portfolio tracker maximum drawdown duration');
+  assert.ok(Math.abs(tracker.maxDrawdown() - 5/110) <= 1e-14, 'Portfolio tracker maximum drawdown');
+  
+  // Ties in high water marks, c.f. the function drawdownDurations_
+  var equityCurve = [100, 100, 90, 100, 100, 90];
+  var tracker = PortfolioAnalytics.portfolioTracker();
+  for (var i=0; i<equityCurve.length; ++i) {
+	tracker.update(equityCurve[i]);
+	assert.equal(tracker.currentDrawdownDuration(), PortfolioAnalytics.currentDrawdownDuration(equityCurve.slice(0, i+1)), 'Portfolio tracker ties current drawdown duration #' + i);
+	assert.equal(tracker.maxDrawdownDuration(), PortfolioAnalytics.maxDrawdownDuration(equityCurve.slice(0, i+1)), 'Portfolio tracker ties maximum drawdown duration #' + i);
+  }
+  
+  // Unsupported value at risk method
+  assert.throws(function() { tracker.valueAtRisk(0.95, "historical"); }, /unsupported parametric method: historical/, 'Portfolio tracker unsupported value at risk method');
+});
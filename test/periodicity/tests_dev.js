@@ -0,0 +1,30 @@
+// ------------------------------------------------------------
+QUnit.module('Periodicity internal module', {
+});
+
+
+QUnit.test('Number of periods per year internal computation', function(assert) {    
+  assert.equal(PortfolioAnalytics.nbPeriodsPerYear_("daily"), 252, 'Number of periods per year daily');
+  assert.equal(PortfolioAnalytics.nbPeriodsPerYear_("weekly"), 52, 'Number of periods per year weekly');
+  assert.equal(PortfolioAnalytics.nbPeriodsPerYear_("monthly"), 12, 'Number of periods per year monthly');
+  assert.equal(PortfolioAnalytics.nbPeriodsPerYear_("quarterly"), 4, 'Number of periods per year quarterly');
+  assert.equal(PortfolioAnalytics.nbPeriodsPerYear_("annual"), 1, 'Number of periods per year annual');
+  assert.equal(PortfolioAnalytics.nbPeriodsPerYear_([new Date("2016-12-31"), new Date("2017-03-31"), new Date("2017-06-30")]), 4, 'Number of periods per year inferred');
+});
+
+
+QUnit.test('Variance scaling factor internal computation', function(assert) {    
+  var returns = [0.1, -0.05, 0.02, 0.07];
+  
+  // Square root of time rule
+  assert.equal(PortfolioAnalytics.varianceScalingFactor_(returns, 12), 12, 'Variance scaling factor default method');
+  assert.equal(PortfolioAnalytics.varianceScalingFactor_(returns, 12, "square-root"), 12, 'Variance scaling factor square root of time rule');
+  
+  // Lo method, c.f. the formula of the reference
+  var expectedFactor = 4 + 2 * (3 * PortfolioAnalytics.autocorrelation_(returns, 1) + 2 * PortfolioAnalytics.autocorrelation_(returns, 2) + 1 * PortfolioAnalytics.autocorrelation_(returns, 3));
+  assert.ok(Math.abs(PortfolioAnalytics.varianceScalingFactor_(returns, 4, "lo") - expectedFactor) <= 1e-14, 'Variance scaling factor Lo method');
+  
+  // Lo method, with no autocorrelation beyond the length of the returns
+  var expectedFactor = 12 + 2 * (11 * PortfolioAnalytics.autocorrelation_(returns, 1) + 10 * PortfolioAnalytics.autocorrelation_(returns, 2) + 9 * PortfolioAnalytics.autocorrelation_(returns, 3));
+  assert.ok(Math.abs(PortfolioAnalytics.varianceScalingFactor_(returns, 12, "lo") - expectedFactor) <= 1e-14, 'Variance scaling factor Lo method long horizon');
+});
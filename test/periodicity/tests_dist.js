@@ -0,0 +1,95 @@
+// ------------------------------------------------------------
+QUnit.module('Periodicity module', {
+  before: function() {
+	  // Taken from "Practical Portfolio Performance Measurement and Attribution, 2nd Edition, Carl R. Bacon."
+	  var baconPortfolioReturns = [0.003, 0.026, 0.011, -0.01, 0.015, 0.025, 0.016, 0.067, -0.014, 0.04, -0.005, 0.081, 0.04, -0.037, -0.061, 0.017, -0.049, -0.022, 0.07, 0.058, -0.065, 0.024, -0.005, -0.009];
+
+	  // Build the equity curve corresponding to the returns, as well as its monthly valuation dates
+	  this.baconPortfolio = new Array(baconPortfolioReturns.length + 1);
+	  this.baconPortfolioDates = new Array(baconPortfolioReturns.length + 1);
+	  this.baconPortfolio[0] = 100;
+	  for (var i=0; i<baconPortfolioReturns.length; ++i) {
+		this.baconPortfolio[i+1] = this.baconPortfolio[i] * (1 + baconPortfolioReturns[i]);
+	  }
+	  for (var i=0; i<this.baconPortfolioDates.length; ++i) {
+		this.baconPortfolioDates[i] = new Date(Date.UTC(2015, i + 1, 0)); // End of month dates
+	  }
+  }
+});
+
+
+QUnit.test('Periodicity computation', function(assert) {    
+  assert.throws(function() { PortfolioAnalytics.periodicity([new Date("2017-01-02")]) },
+                new Error('insufficient number of valuation dates to infer periodicity: 1'),
+				'Periodicity insufficient number of valuation dates');
+  
+  // Daily periodicity, with week-ends
+  assert.equal(PortfolioAnalytics.periodicity([new Date("2017-01-05"), new Date("2017-01-06"), new Date("2017-01-09"), new Date("2017-01-10"), new Date("2017-01-11")]), "daily", 'Daily periodicity');
+  
+  // Weekly periodicity
+  assert.equal(PortfolioAnalytics.periodicity([new Date("2017-01-06"), new Date("2017-01-13"), new Date("2017-01-20")]), "weekly", 'Weekly periodicity');
+  
+  // Monthly periodicity, with a missing valuation date
+  assert.equal(PortfolioAnalytics.periodicity(this.baconPortfolioDates), "monthly", 'Monthly periodicity #1');
+  assert.equal(PortfolioAnalytics.periodicity([new Date("2017-01-31"), new Date("2017-02-28"), new Date("2017-04-30"), new Date("2017-05-31")]), "monthly", 'Monthly periodicity #2');
+  
+  // Quarterly periodicity
+  assert.equal(PortfolioAnalytics.periodicity([new Date("2016-12-31"), new Date("2017-03-31"), new Date("2017-06-30"), new Date("2017-09-30")]), "quarterly", 'Quarterly periodicity');
+  
+  // Annual periodicity
+  assert.equal(PortfolioAnalytics.periodicity([new Date("2015-12-31"), new Date("2016-12-31"), new Date("2017-12-31")]), "annual", 'Annual periodicity');
+});
+
+
+QUnit.test('Annualized return computation', function(assert) {    
+  assert.deepEqual(PortfolioAnalytics.annualizedReturn([100], "monthly"), NaN, 'Annualized return NaN');
+  assert.equal(PortfolioAnalytics.annualizedReturn([100, 110, 121], "annual"), 0.10000000000000009, 'Annualized return annual periodicity');
+  assert.equal(PortfolioAnalytics.annualizedReturn([100, 101, 102], "monthly"), PortfolioAnalytics.annualizedReturn([100, 101, 102], [new Date("2017-01-31"), new Date("2017-02-28"), new Date("2017-03-31")]), 'Annualized return inferred periodicity');
+  
+  // Bacon portfolio
+  assert.ok(Math.abs(PortfolioAnalytics.annualizedReturn(this.baconPortfolio, this.baconPortfolioDates) - 0.10367828972980941) <= 1e-14, 'Annualized return Bacon');
+
+  assert.throws(function() { PortfolioAnalytics.annualizedReturn([100, 101, 102], "hourly") },
+                new Error('unsupported periodicity: hourly'),
+				'Annualized return unsupported periodicity');
+});
+
+
+QUnit.test('Annualized volatility computation', function(assert) {    
+  // Square root of time rule
+  assert.equal(PortfolioAnalytics.annualizedVolatility(this.baconPortfolio, "monthly"), 
+               PortfolioAnalytics.sampleStddev_(PortfolioAnalytics.arithmeticReturns(this.baconPortfolio).slice(1)) * Math.sqrt(12), 
+			   'Annualized volatility square root of time rule');
+  assert.equal(PortfolioAnalytics.annualizedVolatility(this.baconPortfolio, this.baconPortfolioDates, "square-root"), 
+               PortfolioAnalytics.annualizedVolatility(this.baconPortfolio, "monthly"), 
+			   'Annualized volatility inferred periodicity');
+			   
+  // Lo method, which is equivalent to the square root of time rule for an annual periodicity
+  assert.equal(PortfolioAnalytics.annualizedVolatility(this.baconPortfolio, "annual", "lo"), 
+               PortfolioAnalytics.annualizedVolatility(this.baconPortfolio, "annual"), 
+			   'Annualized volatility Lo method annual periodicity');
+  assert.ok(Math.abs(PortfolioAnalytics.annualizedVolatility([100, 110, 105, 107.5, 115], "monthly", "lo") - 0.06009830779176874) <= 1e-14, 'Annualized volatility Lo method');
+  
+  assert.throws(function() { PortfolioAnalytics.annualizedVolatility([100, 110, 105, 107.5, 115], "monthly", "unknown") },
+                new Error('unsupported annualization method: unknown'),
+				'Annualized volatility unsupported method');
+});
+
+
+QUnit.test('Annualized Sharpe ratio computation', function(assert) {    
+  var riskFree = [100, 100, 100, 100, 100];
+  
+  // Square root of time rule
+  assert.ok(Math.abs(PortfolioAnalytics.annualizedSharpeRatio([100, 110, 105, 107.5, 115], riskFree, "monthly") - 
+                     PortfolioAnalytics.sharpeRatio([100, 110, 105, 107.5, 115], riskFree) * Math.sqrt(12)) <= 1e-14, 
+			'Annualized Sharpe ratio square root of time rule');
+  assert.ok(Math.abs(PortfolioAnalytics.annualizedSharpeRatio([100, 110, 105, 107.5, 115], riskFree, "quarterly") - 2 * PortfolioAnalytics.sharpeRatio([100, 110, 105, 107.5, 115], riskFree)) <= 1e-14, 
+            'Annualized Sharpe ratio quarterly periodicity');
+  
+  // Lo method, with negatively autocorrelated returns increasing the annualized Sharpe ratio
+  assert.ok(Math.abs(PortfolioAnalytics.annualizedSharpeRatio([100, 110, 105, 107.5, 115], riskFree, "monthly", "lo") - 7.39400620373528) <= 1e-12, 
+            'Annualized Sharpe ratio Lo method');
+  assert.equal(PortfolioAnalytics.annualizedSharpeRatio([100, 110, 105, 107.5, 115], riskFree, "annual", "lo"), 
+               PortfolioAnalytics.sharpeRatio([100, 110, 105, 107.5, 115], riskFree), 
+			   'Annualized Sharpe ratio Lo method annual periodicity');
+});
@@ -0,0 +1,16 @@
+// ------------------------------------------------------------
+QUnit.module('Active ratios internal module', {
+});
+
+
+QUnit.test('Capture ratio internal computation', function(assert) {    
+  var portfolio = [100, 110, 105, 107.5, 115];
+  var benchmark = [100, 105, 103, 104, 108];
+  
+  // Consistency with the public functions
+  assert.equal(PortfolioAnalytics.captureRatio_(portfolio, benchmark, true), PortfolioAnalytics.upCaptureRatio(portfolio, benchmark), 'Capture ratio up market');
+  assert.equal(PortfolioAnalytics.captureRatio_(portfolio, benchmark, false), PortfolioAnalytics.downCaptureRatio(portfolio, benchmark), 'Capture ratio down market');
+  
+  // Periods with a flat benchmark are neither up nor down market periods
+  assert.ok(Math.abs(PortfolioAnalytics.captureRatio_([100, 110, 121, 133.1], [100, 110, 110, 121], true) - 1) <= 1e-14, 'Capture ratio flat benchmark period');
+});
@@ -0,0 +1,66 @@
+// ------------------------------------------------------------
+QUnit.module('Active ratios module', {
+  before: function() {
+	  // Taken from "Practical Portfolio Performance Measurement and Attribution, 2nd Edition, Carl R. Bacon."
+	  var baconPortfolioReturns = [0.003, 0.026, 0.011, -0.01, 0.015, 0.025, 0.016, 0.067, -0.014, 0.04, -0.005, 0.081, 0.04, -0.037, -0.061, 0.017, -0.049, -0.022, 0.07, 0.058, -0.065, 0.024, -0.005, -0.009];
+	  var baconBenchmarkReturns = [0.002, 0.025, 0.018, -0.011, 0.014, 0.018, 0.014, 0.065, -0.015, 0.042, -0.006, 0.083, 0.039, -0.038, -0.062, 0.015, -0.048, 0.021, 0.06, 0.056, -0.067, 0.019, -0.003, 0];
+
+	  // Build the equity curves corresponding to the returns, as well as monthly valuation dates
+	  this.baconPortfolio = new Array(baconPortfolioReturns.length + 1);
+	  this.baconBenchmark = new Array(baconBenchmarkReturns.length + 1);
+	  this.valuationDates = new Array(baconBenchmarkReturns.length + 1);
+	  this.baconPortfolio[0] = 100;
+	  this.baconBenchmark[0] = 100;
+	  for (var i=0; i<baconPortfolioReturns.length; ++i) {
+		this.baconPortfolio[i+1] = this.baconPortfolio[i] * (1 + baconPortfolioReturns[i]);
+		this.baconBenchmark[i+1] = this.baconBenchmark[i] * (1 + baconBenchmarkReturns[i]);
+	  }
+	  for (var i=0; i<this.valuationDates.length; ++i) {
+		this.valuationDates[i] = new Date(Date.UTC(2015, i, 1));
+	  }
+  }
+});
+
+
+QUnit.test('Tracking error computation', function(assert) {    
+  assert.equal(PortfolioAnalytics.trackingError(this.baconBenchmark, this.baconBenchmark), 0, 'Tracking error of the benchmark');
+  assert.ok(Math.abs(PortfolioAnalytics.trackingError(this.baconPortfolio, this.baconBenchmark) - 0.009710949296123636) <= 1e-14, 'Tracking error #1');
+  assert.ok(Math.abs(PortfolioAnalytics.trackingError([100, 110, 105, 107.5, 115], [100, 105, 103, 104, 108]) - 0.03258821715900343) <= 1e-14, 'Tracking error #2');
+});
+
+
+QUnit.test('Information ratio computation', function(assert) {    
+  assert.ok(Math.abs(PortfolioAnalytics.informationRatio(this.baconPortfolio, this.baconBenchmark) - -0.10726723360428486) <= 1e-14, 'Information ratio #1');
+  assert.equal(PortfolioAnalytics.informationRatio(this.baconPortfolio, this.baconBenchmark), 
+               PortfolioAnalytics.sharpeRatio(this.baconPortfolio, this.baconBenchmark), 
+			   'Information ratio v.s. Sharpe ratio');
+});
+
+
+QUnit.test('Active premium computation', function(assert) {    
+  assert.equal(PortfolioAnalytics.activePremium(this.baconBenchmark, this.baconBenchmark, this.valuationDates), 0, 'Active premium of the benchmark');
+  assert.ok(Math.abs(PortfolioAnalytics.activePremium(this.baconPortfolio, this.baconBenchmark, this.valuationDates) - -0.014294288693531998) <= 1e-14, 'Active premium #1');
+  assert.ok(Math.abs(PortfolioAnalytics.activePremium([100, 110, 120], [100, 105, 110], [new Date("2015-12-31"), new Date("2016-12-31"), new Date("2017-12-31")]) - 
+                     (PortfolioAnalytics.cagr([100, 110, 120], [new Date("2015-12-31"), new Date("2016-12-31"), new Date("2017-12-31")]) - 
+                      PortfolioAnalytics.cagr([100, 105, 110], [new Date("2015-12-31"), new Date("2016-12-31"), new Date("2017-12-31")]))) <= 1e-14, 'Active premium #2');
+});
+
+
+QUnit.test('Up and down capture ratios computation', function(assert) {    
+  assert.equal(PortfolioAnalytics.upCaptureRatio(this.baconBenchmark, this.baconBenchmark), 1, 'Up capture ratio of the benchmark');
+  assert.equal(PortfolioAnalytics.downCaptureRatio(this.baconBenchmark, this.baconBenchmark), 1, 'Down capture ratio of the benchmark');
+  
+  assert.ok(Math.abs(PortfolioAnalytics.upCaptureRatio(this.baconPortfolio, this.baconBenchmark) - 0.9592668024439917) <= 1e-14, 'Up capture ratio #1');
+  assert.ok(Math.abs(PortfolioAnalytics.downCaptureRatio(this.baconPortfolio, this.baconBenchmark) - 0.9839999999999993) <= 1e-14, 'Down capture ratio #1');
+  
+  assert.ok(isNaN(PortfolioAnalytics.upCaptureRatio([100, 99, 98], [100, 90, 80])), 'Up capture ratio without up market periods');
+  assert.ok(isNaN(PortfolioAnalytics.downCaptureRatio([100, 99, 98], [100, 110, 120])), 'Down capture ratio without down market periods');
+});
+
+
+QUnit.test('Batting average computation', function(assert) {    
+  assert.equal(PortfolioAnalytics.battingAverage(this.baconBenchmark, this.baconBenchmark), 0, 'Batting average of the benchmark');
+  assert.ok(Math.abs(PortfolioAnalytics.battingAverage(this.baconPortfolio, this.baconBenchmark) - 17/24) <= 1e-14, 'Batting average #1');
+  assert.equal(PortfolioAnalytics.battingAverage([100, 110, 105, 107.5, 115], [100, 105, 103, 104, 108]), 0.75, 'Batting average #2');
+  assert.ok(isNaN(PortfolioAnalytics.battingAverage([100], [100])), 'Batting average without returns');
+});
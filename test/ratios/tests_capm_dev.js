@@ -0,0 +1,25 @@
+// ------------------------------------------------------------
+QUnit.module('CAPM internal module', {
+});
+
+
+QUnit.test('CAPM statistics internal computation', function(assert) {    
+  var portfolio = [100, 110, 105, 107.5, 115];
+  var market = [100, 105, 103, 104, 108];
+  
+  // Default risk free equity curve
+  assert.deepEqual(PortfolioAnalytics.capmStatistics_(portfolio, market), 
+                   PortfolioAnalytics.capmStatistics_(portfolio, market, [1, 1, 1, 1, 1]), 
+				   'CAPM statistics default risk free');
+				   
+  // Mean excess returns
+  var capms = PortfolioAnalytics.capmStatistics_(portfolio, market, [100, 101, 102, 103, 104]);
+  assert.equal(capms[7], PortfolioAnalytics.mean_(PortfolioAnalytics.differentialReturns_(portfolio, [100, 101, 102, 103, 104])), 'CAPM statistics mean excess returns');
+  
+  // Consistency of the R-squared with the correlation
+  var x = PortfolioAnalytics.differentialReturns_(market, [1, 1, 1, 1, 1]);
+  var y = PortfolioAnalytics.differentialReturns_(portfolio, [1, 1, 1, 1, 1]);
+  var corr = PortfolioAnalytics.covariance_(x, y)/(PortfolioAnalytics.stddev_(x) * PortfolioAnalytics.stddev_(y));
+  var capms = PortfolioAnalytics.capmStatistics_(portfolio, market);
+  assert.ok(Math.abs(capms[2] - corr*corr) <= 1e-14, 'CAPM statistics R-squared');
+});
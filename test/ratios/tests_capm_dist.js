@@ -0,0 +1,59 @@
+// ------------------------------------------------------------
+QUnit.module('CAPM module', {
+  before: function() {
+	  // Taken from "Practical Portfolio Performance Measurement and Attribution, 2nd Edition, Carl R. Bacon."
+	  var baconPortfolioReturns = [0.003, 0.026, 0.011, -0.01, 0.015, 0.025, 0.016, 0.067, -0.014, 0.04, -0.005, 0.081, 0.04, -0.037, -0.061, 0.017, -0.049, -0.022, 0.07, 0.058, -0.065, 0.024, -0.005, -0.009];
+	  var baconBenchmarkReturns = [0.002, 0.025, 0.018, -0.011, 0.014, 0.018, 0.014, 0.065, -0.015, 0.042, -0.006, 0.083, 0.039, -0.038, -0.062, 0.015, -0.048, 0.021, 0.06, 0.056, -0.067, 0.019, -0.003, 0];
+
+	  // Build the equity curves corresponding to the returns, as well as a risk free equity curve with a constant return of 0.2%
+	  this.baconPortfolio = new Array(baconPortfolioReturns.length + 1);
+	  this.baconBenchmark = new Array(baconBenchmarkReturns.length + 1);
+	  this.riskFree = new Array(baconBenchmarkReturns.length + 1);
+	  this.baconPortfolio[0] = 100;
+	  this.baconBenchmark[0] = 100;
+	  this.riskFree[0] = 100;
+	  for (var i=0; i<baconPortfolioReturns.length; ++i) {
+		this.baconPortfolio[i+1] = this.baconPortfolio[i] * (1 + baconPortfolioReturns[i]);
+		this.baconBenchmark[i+1] = this.baconBenchmark[i] * (1 + baconBenchmarkReturns[i]);
+		this.riskFree[i+1] = this.riskFree[i] * (1 + 0.002);
+	  }
+  }
+});
+
+
+QUnit.test('Beta computation', function(assert) {    
+  assert.equal(PortfolioAnalytics.beta(this.baconBenchmark, this.baconBenchmark), 1, 'Beta of the market');
+  assert.ok(Math.abs(PortfolioAnalytics.beta(this.baconPortfolio, this.baconBenchmark) - 0.9988502086225748) <= 1e-14, 'Beta #1');
+  assert.ok(Math.abs(PortfolioAnalytics.beta(this.baconPortfolio, this.baconBenchmark, this.riskFree) - 0.9988502086225748) <= 1e-14, 'Beta #2');
+});
+
+
+QUnit.test('Jensen alpha computation', function(assert) {    
+  assert.ok(Math.abs(PortfolioAnalytics.jensenAlpha(this.baconBenchmark, this.baconBenchmark)) <= 1e-14, 'Jensen alpha of the market');
+  assert.ok(Math.abs(PortfolioAnalytics.jensenAlpha(this.baconPortfolio, this.baconBenchmark) - -0.0010301208449183512) <= 1e-14, 'Jensen alpha #1');
+  assert.ok(Math.abs(PortfolioAnalytics.jensenAlpha(this.baconPortfolio, this.baconBenchmark, this.riskFree) - -0.0010324204276731946) <= 1e-14, 'Jensen alpha #2');
+});
+
+
+QUnit.test('Treynor ratio computation', function(assert) {    
+  assert.ok(Math.abs(PortfolioAnalytics.treynorRatio(this.baconPortfolio, this.baconBenchmark) - 0.009010360034274885) <= 1e-14, 'Treynor ratio #1');
+  assert.ok(Math.abs(PortfolioAnalytics.treynorRatio(this.baconPortfolio, this.baconBenchmark, this.riskFree) - 0.007008057804436019) <= 1e-14, 'Treynor ratio #2');
+});
+
+
+QUnit.test('CAPM regression computation', function(assert) {    
+  // Reference values computed with an independent ordinary least squares implementation
+  var expectedValues = [-0.0032736491344574348, 2.037558169802586, 0.9920948304901667, 0.004283092738973525, 0.12860978684995872];
+  var capmReg = PortfolioAnalytics.capmRegression([100, 110, 105, 107.5, 115], [100, 105, 103, 104, 108]);
+  assert.equal(capmReg.length, 7, 'CAPM regression statistics number');
+  for (var i=0; i<expectedValues.length; ++i) {
+    assert.ok(Math.abs(capmReg[i] - expectedValues[i]) <= 1e-14, 'CAPM regression statistics #' + i);
+  }
+  assert.equal(capmReg[5], capmReg[0]/capmReg[3], 'CAPM regression alpha t-statistic');
+  assert.equal(capmReg[6], capmReg[1]/capmReg[4], 'CAPM regression beta t-statistic');
+  
+  var capmReg = PortfolioAnalytics.capmRegression(this.baconPortfolio, this.baconBenchmark, this.riskFree);
+  assert.equal(capmReg[0], PortfolioAnalytics.jensenAlpha(this.baconPortfolio, this.baconBenchmark, this.riskFree), 'CAPM regression alpha');
+  assert.equal(capmReg[1], PortfolioAnalytics.beta(this.baconPortfolio, this.baconBenchmark, this.riskFree), 'CAPM regression beta');
+  assert.ok(Math.abs(capmReg[2] - 0.9397088580814591) <= 1e-14, 'CAPM regression R-squared');
+});
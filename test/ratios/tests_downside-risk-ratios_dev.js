@@ -0,0 +1,23 @@
+// ------------------------------------------------------------
+QUnit.module('Downside risk ratios internal module', {
+});
+
+
+QUnit.test('Threshold returns internal computation', function(assert) {    
+  assert.deepEqual(PortfolioAnalytics.thresholdReturns_([100, 105, 110.25]), [[0.05, 0.05], 0], 'Threshold returns default minimum acceptable return');
+  assert.deepEqual(PortfolioAnalytics.thresholdReturns_([100, 105, 110.25], 0.01), [[0.05, 0.05], 0.01], 'Threshold returns minimum acceptable return');
+  assert.deepEqual(PortfolioAnalytics.thresholdReturns_([100, 105, 110.25], [100, 101, 102.01]), 
+                   [PortfolioAnalytics.differentialReturns_([100, 105, 110.25], [100, 101, 102.01]), 0], 
+				   'Threshold returns benchmark');
+  
+  // Returns
+  assert.deepEqual(PortfolioAnalytics.thresholdReturns_([0.05, 0.05], 0.01, "returns"), [[0.05, 0.05], 0.01], 'Threshold returns returns minimum acceptable return');
+  assert.deepEqual(PortfolioAnalytics.thresholdReturns_([0.05, 0.05], [0.05, 0.04], "returns"), [[0, 0.010000000000000002], 0], 'Threshold returns returns benchmark');
+  assert.deepEqual(PortfolioAnalytics.thresholdReturns_(new Float64Array([0.05, 0.05]), 0.01, "returns"), [[0.05, 0.05], 0.01], 'Threshold returns returns typed array');
+  assert.deepEqual(PortfolioAnalytics.thresholdReturns_([100, 105, 110.25], 0.01, "equity-curve"), [[0.05, 0.05], 0.01], 'Threshold returns equity curve');
+  
+  // Unsupported serie type
+  assert.throws(function() { PortfolioAnalytics.thresholdReturns_([100, 105, 110.25], 0.01, "unknown") },
+                new Error('unsupported serie type: unknown'),
+				'Threshold returns unsupported serie type');
+});
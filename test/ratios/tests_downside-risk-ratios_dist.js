@@ -0,0 +1,84 @@
+// ------------------------------------------------------------
+QUnit.module('Downside risk ratios module', {
+  before: function() {
+	  // Taken from "Practical Portfolio Performance Measurement and Attribution, 2nd Edition, Carl R. Bacon."
+	  var baconPortfolioReturns = [0.003, 0.026, 0.011, -0.01, 0.015, 0.025, 0.016, 0.067, -0.014, 0.04, -0.005, 0.081, 0.04, -0.037, -0.061, 0.017, -0.049, -0.022, 0.07, 0.058, -0.065, 0.024, -0.005, -0.009];
+	  var baconBenchmarkReturns = [0.002, 0.025, 0.018, -0.011, 0.014, 0.018, 0.014, 0.065, -0.015, 0.042, -0.006, 0.083, 0.039, -0.038, -0.062, 0.015, -0.048, 0.021, 0.06, 0.056, -0.067, 0.019, -0.003, 0];
+
+	  // Build the equity curves corresponding to the returns
+	  this.baconPortfolio = new Array(baconPortfolioReturns.length + 1);
+	  this.baconBenchmark = new Array(baconBenchmarkReturns.length + 1);
+	  this.baconPortfolio[0] = 100;
+	  this.baconBenchmark[0] = 100;
+	  for (var i=0; i<baconPortfolioReturns.length; ++i) {
+		this.baconPortfolio[i+1] = this.baconPortfolio[i] * (1 + baconPortfolioReturns[i]);
+		this.baconBenchmark[i+1] = this.baconBenchmark[i] * (1 + baconBenchmarkReturns[i]);
+	  }
+  }
+});
+
+
+QUnit.test('Sortino ratio computation', function(assert) {    
+  assert.deepEqual(PortfolioAnalytics.sortinoRatio([100, 110, 120]), NaN, 'Sortino ratio no downside');
+  
+  assert.equal(PortfolioAnalytics.sortinoRatio([100, 110, 105, 107.5, 115]), 1.6293466223698783, 'Sortino ratio #1');
+  assert.equal(PortfolioAnalytics.sortinoRatio(this.baconPortfolio, 0.005), 0.15663707566008572, 'Sortino ratio #2'); // Bacon downside risk of 2.55%
+  assert.equal(PortfolioAnalytics.sortinoRatio(this.baconPortfolio, this.baconBenchmark), -0.11433777082259329, 'Sortino ratio #3');
+  
+  assert.equal(PortfolioAnalytics.sortinoRatio([100, 110, 105, 107.5, 115], [100, 100, 100, 100, 100]), PortfolioAnalytics.sortinoRatio([100, 110, 105, 107.5, 115], 0), 'Sortino ratio constant benchmark');
+});
+
+
+QUnit.test('Upside potential ratio computation', function(assert) {    
+  assert.deepEqual(PortfolioAnalytics.upsidePotentialRatio([100, 110, 120]), NaN, 'Upside potential ratio no downside');
+  
+  assert.equal(PortfolioAnalytics.upsidePotentialRatio([100, 110, 105, 107.5, 115]), 2.1293466223698783, 'Upside potential ratio #1');
+  assert.equal(PortfolioAnalytics.upsidePotentialRatio(this.baconPortfolio, 0.005), 0.6934453870368413, 'Upside potential ratio #2');
+  assert.equal(PortfolioAnalytics.upsidePotentialRatio(this.baconPortfolio, this.baconBenchmark), 0.18751394414905595, 'Upside potential ratio #3');
+});
+
+
+QUnit.test('Omega ratio computation', function(assert) {    
+  assert.deepEqual(PortfolioAnalytics.omegaRatio([100, 110, 120]), NaN, 'Omega ratio no downside');
+  
+  assert.equal(PortfolioAnalytics.omegaRatio([100, 110, 105, 107.5, 115]), 4.2586932447397565, 'Omega ratio #1');
+  assert.equal(PortfolioAnalytics.omegaRatio(this.baconPortfolio, 0.005), 1.2917933130699073, 'Omega ratio #2');
+  assert.ok(Math.abs(PortfolioAnalytics.omegaRatio(this.baconPortfolio, this.baconBenchmark) - 0.6212121212121212) <= 1e-12, 'Omega ratio #3');
+});
+
+
+QUnit.test('Kappa ratio computation', function(assert) {    
+  assert.deepEqual(PortfolioAnalytics.kappaRatio([100, 110, 120], 3), NaN, 'Kappa ratio no downside');
+  
+  assert.equal(PortfolioAnalytics.kappaRatio([100, 110, 105, 107.5, 115], 3), 1.2932132711853883, 'Kappa ratio #1');
+  assert.equal(PortfolioAnalytics.kappaRatio(this.baconPortfolio, 3, 0.005), 0.11964978911416538, 'Kappa ratio #2');
+  assert.equal(PortfolioAnalytics.kappaRatio(this.baconPortfolio, 3, this.baconBenchmark), -0.0695579834232009, 'Kappa ratio #3');
+  
+  // Consistency with the Sortino and Omega ratios
+  assert.ok(Math.abs(PortfolioAnalytics.kappaRatio(this.baconPortfolio, 1, 0.005) - (PortfolioAnalytics.omegaRatio(this.baconPortfolio, 0.005) - 1)) <= 1e-14, 'Kappa ratio of order 1');
+  assert.equal(PortfolioAnalytics.kappaRatio(this.baconPortfolio, 2, 0.005), PortfolioAnalytics.sortinoRatio(this.baconPortfolio, 0.005), 'Kappa ratio of order 2');
+});
+
+
+QUnit.test('Downside risk ratios returns computation', function(assert) {    
+  var portfolioReturns = PortfolioAnalytics.arithmeticReturns(this.baconPortfolio).slice(1);
+  var benchmarkReturns = PortfolioAnalytics.arithmeticReturns(this.baconBenchmark).slice(1);
+  
+  // Consistency with the equity curves, v.s. a minimum acceptable return and v.s. a benchmark
+  assert.equal(PortfolioAnalytics.sortinoRatio(portfolioReturns, 0.005, "returns"), PortfolioAnalytics.sortinoRatio(this.baconPortfolio, 0.005), 'Sortino ratio returns #1');
+  assert.ok(Math.abs(PortfolioAnalytics.sortinoRatio(portfolioReturns, benchmarkReturns, "returns") - PortfolioAnalytics.sortinoRatio(this.baconPortfolio, this.baconBenchmark)) <= 1e-14, 'Sortino ratio returns #2');
+  assert.equal(PortfolioAnalytics.upsidePotentialRatio(portfolioReturns, 0.005, "returns"), PortfolioAnalytics.upsidePotentialRatio(this.baconPortfolio, 0.005), 'Upside potential ratio returns #1');
+  assert.ok(Math.abs(PortfolioAnalytics.upsidePotentialRatio(portfolioReturns, benchmarkReturns, "returns") - PortfolioAnalytics.upsidePotentialRatio(this.baconPortfolio, this.baconBenchmark)) <= 1e-14, 'Upside potential ratio returns #2');
+  assert.equal(PortfolioAnalytics.omegaRatio(portfolioReturns, 0.005, "returns"), PortfolioAnalytics.omegaRatio(this.baconPortfolio, 0.005), 'Omega ratio returns #1');
+  assert.ok(Math.abs(PortfolioAnalytics.omegaRatio(portfolioReturns, benchmarkReturns, "returns") - PortfolioAnalytics.omegaRatio(this.baconPortfolio, this.baconBenchmark)) <= 1e-12, 'Omega ratio returns #2');
+  assert.equal(PortfolioAnalytics.kappaRatio(portfolioReturns, 3, 0.005, "returns"), PortfolioAnalytics.kappaRatio(this.baconPortfolio, 3, 0.005), 'Kappa ratio returns #1');
+  assert.ok(Math.abs(PortfolioAnalytics.kappaRatio(portfolioReturns, 3, benchmarkReturns, "returns") - PortfolioAnalytics.kappaRatio(this.baconPortfolio, 3, this.baconBenchmark)) <= 1e-14, 'Kappa ratio returns #2');
+  
+  // Default minimum acceptable return
+  assert.equal(PortfolioAnalytics.sortinoRatio([0.1, -0.05, 0.02], undefined, "returns"), PortfolioAnalytics.sortinoRatio([0.1, -0.05, 0.02], 0, "returns"), 'Sortino ratio returns default minimum acceptable return');
+  
+  // Unsupported serie type
+  assert.throws(function() { PortfolioAnalytics.omegaRatio([100, 110, 105], 0, "prices") },
+                new Error('unsupported serie type: prices'),
+				'Omega ratio unsupported serie type');
+});
@@ -0,0 +1,14 @@
+// ------------------------------------------------------------
+QUnit.module('Drawdown ratios internal module', {
+});
+
+
+QUnit.test('Drawdown ratio internal computation', function(assert) {    
+  var equityCurve = [100, 90, 110];
+  var valuationDates = [new Date("2015-12-31"), new Date("2016-12-31"), new Date("2017-12-31")];
+  var cagr = PortfolioAnalytics.cagr(equityCurve, valuationDates);
+  
+  assert.deepEqual(PortfolioAnalytics.drawdownRatio_(equityCurve, valuationDates, 0.01, 0), NaN, 'Drawdown ratio null drawdown measure');
+  assert.equal(PortfolioAnalytics.drawdownRatio_(equityCurve, valuationDates, undefined, 0.1), cagr/0.1, 'Drawdown ratio default risk free rate');
+  assert.equal(PortfolioAnalytics.drawdownRatio_(equityCurve, valuationDates, 0.01, 0.1), (cagr - 0.01)/0.1, 'Drawdown ratio');
+});
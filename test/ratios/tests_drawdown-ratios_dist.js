@@ -0,0 +1,60 @@
+// ------------------------------------------------------------
+QUnit.module('Drawdown ratios module', {
+  before: function() {
+    // Yearly equity curve, with two drawdowns of 10% and 9.09%
+	this.equityCurve = [100, 90, 110, 100, 120];
+	this.valuationDates = [new Date("2013-12-31"), new Date("2014-12-31"), new Date("2015-12-31"), new Date("2016-12-31"), new Date("2017-12-31")];
+	this.cagr = PortfolioAnalytics.cagr(this.equityCurve, this.valuationDates);
+  }
+});
+
+
+QUnit.test('Calmar ratio computation', function(assert) {    
+  assert.deepEqual(PortfolioAnalytics.calmarRatio([100, 110], [new Date("2016-12-31"), new Date("2017-12-31")]), NaN, 'Calmar ratio no drawdown');
+  
+  assert.equal(PortfolioAnalytics.calmarRatio(this.equityCurve, this.valuationDates), this.cagr/0.1, 'Calmar ratio #1');
+  assert.equal(PortfolioAnalytics.calmarRatio(this.equityCurve, this.valuationDates, 0.01), (this.cagr - 0.01)/0.1, 'Calmar ratio #2');
+  assert.equal(PortfolioAnalytics.calmarRatio([100, 90, 110], [new Date("2015-12-31"), new Date("2016-12-31"), new Date("2017-12-31")]), 0.4877466194212743, 'Calmar ratio #3');
+  
+  // Day count convention
+  assert.equal(PortfolioAnalytics.calmarRatio(this.equityCurve, this.valuationDates, 0.01, "30/360"), 
+               (PortfolioAnalytics.cagr(this.equityCurve, this.valuationDates, "30/360") - 0.01)/0.1, 
+               'Calmar ratio with day count convention');
+  assert.equal(PortfolioAnalytics.painRatio(this.equityCurve, this.valuationDates, 0.01, "business/252", function(date) { return false; }), 
+               (PortfolioAnalytics.cagr(this.equityCurve, this.valuationDates, "business/252") - 0.01)/PortfolioAnalytics.painIndex(this.equityCurve), 
+               'Pain ratio with day count convention');
+});
+
+
+QUnit.test('Sterling ratio computation', function(assert) {    
+  assert.deepEqual(PortfolioAnalytics.sterlingRatio([100, 110], [new Date("2016-12-31"), new Date("2017-12-31")], 3), NaN, 'Sterling ratio no drawdown');
+  
+  assert.equal(PortfolioAnalytics.sterlingRatio(this.equityCurve, this.valuationDates, 1), PortfolioAnalytics.calmarRatio(this.equityCurve, this.valuationDates), 'Sterling ratio with one drawdown equals Calmar ratio');
+  assert.equal(PortfolioAnalytics.sterlingRatio(this.equityCurve, this.valuationDates, 2), this.cagr/((0.1 + 1/11)/2), 'Sterling ratio #1');
+  assert.equal(PortfolioAnalytics.sterlingRatio(this.equityCurve, this.valuationDates, 5, 0.01), (this.cagr - 0.01)/((0.1 + 1/11)/2), 'Sterling ratio #2');
+});
+
+
+QUnit.test('Burke ratio computation', function(assert) {    
+  assert.deepEqual(PortfolioAnalytics.burkeRatio([100, 110], [new Date("2016-12-31"), new Date("2017-12-31")], 3), NaN, 'Burke ratio no drawdown');
+  
+  assert.equal(PortfolioAnalytics.burkeRatio(this.equityCurve, this.valuationDates, 1), PortfolioAnalytics.calmarRatio(this.equityCurve, this.valuationDates), 'Burke ratio with one drawdown equals Calmar ratio');
+  assert.ok(Math.abs(PortfolioAnalytics.burkeRatio(this.equityCurve, this.valuationDates, 2) - this.cagr/Math.sqrt(0.1*0.1 + 1/121)) <= 1e-14, 'Burke ratio #1');
+  assert.ok(Math.abs(PortfolioAnalytics.burkeRatio(this.equityCurve, this.valuationDates, 5, 0.01) - (this.cagr - 0.01)/Math.sqrt(0.1*0.1 + 1/121)) <= 1e-14, 'Burke ratio #2');
+});
+
+
+QUnit.test('Ulcer performance index computation', function(assert) {    
+  assert.deepEqual(PortfolioAnalytics.ulcerPerformanceIndex([100, 110], [new Date("2016-12-31"), new Date("2017-12-31")]), NaN, 'Ulcer performance index no drawdown');
+  
+  assert.equal(PortfolioAnalytics.ulcerPerformanceIndex(this.equityCurve, this.valuationDates), this.cagr/PortfolioAnalytics.ulcerIndex(this.equityCurve), 'Ulcer performance index #1');
+  assert.equal(PortfolioAnalytics.ulcerPerformanceIndex(this.equityCurve, this.valuationDates, 0.01), (this.cagr - 0.01)/PortfolioAnalytics.ulcerIndex(this.equityCurve), 'Ulcer performance index #2');
+});
+
+
+QUnit.test('Pain ratio computation', function(assert) {    
+  assert.deepEqual(PortfolioAnalytics.painRatio([100, 110], [new Date("2016-12-31"), new Date("2017-12-31")]), NaN, 'Pain ratio no drawdown');
+  
+  assert.equal(PortfolioAnalytics.painRatio(this.equityCurve, this.valuationDates), this.cagr/PortfolioAnalytics.painIndex(this.equityCurve), 'Pain ratio #1');
+  assert.equal(PortfolioAnalytics.painRatio(this.equityCurve, this.valuationDates, 0.01), (this.cagr - 0.01)/PortfolioAnalytics.painIndex(this.equityCurve), 'Pain ratio #2');
+});
@@ -54,4 +54,89 @@ QUnit.test('Minimum track record length computation', function(assert) {
    assert.equal(PortfolioAnalytics.minimumTrackRecordLength(this.baconPortfolio, this.zeroRiskFree, 0.05, 0), 55.36857732082471, 'Minimum track record length #1');
    assert.equal(PortfolioAnalytics.minimumTrackRecordLength(this.baconBenchmark, this.zeroRiskFree, 0.05, 1/Math.sqrt(12)), 4089.385389453716, 'Minimum track record length #2');
    assert.equal(PortfolioAnalytics.minimumTrackRecordLength(this.baconPortfolio, this.baconBenchmark, 0.10, 0), 93.97627557455954, 'Minimum track record length #3');
-});
\ No newline at end of file
+});
+
+QUnit.test('Expected maximum Sharpe ratio computation', function(assert) {    
+   // Example taken from the reference
+   assert.ok(Math.abs(PortfolioAnalytics.expectedMaximumSharpeRatio(100, 0.5/250) - 0.11317200194197692) <= 1e-14, 'Expected maximum Sharpe ratio #1');
+   
+   // Single trial
+   assert.equal(PortfolioAnalytics.expectedMaximumSharpeRatio(1, 0.5/250), 0, 'Expected maximum Sharpe ratio #2');
+   
+   // Increasing number of trials
+   assert.ok(PortfolioAnalytics.expectedMaximumSharpeRatio(10, 0.1) < PortfolioAnalytics.expectedMaximumSharpeRatio(1000, 0.1), 'Expected maximum Sharpe ratio #3');
+});
+
+QUnit.test('Deflated Sharpe ratio computation', function(assert) {    
+   var sr0 = PortfolioAnalytics.expectedMaximumSharpeRatio(10, 0.01);
+   assert.equal(PortfolioAnalytics.deflatedSharpeRatio(this.baconPortfolio, this.zeroRiskFree, 10, 0.01), 
+                PortfolioAnalytics.probabilisticSharpeRatio(this.baconPortfolio, this.zeroRiskFree, sr0), 'Deflated Sharpe ratio #1');
+   assert.ok(PortfolioAnalytics.deflatedSharpeRatio(this.baconPortfolio, this.zeroRiskFree, 10, 0.01) < 
+             PortfolioAnalytics.probabilisticSharpeRatio(this.baconPortfolio, this.zeroRiskFree, 0), 'Deflated Sharpe ratio #2');
+   assert.equal(PortfolioAnalytics.deflatedSharpeRatio(this.baconPortfolio, this.zeroRiskFree, 1, 0.01), 
+                PortfolioAnalytics.probabilisticSharpeRatio(this.baconPortfolio, this.zeroRiskFree, 0), 'Deflated Sharpe ratio #3');
+});
+
+QUnit.test('Sharpe ratio difference test computation', function(assert) {    
+   function assertArrayClose(actual, expected, message) {
+	   var ok = actual.length == expected.length;
+	   for (var i=0; ok && i<expected.length; ++i) {
+		   ok = Math.abs(actual[i] - expected[i]) <= 1e-12;
+	   }
+	   assert.ok(ok, message);
+   }
+   
+   // Jobson-Korkie test with the Memmel correction
+   assertArrayClose(PortfolioAnalytics.sharpeRatioDifferenceTest(this.baconPortfolio, this.baconBenchmark, this.zeroRiskFree, "jobson-korkie-memmel"), 
+                    [-0.034056433893618177, 0.05220068597963681, -0.6524135316325804, 0.5141344373536969], 'Sharpe ratio difference test #1');
+   
+   // Opdyke test, with default method
+   assertArrayClose(PortfolioAnalytics.sharpeRatioDifferenceTest(this.baconPortfolio, this.baconBenchmark, this.zeroRiskFree), 
+                    [-0.034056433893618177, 0.0636939261367672, -0.5346888778765226, 0.5928650136130645], 'Sharpe ratio difference test #2');
+   assertArrayClose(PortfolioAnalytics.sharpeRatioDifferenceTest(this.baconPortfolio, this.baconBenchmark, this.zeroRiskFree, "opdyke"), 
+                    PortfolioAnalytics.sharpeRatioDifferenceTest(this.baconPortfolio, this.baconBenchmark, this.zeroRiskFree), 'Sharpe ratio difference test #3');
+   
+   // Symmetry of the test
+   assertArrayClose(PortfolioAnalytics.sharpeRatioDifferenceTest(this.baconBenchmark, this.baconPortfolio, this.zeroRiskFree), 
+                    [0.034056433893618177, 0.0636939261367672, 0.5346888778765226, 0.5928650136130645], 'Sharpe ratio difference test #4');
+   
+   // Consistency with the Sharpe ratios
+   assert.ok(Math.abs(PortfolioAnalytics.sharpeRatioDifferenceTest(this.baconPortfolio, this.baconBenchmark, this.zeroRiskFree)[0] - 
+                      (PortfolioAnalytics.sharpeRatio(this.baconPortfolio, this.zeroRiskFree) - PortfolioAnalytics.sharpeRatio(this.baconBenchmark, this.zeroRiskFree))) <= 1e-14, 'Sharpe ratio difference test #5');
+   
+   // Unsupported method
+   assert.throws(function() { 
+       PortfolioAnalytics.sharpeRatioDifferenceTest([100, 110, 105, 107.5, 115], [100, 102, 104, 103, 106], [100, 100, 100, 100, 100], "unknown"); 
+   }, new Error('unsupported sharpe ratio difference test method: unknown'), 'Sharpe ratio difference test #6');
+});
+
+
+QUnit.test('Robust Sharpe ratio computation', function(assert) {    
+  // Reference values computed with a Python script using the statistics module of the standard library
+  // (mean, stdev, NormalDist.inv_cdf and NormalDist.pdf), with the sample quantiles computed by linear interpolation
+  // (type 7 of Hyndman and Fan) and the winsorized variance of the standard normal distribution 1 - 2p - 2c*phi(c) + 2p*c^2
+  var methods = ["median-mad", "median-iqr", "trimmed", "winsorized"];
+  var expectedRatios = [0.35073467010196246, 0.43300576555797843, 0.2173159159228946, 0.2152299865379453];
+  for (var i=0; i<methods.length; ++i) {
+	assert.ok(Math.abs(PortfolioAnalytics.robustSharpeRatio(this.baconPortfolio, this.zeroRiskFree, methods[i]) - expectedRatios[i]) <= 1e-10, 'Robust Sharpe ratio ' + methods[i] + ' #1');
+  }
+  expectedRatios = [0.6744897501960243, 0.415070615505272, 0.29808757177383877, 0.19872504784923206];
+  for (var i=0; i<methods.length; ++i) {
+	assert.ok(Math.abs(PortfolioAnalytics.robustSharpeRatio(this.baconPortfolio, this.baconBenchmark, methods[i], 0.2) - expectedRatios[i]) <= 1e-10, 'Robust Sharpe ratio ' + methods[i] + ' #2');
+  }
+  
+  // Default method and proportion
+  assert.equal(PortfolioAnalytics.robustSharpeRatio(this.baconPortfolio, this.baconBenchmark), PortfolioAnalytics.robustSharpeRatio(this.baconPortfolio, this.baconBenchmark, "median-mad"), 'Robust Sharpe ratio default method');
+  assert.equal(PortfolioAnalytics.robustSharpeRatio(this.baconPortfolio, this.baconBenchmark, "trimmed"), PortfolioAnalytics.robustSharpeRatio(this.baconPortfolio, this.baconBenchmark, "trimmed", 0.1), 'Robust Sharpe ratio default proportion');
+  
+  // No trimming nor winsorization gives back the Sharpe ratio
+  var sr = PortfolioAnalytics.sharpeRatio(this.baconPortfolio, this.baconBenchmark);
+  assert.ok(Math.abs(PortfolioAnalytics.robustSharpeRatio(this.baconPortfolio, this.baconBenchmark, "trimmed", 0) - sr) <= 1e-14, 'Robust Sharpe ratio no trimming');
+  assert.ok(Math.abs(PortfolioAnalytics.robustSharpeRatio(this.baconPortfolio, this.baconBenchmark, "winsorized", 0) - sr) <= 1e-14, 'Robust Sharpe ratio no winsorization');
+  
+  // Typed arrays
+  assert.ok(Math.abs(PortfolioAnalytics.robustSharpeRatio(new Float64Array(this.baconPortfolio), new Float64Array(this.zeroRiskFree)) - 0.35073467010196246) <= 1e-10, 'Robust Sharpe ratio typed arrays');
+  
+  // Unsupported method
+  assert.throws(function() { PortfolioAnalytics.robustSharpeRatio([100, 110, 105], [100, 100, 100], "unknown"); }, /unsupported robust method: unknown/, 'Robust Sharpe ratio unsupported method');
+});
@@ -0,0 +1,34 @@
+// ------------------------------------------------------------
+QUnit.module('Calendar returns internal module', {
+});
+
+
+QUnit.test('Calendar period internal computation', function(assert) {    
+  assert.deepEqual(PortfolioAnalytics.calendarPeriod_(new Date(2017, 4, 15), "monthly"), [2017, 5], 'Calendar period monthly');
+  assert.deepEqual(PortfolioAnalytics.calendarPeriod_(new Date(2017, 0, 1), "quarterly"), [2017, 1], 'Calendar period quarterly #1');
+  assert.deepEqual(PortfolioAnalytics.calendarPeriod_(new Date(2017, 4, 15), "quarterly"), [2017, 2], 'Calendar period quarterly #2');
+  assert.deepEqual(PortfolioAnalytics.calendarPeriod_(new Date(2017, 11, 31), "quarterly"), [2017, 4], 'Calendar period quarterly #3');
+  assert.deepEqual(PortfolioAnalytics.calendarPeriod_(new Date(2017, 4, 15), "annual"), [2017, 1], 'Calendar period annual');
+  
+  // ISO date strings
+  assert.deepEqual(PortfolioAnalytics.calendarPeriod_(new Date("2017-05-01"), "monthly"), [2017, 5], 'Calendar period ISO date monthly');
+  assert.deepEqual(PortfolioAnalytics.calendarPeriod_(new Date("2017-01-01"), "annual"), [2017, 1], 'Calendar period ISO date annual');
+});
+
+
+QUnit.test('Last valuation index internal computation', function(assert) {    
+  var valuationDates = [new Date(2016, 11, 31), new Date(2017, 0, 31), new Date(2017, 1, 28, 18, 30)];
+  
+  assert.equal(PortfolioAnalytics.lastValuationIndex_(valuationDates, 2016, 11, 30), -1, 'Last valuation index before first date');
+  assert.equal(PortfolioAnalytics.lastValuationIndex_(valuationDates, 2016, 11, 31), 0, 'Last valuation index on first date');
+  assert.equal(PortfolioAnalytics.lastValuationIndex_(valuationDates, 2017, 0, 0), 0, 'Last valuation index day 0');
+  assert.equal(PortfolioAnalytics.lastValuationIndex_(valuationDates, 2017, 0, 15), 0, 'Last valuation index between dates');
+  assert.equal(PortfolioAnalytics.lastValuationIndex_(valuationDates, 2017, 1, 28), 2, 'Last valuation index on date with time');
+  assert.equal(PortfolioAnalytics.lastValuationIndex_(valuationDates, 2018, 0, 1), 2, 'Last valuation index after last date');
+  
+  // ISO date strings
+  var isoValuationDates = [new Date("2016-12-31"), new Date("2017-01-01"), new Date("2017-02-01")];
+  assert.equal(PortfolioAnalytics.lastValuationIndex_(isoValuationDates, 2016, 11, 31), 0, 'Last valuation index ISO dates on first date');
+  assert.equal(PortfolioAnalytics.lastValuationIndex_(isoValuationDates, 2017, 0, 31), 1, 'Last valuation index ISO dates end of month');
+  assert.equal(PortfolioAnalytics.lastValuationIndex_(isoValuationDates, 2017, 1, 1), 2, 'Last valuation index ISO dates on last date');
+});
@@ -0,0 +1,143 @@
+// ------------------------------------------------------------
+QUnit.module('Calendar returns module', {
+  before: function() {
+	  // Monthly portfolio from 31/12/2010 to 31/03/2017, with a constant monthly return of 1%
+	  this.monthlyPortfolio = [];
+	  this.monthlyPortfolioDates = [];
+	  for (var i=0; i<=75; ++i) {
+		this.monthlyPortfolio.push(100 * Math.pow(1.01, i));
+		this.monthlyPortfolioDates.push(new Date(2010, 12 + i, 0)); // End of month dates, in local time
+	  }
+  }
+});
+
+
+QUnit.test('Calendar returns computation', function(assert) {    
+  var portfolio = [100, 110, 99, 108.9];
+  var valuationDates = [new Date(2016, 11, 31), new Date(2017, 0, 31), new Date(2017, 1, 28), new Date(2017, 2, 31)];
+  
+  // Limit cases
+  assert.deepEqual(PortfolioAnalytics.calendarReturns([], [], "monthly"), [], 'Calendar returns empty portfolio');
+  assert.deepEqual(PortfolioAnalytics.calendarReturns([100], [new Date(2016, 11, 31)], "monthly"), [], 'Calendar returns one valuation');
+  
+  // Monthly, quarterly and annual returns
+  var monthlyReturns = PortfolioAnalytics.calendarReturns(portfolio, valuationDates, "monthly");
+  var expectedMonthlyReturns = [[2017, 1, 0.1], [2017, 2, -0.1], [2017, 3, 0.1]];
+  assert.equal(monthlyReturns.length, expectedMonthlyReturns.length, 'Calendar monthly returns length');
+  for (var i=0; i<expectedMonthlyReturns.length; ++i) {
+    assert.equal(monthlyReturns[i][0], expectedMonthlyReturns[i][0], 'Calendar monthly returns year #' + i);
+    assert.equal(monthlyReturns[i][1], expectedMonthlyReturns[i][1], 'Calendar monthly returns month #' + i);
+    assert.ok(Math.abs(monthlyReturns[i][2] - expectedMonthlyReturns[i][2]) <= 1e-14, 'Calendar monthly returns #' + i);
+  }
+  var quarterlyReturns = PortfolioAnalytics.calendarReturns(portfolio, valuationDates, "quarterly");
+  assert.equal(quarterlyReturns.length, 1, 'Calendar quarterly returns length');
+  assert.ok(quarterlyReturns[0][0] == 2017 && quarterlyReturns[0][1] == 1 && Math.abs(quarterlyReturns[0][2] - 0.089) <= 1e-14, 'Calendar quarterly returns');
+  assert.deepEqual(PortfolioAnalytics.calendarReturns(portfolio, valuationDates, "annual"), quarterlyReturns, 'Calendar annual returns');
+  
+  // Intra-month valuations, with a missing month and a partial first month
+  var dailyReturns = PortfolioAnalytics.calendarReturns([100, 105, 110, 120, 132], 
+                                                        [new Date(2017, 0, 10), new Date(2017, 0, 20), new Date(2017, 0, 31), new Date(2017, 2, 15), new Date(2017, 2, 31)], 
+														"monthly");
+  assert.equal(dailyReturns.length, 2, 'Calendar returns missing month length');
+  assert.ok(dailyReturns[0][1] == 1 && Math.abs(dailyReturns[0][2] - 0.1) <= 1e-14, 'Calendar returns partial first month');
+  assert.ok(dailyReturns[1][1] == 3 && Math.abs(dailyReturns[1][2] - 0.2) <= 1e-14, 'Calendar returns after missing month');
+  
+  // ISO date strings, with first of month valuation dates
+  var isoReturns = PortfolioAnalytics.calendarReturns([100, 110, 99, 108.9], 
+                                                      [new Date("2017-01-01"), new Date("2017-02-01"), new Date("2017-03-01"), new Date("2017-04-01")], 
+													  "monthly");
+  assert.deepEqual([isoReturns[0][0], isoReturns[0][1], isoReturns[1][1], isoReturns[2][1]], [2017, 2, 3, 4], 'Calendar returns ISO dates periods');
+  assert.ok(Math.abs(isoReturns[0][2] - 0.1) <= 1e-14 && Math.abs(isoReturns[1][2] - -0.1) <= 1e-14 && Math.abs(isoReturns[2][2] - 0.1) <= 1e-14, 'Calendar returns ISO dates');
+  
+  // Consistency with the cumulative return
+  var yearlyReturns = PortfolioAnalytics.calendarReturns(this.monthlyPortfolio, this.monthlyPortfolioDates, "annual");
+  var cumRet = 1;
+  for (var i=0; i<yearlyReturns.length; ++i) {
+	cumRet *= 1 + yearlyReturns[i][2];
+  }
+  assert.equal(yearlyReturns.length, 7, 'Calendar annual returns length');
+  assert.ok(Math.abs(cumRet - 1 - PortfolioAnalytics.cumulativeReturn(this.monthlyPortfolio)) <= 1e-12, 'Calendar annual returns compounding');
+  
+  // Unsupported calendar periodicity
+  assert.throws(function() { PortfolioAnalytics.calendarReturns(portfolio, valuationDates, "weekly") },
+                new Error('unsupported calendar periodicity: weekly'),
+				'Calendar returns unsupported periodicity');
+});
+
+
+QUnit.test('Monthly returns table computation', function(assert) {    
+  // Partial year
+  var table = PortfolioAnalytics.monthlyReturnsTable([100, 110, 99], [new Date(2016, 11, 31), new Date(2017, 0, 31), new Date(2017, 1, 28)]);
+  assert.equal(table.length, 1, 'Monthly returns table partial year length');
+  assert.equal(table[0].length, 14, 'Monthly returns table row length');
+  assert.equal(table[0][0], 2017, 'Monthly returns table year');
+  assert.ok(Math.abs(table[0][1] - 0.1) <= 1e-14, 'Monthly returns table january');
+  assert.ok(Math.abs(table[0][2] - -0.1) <= 1e-14, 'Monthly returns table february');
+  for (var j=3; j<=12; ++j) {
+    assert.ok(isNaN(table[0][j]), 'Monthly returns table missing month #' + j);
+  }
+  assert.ok(Math.abs(table[0][13] - -0.01) <= 1e-14, 'Monthly returns table year return');
+  
+  // Multiple years
+  var table = PortfolioAnalytics.monthlyReturnsTable(this.monthlyPortfolio, this.monthlyPortfolioDates);
+  assert.equal(table.length, 7, 'Monthly returns table multiple years length');
+  assert.equal(table[0][0], 2011, 'Monthly returns table first year');
+  assert.equal(table[6][0], 2017, 'Monthly returns table last year');
+  for (var j=1; j<=12; ++j) {
+    assert.ok(Math.abs(table[0][j] - 0.01) <= 1e-12, 'Monthly returns table full year month #' + j);
+  }
+  assert.ok(Math.abs(table[0][13] - (Math.pow(1.01, 12) - 1)) <= 1e-12, 'Monthly returns table full year return');
+  assert.ok(isNaN(table[6][4]), 'Monthly returns table last year missing month');
+  assert.ok(Math.abs(table[6][13] - (Math.pow(1.01, 3) - 1)) <= 1e-12, 'Monthly returns table last year return');
+});
+
+
+QUnit.test('Trailing return computation', function(assert) {    
+  var portfolio = this.monthlyPortfolio;
+  var valuationDates = this.monthlyPortfolioDates;
+  
+  // To date returns
+  assert.ok(Math.abs(PortfolioAnalytics.trailingReturn(portfolio, valuationDates, "mtd") - 0.01) <= 1e-12, 'Trailing return MTD');
+  assert.ok(Math.abs(PortfolioAnalytics.trailingReturn(portfolio, valuationDates, "qtd") - (Math.pow(1.01, 3) - 1)) <= 1e-12, 'Trailing return QTD');
+  assert.ok(Math.abs(PortfolioAnalytics.trailingReturn(portfolio, valuationDates, "ytd") - (Math.pow(1.01, 3) - 1)) <= 1e-12, 'Trailing return YTD');
+  assert.ok(Math.abs(PortfolioAnalytics.trailingReturn(portfolio.slice(0, 72), valuationDates.slice(0, 72), "qtd") - (Math.pow(1.01, 2) - 1)) <= 1e-12, 'Trailing return QTD #2');
+  
+  // Trailing years returns
+  assert.ok(Math.abs(PortfolioAnalytics.trailingReturn(portfolio, valuationDates, "1y") - (Math.pow(1.01, 12) - 1)) <= 1e-12, 'Trailing return 1Y');
+  assert.equal(PortfolioAnalytics.trailingReturn(portfolio, valuationDates, "3y"), 
+               PortfolioAnalytics.cagr([portfolio[39], portfolio[75]], [valuationDates[39], valuationDates[75]]), 
+			   'Trailing return 3Y');
+  assert.equal(PortfolioAnalytics.trailingReturn(portfolio, valuationDates, "5y"), 
+               PortfolioAnalytics.cagr([portfolio[15], portfolio[75]], [valuationDates[15], valuationDates[75]]), 
+			   'Trailing return 5Y');
+  assert.ok(isNaN(PortfolioAnalytics.trailingReturn(portfolio.slice(0, 50), valuationDates.slice(0, 50), "5y")), 'Trailing return 5Y insufficient history');
+  
+  // Since inception return
+  assert.equal(PortfolioAnalytics.trailingReturn(portfolio, valuationDates, "inception"), 
+               PortfolioAnalytics.cagr(portfolio, valuationDates), 
+			   'Trailing return since inception');
+  
+  // Day count convention
+  assert.equal(PortfolioAnalytics.trailingReturn(portfolio, valuationDates, "3y", "actual/365"), 
+               PortfolioAnalytics.cagr([portfolio[39], portfolio[75]], [valuationDates[39], valuationDates[75]], "actual/365"), 
+			   'Trailing return 3Y with day count convention');
+  assert.equal(PortfolioAnalytics.trailingReturn(portfolio, valuationDates, "inception", "30/360"), 
+               PortfolioAnalytics.cagr(portfolio, valuationDates, "30/360"), 
+			   'Trailing return since inception with day count convention');
+  
+  // 29th of February
+  assert.ok(Math.abs(PortfolioAnalytics.trailingReturn([100, 105, 110], [new Date(2015, 1, 28), new Date(2015, 2, 31), new Date(2016, 1, 29)], "1y") - 0.1) <= 1e-14, 'Trailing return 1Y leap year');
+  
+  // ISO date strings, with first of month valuation dates
+  assert.ok(Math.abs(PortfolioAnalytics.trailingReturn([100, 110, 121], [new Date("2016-12-01"), new Date("2017-01-01"), new Date("2017-02-01")], "ytd") - 0.21) <= 1e-14, 'Trailing return YTD ISO dates');
+  assert.ok(Math.abs(PortfolioAnalytics.trailingReturn([100, 110, 121], [new Date("2016-02-01"), new Date("2017-01-01"), new Date("2017-02-01")], "1y") - 0.21) <= 1e-14, 'Trailing return 1Y ISO dates');
+  
+  // Insufficient history
+  assert.ok(isNaN(PortfolioAnalytics.trailingReturn([100, 110], [new Date(2017, 0, 10), new Date(2017, 0, 20)], "mtd")), 'Trailing return MTD insufficient history');
+  assert.ok(isNaN(PortfolioAnalytics.trailingReturn([100], [new Date(2017, 0, 10)], "inception")), 'Trailing return since inception one valuation');
+  
+  // Unsupported trailing period
+  assert.throws(function() { PortfolioAnalytics.trailingReturn(portfolio, valuationDates, "10y") },
+                new Error('unsupported trailing period: 10y'),
+				'Trailing return unsupported trailing period');
+});
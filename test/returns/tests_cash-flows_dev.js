@@ -0,0 +1,19 @@
+// ------------------------------------------------------------
+QUnit.module('Cash flows internal module', {
+});
+
+
+QUnit.test('Cash flows adjusted returns internal computation', function(assert) {    
+  assert.deepEqual(PortfolioAnalytics.cashFlowsAdjustedReturns_([100, 110, 99], [0, 0, 0]), [NaN, 0.1, -0.1], 'Cash flows adjusted returns without cash flows');
+  assert.deepEqual(PortfolioAnalytics.cashFlowsAdjustedReturns_([100, 160, 144], [0, 50, 0]), [NaN, 0.1, -0.1], 'Cash flows adjusted returns with deposit');
+  
+  // First cash flow is ignored, as it is included in the initial valuation
+  assert.deepEqual(PortfolioAnalytics.cashFlowsAdjustedReturns_([100, 160, 144], [100, 50, 0]), [NaN, 0.1, -0.1], 'Cash flows adjusted returns with initial cash flow');
+});
+
+
+QUnit.test('Internal rate of return internal computation', function(assert) {    
+  assert.ok(Math.abs(PortfolioAnalytics.internalRateOfReturn_([-100, 110], [0, 1]) - 0.1) <= 1e-12, 'Internal rate of return #1');
+  assert.ok(Math.abs(PortfolioAnalytics.internalRateOfReturn_([-100, 105], [0, 0.5]) - 0.1025) <= 1e-12, 'Internal rate of return fractional time');
+  assert.deepEqual(PortfolioAnalytics.internalRateOfReturn_([-100, -110], [0, 1]), NaN, 'Internal rate of return without root');
+});
@@ -0,0 +1,99 @@
+// ------------------------------------------------------------
+QUnit.module('Cash flows module', {
+});
+
+
+QUnit.test('Time-weighted return computation', function(assert) {    
+  // No external cash flows
+  assert.ok(Math.abs(PortfolioAnalytics.timeWeightedReturn([100, 110, 99], [0, 0, 0]) - PortfolioAnalytics.cumulativeReturn([100, 110, 99])) <= 1e-14, 'Time-weighted return without cash flows');
+  
+  // Deposit and withdrawal
+  assert.ok(Math.abs(PortfolioAnalytics.timeWeightedReturn([100, 160, 144], [0, 50, 0]) - -0.01) <= 1e-14, 'Time-weighted return with deposit');
+  assert.ok(Math.abs(PortfolioAnalytics.timeWeightedReturn([100, 60, 54], [0, -50, 0]) - -0.01) <= 1e-14, 'Time-weighted return with withdrawal');
+  assert.ok(Math.abs(PortfolioAnalytics.timeWeightedReturn([100, 160, 94], [0, 50, -50]) - -0.01) <= 1e-14, 'Time-weighted return with deposit and withdrawal');
+});
+
+
+QUnit.test('Time-weighted equity curve computation', function(assert) {    
+  // No external cash flows
+  assert.deepEqual(PortfolioAnalytics.timeWeightedEquityCurve([100, 110, 99], [0, 0, 0]), [100, 110.00000000000001, 99.00000000000001], 'Time-weighted equity curve without cash flows');
+  
+  // Deposit, with arithmetic returns of the time-weighted equity curve being the cash flows adjusted returns
+  var twrEquityCurve = PortfolioAnalytics.timeWeightedEquityCurve([100, 160, 144], [0, 50, 0]);
+  var expectedEquityCurve = [100, 110, 99];
+  for (var i=0; i<expectedEquityCurve.length; ++i) {
+    assert.ok(Math.abs(twrEquityCurve[i] - expectedEquityCurve[i]) <= 1e-12, 'Time-weighted equity curve with deposit #' + i);
+  }
+  
+  // Typed arrays
+  assert.ok(PortfolioAnalytics.timeWeightedEquityCurve(new Float64Array([100, 160, 144]), new Float64Array([0, 50, 0])) instanceof Float64Array, 'Time-weighted equity curve typed array');
+});
+
+
+QUnit.test('Modified Dietz returns computation', function(assert) {    
+  var valuationDates = [new Date("2017-01-01"), new Date("2017-01-31"), new Date("2017-03-02")];
+  
+  // No external cash flows
+  assert.deepEqual(PortfolioAnalytics.modifiedDietzReturns([100, 110, 99], valuationDates, [], []), 
+                   PortfolioAnalytics.arithmeticReturns([100, 110, 99]), 
+				   'Modified Dietz returns without cash flows');
+  
+  // Cash flow in the middle of the first period
+  assert.deepEqual(PortfolioAnalytics.modifiedDietzReturns([100, 160], [new Date("2017-01-01"), new Date("2017-01-31")], [50], [new Date("2017-01-16")]), 
+                   [NaN, 0.08], 
+				   'Modified Dietz returns #1');
+  
+  // Cash flows at the start and at the end of the periods
+  assert.deepEqual(PortfolioAnalytics.modifiedDietzReturns([100, 160, 144], valuationDates, [50], [new Date("2017-01-31")]), 
+                   [NaN, 0.1, -0.1], 
+				   'Modified Dietz returns cash flow at valuation date');
+  assert.deepEqual(PortfolioAnalytics.modifiedDietzReturns([100, 160], [new Date("2017-01-01"), new Date("2017-01-31")], [50], [new Date("2017-01-01")]), 
+                   [NaN, 0.6], 
+				   'Modified Dietz returns cash flow outside of the valuation period');
+				   
+  // Multiple cash flows over multiple periods
+  var mdReturns = PortfolioAnalytics.modifiedDietzReturns([100, 120, 80], valuationDates, [10, -30, -10], [new Date("2017-01-11"), new Date("2017-02-10"), new Date("2017-02-20")]);
+  assert.ok(Math.abs(mdReturns[1] - 10/(100 + 10*20/30)) <= 1e-14, 'Modified Dietz returns multiple cash flows #1');
+  assert.ok(Math.abs(mdReturns[2] - 0/(120 - 30*20/30 - 10*10/30)) <= 1e-14, 'Modified Dietz returns multiple cash flows #2');
+  
+  // Local dates, mixed with ISO dates
+  assert.deepEqual(PortfolioAnalytics.modifiedDietzReturns([100, 160, 144], valuationDates, [50], [new Date(2017, 0, 31)]), 
+                   [NaN, 0.1, -0.1], 
+				   'Modified Dietz returns local cash flow date');
+  assert.deepEqual(PortfolioAnalytics.modifiedDietzReturns([100, 160, 144], [new Date(2017, 0, 1), new Date(2017, 0, 31), new Date(2017, 2, 2)], [50], [new Date("2017-01-31")]), 
+                   [NaN, 0.1, -0.1], 
+				   'Modified Dietz returns local valuation dates');
+});
+
+
+QUnit.test('XIRR computation', function(assert) {    
+  // Reference value from the XIRR function of a well known spreadsheet software
+  assert.ok(Math.abs(PortfolioAnalytics.xirr([-10000, 2750, 4250, 3250, 2750], 
+                                             [new Date("2008-01-01"), new Date("2008-03-01"), new Date("2008-10-30"), new Date("2009-02-15"), new Date("2009-04-01")]) - 0.373362535) <= 1e-8, 
+		    'XIRR #1');
+  assert.equal(PortfolioAnalytics.xirr([-10000, 2750, 4250, 3250, 2750], 
+                                       [new Date(2008, 0, 1), new Date(2008, 2, 1), new Date(2008, 9, 30), new Date(2009, 1, 15), new Date(2009, 3, 1)]), 
+               PortfolioAnalytics.xirr([-10000, 2750, 4250, 3250, 2750], 
+                                       [new Date("2008-01-01"), new Date("2008-03-01"), new Date("2008-10-30"), new Date("2009-02-15"), new Date("2009-04-01")]), 
+		       'XIRR local dates');
+  
+  // One year
+  assert.ok(Math.abs(PortfolioAnalytics.xirr([-100, 110], [new Date("2016-12-31"), new Date("2017-12-31")]) - 0.1) <= 1e-12, 'XIRR #2');
+  
+  // Large losses and gains
+  assert.ok(Math.abs(PortfolioAnalytics.xirr([-100, 1], [new Date("2016-12-31"), new Date("2017-12-31")]) - -0.99) <= 1e-12, 'XIRR large loss');
+  assert.ok(Math.abs(PortfolioAnalytics.xirr([-100, 10000], [new Date("2016-12-31"), new Date("2017-12-31")]) - 99) <= 1e-10, 'XIRR large gain');
+  
+  // No root
+  assert.deepEqual(PortfolioAnalytics.xirr([100, 110], [new Date("2016-12-31"), new Date("2017-12-31")]), NaN, 'XIRR cash flows of same sign');
+});
+
+
+QUnit.test('IRR computation', function(assert) {    
+  assert.ok(Math.abs(PortfolioAnalytics.irr([-100, 0, 121]) - 0.1) <= 1e-12, 'IRR #1');
+  assert.ok(Math.abs(PortfolioAnalytics.irr([-100, 10, 10, 110]) - 0.1) <= 1e-12, 'IRR #2');
+  assert.ok(Math.abs(PortfolioAnalytics.irr([-100, 50, 60]) - 0.06394102980498531) <= 1e-12, 'IRR #3');
+  
+  // No root
+  assert.deepEqual(PortfolioAnalytics.irr([-100, 300, -250]), NaN, 'IRR without root');
+});
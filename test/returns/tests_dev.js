@@ -0,0 +1,35 @@
+// ------------------------------------------------------------
+QUnit.module('Returns internal module', {
+});
+
+
+QUnit.test('Returns tail internal computation', function(assert) {    
+  assert.deepEqual(PortfolioAnalytics.returnsTail_([100], 0.50), [[], 0], 'Returns tail empty');
+  
+  var tail = PortfolioAnalytics.returnsTail_([100, 90, 80, 70, 60, 50, 40, 30, 20], 0.70);
+  assert.deepEqual(tail[0], [-0.33333333333333333, -0.25, -0.2, -0.16666666666666666, -0.14285714285714285, -0.125, -0.1111111111111111, -0.1], 'Returns tail sorted returns');
+  assert.equal(tail[1], 2, 'Returns tail size');
+  
+  assert.equal(-tail[0][tail[1]-1], PortfolioAnalytics.valueAtRisk([100, 90, 80, 70, 60, 50, 40, 30, 20], 0.70), 'Returns tail consistency with value at risk');
+});
+
+
+QUnit.test('Parametric tail internal computation', function(assert) {    
+  var equityCurve = [100, 90, 80, 70, 60, 50, 40, 30, 20];
+  var returns = PortfolioAnalytics.arithmeticReturns(equityCurve).slice(1);
+  var moments = PortfolioAnalytics.sampleMoments_(returns);
+  
+  // Gaussian distribution
+  var params = PortfolioAnalytics.parametricTail_(equityCurve, 0.80, "gaussian");
+  assert.deepEqual(params, [moments[0], moments[2], PortfolioAnalytics.norminv_(1 - 0.80), 0, 0], 'Gaussian parametric tail');
+  
+  // Cornish-Fisher expansion
+  var params = PortfolioAnalytics.parametricTail_(equityCurve, 0.80, "cornish-fisher");
+  assert.equal(params[0], moments[0], 'Cornish-Fisher parametric tail mean');
+  assert.equal(params[1], moments[2], 'Cornish-Fisher parametric tail standard deviation');
+  assert.equal(params[3], moments[3], 'Cornish-Fisher parametric tail skewness');
+  assert.equal(params[4], moments[4] - 3, 'Cornish-Fisher parametric tail excess kurtosis');
+  
+  // Consistency with the value at risk
+  assert.equal(-(params[0] + params[2]*params[1]), PortfolioAnalytics.valueAtRisk(equityCurve, 0.80, "cornish-fisher"), 'Parametric tail consistency with value at risk');
+});
@@ -22,6 +22,17 @@ QUnit.test('Cagr computation', function(assert) {
   assert.equal(PortfolioAnalytics.cagr([100, 110, 100, 110, 100, 110, 100, 110, 100, 110, 100, 110, 110], 
                                        [new Date("2014-12-31"), new Date("2015-01-31"), new Date("2015-02-28"), new Date("2015-03-31"), new Date("2015-04-30"), new Date("2015-05-31"), new Date("2015-06-30"), new Date("2015-07-31"), new Date("2015-08-31"), new Date("2015-09-30"), new Date("2015-10-31"), new Date("2015-11-30"), new Date("2015-12-31")]), 
 									   0.10007181138351062, 'CAGR #5');
+  
+  // Day count conventions
+  assert.equal(PortfolioAnalytics.cagr([100, 110], [new Date("2016-12-31"), new Date("2017-12-31")], "actual/365"), 0.10000000000000009, 'CAGR actual/365');
+  assert.equal(PortfolioAnalytics.cagr([100, 110], [new Date(2017, 0, 1), new Date(2017, 11, 27)], "actual/360"), 0.10000000000000009, 'CAGR actual/360');
+  assert.equal(PortfolioAnalytics.cagr([100, 110], [new Date(2017, 0, 31), new Date(2018, 0, 31)], "30/360"), 0.10000000000000009, 'CAGR 30/360');
+  assert.equal(PortfolioAnalytics.cagr([100, 110, 120], [new Date("2015-12-31"), new Date("2016-12-31"), new Date("2017-12-31")], "actual/365.25"), 
+               PortfolioAnalytics.cagr([100, 110, 120], [new Date("2015-12-31"), new Date("2016-12-31"), new Date("2017-12-31")]), 
+			   'CAGR default day count convention');
+  assert.equal(PortfolioAnalytics.cagr([100, 110], [new Date(2017, 0, 1), new Date(2018, 0, 1)], "business/252", function(date) { return (date.getMonth() == 11 && date.getDate() == 25) || (date.getMonth() == 0 && date.getDate() == 1); }), 
+               Math.pow(1.1, 252/259) - 1, 
+			   'CAGR business/252');
 });
 
 
@@ -36,6 +47,85 @@ QUnit.test('Arithmetic returns computation', function(assert) {
 });
 
 
+QUnit.test('Logarithmic returns computation', function(assert) {    
+  assert.deepEqual(PortfolioAnalytics.logarithmicReturns([100]), [NaN], 'Logarithmic returns #1');
+  assert.deepEqual(PortfolioAnalytics.logarithmicReturns([100, 100]), [NaN, 0.0], 'Logarithmic returns #2');
+  assert.deepEqual(PortfolioAnalytics.logarithmicReturns([1, 2, 1]), [NaN, Math.log(2), -Math.log(2)], 'Logarithmic returns #3');
+  
+  assert.deepEqual(PortfolioAnalytics.logarithmicReturns(new Float64Array([1, 2, 1])),
+                   new Float64Array([NaN, Math.log(2), -Math.log(2)]),
+				   'Logarithmic returns typed array');
+});
+
+
+QUnit.test('Equity curve computation', function(assert) {    
+  assert.deepEqual(PortfolioAnalytics.equityCurve([]), [1], 'Equity curve default initial value');
+  assert.deepEqual(PortfolioAnalytics.equityCurve([1.0, -0.5], 100), [100, 200, 100], 'Equity curve arithmetic returns');
+  assert.deepEqual(PortfolioAnalytics.equityCurve([1.0, -0.5], 100, "arithmetic"), [100, 200, 100], 'Equity curve arithmetic returns explicit');
+  assert.deepEqual(PortfolioAnalytics.equityCurve([Math.log(2), -Math.log(2)], 100, "logarithmic"), [100, 200, 100], 'Equity curve logarithmic returns');
+  
+  assert.deepEqual(PortfolioAnalytics.equityCurve(new Float64Array([1.0, -0.5]), 100),
+                   new Float64Array([100, 200, 100]),
+				   'Equity curve typed array');
+  
+  assert.throws(function() { PortfolioAnalytics.equityCurve([1.0, -0.5], 100, "unknown") },
+                new Error('unsupported returns type: unknown'),
+				'Equity curve unsupported returns type');
+				
+  // Inverse of the arithmetic and logarithmic returns computations
+  var portfolio = [100, 110, 105, 107.5, 115];
+  var arithEquityCurve = PortfolioAnalytics.equityCurve(PortfolioAnalytics.arithmeticReturns(portfolio).slice(1), portfolio[0]);
+  var logEquityCurve = PortfolioAnalytics.equityCurve(PortfolioAnalytics.logarithmicReturns(portfolio).slice(1), portfolio[0], "logarithmic");
+  for (var i=0; i<portfolio.length; ++i) {
+    assert.ok(Math.abs(arithEquityCurve[i] - portfolio[i]) <= 1e-12, 'Equity curve from arithmetic returns #' + i);
+    assert.ok(Math.abs(logEquityCurve[i] - portfolio[i]) <= 1e-12, 'Equity curve from logarithmic returns #' + i);
+  }
+});
+
+
+QUnit.test('Returns conversion computation', function(assert) {    
+  assert.deepEqual(PortfolioAnalytics.arithmeticToLogarithmicReturns([NaN, 1.0, -0.5]), [NaN, Math.log(2), -Math.log(2)], 'Arithmetic to logarithmic returns');
+  assert.deepEqual(PortfolioAnalytics.logarithmicToArithmeticReturns([NaN, Math.log(2), -Math.log(2)]), [NaN, 1.0, -0.5], 'Logarithmic to arithmetic returns');
+  
+  assert.deepEqual(PortfolioAnalytics.arithmeticToLogarithmicReturns(new Float64Array([NaN, 1.0, -0.5])),
+                   new Float64Array([NaN, Math.log(2), -Math.log(2)]),
+				   'Arithmetic to logarithmic returns typed array');
+  assert.deepEqual(PortfolioAnalytics.logarithmicToArithmeticReturns(new Float64Array([NaN, Math.log(2), -Math.log(2)])),
+                   new Float64Array([NaN, 1.0, -0.5]),
+				   'Logarithmic to arithmetic returns typed array');
+				   
+  // Consistency with the arithmetic and logarithmic returns computations
+  var portfolio = [100, 110, 105, 107.5, 115];
+  var arithReturns = PortfolioAnalytics.arithmeticReturns(portfolio);
+  var logReturns = PortfolioAnalytics.logarithmicReturns(portfolio);
+  var convertedLogReturns = PortfolioAnalytics.arithmeticToLogarithmicReturns(arithReturns);
+  var convertedArithReturns = PortfolioAnalytics.logarithmicToArithmeticReturns(logReturns);
+  for (var i=1; i<portfolio.length; ++i) {
+    assert.ok(Math.abs(convertedLogReturns[i] - logReturns[i]) <= 1e-14, 'Arithmetic to logarithmic returns #' + i);
+    assert.ok(Math.abs(convertedArithReturns[i] - arithReturns[i]) <= 1e-14, 'Logarithmic to arithmetic returns #' + i);
+  }
+});
+
+
+
+QUnit.test('Winsorized equity curve computation', function(assert) {    
+  var equityCurve = [100, 110, 99, 108.9, 115, 112];
+  var winsorizedEquityCurve = PortfolioAnalytics.winsorizedEquityCurve(equityCurve, 0.2);
+  var expectedReturns = [0.1, -0.02608695652173913, 0.1, 0.056014692378328686, -0.02608695652173913];
+  var returns = PortfolioAnalytics.arithmeticReturns(winsorizedEquityCurve).slice(1);
+  assert.equal(winsorizedEquityCurve[0], 100, 'Winsorized equity curve initial value');
+  for (var i=0; i<expectedReturns.length; ++i) {
+	assert.ok(Math.abs(returns[i] - expectedReturns[i]) <= 1e-14, 'Winsorized equity curve return #' + i);
+  }
+  assert.deepEqual(equityCurve, [100, 110, 99, 108.9, 115, 112], 'Winsorized equity curve input array');
+  
+  // Default proportion, with less than 10 returns
+  assert.deepEqual(PortfolioAnalytics.winsorizedEquityCurve(equityCurve), PortfolioAnalytics.equityCurve(PortfolioAnalytics.arithmeticReturns(equityCurve).slice(1), 100), 'Winsorized equity curve default proportion');
+  
+  // Typed arrays
+  assert.ok(PortfolioAnalytics.winsorizedEquityCurve(new Float64Array(equityCurve), 0.2) instanceof Float64Array, 'Winsorized equity curve typed array');
+});
+
 
 QUnit.test('Value at risk computation', function(assert) {    
   assert.deepEqual(PortfolioAnalytics.valueAtRisk([100], 0.50), NaN, 'Value at Risk NaN'); 
@@ -56,4 +146,73 @@ QUnit.test('Value at risk computation', function(assert) {
   for (var i=41; i<=100; ++i) {
     assert.equal(PortfolioAnalytics.valueAtRisk(aTestPortfolio2, 1-i/100), 0, 'Value at Risk synthetic #' + i);
   }
-});
\ No newline at end of file
+});
+
+QUnit.test('Expected shortfall computation', function(assert) {    
+  assert.deepEqual(PortfolioAnalytics.expectedShortfall([100], 0.50), NaN, 'Expected shortfall NaN'); 
+  
+  assert.equal(PortfolioAnalytics.expectedShortfall([100, 101, 102, 103, 104, 105, 106, 107, 108, 109, 110], 0.85), -0.009174311926605505, 'Negative expected shortfall');
+  
+  assert.equal(PortfolioAnalytics.expectedShortfall([100, 90, 80, 70, 60, 50, 40, 30, 20], 0.80), 0.3333333333333333, 'Expected shortfall equals value at risk');
+  assert.equal(PortfolioAnalytics.expectedShortfall([100, 90, 80, 70, 60, 50, 40, 30, 20], 0.70), 0.2847222222222222, 'Expected shortfall with fractional correction');
+  
+  // Synthetic portfolio
+    // Generates 65 portfolio values => 64 portfolio returns, from 1% loss to 40% loss, and then 0% loss
+	// (64 returns are used so that all the tested confidence levels are exactly representable)
+  var aTestPortfolio2 = [100];
+  for (var i=1; i<=40; ++i) { aTestPortfolio2[i] = aTestPortfolio2[i-1]*(1-i/100); }
+  for (var i=41; i<=64; ++i) { aTestPortfolio2[i] = aTestPortfolio2[i-1]; }
+  
+    // Then tests each expected shortfall, through its definition, easily done as the returns are known
+  assert.deepEqual(PortfolioAnalytics.expectedShortfall(aTestPortfolio2, 1), NaN, 'Expected shortfall synthetic NaN');
+  for (var i=1; i<=64; ++i) {
+    var expectedEs = 0;
+    for (var j=1; j<=Math.min(i, 40); ++j) {
+      expectedEs += (40-(j-1))/100;
+    }
+    expectedEs /= i;
+    assert.ok(Math.abs( PortfolioAnalytics.expectedShortfall(aTestPortfolio2, 1-i/64) - expectedEs ) <= 1e-8, 'Expected shortfall synthetic #' + i);
+  }
+  
+  // Consistency with the value at risk, including when n*(1-alpha) is not an integer (the first confidence level leading to a non empty tail is 98%)
+  for (var i=2; i<=100; ++i) {
+    assert.ok(PortfolioAnalytics.expectedShortfall(aTestPortfolio2, 1-i/100) >= PortfolioAnalytics.valueAtRisk(aTestPortfolio2, 1-i/100), 'Expected shortfall greater than value at risk #' + i);
+  }
+});
+
+
+QUnit.test('Parametric value at risk and expected shortfall computation', function(assert) {    
+  // Taken from "Practical Portfolio Performance Measurement and Attribution, 2nd Edition, Carl R. Bacon."
+  var baconPortfolioReturns = [0.003, 0.026, 0.011, -0.01, 0.015, 0.025, 0.016, 0.067, -0.014, 0.04, -0.005, 0.081, 0.04, -0.037, -0.061, 0.017, -0.049, -0.022, 0.07, 0.058, -0.065, 0.024, -0.005, -0.009];
+  var baconPortfolio = [100];
+  for (var i=0; i<baconPortfolioReturns.length; ++i) {
+    baconPortfolio[i+1] = baconPortfolio[i] * (1 + baconPortfolioReturns[i]);
+  }
+  
+  // Default method
+  assert.equal(PortfolioAnalytics.valueAtRisk(baconPortfolio, 0.95), PortfolioAnalytics.valueAtRisk(baconPortfolio, 0.95, "historical"), 'Value at risk default method');
+  assert.equal(PortfolioAnalytics.expectedShortfall(baconPortfolio, 0.95), PortfolioAnalytics.expectedShortfall(baconPortfolio, 0.95, "historical"), 'Expected shortfall default method');
+  
+  // Gaussian method
+  assert.equal(PortfolioAnalytics.valueAtRisk(baconPortfolio, 0.95, "gaussian"), 0.05605155814813556, 'Gaussian value at risk #1');
+  assert.equal(PortfolioAnalytics.valueAtRisk(baconPortfolio, 0.99, "gaussian"), 0.08300366021094648, 'Gaussian value at risk #2');
+  assert.equal(PortfolioAnalytics.expectedShortfall(baconPortfolio, 0.95, "gaussian"), 0.07257727866561305, 'Gaussian expected shortfall #1');
+  assert.equal(PortfolioAnalytics.expectedShortfall(baconPortfolio, 0.99, "gaussian"), 0.09640532910819831, 'Gaussian expected shortfall #2');
+  
+  // Cornish-Fisher method
+  assert.equal(PortfolioAnalytics.valueAtRisk(baconPortfolio, 0.95, "cornish-fisher"), 0.05736236783963865, 'Modified value at risk #1');
+  assert.equal(PortfolioAnalytics.valueAtRisk(baconPortfolio, 0.99, "cornish-fisher"), 0.08168283185923204, 'Modified value at risk #2');
+  assert.equal(PortfolioAnalytics.expectedShortfall(baconPortfolio, 0.95, "cornish-fisher"), 0.07169407451236051, 'Modified expected shortfall #1');
+  assert.equal(PortfolioAnalytics.expectedShortfall(baconPortfolio, 0.99, "cornish-fisher"), 0.0931856775495684, 'Modified expected shortfall #2');
+  
+  // Consistency between value at risk and expected shortfall
+  var methods = ["gaussian", "cornish-fisher"];
+  for (var i=0; i<methods.length; ++i) {
+	for (var j=1; j<100; ++j) {
+	  assert.ok(PortfolioAnalytics.expectedShortfall(baconPortfolio, j/100, methods[i]) >= PortfolioAnalytics.valueAtRisk(baconPortfolio, j/100, methods[i]), 'Expected shortfall greater than value at risk, ' + methods[i] + ' #' + j);
+	}
+  }
+  
+  // Unsupported method
+  assert.throws(function() { PortfolioAnalytics.valueAtRisk(baconPortfolio, 0.95, "unknown"); }, 'Unsupported value at risk method');
+});
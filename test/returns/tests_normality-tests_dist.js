@@ -0,0 +1,55 @@
+// ------------------------------------------------------------
+QUnit.module('Normality tests module', {
+  before: function() {
+	  // Taken from "Practical Portfolio Performance Measurement and Attribution, 2nd Edition, Carl R. Bacon."
+	  var baconPortfolioReturns = [0.003, 0.026, 0.011, -0.01, 0.015, 0.025, 0.016, 0.067, -0.014, 0.04, -0.005, 0.081, 0.04, -0.037, -0.061, 0.017, -0.049, -0.022, 0.07, 0.058, -0.065, 0.024, -0.005, -0.009];
+	  this.baconPortfolio = PortfolioAnalytics.equityCurve(baconPortfolioReturns, 100);
+	  
+	  // Returns equal to the quantiles of a normal distribution, and of an exponential distribution
+	  var normalReturns = [];
+	  var exponentialReturns = [];
+	  for (var i=1; i<=50; ++i) {
+		  normalReturns.push(0.01 * PortfolioAnalytics.norminv_((i - 0.5)/50, true));
+		  exponentialReturns.push(-0.01 * Math.log(1 - (i - 0.5)/50));
+	  }
+	  this.normalPortfolio = PortfolioAnalytics.equityCurve(normalReturns, 100);
+	  this.exponentialPortfolio = PortfolioAnalytics.equityCurve(exponentialReturns, 100);
+  }
+});
+
+
+QUnit.test('Jarque-Bera test computation', function(assert) {    
+  var jb = PortfolioAnalytics.jarqueBeraTest(this.baconPortfolio);
+  assert.ok(Math.abs(jb[0] - 0.34937493186281604) <= 1e-14, 'Jarque-Bera test statistic');
+  assert.ok(Math.abs(jb[1] - Math.exp(-jb[0]/2)) <= 1e-14, 'Jarque-Bera test p-value');
+  
+  // Normal and non-normal returns
+  assert.ok(PortfolioAnalytics.jarqueBeraTest(this.normalPortfolio)[1] > 0.5, 'Jarque-Bera test normal returns');
+  assert.ok(PortfolioAnalytics.jarqueBeraTest(this.exponentialPortfolio)[1] < 0.01, 'Jarque-Bera test exponential returns');
+});
+
+
+QUnit.test('D\'Agostino test computation', function(assert) {    
+  var k2 = PortfolioAnalytics.dagostinoTest(this.baconPortfolio);
+  assert.ok(Math.abs(k2[0] - 0.13644951095133528) <= 1e-14, 'D\'Agostino test statistic');
+  assert.ok(Math.abs(k2[1] - Math.exp(-k2[0]/2)) <= 1e-14, 'D\'Agostino test p-value');
+  
+  // Normal and non-normal returns
+  assert.ok(PortfolioAnalytics.dagostinoTest(this.normalPortfolio)[1] > 0.5, 'D\'Agostino test normal returns');
+  assert.ok(PortfolioAnalytics.dagostinoTest(this.exponentialPortfolio)[1] < 0.01, 'D\'Agostino test exponential returns');
+  
+  // Not enough returns
+  var k2 = PortfolioAnalytics.dagostinoTest([100, 110, 105, 107.5, 115]);
+  assert.ok(isNaN(k2[0]) && isNaN(k2[1]), 'D\'Agostino test not enough returns');
+});
+
+
+QUnit.test('Anderson-Darling test computation', function(assert) {    
+  var ad = PortfolioAnalytics.andersonDarlingTest(this.baconPortfolio);
+  assert.ok(Math.abs(ad[0] - 0.18741125001669445) <= 1e-14, 'Anderson-Darling test statistic');
+  assert.ok(Math.abs(ad[1] - 0.8930232041781591) <= 1e-14, 'Anderson-Darling test p-value');
+  
+  // Normal and non-normal returns
+  assert.ok(PortfolioAnalytics.andersonDarlingTest(this.normalPortfolio)[1] > 0.5, 'Anderson-Darling test normal returns');
+  assert.ok(PortfolioAnalytics.andersonDarlingTest(this.exponentialPortfolio)[1] < 0.01, 'Anderson-Darling test exponential returns');
+});
@@ -0,0 +1,28 @@
+// ------------------------------------------------------------
+QUnit.module('Serial correlation internal module', {
+});
+
+
+QUnit.test('Unsmoothed returns internal computation', function(assert) {    
+  var unsmoothedReturns = PortfolioAnalytics.unsmoothedReturns_([0.01, 0.03, 0.02], [0.5, 0.5]);
+  var expectedReturns = [0, 0.06, -0.02];
+  for (var i=0; i<expectedReturns.length; ++i) {
+	assert.ok(Math.abs(unsmoothedReturns[i] - expectedReturns[i]) <= 1e-15, 'Unsmoothed returns #' + i);
+  }
+  
+  // Smoothing the unsmoothed returns gives back the original returns
+  var returns = [0.003, 0.026, 0.011, -0.01, 0.015, 0.025, 0.016, 0.067, -0.014, 0.04];
+  var theta = [0.6, 0.3, 0.1];
+  var meanReturn = PortfolioAnalytics.mean_(returns);
+  unsmoothedReturns = PortfolioAnalytics.unsmoothedReturns_(returns, theta);
+  for (var t=0; t<returns.length; ++t) {
+	var smoothedReturn = 0;
+	for (var i=0; i<theta.length; ++i) {
+		smoothedReturn += theta[i] * (t - i >= 0 ? unsmoothedReturns[t-i] : meanReturn);
+	}
+	assert.ok(Math.abs(smoothedReturn - returns[t]) <= 1e-15, 'Unsmoothed returns smoothing #' + t);
+  }
+  
+  // Typed arrays
+  assert.ok(PortfolioAnalytics.unsmoothedReturns_(new Float64Array([0.01, 0.03, 0.02]), [0.5, 0.5]) instanceof Float64Array, 'Unsmoothed returns typed array');
+});
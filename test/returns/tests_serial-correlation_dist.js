@@ -0,0 +1,83 @@
+// ------------------------------------------------------------
+QUnit.module('Serial correlation module', {
+  before: function() {
+	  // Taken from "Practical Portfolio Performance Measurement and Attribution, 2nd Edition, Carl R. Bacon."
+	  this.baconPortfolioReturns = [0.003, 0.026, 0.011, -0.01, 0.015, 0.025, 0.016, 0.067, -0.014, 0.04, -0.005, 0.081, 0.04, -0.037, -0.061, 0.017, -0.049, -0.022, 0.07, 0.058, -0.065, 0.024, -0.005, -0.009];
+	  this.baconPortfolio = PortfolioAnalytics.equityCurve(this.baconPortfolioReturns, 100);
+	  
+	  // Smoothed returns, following the model of Getmansky, Lo and Makarov with smoothing coefficients [0.6, 0.3, 0.1],
+	  // built from pseudo-random returns generated by a linear congruential generator
+	  var state = 1;
+	  this.trueReturns = [];
+	  for (var i=0; i<5000; ++i) {
+		  state = (state * 16807) % 2147483647;
+		  this.trueReturns.push(0.005 + 0.02 * (state/2147483647 - 0.5));
+	  }
+	  var smoothedReturns = [];
+	  for (var i=2; i<this.trueReturns.length; ++i) {
+		  smoothedReturns.push(0.6*this.trueReturns[i] + 0.3*this.trueReturns[i-1] + 0.1*this.trueReturns[i-2]);
+	  }
+	  this.smoothedPortfolio = PortfolioAnalytics.equityCurve(smoothedReturns, 100);
+  }
+});
+
+
+QUnit.test('Autocorrelations computation', function(assert) {    
+  var acf = PortfolioAnalytics.autocorrelations(this.baconPortfolio, 3);
+  var expectedAcf = [-0.05256574192472337, -0.16700950686606997, 0.02768666258964805];
+  for (var k=0; k<3; ++k) {
+	assert.ok(Math.abs(acf[k] - expectedAcf[k]) <= 1e-14, 'Autocorrelations lag #' + (k+1));
+  }
+  
+  // Smoothed returns
+  acf = PortfolioAnalytics.autocorrelations(this.smoothedPortfolio, 3);
+  assert.ok(Math.abs(acf[0] - 0.21/0.46) <= 0.05 && Math.abs(acf[1] - 0.06/0.46) <= 0.05 && Math.abs(acf[2]) <= 0.05, 'Autocorrelations smoothed returns');
+});
+
+
+QUnit.test('Partial autocorrelations computation', function(assert) {    
+  var acf = PortfolioAnalytics.autocorrelations(this.baconPortfolio, 3);
+  var pacf = PortfolioAnalytics.partialAutocorrelations(this.baconPortfolio, 3);
+  assert.equal(pacf[0], acf[0], 'Partial autocorrelations lag 1');
+  assert.ok(Math.abs(pacf[1] - (acf[1] - acf[0]*acf[0])/(1 - acf[0]*acf[0])) <= 1e-14, 'Partial autocorrelations lag 2');
+});
+
+
+QUnit.test('Ljung-Box test computation', function(assert) {    
+  // Uses the definition of the statistic, and the closed form formula of the chi-square distribution with 2 degrees of freedom
+  var acf = PortfolioAnalytics.autocorrelations(this.baconPortfolio, 2);
+  var n = this.baconPortfolioReturns.length;
+  var lb = PortfolioAnalytics.ljungBoxTest(this.baconPortfolio, 2);
+  assert.ok(Math.abs(lb[0] - n*(n+2)*(acf[0]*acf[0]/(n-1) + acf[1]*acf[1]/(n-2))) <= 1e-14, 'Ljung-Box test statistic');
+  assert.ok(Math.abs(lb[1] - Math.exp(-lb[0]/2)) <= 1e-14, 'Ljung-Box test p-value');
+  
+  // Smoothed returns v.s. unsmoothed returns
+  assert.ok(PortfolioAnalytics.ljungBoxTest(this.smoothedPortfolio, 5)[1] < 0.01, 'Ljung-Box test smoothed returns');
+  assert.ok(PortfolioAnalytics.ljungBoxTest(PortfolioAnalytics.equityCurve(this.trueReturns, 100), 5)[1] > 0.01, 'Ljung-Box test true returns');
+});
+
+
+QUnit.test('Smoothing coefficients computation', function(assert) {    
+  // Smoothed returns
+  var theta = PortfolioAnalytics.smoothingCoefficients(this.smoothedPortfolio);
+  assert.equal(theta.length, 3, 'Smoothing coefficients default number of lags');
+  assert.ok(Math.abs(theta[0] + theta[1] + theta[2] - 1) <= 1e-14, 'Smoothing coefficients sum');
+  assert.ok(Math.abs(theta[0] - 0.6) <= 0.05 && Math.abs(theta[1] - 0.3) <= 0.05 && Math.abs(theta[2] - 0.1) <= 0.05, 'Smoothing coefficients smoothed returns');
+  
+  // Returns not compatible with the smoothing model
+  theta = PortfolioAnalytics.smoothingCoefficients([100, 102, 104, 105, 105, 104, 103, 104, 106, 108], 1);
+  assert.ok(isNaN(theta[0]) && isNaN(theta[1]), 'Smoothing coefficients incompatible returns');
+});
+
+
+QUnit.test('Unsmoothed equity curve computation', function(assert) {    
+  var unsmoothedEquityCurve = PortfolioAnalytics.unsmoothedEquityCurve(this.smoothedPortfolio);
+  assert.equal(unsmoothedEquityCurve.length, this.smoothedPortfolio.length, 'Unsmoothed equity curve length');
+  assert.equal(unsmoothedEquityCurve[0], 100, 'Unsmoothed equity curve initial value');
+  
+  // The unsmoothed returns are not serially correlated, and have a higher volatility than the smoothed returns
+  var acf = PortfolioAnalytics.autocorrelations(unsmoothedEquityCurve, 3);
+  assert.ok(Math.abs(acf[0]) <= 0.05 && Math.abs(acf[1]) <= 0.05 && Math.abs(acf[2]) <= 0.05, 'Unsmoothed equity curve autocorrelations');
+  assert.ok(PortfolioAnalytics.sharpeRatio(unsmoothedEquityCurve, this.smoothedPortfolio.map(function() { return 100; })) <
+            PortfolioAnalytics.sharpeRatio(this.smoothedPortfolio, this.smoothedPortfolio.map(function() { return 100; })), 'Unsmoothed equity curve Sharpe ratio');
+});
@@ -0,0 +1,56 @@
+// ------------------------------------------------------------
+QUnit.module('Volatility internal module', {
+});
+
+
+QUnit.test('EWMA variances internal computation', function(assert) {    
+  var variances = PortfolioAnalytics.ewmaVariances_([0.1, -0.1], 0.5);
+  assert.ok(isNaN(variances[0]), 'EWMA variances #0');
+  assert.ok(Math.abs(variances[1] - 0.01) <= 1e-15 && Math.abs(variances[2] - 0.01) <= 1e-15, 'EWMA variances #1');
+  
+  variances = PortfolioAnalytics.ewmaVariances_([0.1, 0.2], 0.5);
+  assert.ok(Math.abs(variances[2] - (0.25 * 0.01 + 0.5 * 0.04)/0.75) <= 1e-15, 'EWMA variances #2');
+});
+
+
+QUnit.test('GARCH variances internal computation', function(assert) {    
+  var variances = PortfolioAnalytics.garchVariances_([0.1, -0.1], 0.001, 0.1, 0.8);
+  var expectedVariances = [0.01, 0.01, 0.01];
+  for (var i=0; i<expectedVariances.length; ++i) {
+	assert.ok(Math.abs(variances[i] - expectedVariances[i]) <= 1e-15, 'GARCH variances #' + i);
+  }
+  
+  variances = PortfolioAnalytics.garchVariances_([0.1, 0.2, -0.3], 0.001, 0, 0);
+  expectedVariances = [0.14/3, 0.001, 0.001, 0.001];
+  for (var i=0; i<expectedVariances.length; ++i) {
+	assert.ok(Math.abs(variances[i] - expectedVariances[i]) <= 1e-15, 'GARCH variances constant #' + i);
+  }
+});
+
+
+QUnit.test('GARCH residuals internal computation', function(assert) {    
+  var residuals = PortfolioAnalytics.garchResiduals_([100, 110, 99, 108.9]);
+  var expectedResiduals = [0.2/3, -0.4/3, 0.2/3];
+  for (var i=0; i<expectedResiduals.length; ++i) {
+	assert.ok(Math.abs(residuals[i] - expectedResiduals[i]) <= 1e-14, 'GARCH residuals #' + i);
+  }
+});
+
+
+QUnit.test('Nelder-Mead minimization internal computation', function(assert) {    
+  // Quadratic function
+  var x = PortfolioAnalytics.nelderMeadMinimize_(function(x) { return (x[0] - 1)*(x[0] - 1) + (x[1] + 2)*(x[1] + 2); }, [0, 0]);
+  assert.ok(Math.abs(x[0] - 1) <= 1e-5 && Math.abs(x[1] + 2) <= 1e-5, 'Nelder-Mead quadratic function');
+  
+  // Rosenbrock function
+  x = PortfolioAnalytics.nelderMeadMinimize_(function(x) { return 100*(x[1] - x[0]*x[0])*(x[1] - x[0]*x[0]) + (1 - x[0])*(1 - x[0]); }, [-1.2, 1], 1e-15);
+  assert.ok(Math.abs(x[0] - 1) <= 1e-4 && Math.abs(x[1] - 1) <= 1e-4, 'Nelder-Mead Rosenbrock function');
+  
+  // One dimensional function
+  x = PortfolioAnalytics.nelderMeadMinimize_(function(x) { return Math.cos(x[0]); }, [3]);
+  assert.ok(Math.abs(x[0] - Math.PI) <= 1e-5, 'Nelder-Mead one dimensional function');
+  
+  // Maximum number of iterations, the best vertex of the initial simplex [[0], [0.5]] being returned
+  x = PortfolioAnalytics.nelderMeadMinimize_(function(x) { return (x[0] - 1)*(x[0] - 1); }, [0], 1e-12, 0);
+  assert.deepEqual(x, [0.5], 'Nelder-Mead maximum number of iterations');
+});
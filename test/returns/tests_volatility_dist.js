@@ -0,0 +1,137 @@
+// ------------------------------------------------------------
+QUnit.module('Volatility module', {
+  before: function() {
+	  // Taken from "Practical Portfolio Performance Measurement and Attribution, 2nd Edition, Carl R. Bacon."
+	  this.baconPortfolioReturns = [0.003, 0.026, 0.011, -0.01, 0.015, 0.025, 0.016, 0.067, -0.014, 0.04, -0.005, 0.081, 0.04, -0.037, -0.061, 0.017, -0.049, -0.022, 0.07, 0.058, -0.065, 0.024, -0.005, -0.009];
+	  this.baconPortfolio = PortfolioAnalytics.equityCurve(this.baconPortfolioReturns, 100);
+	  
+	  // Returns following a GARCH(1,1) model with parameters omega = 0.00001, alpha = 0.1 and beta = 0.85,
+	  // built from pseudo-random normal variates generated by a linear congruential generator and the Box-Muller transform
+	  var state = 1;
+	  function uniform() {
+		  state = (state * 16807) % 2147483647;
+		  return state/2147483647;
+	  }
+	  var garchReturns = [];
+	  var variance = 0.00001/(1 - 0.1 - 0.85);
+	  for (var i=0; i<2000; ++i) {
+		  var e = Math.sqrt(variance) * Math.sqrt(-2 * Math.log(uniform())) * Math.cos(2 * Math.PI * uniform());
+		  garchReturns.push(e);
+		  variance = 0.00001 + 0.1 * e * e + 0.85 * variance;
+	  }
+	  this.garchPortfolio = PortfolioAnalytics.equityCurve(garchReturns, 100);
+  }
+});
+
+
+QUnit.test('EWMA volatility computation', function(assert) {    
+  // Limit cases
+  var vol = PortfolioAnalytics.ewmaVolatility([100]);
+  assert.equal(vol.length, 1, 'EWMA volatility no returns length');
+  assert.ok(isNaN(vol[0]), 'EWMA volatility no returns');
+  
+  vol = PortfolioAnalytics.ewmaVolatility([100, 110]);
+  assert.ok(Math.abs(vol[1] - 0.1) <= 1e-14, 'EWMA volatility one return');
+  
+  // Comparison with the EWMA covariance matrix, for all the decay factors
+  var lambdas = [undefined, 0.94, 0.97, 0.5];
+  for (var j=0; j<lambdas.length; ++j) {
+	vol = PortfolioAnalytics.ewmaVolatility(this.baconPortfolio, lambdas[j]);
+	assert.equal(vol.length, this.baconPortfolio.length, 'EWMA volatility length #' + j);
+	for (var i=1; i<this.baconPortfolio.length; ++i) {
+		var cov = PortfolioAnalytics.ewmaCovarianceMatrix([this.baconPortfolio.slice(0, i+1)], lambdas[j]);
+		assert.ok(Math.abs(vol[i] - Math.sqrt(cov[0])) <= 1e-14, 'EWMA volatility #' + j + ' #' + i);
+	}
+  }
+  
+  // Typed arrays
+  vol = PortfolioAnalytics.ewmaVolatility(new Float64Array(this.baconPortfolio));
+  assert.ok(vol instanceof Float64Array, 'EWMA volatility typed array');
+});
+
+
+QUnit.test('GARCH parameters computation', function(assert) {    
+  // Limit cases, the parameters cannot be estimated
+  var params = PortfolioAnalytics.garchParameters([100]);
+  assert.ok(isNaN(params[0]) && isNaN(params[1]) && isNaN(params[2]) && isNaN(params[3]), 'GARCH parameters no returns');
+  params = PortfolioAnalytics.garchParameters([100, 110]);
+  assert.ok(isNaN(params[0]) && isNaN(params[1]) && isNaN(params[2]) && isNaN(params[3]), 'GARCH parameters one return');
+  
+  // Reference values computed with a Python script maximizing the gaussian log-likelihood of the residuals
+  // (same initial conditional variance s_1^2 as garchFit_) by a grid search over omega = v*i/60 (i = 1..59, 
+  // v the variance of the residuals), alpha and beta by steps of 0.01 with alpha + beta < 1, 
+  // refined by a coordinate search with step halving
+  params = PortfolioAnalytics.garchParameters(this.baconPortfolio);
+  var expectedParams = [0.00030576461373011283, 0.1352308273501695, 0.7039340877532957];
+  for (var i=0; i<3; ++i) {
+	assert.ok(Math.abs(params[i] - expectedParams[i]) <= 1e-4 * expectedParams[i], 'GARCH parameters Bacon #' + i);
+  }
+  assert.ok(Math.abs(params[3] - 44.27290867117376) <= 1e-9, 'GARCH parameters Bacon log-likelihood');
+  
+  // Simulated GARCH(1,1) returns
+  params = PortfolioAnalytics.garchParameters(this.garchPortfolio);
+  assert.ok(params[0] > 0 && params[1] >= 0 && params[2] >= 0 && params[1] + params[2] < 1, 'GARCH parameters constraints');
+  assert.ok(Math.abs(params[1] - 0.1) <= 0.05 && Math.abs(params[2] - 0.85) <= 0.05, 'GARCH parameters simulated returns');
+});
+
+
+QUnit.test('GARCH volatility computation', function(assert) {    
+  // Consistency with the GARCH parameters
+  var params = PortfolioAnalytics.garchParameters(this.baconPortfolio);
+  var returns = PortfolioAnalytics.arithmeticReturns(this.baconPortfolio).slice(1);
+  var m = PortfolioAnalytics.mean_(returns);
+  var vol = PortfolioAnalytics.garchVolatility(this.baconPortfolio);
+  assert.equal(vol.length, this.baconPortfolio.length, 'GARCH volatility length');
+  assert.ok(Math.abs(vol[0] - PortfolioAnalytics.stddev_(returns)) <= 1e-14, 'GARCH volatility initial value');
+  for (var i=1; i<vol.length; ++i) {
+	var e = returns[i-1] - m;
+	var expectedVariance = params[0] + params[1] * e * e + params[2] * vol[i-1] * vol[i-1];
+	assert.ok(Math.abs(vol[i] * vol[i] - expectedVariance) <= 1e-14, 'GARCH volatility #' + i);
+  }
+  
+  // Forecasts
+  var forecasts = PortfolioAnalytics.garchVolatilityForecasts(this.baconPortfolio);
+  assert.equal(forecasts.length, 1, 'GARCH volatility forecasts default horizon');
+  assert.ok(Math.abs(forecasts[0] - vol[vol.length-1]) <= 1e-14, 'GARCH volatility forecasts next period');
+  
+  forecasts = PortfolioAnalytics.garchVolatilityForecasts(this.baconPortfolio, 100);
+  var unconditionalVariance = params[0]/(1 - params[1] - params[2]);
+  var nextVariance = vol[vol.length-1] * vol[vol.length-1];
+  for (var k=1; k<100; ++k) {
+	var expectedVariance = unconditionalVariance + (params[1] + params[2]) * (forecasts[k-1] * forecasts[k-1] - unconditionalVariance);
+	assert.ok(Math.abs(forecasts[k] * forecasts[k] - expectedVariance) <= 1e-14, 'GARCH volatility forecasts #' + k);
+  }
+  assert.ok(Math.abs(forecasts[99] - Math.sqrt(unconditionalVariance)) <= 1e-10, 'GARCH volatility forecasts mean reversion');
+});
+
+
+QUnit.test('Value at risk with volatility computation', function(assert) {    
+  var returns = PortfolioAnalytics.arithmeticReturns(this.baconPortfolio).slice(1);
+  var m = PortfolioAnalytics.mean_(returns);
+  var sigma = PortfolioAnalytics.sampleStddev_(returns);
+  
+  // Default volatility
+  assert.equal(PortfolioAnalytics.valueAtRisk(this.baconPortfolio, 0.95, "gaussian", sigma), PortfolioAnalytics.valueAtRisk(this.baconPortfolio, 0.95, "gaussian"), 'Value at risk gaussian sample volatility');
+  assert.equal(PortfolioAnalytics.valueAtRisk(this.baconPortfolio, 0.95, "cornish-fisher", sigma), PortfolioAnalytics.valueAtRisk(this.baconPortfolio, 0.95, "cornish-fisher"), 'Value at risk Cornish-Fisher sample volatility');
+  assert.equal(PortfolioAnalytics.expectedShortfall(this.baconPortfolio, 0.95, "gaussian", sigma), PortfolioAnalytics.expectedShortfall(this.baconPortfolio, 0.95, "gaussian"), 'Expected shortfall gaussian sample volatility');
+  
+  // Historical method, the volatility is not supported
+  assert.throws(function() { PortfolioAnalytics.valueAtRisk([100, 90, 80, 70, 60, 50, 40, 30, 20], 0.80, "historical", 0.1) },
+                new Error('unsupported volatility with the historical method: 0.1'),
+				'Value at risk historical volatility');
+  assert.throws(function() { PortfolioAnalytics.expectedShortfall([100, 90, 80, 70, 60, 50, 40, 30, 20], 0.80, "historical", 0.1) },
+                new Error('unsupported volatility with the historical method: 0.1'),
+				'Expected shortfall historical volatility');
+  
+  // GARCH volatility forecast
+  var vol = PortfolioAnalytics.garchVolatility(this.baconPortfolio);
+  var garchSigma = vol[vol.length-1];
+  var valAtRisk = PortfolioAnalytics.valueAtRisk(this.baconPortfolio, 0.95, "gaussian", garchSigma);
+  assert.ok(Math.abs(valAtRisk - -(m + PortfolioAnalytics.norminv_(0.05) * garchSigma)) <= 1e-14, 'Value at risk gaussian GARCH volatility');
+  
+  // EWMA volatility forecast
+  vol = PortfolioAnalytics.ewmaVolatility(this.baconPortfolio);
+  var ewmaSigma = vol[vol.length-1];
+  valAtRisk = PortfolioAnalytics.valueAtRisk(this.baconPortfolio, 0.95, "gaussian", ewmaSigma);
+  assert.ok(Math.abs(valAtRisk - -(m + PortfolioAnalytics.norminv_(0.05) * ewmaSigma)) <= 1e-14, 'Value at risk gaussian EWMA volatility');
+});
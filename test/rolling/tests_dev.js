@@ -0,0 +1,45 @@
+// ------------------------------------------------------------
+QUnit.module('Rolling internal module', {
+});
+
+
+QUnit.test('Rolling windows bounds internal computation', function(assert) {    
+  // Fixed number of valuations windows
+  assert.deepEqual(PortfolioAnalytics.rollingWindowsBounds_(5, 3, 1), [[0, 2], [1, 3], [2, 4]], 'Rolling windows bounds #1');
+  assert.deepEqual(PortfolioAnalytics.rollingWindowsBounds_(6, 2, 2), [[0, 1], [2, 3], [4, 5]], 'Rolling windows bounds step');
+  assert.deepEqual(PortfolioAnalytics.rollingWindowsBounds_(2, 3, 1), [], 'Rolling windows bounds window larger than the serie');
+  
+  // Calendar time windows, with end of month adjustment
+  var valuationDates = [new Date(2016, 0, 31), new Date(2016, 1, 29), new Date(2016, 2, 31), new Date(2016, 3, 30), new Date(2016, 4, 31), new Date(2016, 5, 30)];
+  assert.deepEqual(PortfolioAnalytics.rollingWindowsBounds_(6, "3m", 1, valuationDates), [[0, 3], [1, 4], [2, 5]], 'Rolling windows bounds months');
+  assert.deepEqual(PortfolioAnalytics.rollingWindowsBounds_(6, "3m", 2, valuationDates), [[0, 3], [2, 5]], 'Rolling windows bounds months step');
+  assert.deepEqual(PortfolioAnalytics.rollingWindowsBounds_(6, "1y", 1, valuationDates), [], 'Rolling windows bounds years');
+  assert.deepEqual(PortfolioAnalytics.rollingWindowsBounds_(6, "30d", 1, valuationDates), [[1, 2], [2, 3], [3, 4], [4, 5]], 'Rolling windows bounds days');
+});
+
+
+QUnit.test('Fast rolling statistics internal computation', function(assert) {    
+  var portfolio = [100, 110, 105, 107.5, 115];
+  var benchmark = [100, 100, 100, 100, 100];
+  
+  // No fast path
+  assert.equal(PortfolioAnalytics.fastRollingStatistics_(PortfolioAnalytics.maxDrawdown, [portfolio], [[0, 3], [1, 4]]), null, 'Fast rolling statistics no fast path #1');
+  assert.equal(PortfolioAnalytics.fastRollingStatistics_(function(p, b) { return PortfolioAnalytics.sharpeRatio(p, b); }, [portfolio, benchmark], [[0, 3], [1, 4]]), null, 'Fast rolling statistics no fast path #2');
+  
+  // Fast paths
+  var values = PortfolioAnalytics.fastRollingStatistics_(PortfolioAnalytics.sharpeRatio, [portfolio, benchmark], [[0, 3], [1, 4]], []);
+  assert.ok(Math.abs(values[0] - PortfolioAnalytics.sharpeRatio(portfolio.slice(0, 4), benchmark.slice(0, 4))) <= 1e-14, 'Fast rolling statistics Sharpe ratio #1');
+  assert.ok(Math.abs(values[1] - PortfolioAnalytics.sharpeRatio(portfolio.slice(1, 5), benchmark.slice(1, 5))) <= 1e-14, 'Fast rolling statistics Sharpe ratio #2');
+  var values = PortfolioAnalytics.fastRollingStatistics_(PortfolioAnalytics.trackingError, [portfolio, benchmark], [[0, 1], [3, 4]], []);
+  assert.ok(isNaN(values[0]) && isNaN(values[1]), 'Fast rolling statistics tracking error single return');
+  var values = PortfolioAnalytics.fastRollingStatistics_(PortfolioAnalytics.trackingError, [portfolio, benchmark], [[0, 2], [3, 4], [4, 4]], []);
+  assert.ok(Math.abs(values[0] - PortfolioAnalytics.trackingError(portfolio.slice(0, 3), benchmark.slice(0, 3))) <= 1e-14, 'Fast rolling statistics tracking error disjoint windows');
+  assert.ok(isNaN(values[2]), 'Fast rolling statistics tracking error empty window');
+  
+  // Fast paths depending on the additional arguments
+  assert.equal(PortfolioAnalytics.fastRollingStatistics_(PortfolioAnalytics.valueAtRisk, [portfolio], [[0, 3], [1, 4]], [0.95]), null, 'Fast rolling statistics no fast path historical value at risk');
+  var values = PortfolioAnalytics.fastRollingStatistics_(PortfolioAnalytics.valueAtRisk, [portfolio], [[0, 3], [1, 4]], [0.95, "gaussian"]);
+  assert.ok(Math.abs(values[1] - PortfolioAnalytics.valueAtRisk(portfolio.slice(1, 5), 0.95, "gaussian")) <= 1e-14, 'Fast rolling statistics gaussian value at risk');
+  var values = PortfolioAnalytics.fastRollingStatistics_(PortfolioAnalytics.probabilisticSharpeRatio, [portfolio, benchmark], [[0, 4]], [0.1]);
+  assert.ok(Math.abs(values[0] - PortfolioAnalytics.probabilisticSharpeRatio(portfolio, benchmark, 0.1)) <= 1e-14, 'Fast rolling statistics probabilistic Sharpe ratio');
+});
@@ -0,0 +1,145 @@
+// ------------------------------------------------------------
+QUnit.module('Rolling module', {
+  before: function() {
+	  // Taken from "Practical Portfolio Performance Measurement and Attribution, 2nd Edition, Carl R. Bacon."
+	  var baconPortfolioReturns = [0.003, 0.026, 0.011, -0.01, 0.015, 0.025, 0.016, 0.067, -0.014, 0.04, -0.005, 0.081, 0.04, -0.037, -0.061, 0.017, -0.049, -0.022, 0.07, 0.058, -0.065, 0.024, -0.005, -0.009];
+	  var baconBenchmarkReturns = [0.002, 0.025, 0.018, -0.011, 0.014, 0.018, 0.014, 0.065, -0.015, 0.042, -0.006, 0.083, 0.039, -0.038, -0.062, 0.015, -0.048, 0.021, 0.06, 0.056, -0.067, 0.019, -0.003, 0];
+
+	  // Build the equity curves corresponding to the returns, as well as their end of month valuation dates
+	  this.baconPortfolio = new Array(baconPortfolioReturns.length + 1);
+	  this.baconBenchmark = new Array(baconBenchmarkReturns.length + 1);
+	  this.valuationDates = new Array(baconBenchmarkReturns.length + 1);
+	  this.baconPortfolio[0] = 100;
+	  this.baconBenchmark[0] = 100;
+	  for (var i=0; i<baconPortfolioReturns.length; ++i) {
+		this.baconPortfolio[i+1] = this.baconPortfolio[i] * (1 + baconPortfolioReturns[i]);
+		this.baconBenchmark[i+1] = this.baconBenchmark[i] * (1 + baconBenchmarkReturns[i]);
+	  }
+	  for (var i=0; i<this.valuationDates.length; ++i) {
+		this.valuationDates[i] = new Date(2015, i + 1, 0); // End of month dates, in local time
+	  }
+  }
+});
+
+
+QUnit.test('Rolling computation', function(assert) {    
+  // Single serie, with and without padding
+  assert.deepEqual(PortfolioAnalytics.rolling(PortfolioAnalytics.cumulativeReturn, [100, 110, 121, 108.9], 2), 
+                   [NaN, PortfolioAnalytics.cumulativeReturn([100, 110]), PortfolioAnalytics.cumulativeReturn([110, 121]), PortfolioAnalytics.cumulativeReturn([121, 108.9])], 
+				   'Rolling single serie with padding');
+  assert.deepEqual(PortfolioAnalytics.rolling(PortfolioAnalytics.cumulativeReturn, [100, 110, 121, 108.9], 2, 1, false), 
+                   [PortfolioAnalytics.cumulativeReturn([100, 110]), PortfolioAnalytics.cumulativeReturn([110, 121]), PortfolioAnalytics.cumulativeReturn([121, 108.9])], 
+				   'Rolling single serie without padding');
+  assert.deepEqual(PortfolioAnalytics.rolling(PortfolioAnalytics.maxDrawdown, [100, 90, 99, 89.1, 98.01], 3, 1, false), 
+                   [PortfolioAnalytics.maxDrawdown([100, 90, 99]), PortfolioAnalytics.maxDrawdown([90, 99, 89.1]), PortfolioAnalytics.maxDrawdown([99, 89.1, 98.01])], 
+				   'Rolling maximum drawdown');
+				   
+  // Window larger than the serie
+  assert.deepEqual(PortfolioAnalytics.rolling(PortfolioAnalytics.maxDrawdown, [100, 90], 3), [NaN, NaN], 'Rolling window larger than the serie with padding');
+  assert.deepEqual(PortfolioAnalytics.rolling(PortfolioAnalytics.maxDrawdown, [100, 90], 3, 1, false), [], 'Rolling window larger than the serie without padding');
+  
+  // Step
+  assert.deepEqual(PortfolioAnalytics.rolling(PortfolioAnalytics.ulcerIndex, this.baconPortfolio, 12, 6, false), 
+                   [PortfolioAnalytics.ulcerIndex(this.baconPortfolio.slice(0, 12)), PortfolioAnalytics.ulcerIndex(this.baconPortfolio.slice(6, 18)), PortfolioAnalytics.ulcerIndex(this.baconPortfolio.slice(12, 24))], 
+				   'Rolling step without padding');
+  var paddedValues = PortfolioAnalytics.rolling(PortfolioAnalytics.ulcerIndex, this.baconPortfolio, 12, 6);
+  assert.equal(paddedValues.length, this.baconPortfolio.length, 'Rolling step with padding length');
+  for (var i=0; i<paddedValues.length; ++i) {
+    if (i == 11 || i == 17 || i == 23) {
+	  assert.equal(paddedValues[i], PortfolioAnalytics.ulcerIndex(this.baconPortfolio.slice(i - 11, i + 1)), 'Rolling step with padding #' + i);
+	}
+	else {
+	  assert.ok(isNaN(paddedValues[i]), 'Rolling step with padding #' + i);
+	}
+  }
+  
+  // Function with additional arguments
+  var p = this.baconPortfolio;
+  assert.deepEqual(PortfolioAnalytics.rolling(function(equityCurve) { return PortfolioAnalytics.valueAtRisk(equityCurve, 0.9); }, p, 13, 12, false), 
+                   [PortfolioAnalytics.valueAtRisk(p.slice(0, 13), 0.9), PortfolioAnalytics.valueAtRisk(p.slice(12, 25), 0.9)], 
+				   'Rolling value at risk');
+  assert.deepEqual(PortfolioAnalytics.rolling(PortfolioAnalytics.valueAtRisk, p, 13, 12, false, undefined, [0.9]), 
+                   [PortfolioAnalytics.valueAtRisk(p.slice(0, 13), 0.9), PortfolioAnalytics.valueAtRisk(p.slice(12, 25), 0.9)], 
+				   'Rolling value at risk with additional arguments');
+  
+  // Valuation dates provided as a serie, with additional arguments
+  var d = this.valuationDates;
+  assert.deepEqual(PortfolioAnalytics.rolling(PortfolioAnalytics.cagr, [p, d], 13, 12, false, undefined, ["30/360"]), 
+                   [PortfolioAnalytics.cagr(p.slice(0, 13), d.slice(0, 13), "30/360"), PortfolioAnalytics.cagr(p.slice(12, 25), d.slice(12, 25), "30/360")], 
+				   'Rolling compound annual growth rate with day count convention');
+				   
+  // Multiple series
+  assert.deepEqual(PortfolioAnalytics.rolling(PortfolioAnalytics.beta, [this.baconPortfolio, this.baconBenchmark], 13, 12, false), 
+                   [PortfolioAnalytics.beta(this.baconPortfolio.slice(0, 13), this.baconBenchmark.slice(0, 13)), PortfolioAnalytics.beta(this.baconPortfolio.slice(12, 25), this.baconBenchmark.slice(12, 25))], 
+				   'Rolling beta');
+});
+
+
+QUnit.test('Rolling calendar windows computation', function(assert) {    
+  // 12 months windows on monthly valuations are equivalent to 13 valuations windows
+  assert.deepEqual(PortfolioAnalytics.rolling(PortfolioAnalytics.ulcerIndex, this.baconPortfolio, "12m", 1, true, this.valuationDates), 
+                   PortfolioAnalytics.rolling(PortfolioAnalytics.ulcerIndex, this.baconPortfolio, 13), 
+				   'Rolling 12 months windows');
+  assert.deepEqual(PortfolioAnalytics.rolling(PortfolioAnalytics.ulcerIndex, this.baconPortfolio, "1y", 3, false, this.valuationDates), 
+                   PortfolioAnalytics.rolling(PortfolioAnalytics.ulcerIndex, this.baconPortfolio, 13, 3, false), 
+				   'Rolling 1 year windows');
+  
+  // ISO date strings, with first of month valuation dates
+  var isoValuationDates = [new Date("2017-01-01"), new Date("2017-02-01"), new Date("2017-03-01"), new Date("2017-04-01")];
+  assert.deepEqual(PortfolioAnalytics.rolling(function(equityCurve) { return equityCurve.length; }, [1, 2, 3, 4], "1m", 1, true, isoValuationDates), 
+                   [NaN, 2, 2, 2], 
+				   'Rolling 1 month windows ISO dates');
+  
+  // Irregular valuation dates
+  var valuationDates = [new Date(2017, 0, 2), new Date(2017, 0, 3), new Date(2017, 0, 9), new Date(2017, 0, 10), new Date(2017, 0, 12)];
+  assert.deepEqual(PortfolioAnalytics.rolling(function(equityCurve) { return equityCurve.length; }, [1, 2, 3, 4, 5], "1w", 1, true, valuationDates), 
+                   [NaN, NaN, 3, 3, 4], 
+				   'Rolling 1 week windows');
+  assert.deepEqual(PortfolioAnalytics.rolling(function(equityCurve) { return equityCurve.length; }, [1, 2, 3, 4, 5], "2d", 1, true, valuationDates), 
+                   [NaN, NaN, 2, 3, 2], 
+				   'Rolling 2 days windows');
+				   
+  // Unsupported window size
+  assert.throws(function() { PortfolioAnalytics.rolling(PortfolioAnalytics.ulcerIndex, [1, 2, 3, 4, 5], "1q", 1, true, valuationDates) },
+                new Error('unsupported window size: 1q'),
+				'Rolling unsupported window size');
+});
+
+
+QUnit.test('Rolling fast paths computation', function(assert) {    
+  // The fast paths must provide the same values as the recomputation over each window
+  var funcs = [PortfolioAnalytics.sharpeRatio, PortfolioAnalytics.informationRatio, PortfolioAnalytics.trackingError, PortfolioAnalytics.probabilisticSharpeRatio,
+               PortfolioAnalytics.valueAtRisk, PortfolioAnalytics.valueAtRisk, PortfolioAnalytics.expectedShortfall, PortfolioAnalytics.expectedShortfall];
+  var funcsSeries = [[this.baconPortfolio, this.baconBenchmark], [this.baconPortfolio, this.baconBenchmark], [this.baconPortfolio, this.baconBenchmark], [this.baconPortfolio, this.baconBenchmark],
+                     this.baconPortfolio, this.baconPortfolio, this.baconPortfolio, this.baconPortfolio];
+  var funcsArgs = [[], [], [], [0.1], 
+                   [0.95, "gaussian"], [0.95, "cornish-fisher"], [0.95, "gaussian", 0.05], [0.95, "cornish-fisher"]];
+  var funcsHigherMoments = [false, false, false, true, 
+                            false, true, false, true]; // Functions using the sample skewness and kurtosis, undefined with less than 4 returns
+  var windowSizes = [2, 3, 6, 13, 25, "3m", "12m"];
+  var steps = [1, 2, 5, 30];
+  for (var f=0; f<funcs.length; ++f) {
+    var func = funcs[f];
+    var slowFunc = function() { return func.apply(null, arguments); };
+	for (var w=0; w<windowSizes.length; ++w) {
+	  for (var s=0; s<steps.length; ++s) {
+	    var fastValues = PortfolioAnalytics.rolling(func, funcsSeries[f], windowSizes[w], steps[s], true, this.valuationDates, funcsArgs[f]);
+	    var slowValues = PortfolioAnalytics.rolling(slowFunc, funcsSeries[f], windowSizes[w], steps[s], true, this.valuationDates, funcsArgs[f]);
+		var nbReturns = PortfolioAnalytics.rolling(function(equityCurve) { return equityCurve.length - 1; }, this.baconPortfolio, windowSizes[w], steps[s], true, this.valuationDates);
+		var identical = (fastValues.length == slowValues.length);
+		for (var i=0; i<slowValues.length; ++i) {
+		  if (funcsHigherMoments[f] && nbReturns[i] < 4) {
+		    identical = identical && isNaN(fastValues[i]);
+		  }
+		  else if (isNaN(slowValues[i])) {
+		    identical = identical && isNaN(fastValues[i]);
+		  }
+		  else {
+		    identical = identical && Math.abs(fastValues[i] - slowValues[i]) <= 1e-12 * Math.max(1, Math.abs(slowValues[i]));
+		  }
+		}
+		assert.ok(identical, 'Rolling fast path #' + f + ' window ' + windowSizes[w] + ' step ' + steps[s]);
+	  }
+	}
+  }
+});
@@ -27,6 +27,7 @@ QUnit.test('Norminv computation', function(assert) {
 QUnit.test('Normcdf computation', function(assert) {    
   // Boundaries
   assert.equal(PortfolioAnalytics.normcdf_(0), 0.5, 'Normcdf 0'); 
+  assert.ok(isNaN(PortfolioAnalytics.normcdf_(NaN)), 'Normcdf NaN');
   
   // Values taken from Wolfram Alpha, with CDF[NormalDistribution[0, 1], i/10] command, 22 digits precision requested.
   var x = [-1/10,2/10,-3/10,-4/10,-5/10,-6/10,-7/10,-8/10,-9/10,-10/10,-11/10,-12/10,-13/10,-14/10,-15/10,-16/10,-17/10,-18/10,-19/10,-20/10,-21/10,-22/10,-23/10,-24/10,-25/10,-26/10,-27/10,-28/10,-29/10,-30/10,-31/10,-32/10,-33/10,-34/10,-35/10,-36/10,-37/10,-38/10,-39/10,-40/10,-41/10,-42/10,-43/10,-44/10,-45/10,-46/10,-47/10,-48/10,-49/10,-50/10,-51/10,-52/10,-53/10,-54/10,-55/10,-56/10,-57/10,-58/10,-59/10,-60/10,-61/10,-62/10,-63/10,-64/10,-65/10,-66/10,-67/10,-68/10,-69/10,-70/10,-71/10,-72/10,-73/10,-74/10,-75/10,-76/10,-77/10,-78/10,-79/10,-80/10,-81/10,-82/10,-83/10,-84/10,-85/10,-86/10,-87/10,-88/10,-89/10,-90/10,-91/10,-92/10,-93/10,-94/10,-95/10,-96/10,-97/10,-98/10,-99/10,-100/10, 1/10,2/10,3/10,4/10,5/10,6/10,7/10,8/10,9/10,10/10,11/10,12/10,13/10,14/10,15/10,16/10,17/10,18/10,19/10,20/10,21/10,22/10,23/10,24/10,25/10,26/10,27/10,28/10,29/10,30/10,31/10,32/10,33/10,34/10,35/10,36/10,37/10,38/10,39/10,40/10,41/10,42/10,43/10,44/10,45/10,46/10,47/10,48/10,49/10,50/10,51/10,52/10,53/10,54/10,55/10,56/10,57/10,58/10,59/10,60/10,61/10,62/10,63/10,64/10,65/10,66/10,67/10,68/10,69/10,70/10,71/10,72/10,73/10,74/10,75/10,76/10,77/10,78/10,79/10,80/10,81/10,82/10,83/10,84/10,85/10,86/10,87/10,88/10,89/10,90/10,91/10,92/10,93/10,94/10,95/10,96/10,97/10,98/10,99/10,100/10];
@@ -79,4 +80,150 @@ QUnit.test('Erfc computation', function(assert) {
 	assert.ok(Math.abs( (PortfolioAnalytics.erfc_(x[i]) - y[i]) ) <= 5e-14* Math.abs(y[i]), 'Erfc comparison v.s. Wolfram Alpha');
 	assert.equal(PortfolioAnalytics.erfc_(-x[i]), 2-PortfolioAnalytics.erfc_(x[i]), 'Erfc(-x) = 2-Erfc(x)');
   }
-});
\ No newline at end of file
+});
+
+QUnit.test('Gammaln computation', function(assert) {    
+  // Boundaries
+  assert.ok(isNaN(PortfolioAnalytics.gammaln_(0)), 'Gammaln 0');
+  assert.ok(isNaN(PortfolioAnalytics.gammaln_(-1)), 'Gammaln negative');
+  
+  // Uses identity ln(Gamma(1/2)) = ln(sqrt(pi))
+  assert.ok(Math.abs(PortfolioAnalytics.gammaln_(0.5) - 0.5*Math.log(Math.PI)) <= 1e-15, 'Gammaln 1/2');
+  
+  // Uses identity Gamma(n+1) = n!
+  var factorial = 1;
+  for (var n=1; n<=150; ++n) {
+	factorial *= n;
+	assert.ok(Math.abs(PortfolioAnalytics.gammaln_(n+1) - Math.log(factorial)) <= 1e-15 * Math.max(1, Math.log(factorial)), 'Gammaln factorial #' + n);
+  }
+});
+
+
+QUnit.test('Gammainc computation', function(assert) {    
+  // Boundaries
+  assert.equal(PortfolioAnalytics.gammainc_(0, 2), 0, 'Gammainc 0');
+  assert.equal(PortfolioAnalytics.gammainc_(0, 2, true), 1, 'Gammainc upper 0');
+  assert.ok(isNaN(PortfolioAnalytics.gammainc_(-1, 2)), 'Gammainc negative x');
+  assert.ok(isNaN(PortfolioAnalytics.gammainc_(1, 0)), 'Gammainc null a');
+  
+  // Uses identity P(1,x) = 1 - e^-x, and relative accuracy in the upper tail
+  for (var i=1; i<=100; ++i) {
+	var x = i/4;
+	assert.ok(Math.abs(PortfolioAnalytics.gammainc_(x, 1) - (1 - Math.exp(-x))) <= 1e-15, 'Gammainc P(1,x)');
+	assert.ok(Math.abs(PortfolioAnalytics.gammainc_(x, 1, true) - Math.exp(-x)) <= 1e-14 * Math.exp(-x), 'Gammainc Q(1,x)');
+  }
+  
+  // Uses identity P(1/2,x) = erf(sqrt(x))
+  for (var i=1; i<=100; ++i) {
+	var x = i/20;
+	assert.ok(Math.abs(PortfolioAnalytics.gammainc_(x, 0.5) - PortfolioAnalytics.erf_(Math.sqrt(x))) <= 1e-14, 'Gammainc P(1/2,x)');
+  }
+});
+
+
+QUnit.test('Betainc computation', function(assert) {    
+  // Boundaries
+  assert.equal(PortfolioAnalytics.betainc_(0, 2, 3), 0, 'Betainc 0');
+  assert.equal(PortfolioAnalytics.betainc_(1, 2, 3), 1, 'Betainc 1');
+  assert.equal(PortfolioAnalytics.betainc_(0, 2, 3, true), 1, 'Betainc upper 0');
+  assert.equal(PortfolioAnalytics.betainc_(1, 2, 3, true), 0, 'Betainc upper 1');
+  assert.ok(isNaN(PortfolioAnalytics.betainc_(1.5, 2, 3)), 'Betainc x > 1');
+  assert.ok(isNaN(PortfolioAnalytics.betainc_(0.5, -2, 3)), 'Betainc negative a');
+
+  // Uses identities I_x(1,b) = 1 - (1-x)^b, I_x(a,1) = x^a and I_x(a,b) = 1 - I_1-x(b,a)
+  for (var i=1; i<100; ++i) {
+	var x = i/100;
+	assert.ok(Math.abs(PortfolioAnalytics.betainc_(x, 1, 3.5) - (1 - Math.pow(1 - x, 3.5))) <= 1e-14, 'Betainc I_x(1,b)');
+	assert.ok(Math.abs(PortfolioAnalytics.betainc_(x, 2.5, 1) - Math.pow(x, 2.5)) <= 1e-14, 'Betainc I_x(a,1)');
+	assert.ok(Math.abs(PortfolioAnalytics.betainc_(x, 2, 7, true) - PortfolioAnalytics.betainc_(1 - x, 7, 2)) <= 1e-14, 'Betainc symmetry');
+  }
+});
+
+
+QUnit.test('Student t distribution computation', function(assert) {    
+  // Uses the closed form formulas for 1 (Cauchy distribution) and 2 degrees of freedom, and the symmetry of the distribution
+  for (var i=0; i<=100; ++i) {
+	var x = (i - 50)/5;
+	assert.ok(Math.abs(PortfolioAnalytics.tcdf_(x, 1) - (0.5 + Math.atan(x)/Math.PI)) <= 1e-15, 'Tcdf 1 degree of freedom');
+	assert.ok(Math.abs(PortfolioAnalytics.tcdf_(x, 2) - (0.5 + x/(2*Math.sqrt(2 + x*x)))) <= 1e-15, 'Tcdf 2 degrees of freedom');
+	assert.equal(PortfolioAnalytics.tcdf_(x, 5, true), PortfolioAnalytics.tcdf_(-x, 5), 'Tcdf upper tail');
+  }
+  
+  // Convergence towards the normal distribution
+  assert.ok(Math.abs(PortfolioAnalytics.tcdf_(2, 1e6) - PortfolioAnalytics.normcdf_(2)) <= 1e-6, 'Tcdf normal limit');
+
+  // Boundaries of the inverse
+  assert.equal(PortfolioAnalytics.tinv_(0, 5), Number.NEGATIVE_INFINITY, 'Tinv -inf');
+  assert.equal(PortfolioAnalytics.tinv_(1, 5), Number.POSITIVE_INFINITY, 'Tinv +inf');
+  
+  // Probabilities outside of [0,1]
+  assert.ok(isNaN(PortfolioAnalytics.tinv_(1.1, 5)), 'Tinv p > 1');
+  assert.ok(isNaN(PortfolioAnalytics.tinv_(-0.1, 5)), 'Tinv p < 0');
+  assert.ok(isNaN(PortfolioAnalytics.tinv_(NaN, 5)), 'Tinv p NaN');
+  
+  // Values of the inverse, using the closed form formula for 1 degree of freedom, and a value from statistical tables
+  var p = [1e-10, 0.001, 0.01, 0.1, 0.3, 0.7, 0.9, 0.99, 0.999];
+  for (var i=0; i<p.length; ++i) {
+	var x = -1/Math.tan(Math.PI * p[i]); // Equal to tan(pi * (p - 1/2)), but more accurate for small p
+	assert.ok(Math.abs(PortfolioAnalytics.tinv_(p[i], 1) - x) <= 1e-13 * Math.abs(x), 'Tinv 1 degree of freedom');
+  }
+  assert.ok(Math.abs(PortfolioAnalytics.tinv_(0.975, 10) - 2.228138851986274) <= 1e-13, 'Tinv 10 degrees of freedom');
+});
+
+
+QUnit.test('Chi-square distribution computation', function(assert) {    
+  // Boundaries
+  assert.equal(PortfolioAnalytics.chi2cdf_(0, 3), 0, 'Chi2cdf 0');
+  assert.equal(PortfolioAnalytics.chi2cdf_(-1, 3, true), 1, 'Chi2cdf upper negative');
+  assert.equal(PortfolioAnalytics.chi2inv_(0, 3), 0, 'Chi2inv 0');
+  assert.equal(PortfolioAnalytics.chi2inv_(1, 3), Number.POSITIVE_INFINITY, 'Chi2inv +inf');
+  
+  // Probabilities outside of [0,1]
+  assert.ok(isNaN(PortfolioAnalytics.chi2inv_(1.1, 3)), 'Chi2inv p > 1');
+  assert.ok(isNaN(PortfolioAnalytics.chi2inv_(-0.1, 3)), 'Chi2inv p < 0');
+  assert.ok(isNaN(PortfolioAnalytics.chi2inv_(NaN, 3)), 'Chi2inv p NaN');
+  
+  // Uses the closed form formulas for 1 and 2 degrees of freedom
+  for (var i=1; i<=100; ++i) {
+	var x = i/4;
+	assert.ok(Math.abs(PortfolioAnalytics.chi2cdf_(x, 1) - PortfolioAnalytics.erf_(Math.sqrt(x/2))) <= 1e-14, 'Chi2cdf 1 degree of freedom');
+	assert.ok(Math.abs(PortfolioAnalytics.chi2cdf_(x, 2, true) - Math.exp(-x/2)) <= 1e-14 * Math.exp(-x/2), 'Chi2cdf 2 degrees of freedom');
+  }
+  
+  // Values of the inverse, using the closed form formula for 2 degrees of freedom, and consistency with the distribution function
+  var p = [0.001, 0.01, 0.05, 0.1, 0.5, 0.9, 0.95, 0.99, 0.999];
+  for (var i=0; i<p.length; ++i) {
+	var x = -2 * Math.log(1 - p[i]);
+	assert.ok(Math.abs(PortfolioAnalytics.chi2inv_(p[i], 2) - x) <= 1e-13 * x, 'Chi2inv 2 degrees of freedom');
+	assert.ok(Math.abs(PortfolioAnalytics.chi2cdf_(PortfolioAnalytics.chi2inv_(p[i], 7), 7) - p[i]) <= 1e-13 * p[i], 'Chi2inv 7 degrees of freedom');
+  }
+});
+
+
+QUnit.test('F distribution computation', function(assert) {    
+  // Boundaries
+  assert.equal(PortfolioAnalytics.fcdf_(0, 2, 3), 0, 'Fcdf 0');
+  assert.equal(PortfolioAnalytics.fcdf_(0, 2, 3, true), 1, 'Fcdf upper 0');
+  assert.equal(PortfolioAnalytics.finv_(0, 2, 3), 0, 'Finv 0');
+  assert.equal(PortfolioAnalytics.finv_(1, 2, 3), Number.POSITIVE_INFINITY, 'Finv +inf');
+  
+  // Probabilities outside of [0,1]
+  assert.ok(isNaN(PortfolioAnalytics.finv_(1.1, 2, 3)), 'Finv p > 1');
+  assert.ok(isNaN(PortfolioAnalytics.finv_(-0.1, 2, 3)), 'Finv p < 0');
+  assert.ok(isNaN(PortfolioAnalytics.finv_(NaN, 2, 3)), 'Finv p NaN');
+
+  // Uses the closed form formula for (2,2) degrees of freedom, and the relationship with the Student t distribution
+  for (var i=1; i<=100; ++i) {
+	var x = i/4;
+	assert.ok(Math.abs(PortfolioAnalytics.fcdf_(x, 2, 2) - x/(1 + x)) <= 1e-14, 'Fcdf (2,2) degrees of freedom');
+	assert.ok(Math.abs(PortfolioAnalytics.fcdf_(x*x, 1, 6, true) - 2*PortfolioAnalytics.tcdf_(x, 6, true)) <= 1e-14, 'Fcdf (1,n) degrees of freedom');
+  }
+  
+  // Values of the inverse, using the closed form formula for (2,2) degrees of freedom, and a value from statistical tables
+  var p = [0.001, 0.01, 0.05, 0.1, 0.5, 0.9, 0.95, 0.99, 0.999];
+  for (var i=0; i<p.length; ++i) {
+	var x = p[i]/(1 - p[i]);
+	assert.ok(Math.abs(PortfolioAnalytics.finv_(p[i], 2, 2) - x) <= 1e-13 * x, 'Finv (2,2) degrees of freedom');
+  }
+  assert.ok(Math.abs(PortfolioAnalytics.finv_(0.95, 2, 10) - 4.102821015130399) <= 1e-13, 'Finv (2,10) degrees of freedom');
+});
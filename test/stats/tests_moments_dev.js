@@ -220,3 +220,18 @@ QUnit.test('Hpm computation', function(assert) {
   assert.equal(PortfolioAnalytics.hpm_(this.BaconReturns, 1, 0.005), 0.425/24, 'Hpm Bacon');
 
 });
+
+
+QUnit.test('Autocorrelation computation', function(assert) {    
+  // Lag 0
+  assert.equal(PortfolioAnalytics.autocorrelation_([4, 7, 13, 16], 0), 1, 'Autocorrelation lag 0');
+  
+  // Reference values computed by hand
+  assert.equal(PortfolioAnalytics.autocorrelation_([1, 2, 3, 4], 1), 0.25, 'Autocorrelation lag 1');
+  assert.equal(PortfolioAnalytics.autocorrelation_([1, 2, 3, 4], 2), -0.3, 'Autocorrelation lag 2');
+  assert.equal(PortfolioAnalytics.autocorrelation_([1, -1, 1, -1], 1), -0.75, 'Autocorrelation alternating serie');
+  
+  // Lag greater than the serie length
+  assert.equal(PortfolioAnalytics.autocorrelation_([1, 2, 3, 4], 4), 0, 'Autocorrelation lag 4');
+  assert.equal(PortfolioAnalytics.autocorrelation_([1, 2, 3, 4], 10), 0, 'Autocorrelation lag 10');
+});
@@ -0,0 +1,19 @@
+// ------------------------------------------------------------
+QUnit.module('Quantiles module', {
+});
+
+
+QUnit.test('Quantile computation', function(assert) {    
+  assert.equal(PortfolioAnalytics.quantile_([4, 1, 3, 2], 0.5), 2.5, 'Quantile #1');
+  assert.equal(PortfolioAnalytics.quantile_([4, 1, 3, 2], 0), 1, 'Quantile #2');
+  assert.equal(PortfolioAnalytics.quantile_([4, 1, 3, 2], 1), 4, 'Quantile #3');
+  assert.equal(PortfolioAnalytics.quantile_([4, 1, 3, 2], 0.25), 1.75, 'Quantile #4');
+  assert.equal(PortfolioAnalytics.quantile_([7], 0.3), 7, 'Quantile #5');
+  assert.ok(isNaN(PortfolioAnalytics.quantile_([], 0.5)), 'Quantile #6');
+  assert.equal(PortfolioAnalytics.quantile_(new Float64Array([4, 1, 3, 2]), 0.5), 2.5, 'Quantile typed array');
+  
+  // Input array is not modified
+  var x = [4, 1, 3, 2];
+  PortfolioAnalytics.quantile_(x, 0.5);
+  assert.deepEqual(x, [4, 1, 3, 2], 'Quantile input array');
+});
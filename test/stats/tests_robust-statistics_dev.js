@@ -0,0 +1,77 @@
+// ------------------------------------------------------------
+QUnit.module('Robust statistics module', {
+});
+
+
+QUnit.test('Median computation', function(assert) {    
+  assert.equal(PortfolioAnalytics.median_([4, 1, 3, 2]), 2.5, 'Median #1');
+  assert.equal(PortfolioAnalytics.median_([4, 1, 3, 2, 100]), 3, 'Median #2');
+  assert.ok(isNaN(PortfolioAnalytics.median_([])), 'Median #3');
+  assert.equal(PortfolioAnalytics.median_(new Float64Array([4, 1, 3, 2])), 2.5, 'Median typed array');
+});
+
+
+QUnit.test('Median absolute deviation computation', function(assert) {    
+  assert.equal(PortfolioAnalytics.mad_([1, 1, 2, 2, 4, 6, 9]), 1, 'MAD #1');
+  assert.equal(PortfolioAnalytics.mad_([1, 1, 2, 2, 4, 6, 900]), 1, 'MAD outlier');
+  assert.equal(PortfolioAnalytics.mad_([5, 5, 5]), 0, 'MAD constant values');
+  assert.equal(PortfolioAnalytics.mad_(new Float64Array([1, 1, 2, 2, 4, 6, 9])), 1, 'MAD typed array');
+  
+  // Input array is not modified
+  var x = [9, 1, 6, 2, 4, 1, 2];
+  PortfolioAnalytics.mad_(x);
+  assert.deepEqual(x, [9, 1, 6, 2, 4, 1, 2], 'MAD input array');
+});
+
+
+QUnit.test('Interquartile range computation', function(assert) {    
+  assert.equal(PortfolioAnalytics.iqr_([4, 1, 3, 2]), 1.5, 'IQR #1');
+  assert.equal(PortfolioAnalytics.iqr_([7]), 0, 'IQR #2');
+  assert.equal(PortfolioAnalytics.iqr_(new Float64Array([4, 1, 3, 2])), 1.5, 'IQR typed array');
+});
+
+
+QUnit.test('Trimmed mean and variance computation', function(assert) {    
+  assert.deepEqual(PortfolioAnalytics.trimmedValues_([4, 100, 1, 3, 2], 0.2), [2, 3, 4], 'Trimmed values #1');
+  assert.deepEqual(PortfolioAnalytics.trimmedValues_([4, 100, 1, 3, 2], 0.1), [1, 2, 3, 4, 100], 'Trimmed values #2');
+  assert.deepEqual(PortfolioAnalytics.trimmedValues_(new Float64Array([4, 100, 1, 3, 2]), 0.2), [2, 3, 4], 'Trimmed values typed array');
+  
+  assert.equal(PortfolioAnalytics.trimmedMean_([4, 100, 1, 3, 2], 0.2), 3, 'Trimmed mean #1');
+  assert.equal(PortfolioAnalytics.trimmedMean_([4, 100, 1, 3, 2], 0), 22, 'Trimmed mean no trimming');
+  assert.equal(PortfolioAnalytics.trimmedVariance_([4, 100, 1, 3, 2], 0.2), 1, 'Trimmed variance #1');
+  assert.equal(PortfolioAnalytics.trimmedVariance_([4, 100, 1, 3, 2], 0), PortfolioAnalytics.sampleVariance_([4, 100, 1, 3, 2]), 'Trimmed variance no trimming');
+  assert.equal(PortfolioAnalytics.trimmedVariance_(new Float64Array([4, 100, 1, 3, 2]), 0.2), 1, 'Trimmed variance typed array');
+  
+  // Input array is not modified
+  var x = [4, 100, 1, 3, 2];
+  PortfolioAnalytics.trimmedMean_(x, 0.2);
+  PortfolioAnalytics.trimmedVariance_(x, 0.2);
+  assert.deepEqual(x, [4, 100, 1, 3, 2], 'Trimmed mean and variance input array');
+});
+
+
+QUnit.test('Winsorization computation', function(assert) {    
+  assert.deepEqual(PortfolioAnalytics.winsorize_([4, 100, 1, 3, 2], 0.2), [4, 4, 2, 3, 2], 'Winsorize #1');
+  assert.deepEqual(PortfolioAnalytics.winsorize_([4, 100, 1, 3, 2], 0.1), [4, 100, 1, 3, 2], 'Winsorize #2');
+  assert.deepEqual(PortfolioAnalytics.winsorize_([], 0.2), [], 'Winsorize #3');
+  
+  var winsorizedX = PortfolioAnalytics.winsorize_(new Float64Array([4, 100, 1, 3, 2]), 0.2);
+  assert.ok(winsorizedX instanceof Float64Array, 'Winsorize typed array type');
+  assert.deepEqual(Array.prototype.slice.call(winsorizedX), [4, 4, 2, 3, 2], 'Winsorize typed array');
+  
+  // Input array is not modified
+  var x = [4, 100, 1, 3, 2];
+  PortfolioAnalytics.winsorize_(x, 0.2);
+  assert.deepEqual(x, [4, 100, 1, 3, 2], 'Winsorize input array');
+});
+
+
+QUnit.test('Winsorized variance computation', function(assert) {    
+  assert.equal(PortfolioAnalytics.winsorizedVariance_([4, 100, 1, 3, 2], 0.2), 1, 'Winsorized variance #1');
+  assert.equal(PortfolioAnalytics.winsorizedVariance_([4, 100, 1, 3, 2], 0), PortfolioAnalytics.sampleVariance_([4, 100, 1, 3, 2]), 'Winsorized variance no winsorization');
+  
+  // Reference values computed with the statistics module of the Python standard library (NormalDist.inv_cdf and NormalDist.pdf)
+  assert.equal(PortfolioAnalytics.normalWinsorizedVariance_(0), 1, 'Normal winsorized variance no winsorization');
+  assert.ok(Math.abs(PortfolioAnalytics.normalWinsorizedVariance_(0.1) - 0.6786545589528747) <= 1e-14, 'Normal winsorized variance #1');
+  assert.ok(Math.abs(PortfolioAnalytics.normalWinsorizedVariance_(0.2) - 0.41208672670619434) <= 1e-14, 'Normal winsorized variance #2');
+});
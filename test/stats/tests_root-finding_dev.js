@@ -0,0 +1,20 @@
+// ------------------------------------------------------------
+QUnit.module('Root finding module', {
+});
+
+
+QUnit.test('Brent root internal computation', function(assert) {    
+  assert.ok(Math.abs(PortfolioAnalytics.brentRoot_(function(x) { return x*x - 2; }, 0, 2) - Math.SQRT2) <= 1e-12, 'Brent root #1');
+  assert.ok(Math.abs(PortfolioAnalytics.brentRoot_(function(x) { return Math.cos(x) - x; }, 0, 1) - 0.7390851332151607) <= 1e-12, 'Brent root #2');
+  assert.ok(Math.abs(PortfolioAnalytics.brentRoot_(function(x) { return x*x*x; }, -1, 2, 1e-12, 1000)) <= 1e-12, 'Brent root multiple root');
+  
+  // Bounds
+  assert.equal(PortfolioAnalytics.brentRoot_(function(x) { return x - 1; }, 1, 2), 1, 'Brent root left bound');
+  assert.equal(PortfolioAnalytics.brentRoot_(function(x) { return x - 2; }, 1, 2), 2, 'Brent root right bound');
+  
+  // No bracketing
+  assert.deepEqual(PortfolioAnalytics.brentRoot_(function(x) { return x*x + 1; }, -1, 1), NaN, 'Brent root without bracketing');
+  
+  // Maximum number of iterations
+  assert.deepEqual(PortfolioAnalytics.brentRoot_(function(x) { return x - 0.123456789; }, -1000, 1000, 0, 1), NaN, 'Brent root maximum number of iterations');
+});
@@ -0,0 +1,76 @@
+// ------------------------------------------------------------
+QUnit.module('Time series module', {
+});
+
+
+QUnit.test('Autocorrelation function computation', function(assert) {    
+  assert.deepEqual(PortfolioAnalytics.acf_([1, 2, 3, 4], 2), [0.25, -0.3], 'Acf #1');
+  
+  // Consistency with the autocorrelation at a given lag
+  var x = [0.003, 0.026, 0.011, -0.01, 0.015, 0.025, 0.016, 0.067, -0.014, 0.04, -0.005, 0.081, 0.04, -0.037, -0.061, 0.017, -0.049, -0.022, 0.07, 0.058, -0.065, 0.024, -0.005, -0.009];
+  var acf = PortfolioAnalytics.acf_(x, 5);
+  for (var k=1; k<=5; ++k) {
+	assert.equal(acf[k-1], PortfolioAnalytics.autocorrelation_(x, k), 'Acf lag #' + k);
+  }
+});
+
+
+QUnit.test('Partial autocorrelation function computation', function(assert) {    
+  // Uses identity pacf(2) = (acf(2) - acf(1)^2)/(1 - acf(1)^2)
+  var pacf = PortfolioAnalytics.pacf_([1, 2, 3, 4], 2);
+  assert.equal(pacf[0], 0.25, 'Pacf lag 1');
+  assert.ok(Math.abs(pacf[1] - (-0.3 - 0.0625)/(1 - 0.0625)) <= 1e-15, 'Pacf lag 2');
+  
+  // Autoregressive process of order 1, with a null partial autocorrelation beyond lag 1
+  var x = [0];
+  var random = PortfolioAnalytics.uniformRandomGenerator_(42);
+  for (var i=1; i<10000; ++i) {
+	x.push(0.5 * x[i-1] + random() - 0.5);
+  }
+  pacf = PortfolioAnalytics.pacf_(x, 3);
+  assert.ok(Math.abs(pacf[0] - 0.5) <= 0.05, 'Pacf AR(1) lag 1');
+  assert.ok(Math.abs(pacf[1]) <= 0.05 && Math.abs(pacf[2]) <= 0.05, 'Pacf AR(1) lags 2 and 3');
+});
+
+
+QUnit.test('Autocovariances computation', function(assert) {    
+  assert.deepEqual(PortfolioAnalytics.autocovariances_([1, 2, 3, 4], 1), [1.25, 0.3125], 'Autocovariances #1');
+  assert.deepEqual(PortfolioAnalytics.autocovariances_([1, 2, 3, 4], 0), [PortfolioAnalytics.variance_([1, 2, 3, 4])], 'Autocovariances lag 0');
+});
+
+
+QUnit.test('Moving average factorization computation', function(assert) {    
+  // Autocovariances of moving average processes with known coefficients
+  var t = PortfolioAnalytics.maFactorization_([0.58, 0.21]);
+  assert.ok(Math.abs(t[0] - 0.7) <= 1e-14 && Math.abs(t[1] - 0.3) <= 1e-14, 'MA factorization order 1');
+  t = PortfolioAnalytics.maFactorization_([0.46, 0.21, 0.06]);
+  assert.ok(Math.abs(t[0] - 0.6) <= 1e-14 && Math.abs(t[1] - 0.3) <= 1e-14 && Math.abs(t[2] - 0.1) <= 1e-14, 'MA factorization order 2');
+  
+  // The invertible solution is selected, e.g. [0.7, 0.3] rather than [0.3, 0.7] for the same autocovariances
+  t = PortfolioAnalytics.maFactorization_([0.58, 0.21]);
+  assert.ok(t[0] > t[1], 'MA factorization invertible solution');
+  
+  // White noise
+  assert.deepEqual(PortfolioAnalytics.maFactorization_([4, 0]), [2, 0], 'MA factorization white noise');
+  
+  // Autocovariances not corresponding to a moving average process (lag 1 autocorrelation greater than 0.5)
+  t = PortfolioAnalytics.maFactorization_([1, 0.6]);
+  assert.ok(isNaN(t[0]) && isNaN(t[1]), 'MA factorization no solution');
+});
+
+
+QUnit.test('Linear system solve computation', function(assert) {    
+  var a = [[2, 1], [1, 3]];
+  var b = [3, 5];
+  var x = PortfolioAnalytics.linearSystemSolve_(a, b);
+  assert.ok(Math.abs(x[0] - 0.8) <= 1e-15 && Math.abs(x[1] - 1.4) <= 1e-15, 'Linear system solve #1');
+  assert.deepEqual(a, [[2, 1], [1, 3]], 'Linear system solve input matrix');
+  assert.deepEqual(b, [3, 5], 'Linear system solve input vector');
+  
+  // Pivoting required
+  assert.deepEqual(PortfolioAnalytics.linearSystemSolve_([[0, 1], [1, 0]], [2, 3]), [3, 2], 'Linear system solve pivoting');
+  
+  // Singular matrix
+  x = PortfolioAnalytics.linearSystemSolve_([[1, 2], [2, 4]], [1, 2]);
+  assert.ok(isNaN(x[0]) && isNaN(x[1]), 'Linear system solve singular matrix');
+});